@@ -0,0 +1,11 @@
+/**
+ * Jest Setup
+ * Keeps test runs quiet and gives every test file its own data directory
+ */
+
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error'
+process.env.DATA_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'ix-deploy-test-'))
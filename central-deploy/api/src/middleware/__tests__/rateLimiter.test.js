@@ -0,0 +1,17 @@
+import { describe, expect, jest, test } from '@jest/globals'
+import { rateLimiter } from '../rateLimiter.js'
+
+describe('rateLimiter', () => {
+  test('passes control on once, even when a later handler throws', async () => {
+    const req = { ip: '203.0.113.10', get: () => undefined }
+    const next = jest.fn((error) => {
+      if (!error) {
+        throw new Error('handler failed')
+      }
+    })
+
+    await expect(rateLimiter(req, {}, next)).rejects.toThrow('handler failed')
+    expect(next).toHaveBeenCalledTimes(1)
+    expect(next).toHaveBeenCalledWith()
+  })
+})
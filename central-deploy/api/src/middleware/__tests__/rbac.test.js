@@ -0,0 +1,57 @@
+import { promises as fs } from 'fs'
+import path from 'path'
+import { beforeAll, describe, expect, test } from '@jest/globals'
+import { roleStore } from '../../services/RoleStore.js'
+
+const alice = { id: 'user-alice', username: 'alice', role: 'user' }
+const admin = { id: 'user-admin', username: 'admin', role: 'admin' }
+
+/**
+ * Run a middleware and resolve with the error it passed to next(), if any
+ */
+function run(middleware, req) {
+  return new Promise((resolve) => {
+    middleware(req, {}, error => resolve(error || null))
+  })
+}
+
+describe('requireProjectRole', () => {
+  let requireProjectRole
+
+  beforeAll(async () => {
+    process.env.CONFIG_PATH = path.join(process.env.DATA_PATH, 'deploy-config.json')
+    await fs.writeFile(process.env.CONFIG_PATH, JSON.stringify({
+      projects: [{ id: 'site', name: 'Site', tags: { Team: 'web' } }]
+    }))
+    await roleStore.assign({ userId: alice.id, role: 'viewer', projectId: 'site' })
+
+    // The middleware's ProjectService reads CONFIG_PATH when it is created
+    ;({ requireProjectRole } = await import('../rbac.js'))
+  })
+
+  test('grants a role the user holds and denies a higher one', async () => {
+    const req = { user: alice, params: { id: 'site' } }
+
+    expect(await run(requireProjectRole('viewer'), req)).toBeNull()
+    expect(req.projectRole).toBe('viewer')
+
+    expect(await run(requireProjectRole('deployer'), { user: alice, params: { id: 'site' } }))
+      .toMatchObject({ name: 'ForbiddenError' })
+  })
+
+  test('lets a missing routed project through so the route can answer 404', async () => {
+    expect(await run(requireProjectRole('viewer'), { user: alice, params: { id: 'missing' } })).toBeNull()
+  })
+
+  test('only admins reach resources of a project that was removed', async () => {
+    const removedProject = requireProjectRole('viewer', () => 'removed')
+
+    expect(await run(removedProject, { user: alice, params: { id: 'dep-1' } }))
+      .toMatchObject({ name: 'ForbiddenError' })
+    expect(await run(removedProject, { user: admin, params: { id: 'dep-1' } })).toBeNull()
+  })
+
+  test('lets a missing resource through when no project was resolved', async () => {
+    expect(await run(requireProjectRole('viewer', () => undefined), { user: alice, params: { id: 'dep-404' } })).toBeNull()
+  })
+})
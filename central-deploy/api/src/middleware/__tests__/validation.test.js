@@ -0,0 +1,37 @@
+import { describe, expect, test } from '@jest/globals'
+import { validateProjectObject } from '../validation.js'
+
+const project = url => ({
+  id: 'site',
+  name: 'Site',
+  repository: { url },
+  deployment: { domain_name: 'site.example.com' }
+})
+
+describe('validateProjectObject', () => {
+  test.each([
+    'https://github.com/owner/repo',
+    'https://gitlab.example.com/owner/repo.git',
+    'ssh://git@github.com/owner/repo.git',
+    'git@github.com:owner/repo.git'
+  ])('accepts repository URL %s', (url) => {
+    expect(validateProjectObject(project(url))).toBeNull()
+  })
+
+  test.each([
+    'file:///srv/git/repo',
+    'http://github.com/owner/repo',
+    'git://github.com/owner/repo.git',
+    'ftp://example.com/repo'
+  ])('rejects repository URL %s', (url) => {
+    expect(validateProjectObject(project(url))).toEqual([
+      expect.objectContaining({ path: '/repository/url' })
+    ])
+  })
+
+  test.each(['../site', 'dist/../..', '/var/www'])('rejects build_dir %s', (buildDir) => {
+    expect(validateProjectObject({ ...project('https://github.com/owner/repo'), build: { build_dir: buildDir } })).toEqual([
+      expect.objectContaining({ path: '/build/build_dir' })
+    ])
+  })
+})
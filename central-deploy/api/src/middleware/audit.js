@@ -0,0 +1,67 @@
+/**
+ * Audit Middleware
+ * Records a route's outcome in the audit log once the response is sent
+ * (see services/AuditLog.js)
+ *
+ * Handlers describe what they changed through req.audit:
+ *   req.audit.before / req.audit.after - state used for the change diff
+ *   req.audit.target / req.audit.projectId - what was acted on
+ *   req.audit.metadata - anything else worth keeping
+ *   req.audit.skip - set to true when nothing auditable happened
+ */
+
+import { auditLog } from '../services/AuditLog.js'
+
+/**
+ * Outcome of a response status code
+ */
+export function outcomeForStatus(statusCode) {
+  if (statusCode === 401 || statusCode === 403) {
+    return 'denied'
+  }
+  return statusCode >= 400 ? 'failure' : 'success'
+}
+
+/**
+ * Audit a route
+ * @param {string} action - Action name, e.g. `project.update`
+ * @param {Object} options - { target: type of the resource addressed by
+ *   req.params.id, actor: (req) => actor for unauthenticated callers such
+ *   as webhooks }
+ */
+export const audited = (action, options = {}) => (req, res, next) => {
+  const { id } = req.params
+
+  req.audit = {
+    target: options.target && id ? { type: options.target, id } : null,
+    ...(options.actor && { actor: options.actor(req) })
+  }
+
+  // Keep the reason given by error responses
+  const json = res.json.bind(res)
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body) {
+      req.audit.message = req.audit.message || body.message || body.error
+    }
+    return json(body)
+  }
+
+  res.on('finish', () => {
+    if (req.audit.skip) {
+      return
+    }
+
+    auditLog.record(req, {
+      ...req.audit,
+      // Project routes load the project during role checks
+      projectId: req.audit.projectId || req.project?.id || null,
+      action,
+      outcome: outcomeForStatus(res.statusCode),
+      statusCode: res.statusCode
+    })
+  })
+
+  next()
+}
+
+export default audited
@@ -0,0 +1,163 @@
+/**
+ * Authentication Middleware
+ * Accepts either `Authorization: Bearer <access token>` or a scoped
+ * `X-API-Key`, and populates req.user with the authenticated user
+ * (req.apiKey is also set for key-authenticated requests)
+ */
+
+import { UnauthorizedError, ForbiddenError } from '../utils/errors.js'
+import { tokenService } from '../services/TokenService.js'
+import { userStore } from '../services/UserStore.js'
+import { apiKeyStore, hasScope } from '../services/ApiKeyStore.js'
+
+// Routes under the API router that are reachable without a session
+const PUBLIC_PATHS = ['/auth/login', '/auth/refresh']
+
+/**
+ * Extract the bearer token from a request
+ */
+export function getBearerToken(req) {
+  const header = req.get('Authorization') || ''
+  const match = header.match(/^Bearer\s+(\S+)$/i)
+  return match ? match[1] : null
+}
+
+async function authenticateApiKey(req) {
+  const key = await apiKeyStore.resolveRequestKey(req)
+  if (!key) {
+    throw new UnauthorizedError('Invalid, expired or revoked API key')
+  }
+
+  const user = await userStore.get(key.user_id)
+  if (!user || user.disabled) {
+    throw new UnauthorizedError('API key owner is no longer active')
+  }
+
+  req.user = { ...userStore.toPublic(user), auth_method: 'api_key' }
+  req.apiKey = key
+}
+
+async function authenticateToken(req, token) {
+  const claims = await tokenService.verify(token, 'access')
+  const user = await userStore.get(claims.sub)
+
+  if (!user || user.disabled) {
+    throw new UnauthorizedError('User is no longer active')
+  }
+
+  req.user = { ...userStore.toPublic(user), auth_method: 'jwt' }
+  req.token = claims
+}
+
+export const authMiddleware = async (req, res, next) => {
+  if (PUBLIC_PATHS.includes(req.path)) {
+    return next()
+  }
+
+  try {
+    const token = getBearerToken(req)
+
+    if (token) {
+      await authenticateToken(req, token)
+    } else if (req.get('X-API-Key')) {
+      await authenticateApiKey(req)
+    } else {
+      throw new UnauthorizedError('Authentication required')
+    }
+
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Authenticate a WebSocket upgrade request, which bypasses Express
+ * Browsers can't set headers on WebSocket connections, so the access token
+ * and API key may also be passed as `?access_token=` and `?api_key=`.
+ * @param {http.IncomingMessage} request - Upgrade request
+ * @returns {Promise<Object>} - { user, apiKey, token, credentials: what to
+ *   pass to authenticateCredentials() to check the session again later }
+ * @throws {UnauthorizedError}
+ */
+export async function authenticateUpgrade(request) {
+  const { searchParams } = new URL(request.url, 'http://localhost')
+  const credentials = {
+    authorization: request.headers.authorization,
+    'x-api-key': request.headers['x-api-key']
+  }
+
+  if (!credentials.authorization && searchParams.get('access_token')) {
+    credentials.authorization = `Bearer ${searchParams.get('access_token')}`
+  }
+  if (!credentials['x-api-key'] && searchParams.get('api_key')) {
+    credentials['x-api-key'] = searchParams.get('api_key')
+  }
+
+  return authenticateCredentials(credentials)
+}
+
+/**
+ * Authenticate an `Authorization` or `X-API-Key` header value outside a
+ * request, e.g. to check that a long-lived WebSocket session has not been
+ * revoked, expired or lost its user since it was opened
+ * @param {Object} credentials - { authorization, 'x-api-key' }
+ * @returns {Promise<Object>} - { user, apiKey, token, credentials }
+ * @throws {UnauthorizedError}
+ */
+export async function authenticateCredentials(credentials) {
+  // Just enough of an Express request for the authenticators
+  const req = { headers: credentials, get: name => credentials[name.toLowerCase()] }
+  const token = getBearerToken(req)
+
+  if (token) {
+    await authenticateToken(req, token)
+  } else if (req.get('X-API-Key')) {
+    await authenticateApiKey(req)
+  } else {
+    throw new UnauthorizedError('Authentication required')
+  }
+
+  return { user: req.user, apiKey: req.apiKey || null, token: req.token || null, credentials }
+}
+
+/**
+ * Require an API key scope for key-authenticated requests. Sessions are
+ * not limited by scopes.
+ * @param {string|Function} scope - Scope, or (req) => scope for scopes that
+ *   depend on the request (e.g. `deploy:<project-id>`)
+ */
+export const requireScope = (scope) => (req, res, next) => {
+  if (!req.apiKey) {
+    return next()
+  }
+
+  const required = typeof scope === 'function' ? scope(req) : scope
+  if (!hasScope(req.apiKey.scopes, required)) {
+    return next(new ForbiddenError(`API key is missing the '${required}' scope`))
+  }
+
+  next()
+}
+
+/**
+ * Reject API keys on routes that need an interactive session
+ */
+export const requireSession = (req, res, next) => {
+  if (req.apiKey) {
+    return next(new ForbiddenError('This endpoint requires a user session, not an API key'))
+  }
+  next()
+}
+
+/**
+ * Require an account administrator
+ */
+export const requireAdmin = (req, res, next) => {
+  if (req.user?.role !== 'admin') {
+    return next(new ForbiddenError('This endpoint requires an administrator'))
+  }
+  next()
+}
+
+export default authMiddleware
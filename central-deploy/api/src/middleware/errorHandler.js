@@ -70,6 +70,11 @@ export const errorHandler = (error, req, res, next) => {
     requestId: req.id || undefined
   }
 
+  // Authentication and permission failures say why
+  if (statusCode === 401 || statusCode === 403) {
+    response.message = error.message
+  }
+
   if (details && isDevelopment) {
     response.details = details
   }
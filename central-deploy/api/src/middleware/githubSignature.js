@@ -0,0 +1,37 @@
+/**
+ * GitHub Webhook Signature Middleware
+ * Rejects webhook requests whose X-Hub-Signature-256 does not match
+ * GITHUB_WEBHOOK_SECRET. Requires the raw body captured by the body parsers
+ * in server.js (req.rawBody).
+ */
+
+import { logger } from '../utils/logger.js'
+import { UnauthorizedError } from '../utils/errors.js'
+import { verifyWebhookSignature } from '../utils/github.js'
+
+export const verifyGithubSignature = (req, res, next) => {
+  const secret = process.env.GITHUB_WEBHOOK_SECRET
+
+  if (!secret) {
+    logger.error('GITHUB_WEBHOOK_SECRET is not set; rejecting GitHub webhook')
+    return res.status(503).json({
+      success: false,
+      error: 'Webhook Not Configured',
+      message: 'GitHub webhook secret is not configured',
+      timestamp: new Date().toISOString()
+    })
+  }
+
+  if (!verifyWebhookSignature(secret, req.rawBody, req.get('X-Hub-Signature-256'))) {
+    logger.warn('Rejected GitHub webhook with invalid signature', {
+      delivery: req.get('X-GitHub-Delivery'),
+      event: req.get('X-GitHub-Event'),
+      ip: req.ip
+    })
+    return next(new UnauthorizedError('Invalid webhook signature'))
+  }
+
+  next()
+}
+
+export default verifyGithubSignature
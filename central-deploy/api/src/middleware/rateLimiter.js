@@ -5,6 +5,8 @@
 
 import { RateLimiterMemory } from 'rate-limiter-flexible'
 import { logger } from '../utils/logger.js'
+import { apiKeyStore } from '../services/ApiKeyStore.js'
+import { metrics } from '../services/Metrics.js'
 
 // Rate limiter configuration
 const rateLimiterConfig = {
@@ -18,15 +20,22 @@ const rateLimiterConfig = {
 const rateLimiterInstance = new RateLimiterMemory(rateLimiterConfig)
 
 export const rateLimiter = async (req, res, next) => {
+  let apiKey = null
+
   try {
-    // Use IP address as the key, but allow override with API key
-    const key = req.get('X-API-Key') || req.ip
+    // Validated API keys get their own bucket; everything else is limited by IP
+    apiKey = await apiKeyStore.resolveRequestKey(req)
+    const key = apiKey ? `key:${apiKey.id}` : req.ip
     
     await rateLimiterInstance.consume(key)
-    next()
   } catch (rejRes) {
+    if (rejRes instanceof Error) {
+      return next(rejRes)
+    }
+
     // Rate limit exceeded
     const secs = Math.round(rejRes.msBeforeNext / 1000) || 1
+    metrics.rateLimitRejections.inc({ client: apiKey ? 'api_key' : 'ip' })
     
     logger.warn(`Rate limit exceeded for ${req.ip}`, {
       ip: req.ip,
@@ -36,13 +45,17 @@ export const rateLimiter = async (req, res, next) => {
     })
     
     res.set('Retry-After', String(secs))
-    res.status(429).json({
+    return res.status(429).json({
       error: 'Too Many Requests',
       message: 'Rate limit exceeded. Please try again later.',
       retryAfter: secs,
       timestamp: new Date().toISOString()
     })
   }
+
+  // Outside the try, so errors thrown further down the chain aren't
+  // handled a second time by the catch above
+  next()
 }
 
 export default rateLimiter
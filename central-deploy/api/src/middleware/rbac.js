@@ -0,0 +1,59 @@
+/**
+ * Role-Based Access Control Middleware
+ * Gates project routes on the caller's role for the project
+ * (see services/RoleStore.js for the role model)
+ */
+
+import { ForbiddenError } from '../utils/errors.js'
+import { roleStore, roleAtLeast } from '../services/RoleStore.js'
+import { ProjectService } from '../services/ProjectService.js'
+
+const projectService = new ProjectService()
+
+/**
+ * Throw unless the user holds at least `role` on the project
+ * @throws {ForbiddenError}
+ */
+export async function authorizeProject(user, project, role) {
+  const granted = await roleStore.roleFor(user, project)
+
+  if (!roleAtLeast(granted, role)) {
+    throw new ForbiddenError(
+      granted
+        ? `Requires the ${role} role on project '${project.id}' (you are ${granted})`
+        : `Requires the ${role} role on project '${project.id}'`
+    )
+  }
+
+  return granted
+}
+
+/**
+ * Require a minimum role on the project addressed by the request
+ * A missing routed project passes through so the route can answer 404. A
+ * project resolved from another resource (e.g. a deployment's project_id)
+ * that no longer exists in the configuration is only accessible to admins,
+ * since nobody holds a role on it anymore.
+ * @param {string} role - Minimum role
+ * @param {Function} getProjectId - (req) => project ID of the resource the
+ *   request addresses; defaults to the routed project, req.params.id
+ */
+export const requireProjectRole = (role, getProjectId = null) => async (req, res, next) => {
+  try {
+    const projectId = getProjectId ? await getProjectId(req) : req.params.id
+    const project = projectId && await projectService.getProject(projectId)
+
+    if (project) {
+      req.project = project
+      req.projectRole = await authorizeProject(req.user, project, role)
+    } else if (getProjectId && projectId && req.user?.role !== 'admin') {
+      throw new ForbiddenError(`Project '${projectId}' no longer exists; only administrators can access its resources`)
+    }
+
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
+
+export default requireProjectRole
@@ -0,0 +1,16 @@
+/**
+ * Secret Redaction Middleware
+ * Replaces secret values in JSON responses, error payloads included, with
+ * their redaction markers (see utils/redaction.js)
+ */
+
+import { redactSecrets } from '../utils/redaction.js'
+
+export const redactResponses = (req, res, next) => {
+  const json = res.json.bind(res)
+  res.json = body => json(redactSecrets(body))
+
+  next()
+}
+
+export default redactResponses
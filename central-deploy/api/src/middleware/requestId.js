@@ -0,0 +1,21 @@
+/**
+ * Request ID Middleware
+ * Tags every request with an ID (req.id), echoed in the X-Request-ID
+ * response header. A well-formed incoming X-Request-ID is kept so IDs can be
+ * correlated across proxies.
+ */
+
+import crypto from 'crypto'
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{8,128}$/
+
+export const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-ID')
+
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID()
+  res.set('X-Request-ID', req.id)
+
+  next()
+}
+
+export default requestId
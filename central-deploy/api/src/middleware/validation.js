@@ -6,6 +6,7 @@
 import Ajv from 'ajv'
 import addFormats from 'ajv-formats'
 import { logger } from '../utils/logger.js'
+import { NOTIFICATION_EVENTS } from '../utils/notificationTemplates.js'
 
 const ajv = new Ajv({ allErrors: true })
 addFormats(ajv)
@@ -36,8 +37,9 @@ const projectSchema = {
       properties: {
         url: {
           type: 'string',
-          format: 'uri',
-          pattern: '^https://github\\.com/[^/]+/[^/]+(\\.git)?$'
+          // https and ssh URLs, or scp-like `git@host:owner/repo`; local
+          // (file://) and unauthenticated (http://, git://) remotes are refused
+          pattern: '^((https|ssh)://\\S+|[\\w.-]+@[\\w.-]+:\\S+)$'
         },
         branch: {
           type: 'string',
@@ -63,6 +65,10 @@ const projectSchema = {
         aws_profile_ref: {
           type: 'string'
         },
+        cloudfront_distribution_id: {
+          type: 'string',
+          pattern: '^[A-Z0-9]+$'
+        },
         environment: {
           type: 'string',
           enum: ['development', 'staging', 'production']
@@ -99,7 +105,9 @@ const projectSchema = {
           type: 'string'
         },
         build_dir: {
-          type: 'string'
+          type: 'string',
+          // Relative to the checkout, without `..` segments
+          pattern: '^(?!/)(?!(.*/)?\\.\\.(/|$))'
         },
         install_command: {
           type: 'string'
@@ -131,7 +139,11 @@ const projectSchema = {
           properties: {
             webhook_url: {
               type: 'string',
-              format: 'uri'
+              // A URL, or a ${VAR} placeholder resolved when the config is loaded
+              anyOf: [
+                { format: 'uri' },
+                { pattern: '^\\$\\{[A-Za-z_][A-Za-z0-9_]*(:-[^}]*)?\\}$' }
+              ]
             },
             channel: {
               type: 'string'
@@ -144,6 +156,13 @@ const projectSchema = {
             type: 'string',
             format: 'email'
           }
+        },
+        events: {
+          type: 'array',
+          items: {
+            type: 'string',
+            enum: NOTIFICATION_EVENTS
+          }
         }
       }
     },
@@ -181,20 +200,31 @@ const projectSchema = {
 
 const validateProject = ajv.compile(projectSchema)
 
+/**
+ * Validate a project object against the project schema
+ * @param {Object} project - Project data
+ * @returns {Array|null} - List of errors, or null when valid
+ */
+export const validateProjectObject = (project) => {
+  if (validateProject(project)) {
+    return null
+  }
+
+  return validateProject.errors.map(error => ({
+    path: error.instancePath || error.dataPath,
+    message: error.message,
+    value: error.data,
+    allowedValues: error.params?.allowedValues
+  }))
+}
+
 /**
  * Middleware to validate project data
  */
 export const validateProjectData = (req, res, next) => {
-  const valid = validateProject(req.body)
+  const errors = validateProjectObject(req.body)
   
-  if (!valid) {
-    const errors = validateProject.errors.map(error => ({
-      path: error.instancePath || error.dataPath,
-      message: error.message,
-      value: error.data,
-      allowedValues: error.params?.allowedValues
-    }))
-    
+  if (errors) {
     logger.warn('Project validation failed', { errors, body: req.body })
     
     return res.status(400).json({
@@ -241,4 +271,4 @@ export const createValidationMiddleware = (schema) => {
 }
 
 export { projectSchema }
-export default { validateProjectData, createValidationMiddleware }
\ No newline at end of file
+export default { validateProjectData, validateProjectObject, createValidationMiddleware }
\ No newline at end of file
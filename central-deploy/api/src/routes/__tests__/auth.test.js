@@ -0,0 +1,94 @@
+import express from 'express'
+import request from 'supertest'
+import { beforeAll, describe, expect, test } from '@jest/globals'
+import authRoutes from '../auth.js'
+import { authMiddleware } from '../../middleware/auth.js'
+import { errorHandler } from '../../middleware/errorHandler.js'
+import { userStore } from '../../services/UserStore.js'
+
+describe('/api/v1/auth', () => {
+  let app
+
+  const login = (password = 'correct-horse') => request(app)
+    .post('/api/v1/auth/login')
+    .send({ username: 'alice', password })
+
+  const refresh = token => request(app)
+    .post('/api/v1/auth/refresh')
+    .send({ refresh_token: token })
+
+  const me = token => request(app)
+    .get('/api/v1/auth/me')
+    .set('Authorization', `Bearer ${token}`)
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = 'auth-route-test-secret'
+    process.env.BCRYPT_ROUNDS = '4'
+    await userStore.create({ username: 'alice', password: 'correct-horse' })
+
+    const api = express.Router()
+    api.use(authMiddleware)
+    api.use('/auth', authRoutes)
+
+    app = express()
+    app.use(express.json())
+    app.use('/api/v1', api)
+    app.use(errorHandler)
+  })
+
+  test('logs in with valid credentials only', async () => {
+    expect((await login('wrong-password')).status).toBe(401)
+    expect((await request(app).post('/api/v1/auth/login').send({ username: 'alice' })).status).toBe(400)
+
+    const response = await login()
+    expect(response.status).toBe(200)
+    expect(response.body.data).toMatchObject({ user: { username: 'alice' }, token_type: 'Bearer' })
+    expect(response.body.data.user).not.toHaveProperty('password_hash')
+
+    expect((await me(response.body.data.access_token)).body.data).toMatchObject({ username: 'alice', auth_method: 'jwt' })
+  })
+
+  test('exchanges a refresh token once', async () => {
+    const { refresh_token: refreshToken } = (await login()).body.data
+
+    const first = await refresh(refreshToken)
+    expect(first.status).toBe(200)
+    expect(first.body.data.refresh_token).not.toBe(refreshToken)
+    expect((await me(first.body.data.access_token)).status).toBe(200)
+
+    const reused = await refresh(refreshToken)
+    expect(reused.status).toBe(401)
+    expect(reused.body.message).toBe('Token has been revoked')
+  })
+
+  test('exchanges a refresh token once when it is presented concurrently', async () => {
+    const { refresh_token: refreshToken } = (await login()).body.data
+
+    const responses = await Promise.all([refresh(refreshToken), refresh(refreshToken), refresh(refreshToken)])
+
+    expect(responses.map(response => response.status).sort()).toEqual([200, 401, 401])
+  })
+
+  test('rejects access and refresh tokens revoked by logging out', async () => {
+    const { access_token: accessToken, refresh_token: refreshToken } = (await login()).body.data
+
+    const logout = await request(app)
+      .post('/api/v1/auth/logout')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ refresh_token: refreshToken })
+    expect(logout.status).toBe(200)
+
+    const revoked = await me(accessToken)
+    expect(revoked.status).toBe(401)
+    expect(revoked.body.message).toBe('Token has been revoked')
+    expect((await refresh(refreshToken)).status).toBe(401)
+  })
+
+  test('does not accept a refresh token as an access token', async () => {
+    const { refresh_token: refreshToken } = (await login()).body.data
+
+    const response = await me(refreshToken)
+    expect(response.status).toBe(401)
+    expect(response.body.message).toBe('Invalid token type')
+  })
+})
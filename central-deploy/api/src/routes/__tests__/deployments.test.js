@@ -0,0 +1,218 @@
+import { promises as fs } from 'fs'
+import path from 'path'
+import express from 'express'
+import request from 'supertest'
+import { beforeAll, describe, expect, test } from '@jest/globals'
+import { authMiddleware } from '../../middleware/auth.js'
+import { errorHandler } from '../../middleware/errorHandler.js'
+import { deploymentStore } from '../../services/DeploymentStore.js'
+import { userStore } from '../../services/UserStore.js'
+import { roleStore } from '../../services/RoleStore.js'
+import { tokenService } from '../../services/TokenService.js'
+import { releaseStore } from '../../services/ReleaseStore.js'
+
+const projects = [
+  { id: 'site', name: 'Site', deployment: { domain_name: 'site.example.com' } },
+  { id: 'other', name: 'Other', deployment: { domain_name: 'other.example.com' } }
+]
+
+describe('/api/v1/deployments', () => {
+  let app
+  let viewerToken
+  let adminToken
+
+  const get = (url, token = viewerToken) => request(app)
+    .get(`/api/v1/deployments${url}`)
+    .set('Authorization', `Bearer ${token}`)
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = 'deployments-route-test-secret'
+    process.env.BCRYPT_ROUNDS = '4'
+    process.env.CONFIG_PATH = path.join(process.env.DATA_PATH, 'deploy-config.json')
+    await fs.writeFile(process.env.CONFIG_PATH, JSON.stringify({ credentials: {}, projects }))
+
+    const viewer = (await userStore.create({ username: 'viewer', password: 'viewer-password' })).data
+    const admin = (await userStore.create({ username: 'admin', password: 'admin-password', role: 'admin' })).data
+    await roleStore.assign({ userId: viewer.id, role: 'viewer', projectId: 'site' })
+    viewerToken = tokenService.issue(viewer).access_token
+    adminToken = tokenService.issue(admin).access_token
+
+    // The router's ProjectService reads CONFIG_PATH when it is created
+    const { default: deploymentRoutes } = await import('../deployments.js')
+
+    const api = express.Router()
+    api.use(authMiddleware)
+    api.use('/deployments', deploymentRoutes)
+
+    app = express()
+    app.use(express.json())
+    app.use('/api/v1', api)
+    app.use(errorHandler)
+  })
+
+  describe('GET /', () => {
+    let visible
+
+    beforeAll(async () => {
+      visible = [
+        await deploymentStore.create({ projectId: 'site', branch: 'main', environment: 'production' }),
+        await deploymentStore.create({ projectId: 'site', branch: 'feature/a', environment: 'preview' })
+      ]
+      await deploymentStore.create({ projectId: 'other', branch: 'main', environment: 'production' })
+      await deploymentStore.create({ projectId: 'removed', branch: 'main', environment: 'production' })
+    })
+
+    test('lists only deployments of projects the caller can view', async () => {
+      const response = await get('/?limit=1')
+
+      expect(response.status).toBe(200)
+      expect(response.body.data.map(d => d.project_id)).toEqual(['site'])
+      expect(response.body.pagination).toMatchObject({ total: 2, pages: 2 })
+
+      const all = await get('/?limit=100')
+      expect(all.body.data.map(d => d.id).sort()).toEqual(visible.map(d => d.id).sort())
+    })
+
+    test('applies filters after visibility', async () => {
+      expect((await get('/?project=other')).body).toMatchObject({ data: [], pagination: { total: 0 } })
+      expect((await get('/?environment=preview')).body.data.map(d => d.id)).toEqual([visible[1].id])
+    })
+
+    test('shows administrators deployments of every project, removed ones included', async () => {
+      const response = await get('/?limit=100', adminToken)
+
+      expect(response.body.data.map(d => d.project_id).sort()).toEqual(['other', 'removed', 'site', 'site'])
+    })
+
+    test('hides single deployments of other projects', async () => {
+      const { deployments } = await deploymentStore.list({ projectId: 'other' })
+
+      expect((await get(`/${visible[0].id}`)).status).toBe(200)
+      expect((await get(`/${deployments[0].id}`)).status).toBe(403)
+    })
+  })
+
+  describe('GET /:id/artifact', () => {
+    let release
+
+    const deploymentWith = async (fields) => {
+      const deployment = await deploymentStore.create({ projectId: 'site', branch: 'main', environment: 'production' })
+      return deploymentStore.update(deployment.id, fields)
+    }
+
+    beforeAll(async () => {
+      process.env.BUILD_WORKSPACE_PATH = path.join(process.env.DATA_PATH, 'builds')
+      const sourceDir = path.join(process.env.DATA_PATH, 'artifact-source')
+      await fs.mkdir(sourceDir, { recursive: true })
+      await fs.writeFile(path.join(sourceDir, 'index.html'), '<h1>Site</h1>')
+
+      const deployment = await deploymentStore.create({ projectId: 'site', branch: 'main', environment: 'production' })
+      release = await releaseStore.archive(deployment, { sourceDir, files: ['index.html'] })
+    })
+
+    test('downloads the release archive', async () => {
+      const deployment = await deploymentWith({ release })
+
+      const response = await get(`/${deployment.id}/artifact`)
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = []
+          res.on('data', chunk => chunks.push(chunk))
+          res.on('end', () => callback(null, Buffer.concat(chunks)))
+        })
+
+      expect(response.status).toBe(200)
+      expect(response.headers).toMatchObject({ 'content-type': 'application/gzip', etag: `"${release.sha256}"` })
+      expect(response.body.length).toBe(release.bytes)
+    })
+
+    test('answers 404 for deployments without a release', async () => {
+      const deployment = await deploymentWith({})
+
+      const response = await get(`/${deployment.id}/artifact`)
+      expect(response.status).toBe(404)
+      expect(response.body.error).toBe('Artifact not found')
+      expect((await get('/dep-missing/artifact', adminToken)).status).toBe(404)
+    })
+
+    test('answers 410 once the archive has been deleted', async () => {
+      const pruned = await deploymentWith({ release: { ...release, deleted_at: new Date().toISOString() } })
+      const lost = await deploymentWith({ release: { ...release, archive: 'site/dep-lost.tar.gz' } })
+
+      for (const deployment of [pruned, lost]) {
+        const response = await get(`/${deployment.id}/artifact`)
+        expect(response.status).toBe(410)
+        expect(response.body.error).toBe('Artifact expired')
+      }
+    })
+  })
+
+  describe('GET /:id/logs/stream', () => {
+    /**
+     * Events of a finished stream: [{ id, event, data }]
+     */
+    const parseEvents = text => text.split('\n\n')
+      .map(block => Object.fromEntries(block.split('\n')
+        .map(line => line.match(/^(id|event|data): (.*)$/))
+        .filter(Boolean)
+        .map(([, field, value]) => [field, field === 'data' ? JSON.parse(value) : value])))
+      .filter(event => event.event)
+
+    const stream = (id, { lastEventId, query = '' } = {}) => {
+      const req = get(`/${id}/logs/stream${query}`)
+      return lastEventId === undefined ? req : req.set('Last-Event-ID', String(lastEventId))
+    }
+
+    const log = (id, message, level = 'info') => deploymentStore.appendLog(id, { level, message, component: 'build' })
+
+    test('resumes after Last-Event-ID and ends with the final status', async () => {
+      const deployment = await deploymentStore.create({ projectId: 'site', branch: 'main', environment: 'production' })
+      for (const message of ['one', 'two', 'three']) {
+        await log(deployment.id, message)
+      }
+      await deploymentStore.transition(deployment.id, 'failed', { message: 'Build failed' })
+
+      const response = await stream(deployment.id, { lastEventId: 1 })
+
+      expect(response.status).toBe(200)
+      expect(response.headers['content-type']).toMatch(/^text\/event-stream/)
+      const events = parseEvents(response.text)
+      expect(events.map(e => [e.event, e.id, e.data.message])).toEqual([
+        ['log', '2', 'two'],
+        ['log', '3', 'three'],
+        ['end', undefined, undefined]
+      ])
+      expect(events[2].data).toMatchObject({ deployment_id: deployment.id, status: 'failed' })
+    })
+
+    test('follows new lines until the deployment finishes', async () => {
+      const deployment = await deploymentStore.create({ projectId: 'site', branch: 'main', environment: 'production' })
+      await log(deployment.id, 'queued')
+
+      const streaming = stream(deployment.id, { query: '?level=warn' }).then(response => response)
+      await new Promise(resolve => setTimeout(resolve, 50))
+
+      await log(deployment.id, 'slow install', 'warn')
+      await log(deployment.id, 'verbose', 'debug')
+      await deploymentStore.transition(deployment.id, 'building')
+      await log(deployment.id, 'build failed', 'error')
+      await deploymentStore.transition(deployment.id, 'failed')
+
+      const events = parseEvents((await streaming).text)
+      expect(events.map(e => e.data.message ?? e.data.status)).toEqual(['slow install', 'build failed', 'failed'])
+      expect(events.map(e => e.id)).toEqual(['2', '4', undefined])
+    })
+
+    test('accepts the position as ?last_event_id and rejects unknown levels', async () => {
+      const deployment = await deploymentStore.create({ projectId: 'site', branch: 'main', environment: 'production' })
+      await log(deployment.id, 'one')
+      await log(deployment.id, 'two')
+      await deploymentStore.transition(deployment.id, 'cancelled')
+
+      const events = parseEvents((await stream(deployment.id, { query: '?last_event_id=2' })).text)
+      expect(events.map(e => e.event)).toEqual(['end'])
+
+      expect((await stream(deployment.id, { query: '?level=loud' })).status).toBe(400)
+    })
+  })
+})
@@ -0,0 +1,89 @@
+import { promises as fs } from 'fs'
+import path from 'path'
+import express from 'express'
+import request from 'supertest'
+import { beforeAll, describe, expect, test } from '@jest/globals'
+import { auditLog } from '../../services/AuditLog.js'
+import { errorHandler } from '../../middleware/errorHandler.js'
+import { signWebhookPayload } from '../../utils/github.js'
+
+const SECRET = 'webhook-test-secret'
+
+// Deploys from a branch no test pushes to
+const site = {
+  id: 'site',
+  name: 'Site',
+  status: 'active',
+  repository: { url: 'https://github.com/example/site', branch: 'release' },
+  deployment: { domain_name: 'site.example.com', auto_deploy: true }
+}
+
+describe('POST /webhooks/github', () => {
+  let app
+
+  beforeAll(async () => {
+    process.env.GITHUB_WEBHOOK_SECRET = SECRET
+    process.env.CONFIG_PATH = path.join(process.env.DATA_PATH, 'deploy-config.json')
+    await fs.writeFile(process.env.CONFIG_PATH, JSON.stringify({ projects: [site] }))
+
+    // The router's ProjectService reads CONFIG_PATH when it is created
+    const { default: webhookRoutes } = await import('../webhooks.js')
+
+    app = express()
+    app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf } }))
+    app.use('/webhooks', webhookRoutes)
+    app.use(errorHandler)
+  })
+
+  const deliver = (payload, { signature, event = 'push' } = {}) => {
+    const body = JSON.stringify(payload)
+    return request(app)
+      .post('/webhooks/github')
+      .set('Content-Type', 'application/json')
+      .set('X-GitHub-Event', event)
+      .set('X-GitHub-Delivery', 'delivery-1')
+      .set('X-Hub-Signature-256', signature ?? signWebhookPayload(SECRET, body))
+      .send(body)
+  }
+
+  const push = { ref: 'refs/heads/main', after: 'abc1234', repository: { full_name: 'example/site', html_url: 'https://github.com/example/site' } }
+
+  test('audits signed deliveries only', async () => {
+    expect((await deliver(push, { signature: 'sha256=' + '0'.repeat(64) })).status).toBe(401)
+    expect((await deliver(push)).status).toBe(200)
+
+    // Entries are written in order once each response has finished
+    let entries = []
+    for (let i = 0; i < 50 && entries.length === 0; i++) {
+      await new Promise(resolve => setTimeout(resolve, 10))
+      entries = await auditLog.readEntries()
+    }
+
+    expect(entries).toEqual([expect.objectContaining({
+      action: 'webhook.github',
+      outcome: 'success',
+      actor: expect.objectContaining({ type: 'webhook', delivery: 'delivery-1' })
+    })])
+  })
+
+  const pullRequest = (action, { head = 'example/site', branch = 'feature/login' } = {}) => ({
+    action,
+    repository: push.repository,
+    pull_request: {
+      number: 5,
+      head: { ref: branch, sha: 'def5678', repo: { full_name: head } },
+      base: { ref: 'release', repo: { full_name: 'example/site' } }
+    }
+  })
+
+  test.each([
+    ['from a fork', pullRequest('opened', { head: 'stranger/site' }), 'pull request is from a fork'],
+    ['from a production branch', pullRequest('synchronize', { branch: 'main' }), 'head branch main deploys to the site root'],
+    ['closed without a preview', pullRequest('closed'), 'No active preview for pull request #5']
+  ])('skips pull requests %s', async (_, payload, reason) => {
+    const response = await deliver(payload, { event: 'pull_request' })
+
+    expect(response.status).toBe(200)
+    expect(response.body.data).toEqual({ previews: [], skipped: [{ project_id: 'site', reason }] })
+  })
+})
@@ -0,0 +1,107 @@
+/**
+ * Audit API Routes
+ * Read and verify the audit log (administrators only)
+ */
+
+import { Router } from 'express'
+import { asyncHandler } from '../utils/asyncHandler.js'
+import { logger } from '../utils/logger.js'
+import { requireScope, requireAdmin } from '../middleware/auth.js'
+import { auditLog, AUDIT_OUTCOMES } from '../services/AuditLog.js'
+
+const router = Router()
+
+router.use(requireScope('audit:read'), requireAdmin)
+
+/**
+ * GET /api/v1/audit
+ * List audit entries, newest first
+ * Filters: action (comma-separated, `project.*` wildcards), actor (user ID or
+ * username), project, target, outcome, request_id, since, until
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const {
+    action,
+    actor,
+    project,
+    target,
+    outcome,
+    request_id: requestId,
+    since,
+    until,
+    page = 1,
+    limit = 50
+  } = req.query
+
+  if (outcome && !AUDIT_OUTCOMES.includes(outcome)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      message: `outcome must be one of: ${AUDIT_OUTCOMES.join(', ')}`,
+      timestamp: new Date().toISOString()
+    })
+  }
+
+  const invalidDate = [since, until].find(value => value && Number.isNaN(Date.parse(value)))
+  if (invalidDate) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      message: `'${invalidDate}' is not a valid date`,
+      timestamp: new Date().toISOString()
+    })
+  }
+
+  const filters = {
+    ...(action && { action }),
+    ...(actor && { actor }),
+    ...(project && { projectId: project }),
+    ...(target && { targetId: target }),
+    ...(outcome && { outcome }),
+    ...(requestId && { requestId }),
+    ...(since && { since }),
+    ...(until && { until })
+  }
+
+  const options = {
+    page: Math.max(parseInt(page, 10) || 1, 1),
+    limit: Math.min(parseInt(limit, 10) || 50, 500) // Max 500 per page
+  }
+
+  const result = await auditLog.query(filters, options)
+
+  res.json({
+    success: true,
+    data: result.entries,
+    pagination: {
+      page: result.page,
+      limit: result.limit,
+      total: result.total,
+      pages: result.pages
+    },
+    timestamp: new Date().toISOString()
+  })
+}))
+
+/**
+ * GET /api/v1/audit/verify
+ * Check the audit log's hash chain
+ */
+router.get('/verify', asyncHandler(async (req, res) => {
+  const result = await auditLog.verify()
+
+  if (!result.valid) {
+    logger.error('Audit log verification failed', result.error)
+  }
+
+  res.json({
+    success: true,
+    data: result,
+    message: result.valid
+      ? `Audit log intact (${result.entries} entries)`
+      : `Audit log chain is broken at line ${result.error.line}: ${result.error.reason}`,
+    timestamp: new Date().toISOString()
+  })
+}))
+
+export default router
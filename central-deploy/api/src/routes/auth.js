@@ -6,6 +6,12 @@
 import { Router } from 'express'
 import { logger } from '../utils/logger.js'
 import { asyncHandler } from '../utils/asyncHandler.js'
+import { UnauthorizedError } from '../utils/errors.js'
+import { userStore } from '../services/UserStore.js'
+import { tokenService } from '../services/TokenService.js'
+import { apiKeyStore } from '../services/ApiKeyStore.js'
+import { requireSession } from '../middleware/auth.js'
+import { audited } from '../middleware/audit.js'
 
 const router = Router()
 
@@ -14,14 +20,74 @@ const router = Router()
  * Authenticate user
  */
 router.post('/login', asyncHandler(async (req, res) => {
-  const { username, password } = req.body
+  const { username, password } = req.body || {}
+
+  if (!username || !password) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      message: 'username and password are required',
+      timestamp: new Date().toISOString()
+    })
+  }
 
-  // TODO: Implement authentication logic
   logger.info('Authentication attempt', { username })
 
+  const user = await userStore.verifyCredentials(username, password)
+
+  if (!user) {
+    logger.warn('Authentication failed', { username, ip: req.ip })
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized',
+      message: 'Invalid username or password',
+      timestamp: new Date().toISOString()
+    })
+  }
+
+  const tokens = tokenService.issue(user)
+  await userStore.recordLogin(user.id)
+
+  res.json({
+    success: true,
+    data: {
+      user: userStore.toPublic(user),
+      ...tokens
+    },
+    message: 'Authenticated successfully',
+    timestamp: new Date().toISOString()
+  })
+}))
+
+/**
+ * POST /api/v1/auth/refresh
+ * Exchange a refresh token for a new token pair
+ */
+router.post('/refresh', asyncHandler(async (req, res) => {
+  const { refresh_token: refreshToken } = req.body || {}
+
+  if (!refreshToken) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      message: 'refresh_token is required',
+      timestamp: new Date().toISOString()
+    })
+  }
+
+  // Refresh tokens are single use: a token presented twice, even by
+  // concurrent requests, is only exchanged once
+  const claims = await tokenService.consume(refreshToken, 'refresh')
+  const user = await userStore.get(claims.sub)
+
+  if (!user || user.disabled) {
+    throw new UnauthorizedError('User is no longer active')
+  }
+
   res.json({
     success: true,
-    message: 'Authentication endpoint not yet implemented',
+    data: tokenService.issue(user),
+    message: 'Token refreshed successfully',
     timestamp: new Date().toISOString()
   })
 }))
@@ -30,8 +96,15 @@ router.post('/login', asyncHandler(async (req, res) => {
  * POST /api/v1/auth/logout
  * Logout user
  */
-router.post('/logout', asyncHandler(async (req, res) => {
-  // TODO: Implement logout logic
+router.post('/logout', requireSession, asyncHandler(async (req, res) => {
+  await tokenService.revoke(req.token)
+
+  if (req.body?.refresh_token) {
+    await tokenService.revokeToken(req.body.refresh_token, 'refresh')
+  }
+
+  logger.info('User logged out', { userId: req.user.id })
+
   res.json({
     success: true,
     message: 'Logged out successfully',
@@ -44,12 +117,95 @@ router.post('/logout', asyncHandler(async (req, res) => {
  * Get current user info
  */
 router.get('/me', asyncHandler(async (req, res) => {
-  // TODO: Implement user info retrieval
   res.json({
     success: true,
-    message: 'User info endpoint not yet implemented',
+    data: {
+      ...req.user,
+      ...(req.token && { token_expires_at: new Date(req.token.exp * 1000).toISOString() }),
+      ...(req.apiKey && { api_key: { id: req.apiKey.id, scopes: req.apiKey.scopes, expires_at: req.apiKey.expires_at } })
+    },
+    timestamp: new Date().toISOString()
+  })
+}))
+
+/**
+ * POST /api/v1/auth/keys
+ * Create an API key for the current user
+ */
+router.post('/keys', audited('api_key.create'), requireSession, asyncHandler(async (req, res) => {
+  const { name, scopes, expires_at: expiresAt = null } = req.body || {}
+
+  const result = await apiKeyStore.create({ name, scopes, expiresAt, userId: req.user.id })
+
+  if (!result.success) {
+    return res.status(result.statusCode || 400).json({
+      success: false,
+      error: result.error,
+      message: result.message,
+      timestamp: new Date().toISOString()
+    })
+  }
+
+  logger.info('API key created', { keyId: result.data.record.id, userId: req.user.id, scopes: result.data.record.scopes })
+  Object.assign(req.audit, {
+    target: { type: 'api_key', id: result.data.record.id },
+    after: result.data.record
+  })
+
+  res.status(201).json({
+    success: true,
+    data: {
+      ...result.data.record,
+      key: result.data.key
+    },
+    message: 'API key created. Store the key now; it cannot be shown again.',
+    timestamp: new Date().toISOString()
+  })
+}))
+
+/**
+ * GET /api/v1/auth/keys
+ * List the current user's API keys (admins can pass ?all=true)
+ */
+router.get('/keys', requireSession, asyncHandler(async (req, res) => {
+  const all = req.query.all === 'true' && req.user.role === 'admin'
+  const keys = await apiKeyStore.list(all ? null : req.user.id)
+
+  res.json({
+    success: true,
+    data: keys,
+    timestamp: new Date().toISOString()
+  })
+}))
+
+/**
+ * DELETE /api/v1/auth/keys/:id
+ * Revoke an API key
+ */
+router.delete('/keys/:id', audited('api_key.revoke', { target: 'api_key' }), requireSession, asyncHandler(async (req, res) => {
+  const { id } = req.params
+  const key = await apiKeyStore.get(id)
+
+  // Other users' keys are reported as missing
+  if (!key || (key.user_id !== req.user.id && req.user.role !== 'admin')) {
+    return res.status(404).json({
+      success: false,
+      error: 'API key not found',
+      message: `API key with ID '${id}' does not exist`,
+      timestamp: new Date().toISOString()
+    })
+  }
+
+  const revoked = await apiKeyStore.revoke(id)
+  logger.info('API key revoked', { keyId: id, userId: req.user.id })
+  Object.assign(req.audit, { before: key, after: revoked })
+
+  res.json({
+    success: true,
+    data: revoked,
+    message: 'API key revoked',
     timestamp: new Date().toISOString()
   })
 }))
 
-export default router
\ No newline at end of file
+export default router
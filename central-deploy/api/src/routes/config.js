@@ -7,6 +7,8 @@ import { Router } from 'express'
 import { logger } from '../utils/logger.js'
 import { validateConfigObject } from '../utils/configValidator.js'
 import { asyncHandler } from '../utils/asyncHandler.js'
+import { requireScope } from '../middleware/auth.js'
+import { audited } from '../middleware/audit.js'
 
 const router = Router()
 
@@ -14,7 +16,7 @@ const router = Router()
  * POST /api/v1/config/validate
  * Validate configuration object
  */
-router.post('/validate', asyncHandler(async (req, res) => {
+router.post('/validate', audited('config.validate'), requireScope('config:read'), asyncHandler(async (req, res) => {
   const config = req.body
 
   if (!config) {
@@ -29,6 +31,11 @@ router.post('/validate', asyncHandler(async (req, res) => {
   logger.info('Validating configuration via API')
 
   const validation = await validateConfigObject(config)
+  req.audit.metadata = {
+    valid: validation.success,
+    projects: Array.isArray(config.projects) ? config.projects.length : 0,
+    errors: validation.errors?.length || 0
+  }
 
   if (validation.success) {
     res.json({
@@ -51,7 +58,7 @@ router.post('/validate', asyncHandler(async (req, res) => {
  * GET /api/v1/config/schema
  * Get the configuration schema
  */
-router.get('/schema', asyncHandler(async (req, res) => {
+router.get('/schema', requireScope('config:read'), asyncHandler(async (req, res) => {
   // TODO: Return the actual schema file
   res.json({
     success: true,
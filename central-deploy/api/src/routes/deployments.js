@@ -4,48 +4,87 @@
  */
 
 import { Router } from 'express'
-import { logger } from '../utils/logger.js'
+import { pipeline } from 'stream/promises'
 import { asyncHandler } from '../utils/asyncHandler.js'
+import { requireScope } from '../middleware/auth.js'
+import { requireProjectRole } from '../middleware/rbac.js'
+import { audited } from '../middleware/audit.js'
+import { logger } from '../utils/logger.js'
+import { redactSecrets } from '../utils/redaction.js'
+import { deploymentStore, LOG_LEVELS, TERMINAL_STATUSES } from '../services/DeploymentStore.js'
+import { deploymentQueue } from '../services/DeploymentQueue.js'
+import { cdnInvalidationService } from '../services/CdnInvalidationService.js'
+import { ProjectService } from '../services/ProjectService.js'
+import { releaseStore } from '../services/ReleaseStore.js'
+import { notificationService } from '../services/NotificationService.js'
+import { roleStore, roleAtLeast } from '../services/RoleStore.js'
 
 const router = Router()
+const projectService = new ProjectService()
+
+// Role checks on /:id routes apply to the deployment's project
+const deploymentProject = async req => (await deploymentStore.get(req.params.id))?.project_id
+
+// Comment line sent on idle log streams so proxies keep them open
+const SSE_KEEPALIVE_MS = 15000
+
+/**
+ * Write one Server-Sent Event, without secret values
+ */
+const writeEvent = (res, { id, event, data }) => {
+  res.write(`${id !== undefined ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(redactSecrets(data))}\n\n`)
+}
 
 /**
  * GET /api/v1/deployments
  * Get all deployments across projects
  */
-router.get('/', asyncHandler(async (req, res) => {
+router.get('/', requireScope('deployments:read'), asyncHandler(async (req, res) => {
   const {
     status,
     project,
     environment,
+    branch,
     page = 1,
     limit = 20,
     sort = 'created_at',
     order = 'desc'
   } = req.query
 
-  // TODO: Implement deployment fetching logic
-  const mockDeployments = [
-    {
-      id: 'dep-001',
-      project_id: 'my-react-app',
-      branch: 'main',
-      environment: 'production',
-      status: 'completed',
-      created_at: new Date().toISOString(),
-      completed_at: new Date().toISOString(),
-      duration: 45000
-    }
-  ]
+  const filters = {
+    ...(status && { status }),
+    ...(project && { projectId: project }),
+    ...(environment && { environment }),
+    ...(branch && { branch })
+  }
+
+  const options = {
+    page: Math.max(parseInt(page, 10) || 1, 1),
+    limit: Math.min(parseInt(limit, 10) || 20, 100), // Max 100 per page
+    sort,
+    order: order.toLowerCase() === 'desc' ? 'desc' : 'asc'
+  }
+
+  // Only deployments of projects the caller has a role on are listed;
+  // those of removed projects only to admins (see requireProjectRole)
+  const { projects = [] } = await projectService.loadConfig()
+  const projectsById = new Map(projects.map(p => [p.id, p]))
+  const roleOf = await roleStore.resolverFor(req.user)
+  filters.visible = (d) => {
+    const project = projectsById.get(d.project_id)
+    return project ? roleAtLeast(roleOf(project), 'viewer') : req.user?.role === 'admin'
+  }
+
+  const result = await deploymentStore.list(filters, options)
 
   res.json({
     success: true,
-    data: mockDeployments,
+    data: result.deployments.map(d => deploymentQueue.decorate(d)),
     pagination: {
-      page: parseInt(page, 10),
-      limit: parseInt(limit, 10),
-      total: mockDeployments.length,
-      pages: 1
+      page: result.page,
+      limit: result.limit,
+      total: result.total,
+      pages: result.pages
     },
     timestamp: new Date().toISOString()
   })
@@ -55,31 +94,311 @@ router.get('/', asyncHandler(async (req, res) => {
  * GET /api/v1/deployments/:id
  * Get specific deployment details
  */
-router.get('/:id', asyncHandler(async (req, res) => {
+router.get('/:id', requireScope('deployments:read'), requireProjectRole('viewer', deploymentProject), asyncHandler(async (req, res) => {
+  const { id } = req.params
+
+  const deployment = await deploymentStore.get(id)
+
+  if (!deployment) {
+    return res.status(404).json({
+      success: false,
+      error: 'Deployment not found',
+      message: `Deployment with ID '${id}' does not exist`,
+      timestamp: new Date().toISOString()
+    })
+  }
+
+  const logs = await deploymentStore.getLogs(id, { limit: 500 })
+
+  res.json({
+    success: true,
+    data: {
+      ...deploymentQueue.decorate(deployment),
+      logs
+    },
+    timestamp: new Date().toISOString()
+  })
+}))
+
+/**
+ * GET /api/v1/deployments/:id/invalidation
+ * Get the CDN invalidation for a deployment, refreshed from the provider
+ */
+router.get('/:id/invalidation', requireScope('deployments:read'), requireProjectRole('viewer', deploymentProject), asyncHandler(async (req, res) => {
+  const { id } = req.params
+
+  const deployment = await deploymentStore.get(id)
+
+  if (!deployment) {
+    return res.status(404).json({
+      success: false,
+      error: 'Deployment not found',
+      message: `Deployment with ID '${id}' does not exist`,
+      timestamp: new Date().toISOString()
+    })
+  }
+
+  if (!deployment.invalidation) {
+    return res.status(404).json({
+      success: false,
+      error: 'Invalidation not found',
+      message: `Deployment '${id}' has no CDN invalidation`,
+      timestamp: new Date().toISOString()
+    })
+  }
+
+  let invalidation = deployment.invalidation
+  try {
+    const config = await projectService.loadConfig()
+    const project = config.projects?.find(p => p.id === deployment.project_id)
+    invalidation = await cdnInvalidationService.refresh(deployment, { project, config })
+  } catch (error) {
+    // Serve the last recorded status when the provider can't be reached
+    logger.warn(`Failed to refresh CDN invalidation for ${id}:`, { error: error.message })
+  }
+
+  res.json({
+    success: true,
+    data: invalidation,
+    timestamp: new Date().toISOString()
+  })
+}))
+
+/**
+ * GET /api/v1/deployments/:id/artifact
+ * Download the release archive (manifest.json plus site/) a deployment
+ * produced or restored
+ */
+router.get('/:id/artifact', requireScope('deployments:read'), requireProjectRole('viewer', deploymentProject), asyncHandler(async (req, res) => {
+  const { id } = req.params
+
+  const deployment = await deploymentStore.get(id)
+
+  if (!deployment) {
+    return res.status(404).json({
+      success: false,
+      error: 'Deployment not found',
+      message: `Deployment with ID '${id}' does not exist`,
+      timestamp: new Date().toISOString()
+    })
+  }
+
+  const { release } = deployment
+
+  if (!release) {
+    return res.status(404).json({
+      success: false,
+      error: 'Artifact not found',
+      message: `Deployment '${id}' has no build artifact`,
+      timestamp: new Date().toISOString()
+    })
+  }
+
+  if (release.deleted_at || !(await releaseStore.exists(release))) {
+    return res.status(410).json({
+      success: false,
+      error: 'Artifact expired',
+      message: `The artifact of deployment '${id}' has been deleted`,
+      timestamp: new Date().toISOString()
+    })
+  }
+
+  const stream = await releaseStore.createReadStream(release)
+
+  res.set({
+    'Content-Type': 'application/gzip',
+    'Content-Length': release.bytes,
+    'Content-Disposition': `attachment; filename="${deployment.project_id}-${release.id}.tar.gz"`,
+    ETag: `"${release.sha256}"`
+  })
+
+  await pipeline(stream, res)
+}))
+
+/**
+ * GET /api/v1/deployments/:id/notifications
+ * Slack and email notifications sent for a deployment, with their
+ * delivery status
+ */
+router.get('/:id/notifications', requireScope('deployments:read'), requireProjectRole('viewer', deploymentProject), asyncHandler(async (req, res) => {
   const { id } = req.params
 
-  // TODO: Implement deployment fetching logic
-  const mockDeployment = {
-    id,
-    project_id: 'my-react-app',
-    branch: 'main',
-    environment: 'production',
-    status: 'completed',
-    created_at: new Date().toISOString(),
-    completed_at: new Date().toISOString(),
-    duration: 45000,
-    logs: [
-      { timestamp: new Date().toISOString(), level: 'info', message: 'Deployment started' },
-      { timestamp: new Date().toISOString(), level: 'info', message: 'Build completed successfully' },
-      { timestamp: new Date().toISOString(), level: 'info', message: 'Deployment completed' }
-    ]
+  if (!(await deploymentStore.get(id))) {
+    return res.status(404).json({
+      success: false,
+      error: 'Deployment not found',
+      message: `Deployment with ID '${id}' does not exist`,
+      timestamp: new Date().toISOString()
+    })
   }
 
   res.json({
     success: true,
-    data: mockDeployment,
+    data: await notificationService.list({ deploymentId: id }),
+    timestamp: new Date().toISOString()
+  })
+}))
+
+/**
+ * GET /api/v1/deployments/:id/logs/stream
+ * Stream a deployment's log lines as Server-Sent Events
+ * Existing lines are replayed first (after `Last-Event-ID` or
+ * ?last_event_id when resuming), then new lines follow as they are written.
+ * Each `log` event's ID is the line's sequence number. ?level keeps lines
+ * at or above a level. The stream ends with an `end` event carrying the
+ * final status once the deployment finishes.
+ */
+router.get('/:id/logs/stream', requireScope('deployments:read'), requireProjectRole('viewer', deploymentProject), asyncHandler(async (req, res) => {
+  const { id } = req.params
+  const { level } = req.query
+
+  let deployment = await deploymentStore.get(id)
+
+  if (!deployment) {
+    return res.status(404).json({
+      success: false,
+      error: 'Deployment not found',
+      message: `Deployment with ID '${id}' does not exist`,
+      timestamp: new Date().toISOString()
+    })
+  }
+
+  if (level && !LOG_LEVELS.includes(level)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid log level',
+      message: `level must be one of: ${LOG_LEVELS.join(', ')}`,
+      timestamp: new Date().toISOString()
+    })
+  }
+
+  const resumeFrom = parseInt(req.get('Last-Event-ID') || req.query.last_event_id || '0', 10) || 0
+  const maxLevel = LOG_LEVELS.indexOf(level || 'debug')
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    // no-transform keeps the compression middleware from buffering events
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  })
+  res.flushHeaders()
+  res.write('retry: 3000\n\n')
+
+  let lastSeq = resumeFrom
+  let live = false
+  let finished = false
+  const pending = []
+
+  const sendLine = (line) => {
+    if (line.seq <= lastSeq) {
+      return
+    }
+    lastSeq = line.seq
+    if (LOG_LEVELS.indexOf(line.level) <= maxLevel) {
+      writeEvent(res, { id: line.seq, event: 'log', data: line })
+    }
+  }
+
+  const finish = async (record) => {
+    if (finished) {
+      return
+    }
+    finished = true
+    cleanup()
+
+    // Lines written just before the final transition
+    for (const line of await deploymentStore.getLogs(id, { after: lastSeq })) {
+      sendLine(line)
+    }
+
+    writeEvent(res, {
+      event: 'end',
+      data: {
+        deployment_id: id,
+        status: record.status,
+        error: record.error,
+        completed_at: record.completed_at,
+        duration: record.duration
+      }
+    })
+    res.end()
+  }
+
+  const onLog = (deploymentId, line) => {
+    if (deploymentId !== id) {
+      return
+    }
+    if (live) {
+      sendLine(line)
+    } else {
+      pending.push(line)
+    }
+  }
+
+  // Before going live, the status is checked once the replay is done
+  const onStatus = (record) => {
+    if (live && record.id === id && TERMINAL_STATUSES.includes(record.status)) {
+      finish(record).catch(error => logger.error('Failed to end log stream:', { deploymentId: id, error: error.message }))
+    }
+  }
+
+  const keepalive = setInterval(() => res.write(': keepalive\n\n'), SSE_KEEPALIVE_MS)
+
+  const cleanup = () => {
+    clearInterval(keepalive)
+    deploymentStore.off('log', onLog)
+    deploymentStore.off('status', onStatus)
+  }
+
+  // Listen before replaying so no line falls between the two
+  deploymentStore.on('log', onLog)
+  deploymentStore.on('status', onStatus)
+  req.on('close', () => {
+    finished = true
+    cleanup()
+  })
+
+  for (const line of [...await deploymentStore.getLogs(id, { after: resumeFrom }), ...pending]) {
+    sendLine(line)
+  }
+  live = true
+
+  // Already finished, or finished while the replay was read
+  deployment = await deploymentStore.get(id)
+  if (TERMINAL_STATUSES.includes(deployment.status)) {
+    await finish(deployment)
+  }
+}))
+
+/**
+ * POST /api/v1/deployments/:id/cancel
+ * Cancel a queued or running deployment
+ */
+router.post('/:id/cancel', audited('deployment.cancel', { target: 'deployment' }), requireScope('deployments:write'), requireProjectRole('deployer', deploymentProject), asyncHandler(async (req, res) => {
+  const { id } = req.params
+  const reason = req.body?.reason || `Cancelled by ${req.user?.id || 'api'}`
+
+  const result = await deploymentQueue.cancel(id, reason)
+
+  if (!result.success) {
+    return res.status(result.statusCode || 400).json({
+      success: false,
+      error: result.error,
+      message: result.message,
+      timestamp: new Date().toISOString()
+    })
+  }
+
+  logger.info(`Deployment cancellation requested: ${id}`)
+  Object.assign(req.audit, { projectId: result.data.project_id, metadata: { reason } })
+
+  res.status(202).json({
+    success: true,
+    data: deploymentQueue.decorate(result.data),
+    message: 'Deployment cancellation requested',
     timestamp: new Date().toISOString()
   })
 }))
 
-export default router
\ No newline at end of file
+export default router
@@ -6,17 +6,54 @@
 import { Router } from 'express'
 import { logger } from '../utils/logger.js'
 import { ProjectService } from '../services/ProjectService.js'
+import { previewService } from '../services/PreviewService.js'
 import { validateProjectData } from '../middleware/validation.js'
 import { asyncHandler } from '../utils/asyncHandler.js'
+import { requireScope } from '../middleware/auth.js'
+import { requireProjectRole, authorizeProject } from '../middleware/rbac.js'
+import { audited } from '../middleware/audit.js'
+import { roleStore, roleAtLeast } from '../services/RoleStore.js'
+import { buildCache, CACHE_TYPES } from '../services/BuildCache.js'
+import { webhookStore } from '../services/WebhookStore.js'
+import { uptimeStore } from '../services/UptimeStore.js'
+import { uptimeMonitor } from '../services/UptimeMonitor.js'
+import { webhookDispatcher } from '../services/WebhookDispatcher.js'
 
 const router = Router()
 const projectService = new ProjectService()
 
+/**
+ * Send a failed service result as a JSON error response
+ */
+const sendFailure = (res, result) => {
+  if (result.etag) {
+    res.set('ETag', result.etag)
+  }
+
+  return res.status(result.statusCode || 400).json({
+    success: false,
+    error: result.error,
+    message: result.message,
+    ...(result.errors && { errors: result.errors }),
+    timestamp: new Date().toISOString()
+  })
+}
+
+/**
+ * Whether an update changes a project's tags, which drive tag-based roles
+ */
+const changesTags = (project, body, isPatch) => {
+  if (isPatch) {
+    return body.tags !== undefined
+  }
+  return JSON.stringify(body.tags || {}) !== JSON.stringify(project.tags || {})
+}
+
 /**
  * GET /api/v1/projects
  * Get all projects with optional filtering
  */
-router.get('/', asyncHandler(async (req, res) => {
+router.get('/', requireScope('projects:read'), asyncHandler(async (req, res) => {
   const {
     status,
     environment,
@@ -42,6 +79,10 @@ router.get('/', asyncHandler(async (req, res) => {
     order: order.toLowerCase() === 'desc' ? 'desc' : 'asc'
   }
 
+  // Only projects the caller has a role on are listed
+  const roleOf = await roleStore.resolverFor(req.user)
+  filters.visible = project => roleAtLeast(roleOf(project), 'viewer')
+
   const result = await projectService.getProjects(filters, options)
 
   res.json({
@@ -61,7 +102,7 @@ router.get('/', asyncHandler(async (req, res) => {
  * GET /api/v1/projects/:id
  * Get a specific project by ID
  */
-router.get('/:id', asyncHandler(async (req, res) => {
+router.get('/:id', requireScope('projects:read'), requireProjectRole('viewer'), asyncHandler(async (req, res) => {
   const { id } = req.params
   
   const project = await projectService.getProject(id)
@@ -75,6 +116,7 @@ router.get('/:id', asyncHandler(async (req, res) => {
     })
   }
 
+  res.set('ETag', projectService.getProjectEtag(project))
   res.json({
     success: true,
     data: project,
@@ -86,20 +128,31 @@ router.get('/:id', asyncHandler(async (req, res) => {
  * POST /api/v1/projects
  * Create a new project
  */
-router.post('/', validateProjectData, asyncHandler(async (req, res) => {
+router.post('/', audited('project.create'), requireScope('projects:write'), validateProjectData, asyncHandler(async (req, res) => {
   const projectData = req.body
+  req.audit.target = { type: 'project', id: projectData.id }
+  req.audit.projectId = projectData.id
+
+  // Creating needs maintainer rights over the new project (e.g. via a tag role)
+  await authorizeProject(req.user, projectData, 'maintainer')
 
   // Add timestamps
   projectData.created_at = new Date().toISOString()
   projectData.updated_at = new Date().toISOString()
 
-  const project = await projectService.createProject(projectData)
+  const result = await projectService.createProject(projectData)
 
-  logger.info(`Project created: ${project.id}`, { project: project.name })
+  if (!result.success) {
+    return sendFailure(res, result)
+  }
+
+  logger.info(`Project created: ${result.data.id}`, { project: result.data.name })
+  req.audit.after = result.data
 
+  res.set('ETag', result.etag)
   res.status(201).json({
     success: true,
-    data: project,
+    data: result.data,
     message: 'Project created successfully',
     timestamp: new Date().toISOString()
   })
@@ -108,30 +161,34 @@ router.post('/', validateProjectData, asyncHandler(async (req, res) => {
 /**
  * PUT /api/v1/projects/:id
  * Update an existing project
+ * Honors If-Match for optimistic concurrency
  */
-router.put('/:id', validateProjectData, asyncHandler(async (req, res) => {
+router.put('/:id', audited('project.update', { target: 'project' }), requireScope('projects:write'), requireProjectRole('maintainer'), validateProjectData, asyncHandler(async (req, res) => {
   const { id } = req.params
   const projectData = req.body
 
+  if (req.project && changesTags(req.project, projectData, false)) {
+    await authorizeProject(req.user, req.project, 'admin')
+  }
+
   // Update timestamp
   projectData.updated_at = new Date().toISOString()
 
-  const project = await projectService.updateProject(id, projectData)
+  const result = await projectService.updateProject(id, projectData, {
+    ifMatch: req.get('If-Match')
+  })
 
-  if (!project) {
-    return res.status(404).json({
-      success: false,
-      error: 'Project not found',
-      message: `Project with ID '${id}' does not exist`,
-      timestamp: new Date().toISOString()
-    })
+  if (!result.success) {
+    return sendFailure(res, result)
   }
 
-  logger.info(`Project updated: ${id}`, { project: project.name })
+  logger.info(`Project updated: ${id}`, { project: result.data.name })
+  Object.assign(req.audit, { before: req.project, after: result.data })
 
+  res.set('ETag', result.etag)
   res.json({
     success: true,
-    data: project,
+    data: result.data,
     message: 'Project updated successfully',
     timestamp: new Date().toISOString()
   })
@@ -139,31 +196,35 @@ router.put('/:id', validateProjectData, asyncHandler(async (req, res) => {
 
 /**
  * PATCH /api/v1/projects/:id
- * Partially update a project
+ * Partially update a project (JSON merge patch semantics)
+ * Honors If-Match for optimistic concurrency
  */
-router.patch('/:id', asyncHandler(async (req, res) => {
+router.patch('/:id', audited('project.patch', { target: 'project' }), requireScope('projects:write'), requireProjectRole('maintainer'), asyncHandler(async (req, res) => {
   const { id } = req.params
   const updates = req.body
 
+  if (req.project && changesTags(req.project, updates, true)) {
+    await authorizeProject(req.user, req.project, 'admin')
+  }
+
   // Update timestamp
   updates.updated_at = new Date().toISOString()
 
-  const project = await projectService.patchProject(id, updates)
+  const result = await projectService.patchProject(id, updates, {
+    ifMatch: req.get('If-Match')
+  })
 
-  if (!project) {
-    return res.status(404).json({
-      success: false,
-      error: 'Project not found',
-      message: `Project with ID '${id}' does not exist`,
-      timestamp: new Date().toISOString()
-    })
+  if (!result.success) {
+    return sendFailure(res, result)
   }
 
   logger.info(`Project patched: ${id}`, { updates: Object.keys(updates) })
+  Object.assign(req.audit, { before: req.project, after: result.data })
 
+  res.set('ETag', result.etag)
   res.json({
     success: true,
-    data: project,
+    data: result.data,
     message: 'Project updated successfully',
     timestamp: new Date().toISOString()
   })
@@ -173,22 +234,24 @@ router.patch('/:id', asyncHandler(async (req, res) => {
  * DELETE /api/v1/projects/:id
  * Delete a project
  */
-router.delete('/:id', asyncHandler(async (req, res) => {
+router.delete('/:id', audited('project.delete', { target: 'project' }), requireScope('projects:write'), requireProjectRole('maintainer'), asyncHandler(async (req, res) => {
   const { id } = req.params
-  const { force = false } = req.query
+  const force = req.query.force === 'true'
+
+  if (req.project && force) {
+    await authorizeProject(req.user, req.project, 'admin')
+  }
 
-  const result = await projectService.deleteProject(id, force)
+  const result = await projectService.deleteProject(id, force, {
+    ifMatch: req.get('If-Match')
+  })
 
   if (!result.success) {
-    return res.status(result.statusCode || 404).json({
-      success: false,
-      error: result.error,
-      message: result.message,
-      timestamp: new Date().toISOString()
-    })
+    return sendFailure(res, result)
   }
 
   logger.info(`Project deleted: ${id}`, { force })
+  Object.assign(req.audit, { before: req.project, metadata: { force } })
 
   res.json({
     success: true,
@@ -201,7 +264,7 @@ router.delete('/:id', asyncHandler(async (req, res) => {
  * POST /api/v1/projects/:id/deploy
  * Trigger a deployment for a specific project
  */
-router.post('/:id/deploy', asyncHandler(async (req, res) => {
+router.post('/:id/deploy', audited('deployment.trigger', { target: 'project' }), requireScope(req => `deploy:${req.params.id}`), requireProjectRole('deployer'), asyncHandler(async (req, res) => {
   const { id } = req.params
   const { branch, environment, force = false } = req.body
 
@@ -227,6 +290,7 @@ router.post('/:id/deploy', asyncHandler(async (req, res) => {
     branch,
     environment
   })
+  req.audit.metadata = { deployment_id: deployment.data.id, branch: deployment.data.branch, environment, force }
 
   res.status(202).json({
     success: true,
@@ -236,11 +300,47 @@ router.post('/:id/deploy', asyncHandler(async (req, res) => {
   })
 }))
 
+/**
+ * POST /api/v1/projects/:id/rollback
+ * Republish the previous release, or the release of `deployment_id`
+ */
+router.post('/:id/rollback', audited('deployment.rollback', { target: 'project' }), requireScope(req => `deploy:${req.params.id}`), requireProjectRole('deployer'), asyncHandler(async (req, res) => {
+  const { id } = req.params
+  const { deployment_id: deploymentId, branch } = req.body || {}
+
+  const result = await projectService.rollbackDeployment(id, {
+    deploymentId,
+    branch,
+    triggeredBy: req.user?.id || 'api'
+  })
+
+  if (!result.success) {
+    return sendFailure(res, result)
+  }
+
+  logger.info(`Rollback triggered for project: ${id}`, {
+    deploymentId: result.data.id,
+    release: result.data.rollback.release.id
+  })
+  req.audit.metadata = {
+    deployment_id: result.data.id,
+    release_id: result.data.rollback.release.id,
+    replaced_deployment_id: result.data.rollback.from_deployment_id
+  }
+
+  res.status(202).json({
+    success: true,
+    data: result.data,
+    message: `Rollback to release ${result.data.rollback.release.id} triggered`,
+    timestamp: new Date().toISOString()
+  })
+}))
+
 /**
  * GET /api/v1/projects/:id/deployments
  * Get deployment history for a project
  */
-router.get('/:id/deployments', asyncHandler(async (req, res) => {
+router.get('/:id/deployments', requireScope('deployments:read'), requireProjectRole('viewer'), asyncHandler(async (req, res) => {
   const { id } = req.params
   const {
     status,
@@ -290,11 +390,39 @@ router.get('/:id/deployments', asyncHandler(async (req, res) => {
   })
 }))
 
+/**
+ * GET /api/v1/projects/:id/previews
+ * Get the pull-request previews of a project
+ */
+router.get('/:id/previews', requireScope('projects:read'), requireProjectRole('viewer'), asyncHandler(async (req, res) => {
+  const { id } = req.params
+  const includeClosed = req.query.include_closed === 'true'
+
+  const project = await projectService.getProject(id)
+
+  if (!project) {
+    return res.status(404).json({
+      success: false,
+      error: 'Project not found',
+      message: `Project with ID '${id}' does not exist`,
+      timestamp: new Date().toISOString()
+    })
+  }
+
+  const previews = await previewService.list(id, { includeClosed })
+
+  res.json({
+    success: true,
+    data: previews,
+    timestamp: new Date().toISOString()
+  })
+}))
+
 /**
  * GET /api/v1/projects/:id/status
  * Get current status and health of a project
  */
-router.get('/:id/status', asyncHandler(async (req, res) => {
+router.get('/:id/status', requireScope('projects:read'), requireProjectRole('viewer'), asyncHandler(async (req, res) => {
   const { id } = req.params
 
   const status = await projectService.getProjectStatus(id)
@@ -315,11 +443,44 @@ router.get('/:id/status', asyncHandler(async (req, res) => {
   })
 }))
 
+/**
+ * GET /api/v1/projects/:id/uptime
+ * Uptime percentages, recent health checks (?limit) and hourly history
+ */
+router.get('/:id/uptime', requireScope('projects:read'), requireProjectRole('viewer'), asyncHandler(async (req, res) => {
+  const { id } = req.params
+  const { limit = 100 } = req.query
+
+  if (!req.project) {
+    return res.status(404).json({
+      success: false,
+      error: 'Project not found',
+      message: `Project with ID '${id}' does not exist`,
+      timestamp: new Date().toISOString()
+    })
+  }
+
+  const history = await uptimeStore.get(id, { limit: Math.min(parseInt(limit, 10) || 100, 500) })
+
+  res.json({
+    success: true,
+    data: {
+      project_id: id,
+      enabled: uptimeMonitor.isMonitored(req.project),
+      url: req.project.deployment?.domain_name ? uptimeMonitor.healthCheckUrl(req.project) : null,
+      interval_ms: uptimeMonitor.intervalMs,
+      ...history
+    },
+    timestamp: new Date().toISOString()
+  })
+}))
+
 /**
  * POST /api/v1/projects/:id/validate
- * Validate project configuration and repository access
+ * Run the preflight checks on a project (repository, AWS credentials,
+ * domain, build settings)
  */
-router.post('/:id/validate', asyncHandler(async (req, res) => {
+router.post('/:id/validate', audited('config.validate', { target: 'project' }), requireScope('projects:read'), requireProjectRole('viewer'), asyncHandler(async (req, res) => {
   const { id } = req.params
 
   const validation = await projectService.validateProject(id)
@@ -333,10 +494,348 @@ router.post('/:id/validate', asyncHandler(async (req, res) => {
     })
   }
 
+  req.audit.metadata = {
+    valid: validation.data.valid,
+    errors: validation.data.errors.length,
+    warnings: validation.data.warnings.length
+  }
+
   res.json({
     success: true,
     data: validation.data,
-    message: 'Project validation completed',
+    message: validation.data.valid
+      ? `Project validation passed with ${validation.data.warnings.length} warning(s)`
+      : `Project validation failed with ${validation.data.errors.length} error(s)`,
+    timestamp: new Date().toISOString()
+  })
+}))
+
+/**
+ * Reject an unknown ?type on the cache routes
+ */
+const invalidCacheType = (res, type) => type && !CACHE_TYPES.includes(type) && res.status(400).json({
+  success: false,
+  error: 'Invalid cache type',
+  message: `type must be one of: ${CACHE_TYPES.join(', ')}`,
+  timestamp: new Date().toISOString()
+})
+
+/**
+ * GET /api/v1/projects/:id/cache
+ * List a project's build cache entries (?type=dependencies|output)
+ */
+router.get('/:id/cache', requireScope('projects:read'), requireProjectRole('viewer'), asyncHandler(async (req, res) => {
+  const { id } = req.params
+  const { type } = req.query
+
+  if (!req.project) {
+    return res.status(404).json({
+      success: false,
+      error: 'Project not found',
+      message: `Project with ID '${id}' does not exist`,
+      timestamp: new Date().toISOString()
+    })
+  }
+
+  if (invalidCacheType(res, type)) {
+    return
+  }
+
+  const { enabled, max_bytes: maxBytes } = await buildCache.stats()
+
+  res.json({
+    success: true,
+    data: { enabled, max_bytes: maxBytes, ...await buildCache.list(id, type) },
+    timestamp: new Date().toISOString()
+  })
+}))
+
+/**
+ * DELETE /api/v1/projects/:id/cache
+ * Purge a project's build cache, or only one type of entry (?type)
+ */
+router.delete('/:id/cache', audited('cache.purge', { target: 'project' }), requireScope('projects:write'), requireProjectRole('maintainer'), asyncHandler(async (req, res) => {
+  const { id } = req.params
+  const { type } = req.query
+
+  if (!req.project) {
+    return res.status(404).json({
+      success: false,
+      error: 'Project not found',
+      message: `Project with ID '${id}' does not exist`,
+      timestamp: new Date().toISOString()
+    })
+  }
+
+  if (invalidCacheType(res, type)) {
+    return
+  }
+
+  const removed = await buildCache.purge(id, type)
+  const bytes = removed.reduce((sum, e) => sum + e.bytes, 0)
+  req.audit.metadata = { type: type || 'all', entries: removed.length, bytes }
+
+  logger.info(`Build cache purged for ${id}`, { type: type || 'all', entries: removed.length, by: req.user?.id })
+
+  res.json({
+    success: true,
+    data: { removed: removed.length, bytes },
+    message: `Removed ${removed.length} cache entr${removed.length === 1 ? 'y' : 'ies'}`,
+    timestamp: new Date().toISOString()
+  })
+}))
+
+/**
+ * Load the subscription addressed by :webhookId, answering 404 when the
+ * project or subscription does not exist
+ * @returns {Promise<Object|null>}
+ */
+const findWebhook = async (req, res) => {
+  const { id, webhookId } = req.params
+  const webhook = req.project && await webhookStore.get(id, webhookId)
+
+  if (!webhook) {
+    res.status(404).json({
+      success: false,
+      error: req.project ? 'Webhook not found' : 'Project not found',
+      message: req.project
+        ? `Webhook '${webhookId}' does not exist for project '${id}'`
+        : `Project with ID '${id}' does not exist`,
+      timestamp: new Date().toISOString()
+    })
+    return null
+  }
+
+  return webhook
+}
+
+/**
+ * GET /api/v1/projects/:id/webhooks
+ * List a project's outbound webhook subscriptions
+ */
+router.get('/:id/webhooks', requireScope('projects:read'), requireProjectRole('maintainer'), asyncHandler(async (req, res) => {
+  const { id } = req.params
+
+  if (!req.project) {
+    return res.status(404).json({
+      success: false,
+      error: 'Project not found',
+      message: `Project with ID '${id}' does not exist`,
+      timestamp: new Date().toISOString()
+    })
+  }
+
+  res.json({
+    success: true,
+    data: await webhookStore.list(id),
+    timestamp: new Date().toISOString()
+  })
+}))
+
+/**
+ * POST /api/v1/projects/:id/webhooks
+ * Subscribe a URL to the project's deployment events: { url, secret, events, active }
+ * The secret is required and is never returned.
+ */
+router.post('/:id/webhooks', audited('webhook.create', { target: 'project' }), requireScope('projects:write'), requireProjectRole('maintainer'), asyncHandler(async (req, res) => {
+  const { id } = req.params
+  const { url, secret, events, active } = req.body || {}
+
+  if (!req.project) {
+    return res.status(404).json({
+      success: false,
+      error: 'Project not found',
+      message: `Project with ID '${id}' does not exist`,
+      timestamp: new Date().toISOString()
+    })
+  }
+
+  const result = await webhookStore.create({ projectId: id, url, secret, events, active, createdBy: req.user?.id })
+
+  if (!result.success) {
+    return sendFailure(res, result)
+  }
+
+  const { webhook } = result.data
+  logger.info(`Webhook created for ${id}`, { webhookId: webhook.id, events: webhook.events, by: req.user?.id })
+  Object.assign(req.audit, { target: { type: 'webhook', id: webhook.id }, after: webhook })
+
+  res.status(201).json({
+    success: true,
+    data: result.data,
+    message: 'Webhook created successfully',
+    timestamp: new Date().toISOString()
+  })
+}))
+
+/**
+ * GET /api/v1/projects/:id/webhooks/:webhookId
+ * Get a webhook subscription
+ */
+router.get('/:id/webhooks/:webhookId', requireScope('projects:read'), requireProjectRole('maintainer'), asyncHandler(async (req, res) => {
+  const webhook = await findWebhook(req, res)
+  if (!webhook) {
+    return
+  }
+
+  res.json({
+    success: true,
+    data: webhook,
+    timestamp: new Date().toISOString()
+  })
+}))
+
+/**
+ * PATCH /api/v1/projects/:id/webhooks/:webhookId
+ * Change a webhook's url, secret, events or active flag
+ */
+router.patch('/:id/webhooks/:webhookId', audited('webhook.update', { target: 'project' }), requireScope('projects:write'), requireProjectRole('maintainer'), asyncHandler(async (req, res) => {
+  const { id, webhookId } = req.params
+  const body = req.body || {}
+
+  if (!(await findWebhook(req, res))) {
+    return
+  }
+
+  const result = await webhookStore.update(id, webhookId, body)
+
+  if (!result.success) {
+    return sendFailure(res, result)
+  }
+
+  logger.info(`Webhook updated for ${id}`, { webhookId, updates: Object.keys(body), by: req.user?.id })
+  Object.assign(req.audit, {
+    target: { type: 'webhook', id: webhookId },
+    before: result.data.before,
+    after: result.data.webhook,
+    // The secret itself is never recorded
+    ...(body.secret !== undefined && { metadata: { secret_changed: true } })
+  })
+
+  res.json({
+    success: true,
+    data: result.data.webhook,
+    message: 'Webhook updated successfully',
+    timestamp: new Date().toISOString()
+  })
+}))
+
+/**
+ * DELETE /api/v1/projects/:id/webhooks/:webhookId
+ * Delete a webhook and its delivery log
+ */
+router.delete('/:id/webhooks/:webhookId', audited('webhook.delete', { target: 'project' }), requireScope('projects:write'), requireProjectRole('maintainer'), asyncHandler(async (req, res) => {
+  const { id, webhookId } = req.params
+
+  if (!(await findWebhook(req, res))) {
+    return
+  }
+
+  const removed = await webhookStore.remove(id, webhookId)
+  await webhookDispatcher.forget(webhookId)
+
+  logger.info(`Webhook deleted for ${id}`, { webhookId, by: req.user?.id })
+  Object.assign(req.audit, { target: { type: 'webhook', id: webhookId }, before: removed })
+
+  res.json({
+    success: true,
+    message: 'Webhook deleted successfully',
+    timestamp: new Date().toISOString()
+  })
+}))
+
+/**
+ * GET /api/v1/projects/:id/webhooks/:webhookId/deliveries
+ * A webhook's delivery log, newest first (?status, ?limit)
+ */
+router.get('/:id/webhooks/:webhookId/deliveries', requireScope('projects:read'), requireProjectRole('maintainer'), asyncHandler(async (req, res) => {
+  const { status, limit = 50 } = req.query
+
+  const webhook = await findWebhook(req, res)
+  if (!webhook) {
+    return
+  }
+
+  const deliveries = await webhookDispatcher.list(webhook.id, {
+    status,
+    limit: Math.min(parseInt(limit, 10) || 50, 500)
+  })
+
+  res.json({
+    success: true,
+    data: deliveries,
+    count: deliveries.length,
+    timestamp: new Date().toISOString()
+  })
+}))
+
+/**
+ * GET /api/v1/projects/:id/webhooks/:webhookId/deliveries/:deliveryId
+ * A delivery with its payload and attempts
+ */
+router.get('/:id/webhooks/:webhookId/deliveries/:deliveryId', requireScope('projects:read'), requireProjectRole('maintainer'), asyncHandler(async (req, res) => {
+  const { deliveryId } = req.params
+
+  const webhook = await findWebhook(req, res)
+  if (!webhook) {
+    return
+  }
+
+  const delivery = await webhookDispatcher.get(deliveryId)
+
+  if (!delivery || delivery.webhook_id !== webhook.id) {
+    return res.status(404).json({
+      success: false,
+      error: 'Delivery not found',
+      message: `Delivery '${deliveryId}' does not exist for webhook '${webhook.id}'`,
+      timestamp: new Date().toISOString()
+    })
+  }
+
+  res.json({
+    success: true,
+    data: delivery,
+    timestamp: new Date().toISOString()
+  })
+}))
+
+/**
+ * POST /api/v1/projects/:id/webhooks/:webhookId/deliveries/:deliveryId/redeliver
+ * Send a past delivery's payload again, signed with the current secret
+ */
+router.post('/:id/webhooks/:webhookId/deliveries/:deliveryId/redeliver', audited('webhook.redeliver', { target: 'project' }), requireScope('projects:write'), requireProjectRole('maintainer'), asyncHandler(async (req, res) => {
+  const { deliveryId } = req.params
+
+  const webhook = await findWebhook(req, res)
+  if (!webhook) {
+    return
+  }
+
+  const delivery = await webhookDispatcher.redeliver(webhook, deliveryId)
+
+  if (!delivery) {
+    return res.status(404).json({
+      success: false,
+      error: 'Delivery not found',
+      message: `Delivery '${deliveryId}' does not exist for webhook '${webhook.id}'`,
+      timestamp: new Date().toISOString()
+    })
+  }
+
+  logger.info(`Webhook delivery ${deliveryId} redelivered as ${delivery.id}`, { webhookId: webhook.id, status: delivery.status, by: req.user?.id })
+  Object.assign(req.audit, {
+    target: { type: 'webhook', id: webhook.id },
+    metadata: { delivery_id: deliveryId, redelivery_id: delivery.id, status: delivery.status, response_code: delivery.response_code }
+  })
+
+  const { payload, ...summary } = delivery
+
+  res.status(201).json({
+    success: true,
+    data: summary,
+    message: delivery.status === 'delivered'
+      ? 'Delivery sent successfully'
+      : `Delivery attempt failed: ${delivery.last_error}`,
     timestamp: new Date().toISOString()
   })
 }))
@@ -345,7 +844,7 @@ router.post('/:id/validate', asyncHandler(async (req, res) => {
  * GET /api/v1/projects/:id/logs
  * Get recent logs for a project
  */
-router.get('/:id/logs', asyncHandler(async (req, res) => {
+router.get('/:id/logs', requireScope('deployments:read'), requireProjectRole('viewer'), asyncHandler(async (req, res) => {
   const { id } = req.params
   const {
     level = 'info',
@@ -0,0 +1,153 @@
+/**
+ * Role Assignment API Routes
+ * Manages per-project roles (see services/RoleStore.js)
+ *
+ * Global admins manage every assignment. Project admins manage the
+ * assignments of their projects; tag assignments are global-admin only.
+ */
+
+import { Router } from 'express'
+import { asyncHandler } from '../utils/asyncHandler.js'
+import { logger } from '../utils/logger.js'
+import { ForbiddenError } from '../utils/errors.js'
+import { requireSession } from '../middleware/auth.js'
+import { authorizeProject } from '../middleware/rbac.js'
+import { audited } from '../middleware/audit.js'
+import { roleStore } from '../services/RoleStore.js'
+import { userStore } from '../services/UserStore.js'
+import { ProjectService } from '../services/ProjectService.js'
+
+const router = Router()
+const projectService = new ProjectService()
+
+router.use(requireSession)
+
+/**
+ * Throw unless the user may manage an assignment's target
+ */
+async function authorizeAssignment(user, { project_id: projectId, tag }) {
+  if (user.role === 'admin') {
+    return
+  }
+  if (tag) {
+    throw new ForbiddenError('Only administrators can manage tag role assignments')
+  }
+
+  const project = await projectService.getProject(projectId)
+  await authorizeProject(user, project || { id: projectId }, 'admin')
+}
+
+/**
+ * GET /api/v1/roles
+ * List role assignments (?user_id, ?project_id)
+ * Non-admins see their own assignments, or a project's if they administer it.
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const { user_id: userId, project_id: projectId } = req.query
+  const filters = { userId, projectId }
+
+  if (req.user.role !== 'admin') {
+    if (projectId) {
+      await authorizeAssignment(req.user, { project_id: projectId })
+    } else {
+      filters.userId = req.user.id
+    }
+  }
+
+  res.json({
+    success: true,
+    data: await roleStore.list(filters),
+    timestamp: new Date().toISOString()
+  })
+}))
+
+/**
+ * POST /api/v1/roles
+ * Assign a role: { user_id | username, role, project_id | tag }
+ */
+router.post('/', audited('role.assign'), asyncHandler(async (req, res) => {
+  const { user_id: userId, username, role, project_id: projectId = null, tag = null } = req.body || {}
+  req.audit.projectId = projectId
+
+  const user = userId ? await userStore.get(userId) : username && await userStore.findByUsername(username)
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      error: 'User not found',
+      message: `User '${userId || username}' does not exist`,
+      timestamp: new Date().toISOString()
+    })
+  }
+
+  if (projectId && !(await projectService.getProject(projectId))) {
+    return res.status(404).json({
+      success: false,
+      error: 'Project not found',
+      message: `Project with ID '${projectId}' does not exist`,
+      timestamp: new Date().toISOString()
+    })
+  }
+
+  await authorizeAssignment(req.user, { project_id: projectId, tag })
+
+  const previous = (await roleStore.list({ userId: user.id })).find(a => a.project_id === projectId && a.tag === tag)
+  const result = await roleStore.assign({ userId: user.id, role, projectId, tag, createdBy: req.user.id })
+
+  if (!result.success) {
+    return res.status(result.statusCode || 400).json({
+      success: false,
+      error: result.error,
+      message: result.message,
+      timestamp: new Date().toISOString()
+    })
+  }
+
+  logger.info('Role assigned', { assignmentId: result.data.id, userId: user.id, role, projectId, tag, by: req.user.id })
+  Object.assign(req.audit, {
+    target: { type: 'role_assignment', id: result.data.id },
+    before: previous,
+    after: result.data
+  })
+
+  res.status(201).json({
+    success: true,
+    data: result.data,
+    message: 'Role assigned successfully',
+    timestamp: new Date().toISOString()
+  })
+}))
+
+/**
+ * DELETE /api/v1/roles/:id
+ * Remove a role assignment
+ */
+router.delete('/:id', audited('role.remove', { target: 'role_assignment' }), asyncHandler(async (req, res) => {
+  const { id } = req.params
+  const assignment = await roleStore.get(id)
+
+  if (!assignment) {
+    return res.status(404).json({
+      success: false,
+      error: 'Role assignment not found',
+      message: `Role assignment with ID '${id}' does not exist`,
+      timestamp: new Date().toISOString()
+    })
+  }
+
+  req.audit.projectId = assignment.project_id
+  await authorizeAssignment(req.user, assignment)
+  await roleStore.remove(id)
+  req.audit.before = assignment
+
+  logger.info('Role assignment removed', { assignmentId: id, by: req.user.id })
+
+  res.json({
+    success: true,
+    data: assignment,
+    message: 'Role assignment removed',
+    timestamp: new Date().toISOString()
+  })
+}))
+
+export default router
@@ -0,0 +1,148 @@
+/**
+ * Secrets API Routes
+ * Manage the encrypted secrets vault (administrators only; see
+ * services/SecretVault.js)
+ *
+ * Secret values are write-only: responses carry metadata, never values.
+ */
+
+import { Router } from 'express'
+import { asyncHandler } from '../utils/asyncHandler.js'
+import { logger } from '../utils/logger.js'
+import { requireScope, requireAdmin } from '../middleware/auth.js'
+import { audited } from '../middleware/audit.js'
+import { secretVault, vaultRef } from '../services/SecretVault.js'
+import { ProjectService } from '../services/ProjectService.js'
+
+const router = Router()
+const projectService = new ProjectService()
+
+/**
+ * Send a failed service result
+ */
+const sendFailure = (res, result) => res.status(result.statusCode || 400).json({
+  success: false,
+  error: result.error,
+  message: result.message,
+  ...(result.projects && { projects: result.projects }),
+  timestamp: new Date().toISOString()
+})
+
+/**
+ * GET /api/v1/secrets
+ * List secrets (metadata only) and the projects using them
+ */
+router.get('/', requireScope('secrets:read'), requireAdmin, asyncHandler(async (req, res) => {
+  const usage = await projectService.secretUsage()
+  const secrets = await secretVault.list()
+
+  res.json({
+    success: true,
+    data: secrets.map(secret => ({ ...secret, used_by: usage.get(secret.name) || [] })),
+    timestamp: new Date().toISOString()
+  })
+}))
+
+/**
+ * GET /api/v1/secrets/:id
+ * Get a secret's metadata
+ */
+router.get('/:id', requireScope('secrets:read'), requireAdmin, asyncHandler(async (req, res) => {
+  const secret = await secretVault.get(req.params.id)
+
+  if (!secret) {
+    return res.status(404).json({
+      success: false,
+      error: 'Secret Not Found',
+      message: `Secret '${req.params.id}' does not exist`,
+      timestamp: new Date().toISOString()
+    })
+  }
+
+  const usage = await projectService.secretUsage()
+  res.json({
+    success: true,
+    data: { ...secret, used_by: usage.get(secret.name) || [] },
+    timestamp: new Date().toISOString()
+  })
+}))
+
+/**
+ * POST /api/v1/secrets
+ * Store a secret: { name, type: aws_profile|github_token, value, description }
+ * Projects reference it as `vault:<name>`.
+ */
+router.post('/', audited('secret.create'), requireScope('secrets:write'), requireAdmin, asyncHandler(async (req, res) => {
+  const { name, type, value, description } = req.body || {}
+  req.audit.target = { type: 'secret', id: typeof name === 'string' ? name : null }
+
+  const result = await secretVault.create({ name, type, value, description, createdBy: req.user.id })
+
+  if (!result.success) {
+    return sendFailure(res, result)
+  }
+
+  logger.info(`Secret created: ${result.data.name}`, { type: result.data.type })
+  req.audit.after = result.data
+
+  res.status(201).json({
+    success: true,
+    data: result.data,
+    message: `Secret '${result.data.name}' created; reference it as '${vaultRef(result.data.name)}'`,
+    timestamp: new Date().toISOString()
+  })
+}))
+
+/**
+ * POST /api/v1/secrets/:id/rotate
+ * Replace a secret's value: { value, description }
+ */
+router.post('/:id/rotate', audited('secret.rotate', { target: 'secret' }), requireScope('secrets:write'), requireAdmin, asyncHandler(async (req, res) => {
+  const { value, description } = req.body || {}
+
+  const result = await secretVault.rotate(req.params.id, { value, description, updatedBy: req.user.id })
+
+  if (!result.success) {
+    return sendFailure(res, result)
+  }
+
+  logger.info(`Secret rotated: ${req.params.id}`, { version: result.data.secret.version })
+  req.audit.before = result.data.before
+  req.audit.after = result.data.secret
+
+  res.json({
+    success: true,
+    data: result.data.secret,
+    message: `Secret '${req.params.id}' rotated`,
+    timestamp: new Date().toISOString()
+  })
+}))
+
+/**
+ * DELETE /api/v1/secrets/:id
+ * Delete a secret; secrets still referenced by projects need ?force=true
+ */
+router.delete('/:id', audited('secret.delete', { target: 'secret' }), requireScope('secrets:write'), requireAdmin, asyncHandler(async (req, res) => {
+  const { id } = req.params
+  const force = req.query.force === 'true'
+
+  const result = await projectService.removeSecret(id, { force })
+
+  if (!result.success) {
+    return sendFailure(res, result)
+  }
+
+  const { secret, usedBy } = result.data
+  logger.info(`Secret deleted: ${id}`, { force, usedBy })
+  req.audit.before = secret
+  req.audit.metadata = { force, used_by: usedBy }
+
+  res.json({
+    success: true,
+    data: secret,
+    message: `Secret '${id}' deleted`,
+    timestamp: new Date().toISOString()
+  })
+}))
+
+export default router
@@ -1,52 +1,268 @@
 /**
  * Webhooks API Routes
- * Handles GitHub webhooks and other external triggers
+ * Handles GitHub webhooks, which authenticate with their signatures
  */
 
 import { Router } from 'express'
 import { logger } from '../utils/logger.js'
 import { asyncHandler } from '../utils/asyncHandler.js'
+import { verifyGithubSignature } from '../middleware/githubSignature.js'
+import { audited } from '../middleware/audit.js'
+import { branchFromRef, payloadRepositoryUrls } from '../utils/github.js'
+import { isProductionBranch } from '../utils/branches.js'
+import { ProjectService } from '../services/ProjectService.js'
+import { previewService } from '../services/PreviewService.js'
 
 const router = Router()
+const projectService = new ProjectService()
 
 /**
- * POST /api/v1/webhooks/github
- * Handle GitHub webhook events
+ * Parse the webhook payload for either content type GitHub can send
  */
-router.post('/github', asyncHandler(async (req, res) => {
-  const event = req.get('X-GitHub-Event')
-  const signature = req.get('X-Hub-Signature-256')
-  const payload = req.body
+function parsePayload(req) {
+  if (req.is('application/x-www-form-urlencoded') && typeof req.body?.payload === 'string') {
+    return JSON.parse(req.body.payload)
+  }
+  return req.body || {}
+}
 
-  logger.info(`Received GitHub webhook: ${event}`)
+/**
+ * Trigger deployments for the projects that track a pushed branch
+ */
+async function handlePush(payload, delivery) {
+  const branch = branchFromRef(payload.ref)
 
-  // TODO: Implement webhook signature validation
-  // TODO: Implement webhook event processing
+  if (!branch) {
+    return { message: `Ignoring push to non-branch ref ${payload.ref}`, deployments: [], skipped: [] }
+  }
 
-  res.json({
-    success: true,
-    message: 'Webhook received',
-    event,
-    timestamp: new Date().toISOString()
+  if (payload.deleted) {
+    return { message: `Ignoring deletion of branch ${branch}`, deployments: [], skipped: [] }
+  }
+
+  const projects = (await projectService.findProjectsByRepository(payloadRepositoryUrls(payload)))
+    .filter(p => (p.repository.branch || 'main') === branch)
+
+  const deployments = []
+  const skipped = []
+
+  for (const project of projects) {
+    if (!project.deployment?.auto_deploy) {
+      skipped.push({ project_id: project.id, reason: 'auto_deploy disabled' })
+      continue
+    }
+    if (project.status !== 'active') {
+      skipped.push({ project_id: project.id, reason: `project status is ${project.status || 'unset'}` })
+      continue
+    }
+
+    const result = await projectService.triggerDeployment(project.id, {
+      branch,
+      commit: payload.after,
+      triggerSource: 'github_push',
+      triggeredBy: payload.pusher?.name || payload.sender?.login || 'github',
+      triggeredAt: new Date().toISOString()
+    })
+
+    if (result.success) {
+      deployments.push({ project_id: project.id, deployment_id: result.data.id })
+      logger.info(`Push to ${branch} triggered deployment for project: ${project.id}`, {
+        deploymentId: result.data.id,
+        delivery
+      })
+    } else {
+      skipped.push({ project_id: project.id, reason: result.message })
+    }
+  }
+
+  const message = projects.length === 0
+    ? `No projects deploy ${payload.repository?.full_name || 'this repository'} from ${branch}`
+    : `Triggered ${deployments.length} deployment(s)`
+
+  return { message, deployments, skipped }
+}
+
+/**
+ * Deploy or tear down pull-request previews
+ */
+async function handlePullRequest(payload, delivery) {
+  const { action, pull_request: pr } = payload
+  const deployActions = ['opened', 'reopened', 'synchronize']
+
+  if (!pr || (!deployActions.includes(action) && action !== 'closed')) {
+    return { message: `Ignoring pull_request action '${action}'`, previews: [], skipped: [] }
+  }
+
+  const branch = pr.head?.ref
+  const pullRequest = {
+    number: pr.number,
+    title: pr.title,
+    html_url: pr.html_url,
+    branch,
+    sha: pr.head?.sha
+  }
+
+  const projects = await projectService.findProjectsByRepository(payloadRepositoryUrls(payload))
+  const previews = []
+  const skipped = []
+
+  for (const project of projects) {
+    if (action === 'closed') {
+      const result = await previewService.teardown(project, pullRequest)
+      if (result.success) {
+        previews.push({ project_id: project.id, preview_id: result.data.id, status: result.data.status })
+      } else {
+        skipped.push({ project_id: project.id, reason: result.message })
+      }
+      continue
+    }
+
+    // Fork branches don't exist in the project's repository, and their code is untrusted
+    if (pr.head?.repo?.full_name !== pr.base?.repo?.full_name) {
+      skipped.push({ project_id: project.id, reason: 'pull request is from a fork' })
+      continue
+    }
+    if (isProductionBranch(branch)) {
+      skipped.push({ project_id: project.id, reason: `head branch ${branch} deploys to the site root` })
+      continue
+    }
+    if (!project.deployment?.auto_deploy) {
+      skipped.push({ project_id: project.id, reason: 'auto_deploy disabled' })
+      continue
+    }
+    if (project.status !== 'active') {
+      skipped.push({ project_id: project.id, reason: `project status is ${project.status || 'unset'}` })
+      continue
+    }
+
+    const result = await previewService.deploy(project, pullRequest, {
+      triggeredBy: payload.sender?.login
+    })
+
+    if (result.success) {
+      previews.push({
+        project_id: project.id,
+        preview_id: result.data.preview.id,
+        deployment_id: result.data.deployment.id,
+        url: result.data.preview.url
+      })
+    } else {
+      skipped.push({ project_id: project.id, reason: result.message })
+    }
+  }
+
+  logger.info(`Processed pull_request ${action} for #${pr.number}`, {
+    delivery,
+    previews: previews.length,
+    skipped: skipped.length
   })
-}))
+
+  const message = action === 'closed'
+    ? `Closed ${previews.length} preview(s)`
+    : `Triggered ${previews.length} preview deployment(s)`
+
+  return { message, previews, skipped }
+}
 
 /**
- * POST /api/v1/webhooks/deploy
- * Generic deployment webhook trigger
+ * Audit actor for GitHub deliveries
  */
-router.post('/deploy', asyncHandler(async (req, res) => {
-  const { project_id, branch, environment, force } = req.body
+const githubActor = req => ({
+  type: 'webhook',
+  source: 'github',
+  event: req.get('X-GitHub-Event') || null,
+  delivery: req.get('X-GitHub-Delivery') || null
+})
 
-  logger.info(`Deployment webhook triggered for project: ${project_id}`)
+/**
+ * POST /api/v1/webhooks/github
+ * Handle GitHub webhook events
+ * The signature is checked before auditing, so unauthenticated requests
+ * can't grow the audit log; rejections are only logged.
+ */
+router.post('/github', verifyGithubSignature, audited('webhook.github', { actor: githubActor }), asyncHandler(async (req, res) => {
+  const event = req.get('X-GitHub-Event')
+  const delivery = req.get('X-GitHub-Delivery')
+
+  let payload
+  try {
+    payload = parsePayload(req)
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid Payload',
+      message: 'Webhook payload is not valid JSON',
+      timestamp: new Date().toISOString()
+    })
+  }
+
+  logger.info(`Received GitHub webhook: ${event}`, { delivery, repository: payload.repository?.full_name })
+  req.audit.actor.sender = payload.sender?.login || null
+
+  if (event === 'ping') {
+    req.audit.skip = true
+    return res.json({
+      success: true,
+      message: 'pong',
+      event,
+      data: { hook_id: payload.hook_id, zen: payload.zen },
+      timestamp: new Date().toISOString()
+    })
+  }
 
-  // TODO: Implement deployment trigger logic
+  if (event === 'push') {
+    const result = await handlePush(payload, delivery)
+    req.audit.metadata = {
+      repository: payload.repository?.full_name,
+      ref: payload.ref,
+      commit: payload.after,
+      deployments: result.deployments,
+      skipped: result.skipped
+    }
+
+    return res.status(result.deployments.length > 0 ? 202 : 200).json({
+      success: true,
+      message: result.message,
+      event,
+      data: {
+        deployments: result.deployments,
+        skipped: result.skipped
+      },
+      timestamp: new Date().toISOString()
+    })
+  }
+
+  if (event === 'pull_request') {
+    const result = await handlePullRequest(payload, delivery)
+    req.audit.metadata = {
+      repository: payload.repository?.full_name,
+      action: payload.action,
+      pull_request: payload.pull_request?.number,
+      previews: result.previews,
+      skipped: result.skipped
+    }
+
+    return res.status(result.previews.length > 0 ? 202 : 200).json({
+      success: true,
+      message: result.message,
+      event,
+      data: {
+        previews: result.previews,
+        skipped: result.skipped
+      },
+      timestamp: new Date().toISOString()
+    })
+  }
+
+  logger.info(`Ignoring unhandled GitHub event: ${event}`, { delivery, action: payload.action })
+  req.audit.skip = true
 
   res.json({
     success: true,
-    message: 'Deployment triggered via webhook',
+    message: `Event '${event}' acknowledged but not handled`,
+    event,
     timestamp: new Date().toISOString()
   })
 }))
 
-export default router
\ No newline at end of file
+export default router
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+/**
+ * Create API User
+ * Usage: npm run user:create -- <username> [--role admin|user] [--name "Full Name"] [--email addr]
+ * The password is read from AUTH_NEW_USER_PASSWORD or prompted for.
+ */
+
+import readline from 'readline'
+import dotenv from 'dotenv'
+import { UserStore, USER_ROLES } from '../services/UserStore.js'
+import { auditLog } from '../services/AuditLog.js'
+
+dotenv.config()
+
+function parseArgs(argv) {
+  const options = { role: 'user' }
+  const positional = []
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '--role' || arg === '--name' || arg === '--email') {
+      options[arg.slice(2)] = argv[++i]
+    } else {
+      positional.push(arg)
+    }
+  }
+
+  return { ...options, username: positional[0] }
+}
+
+async function promptPassword() {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true })
+
+  // Don't echo the password
+  rl._writeToOutput = () => {}
+  process.stdout.write('Password: ')
+
+  const password = await new Promise(resolve => rl.question('', resolve))
+  rl.close()
+  process.stdout.write('\n')
+  return password
+}
+
+const options = parseArgs(process.argv.slice(2))
+
+if (!options.username) {
+  console.error(`Usage: npm run user:create -- <username> [--role ${USER_ROLES.join('|')}] [--name "Full Name"] [--email addr]`)
+  process.exit(1)
+}
+
+const password = process.env.AUTH_NEW_USER_PASSWORD || await promptPassword()
+const result = await new UserStore().create({ ...options, password })
+
+if (!result.success) {
+  console.error(`❌ ${result.message}`)
+  process.exit(1)
+}
+
+await auditLog.record(null, {
+  action: 'user.create',
+  actor: { type: 'system', name: 'cli', os_user: process.env.USER || null },
+  target: { type: 'user', id: result.data.id },
+  after: result.data
+})
+
+console.log(`✅ Created ${result.data.role} '${result.data.username}' (${result.data.id})`)
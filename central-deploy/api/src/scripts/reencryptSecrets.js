@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+
+/**
+ * Re-encrypt Secrets
+ * Usage: npm run secrets:reencrypt
+ * Re-encrypts the secrets vault and the outbound webhook secrets with
+ * SECRETS_MASTER_KEY after a master key change. Secrets still encrypted
+ * with the old key are read with SECRETS_PREVIOUS_MASTER_KEY. Nothing is
+ * written to a store unless every one of its secrets can be decrypted.
+ */
+
+import dotenv from 'dotenv'
+import { SecretVault } from '../services/SecretVault.js'
+import { WebhookStore } from '../services/WebhookStore.js'
+import { auditLog } from '../services/AuditLog.js'
+
+dotenv.config()
+
+let result
+let webhooks
+try {
+  result = await new SecretVault().reencrypt()
+  webhooks = await new WebhookStore().reencrypt()
+} catch (error) {
+  console.error(`❌ ${error.message}`)
+  process.exit(1)
+}
+
+await auditLog.record(null, {
+  action: 'secret.reencrypt',
+  actor: { type: 'system', name: 'cli', os_user: process.env.USER || null },
+  target: { type: 'secret', id: null },
+  metadata: { ...result, webhooks }
+})
+
+console.log(`✅ Re-encrypted ${result.reencrypted} secret(s); ${result.unchanged} already used the current master key`)
+console.log(`✅ Re-encrypted ${webhooks.reencrypted} webhook secret(s); ${webhooks.unchanged} already used the current master key`)
+if (result.reencrypted > 0 || webhooks.reencrypted > 0) {
+  console.log('Restart the API, then remove SECRETS_PREVIOUS_MASTER_KEY')
+}
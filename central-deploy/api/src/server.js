@@ -11,13 +11,25 @@ import helmet from 'helmet'
 import compression from 'compression'
 import morgan from 'morgan'
 import { createServer } from 'http'
-import { WebSocketServer } from 'ws'
 import dotenv from 'dotenv'
 
 import { logger } from './utils/logger.js'
 import { rateLimiter } from './middleware/rateLimiter.js'
 import { errorHandler } from './middleware/errorHandler.js'
+import { authMiddleware } from './middleware/auth.js'
+import { requestId } from './middleware/requestId.js'
+import { redactResponses } from './middleware/redaction.js'
 import { validateConfig } from './utils/configValidator.js'
+import { asyncHandler } from './utils/asyncHandler.js'
+import { deploymentQueue } from './services/DeploymentQueue.js'
+import { cdnInvalidationService } from './services/CdnInvalidationService.js'
+import { userStore } from './services/UserStore.js'
+import { releaseRetentionJob } from './services/ReleaseRetentionJob.js'
+import { webSocketGateway } from './services/WebSocketGateway.js'
+import { notificationService } from './services/NotificationService.js'
+import { webhookDispatcher } from './services/WebhookDispatcher.js'
+import { metrics } from './services/Metrics.js'
+import { uptimeMonitor } from './services/UptimeMonitor.js'
 
 // Route imports
 import projectRoutes from './routes/projects.js'
@@ -26,18 +38,22 @@ import configRoutes from './routes/config.js'
 import webhookRoutes from './routes/webhooks.js'
 import healthRoutes from './routes/health.js'
 import authRoutes from './routes/auth.js'
+import roleRoutes from './routes/roles.js'
+import auditRoutes from './routes/audit.js'
+import secretRoutes from './routes/secrets.js'
 
 // Load environment variables
 dotenv.config()
 
 const app = express()
 const server = createServer(app)
-const wss = new WebSocketServer({ server })
 
 // Configuration
 const PORT = process.env.PORT || 3000
 const NODE_ENV = process.env.NODE_ENV || 'development'
 const API_VERSION = process.env.API_VERSION || 'v1'
+const METRICS_ENABLED = process.env.METRICS_ENABLED === 'true'
+const METRICS_PORT = process.env.METRICS_PORT || 9090
 
 // Security middleware
 app.use(helmet({
@@ -65,15 +81,22 @@ const corsOptions = {
   ],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'If-Match', 'X-Request-ID'],
+  exposedHeaders: ['ETag', 'X-Request-ID']
 }
 
+app.use(requestId)
+app.use(redactResponses)
 app.use(cors(corsOptions))
 app.use(compression())
 
 // Request parsing
-app.use(express.json({ limit: '10mb' }))
-app.use(express.urlencoded({ extended: true, limit: '10mb' }))
+// The raw body is kept for webhook signature verification
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf
+}
+app.use(express.json({ limit: '10mb', verify: keepRawBody }))
+app.use(express.urlencoded({ extended: true, limit: '10mb', verify: keepRawBody }))
 
 // Logging
 if (NODE_ENV !== 'test') {
@@ -83,6 +106,9 @@ if (NODE_ENV !== 'test') {
     }
   }))
 }
+if (METRICS_ENABLED) {
+  app.use(metrics.httpMiddleware())
+}
 
 // Rate limiting
 app.use(rateLimiter)
@@ -93,91 +119,28 @@ app.use('/health', healthRoutes)
 // API routes
 const apiRouter = express.Router()
 
+// Webhooks authenticate with their own signatures
+apiRouter.use('/webhooks', webhookRoutes)
+
+// Every other route requires a session, except login and token refresh
+apiRouter.use(authMiddleware)
+
 // Authentication routes
 apiRouter.use('/auth', authRoutes)
 
-// Protected routes (require authentication in production)
-if (NODE_ENV === 'production') {
-  // Add authentication middleware here
-  // apiRouter.use(authMiddleware)
-}
-
 // Main API routes
 apiRouter.use('/projects', projectRoutes)
 apiRouter.use('/deployments', deploymentRoutes)
 apiRouter.use('/config', configRoutes)
-apiRouter.use('/webhooks', webhookRoutes)
+apiRouter.use('/roles', roleRoutes)
+apiRouter.use('/audit', auditRoutes)
+apiRouter.use('/secrets', secretRoutes)
 
 // Mount API router
 app.use(`/api/${API_VERSION}`, apiRouter)
 
-// WebSocket connection handling
-wss.on('connection', (ws, request) => {
-  logger.info('WebSocket connection established')
-  
-  ws.on('message', (data) => {
-    try {
-      const message = JSON.parse(data)
-      logger.info('WebSocket message received:', message)
-      
-      // Handle different message types
-      switch (message.type) {
-        case 'subscribe':
-          // Subscribe to deployment updates
-          ws.projectId = message.projectId
-          ws.send(JSON.stringify({
-            type: 'subscribed',
-            projectId: message.projectId,
-            timestamp: new Date().toISOString()
-          }))
-          break
-        case 'ping':
-          ws.send(JSON.stringify({
-            type: 'pong',
-            timestamp: new Date().toISOString()
-          }))
-          break
-        default:
-          ws.send(JSON.stringify({
-            type: 'error',
-            message: 'Unknown message type',
-            timestamp: new Date().toISOString()
-          }))
-      }
-    } catch (error) {
-      logger.error('WebSocket message error:', error)
-      ws.send(JSON.stringify({
-        type: 'error',
-        message: 'Invalid message format',
-        timestamp: new Date().toISOString()
-      }))
-    }
-  })
-  
-  ws.on('close', () => {
-    logger.info('WebSocket connection closed')
-  })
-  
-  ws.on('error', (error) => {
-    logger.error('WebSocket error:', error)
-  })
-})
-
-// Broadcast function for deployment updates
-export const broadcastDeploymentUpdate = (projectId, data) => {
-  const message = JSON.stringify({
-    type: 'deployment_update',
-    projectId,
-    data,
-    timestamp: new Date().toISOString()
-  })
-  
-  wss.clients.forEach(client => {
-    if (client.readyState === 1 && client.projectId === projectId) { // OPEN
-      client.send(message)
-    }
-  })
-}
+// WebSocket protocol (see services/WebSocketGateway.js)
+webSocketGateway.attach(server)
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -191,22 +154,44 @@ app.use('*', (req, res) => {
 // Global error handler
 app.use(errorHandler)
 
+// Prometheus metrics, served on their own port so they stay off the public API
+let metricsServer = null
+if (METRICS_ENABLED) {
+  const metricsApp = express()
+
+  metricsApp.get('/metrics', asyncHandler(async (req, res) => {
+    res.set('Content-Type', metrics.contentType)
+    res.send(await metrics.render())
+  }))
+
+  metrics.attach()
+  metricsServer = createServer(metricsApp)
+}
+
 // Graceful shutdown
 const gracefulShutdown = (signal) => {
   logger.info(`Received ${signal}, shutting down gracefully...`)
   
-  server.close(() => {
+  releaseRetentionJob.stop()
+  uptimeMonitor.stop()
+  metricsServer?.close()
+  notificationService.stop()
+  webhookDispatcher.stop()
+
+  // Upgraded WebSocket sockets would otherwise keep the HTTP server open
+  webSocketGateway.close().then(() => {
+    logger.info('WebSocket server closed')
+  })
+
+  server.close(async () => {
     logger.info('HTTP server closed')
-    
-    // Close WebSocket connections
-    wss.clients.forEach(client => {
-      client.terminate()
-    })
-    
-    wss.close(() => {
-      logger.info('WebSocket server closed')
-      process.exit(0)
+
+    // Don't drop invalidations still waiting to be coalesced
+    await cdnInvalidationService.flush().catch((error) => {
+      logger.error('Failed to flush CDN invalidations:', error)
     })
+
+    process.exit(0)
   })
   
   // Force close after 10 seconds
@@ -228,7 +213,40 @@ server.listen(PORT, () => {
   logger.info(`🔗 API Base URL: http://localhost:${PORT}/api/${API_VERSION}`)
   logger.info(`💻 Health Check: http://localhost:${PORT}/health`)
   logger.info(`🔌 WebSocket: ws://localhost:${PORT}`)
+  if (metricsServer) {
+    metricsServer.listen(METRICS_PORT, () => {
+      logger.info(`📈 Metrics: http://localhost:${METRICS_PORT}/metrics`)
+    })
+  }
   
+  // Slack and email notifications on deployment lifecycle events
+  notificationService.attach()
+  notificationService.resumePending().catch((error) => {
+    logger.error('Failed to resume pending notifications:', error)
+  })
+
+  // Outbound webhooks (see services/WebhookDispatcher.js)
+  webhookDispatcher.attach()
+  webhookDispatcher.resumePending().catch((error) => {
+    logger.error('Failed to resume pending webhook deliveries:', error)
+  })
+
+  // Fail deployments left running by a previous process
+  deploymentQueue.recoverInterrupted().catch((error) => {
+    logger.error('Failed to recover interrupted deployments:', error)
+  })
+
+  // Prune release artifacts past the retention window
+  releaseRetentionJob.start()
+
+  // Probe the sites of projects with uptime monitoring
+  uptimeMonitor.start()
+
+  // Create the first administrator on a fresh install
+  userStore.ensureBootstrapAdmin().catch((error) => {
+    logger.error('Failed to create bootstrap administrator:', error)
+  })
+
   // Validate configuration on startup
   try {
     validateConfig()
@@ -0,0 +1,233 @@
+/**
+ * API Key Store
+ * Scoped API keys for CI and automation clients
+ *
+ * Keys look like `ixd_<prefix>_<secret>`. Only a SHA-256 hash of the full
+ * key is stored in DATA_PATH/api-keys.json; the prefix identifies the key
+ * in listings. A key acts on behalf of the user who created it, limited to
+ * its scopes.
+ */
+
+import crypto from 'crypto'
+import { dataPath, JsonFileStore } from '../utils/fileStore.js'
+
+export const KEY_SCOPES = [
+  'projects:read',
+  'projects:write',
+  'deployments:read',
+  'deployments:write',
+  'config:read',
+  'audit:read',
+  'secrets:read',
+  'secrets:write'
+]
+
+// deploy:<project-id> or deploy:* for every project
+const DEPLOY_SCOPE_PATTERN = /^deploy:(\*|[a-z0-9-]+)$/
+const KEY_PATTERN = /^ixd_([a-f0-9]{8})_([A-Za-z0-9_-]{43})$/
+
+// last_used_at is written at most this often per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex')
+}
+
+/**
+ * Whether a scope string is valid
+ */
+export function isValidScope(scope) {
+  return KEY_SCOPES.includes(scope) || DEPLOY_SCOPE_PATTERN.test(scope)
+}
+
+/**
+ * Whether a set of granted scopes includes a required scope
+ * (`deploy:*` grants `deploy:<any project>`)
+ */
+export function hasScope(granted, required) {
+  if (granted.includes(required)) {
+    return true
+  }
+  return required.startsWith('deploy:') && granted.includes('deploy:*')
+}
+
+export class ApiKeyStore {
+  constructor(options = {}) {
+    this.store = new JsonFileStore(options.filePath || (() => dataPath('api-keys.json')), { keys: [] })
+  }
+
+  /**
+   * Key record without its hash, for API responses
+   */
+  toPublic(record) {
+    if (!record) {
+      return null
+    }
+
+    const { hash, ...rest } = record
+    return { ...rest, display: `ixd_${record.prefix}_…` }
+  }
+
+  /**
+   * Create a key; the plaintext key is only returned here
+   * @param {Object} data - { name, scopes, expiresAt, userId }
+   * @returns {Promise<Object>} - Service-style result with { key, record }
+   */
+  async create({ name, scopes, expiresAt = null, userId }) {
+    if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+      return {
+        success: false,
+        error: 'Validation Error',
+        message: 'name is required (at most 100 characters)',
+        statusCode: 400
+      }
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return {
+        success: false,
+        error: 'Validation Error',
+        message: 'scopes must be a non-empty array',
+        statusCode: 400
+      }
+    }
+
+    const invalid = scopes.filter(scope => !isValidScope(scope))
+    if (invalid.length > 0) {
+      return {
+        success: false,
+        error: 'Validation Error',
+        message: `Unknown scope(s): ${invalid.join(', ')}. Valid scopes: ${KEY_SCOPES.join(', ')}, deploy:<project-id>, deploy:*`,
+        statusCode: 400
+      }
+    }
+
+    if (expiresAt !== null && !(Date.parse(expiresAt) > Date.now())) {
+      return {
+        success: false,
+        error: 'Validation Error',
+        message: 'expires_at must be a future ISO 8601 date',
+        statusCode: 400
+      }
+    }
+
+    const now = new Date().toISOString()
+
+    const { key, record } = await this.store.update((document) => {
+      let prefix
+      do {
+        prefix = crypto.randomBytes(4).toString('hex')
+      } while (document.keys.some(k => k.prefix === prefix))
+
+      const key = `ixd_${prefix}_${crypto.randomBytes(32).toString('base64url')}`
+      const record = {
+        id: `key-${crypto.randomBytes(6).toString('hex')}`,
+        name: name.trim(),
+        prefix,
+        hash: hashKey(key),
+        scopes: [...new Set(scopes)],
+        user_id: userId,
+        created_at: now,
+        expires_at: expiresAt ? new Date(expiresAt).toISOString() : null,
+        last_used_at: null,
+        revoked_at: null
+      }
+
+      document.keys.push(record)
+      return { key, record }
+    })
+
+    return { success: true, data: { key, record: this.toPublic(record) } }
+  }
+
+  /**
+   * Keys of a user, or of every user when userId is null
+   */
+  async list(userId = null) {
+    const { keys } = await this.store.read()
+    return keys
+      .filter(record => userId === null || record.user_id === userId)
+      .map(record => this.toPublic(record))
+  }
+
+  async get(keyId) {
+    const { keys } = await this.store.read()
+    return this.toPublic(keys.find(record => record.id === keyId))
+  }
+
+  /**
+   * Revoke a key
+   * @returns {Promise<Object|null>} - The revoked key, or null if unknown
+   */
+  async revoke(keyId) {
+    return this.store.update((document) => {
+      const record = document.keys.find(k => k.id === keyId)
+      if (!record) {
+        return null
+      }
+
+      record.revoked_at = record.revoked_at || new Date().toISOString()
+      return this.toPublic(record)
+    })
+  }
+
+  /**
+   * Look up a presented key, once per request
+   * Shared by the rate limiter and the auth middleware.
+   */
+  resolveRequestKey(req) {
+    if (req.apiKeyLookup === undefined) {
+      const presented = req.get('X-API-Key')
+      req.apiKeyLookup = presented ? this.verify(presented) : Promise.resolve(null)
+    }
+    return req.apiKeyLookup
+  }
+
+  /**
+   * Look up a presented key
+   * @returns {Promise<Object|null>} - The key record when it is known,
+   *   unrevoked and unexpired; otherwise null
+   */
+  async verify(key) {
+    const match = typeof key === 'string' && key.match(KEY_PATTERN)
+    if (!match) {
+      return null
+    }
+
+    const { keys } = await this.store.read()
+    const record = keys.find(k => k.prefix === match[1])
+    if (!record) {
+      return null
+    }
+
+    const expected = Buffer.from(record.hash, 'hex')
+    const presented = Buffer.from(hashKey(key), 'hex')
+    if (!crypto.timingSafeEqual(expected, presented)) {
+      return null
+    }
+
+    if (record.revoked_at || (record.expires_at && Date.parse(record.expires_at) <= Date.now())) {
+      return null
+    }
+
+    if (!record.last_used_at || Date.now() - Date.parse(record.last_used_at) > LAST_USED_RESOLUTION_MS) {
+      await this.touch(record.id)
+    }
+
+    return this.toPublic(record)
+  }
+
+  async touch(keyId) {
+    await this.store.update((document) => {
+      const record = document.keys.find(k => k.id === keyId)
+      if (record) {
+        record.last_used_at = new Date().toISOString()
+      }
+    })
+  }
+}
+
+// Shared API key store used by the API
+export const apiKeyStore = new ApiKeyStore()
+
+export default ApiKeyStore
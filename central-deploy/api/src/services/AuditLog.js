@@ -0,0 +1,305 @@
+/**
+ * Audit Log
+ * Append-only, hash-chained record of mutating actions
+ *
+ * Entries are stored one per line in DATA_PATH/audit.log. Each entry carries
+ * the hash of the previous entry (`prev_hash`) and its own `hash`, a SHA-256
+ * over the canonical JSON of every other field. Editing, removing or
+ * reordering an entry breaks the chain, which `verify()` reports.
+ */
+
+import { promises as fs } from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { logger } from '../utils/logger.js'
+import { dataPath, withLock } from '../utils/fileStore.js'
+
+export const AUDIT_OUTCOMES = ['success', 'failure', 'denied']
+
+// prev_hash of the first entry
+export const GENESIS_HASH = '0'.repeat(64)
+
+/**
+ * JSON with object keys sorted, so equal entries always hash the same
+ */
+export function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`
+  }
+  return JSON.stringify(value ?? null)
+}
+
+function hashEntry(entry) {
+  const { hash, ...fields } = entry
+  return crypto.createHash('sha256').update(canonicalJson(fields)).digest('hex')
+}
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+/**
+ * Field-level differences between two values
+ * @returns {Array<Object>} - [{ path, before, after }] for each changed leaf
+ *   (arrays are compared as a whole)
+ */
+export function diffObjects(before, after, prefix = '') {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort()
+    return keys.flatMap(key => diffObjects(before[key], after[key], prefix ? `${prefix}.${key}` : key))
+  }
+
+  if (canonicalJson(before) === canonicalJson(after)) {
+    return []
+  }
+
+  // Creating or deleting an object lists each of its fields
+  if (isPlainObject(before) && after === undefined) {
+    return diffObjects(before, {}, prefix)
+  }
+  if (isPlainObject(after) && before === undefined) {
+    return diffObjects({}, after, prefix)
+  }
+
+  return [{ path: prefix, before: before ?? null, after: after ?? null }]
+}
+
+/**
+ * Who performed a request, for audit entries
+ */
+export function actorFromRequest(req) {
+  if (!req.user) {
+    return { type: 'anonymous' }
+  }
+
+  return {
+    type: 'user',
+    id: req.user.id,
+    username: req.user.username,
+    auth_method: req.user.auth_method,
+    ...(req.apiKey && { api_key_id: req.apiKey.id })
+  }
+}
+
+export class AuditLog {
+  constructor(options = {}) {
+    this.pathResolver = options.filePath || (() => dataPath('audit.log'))
+    // Last { seq, hash } per log file, so appends don't re-read the log
+    this.heads = new Map()
+  }
+
+  get filePath() {
+    return this.pathResolver()
+  }
+
+  /**
+   * Parse every line of the log
+   * @returns {Promise<Array<Object>>} - { line, entry } or { line, error }
+   */
+  async readLines() {
+    let content
+    try {
+      content = await fs.readFile(this.filePath, 'utf8')
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return []
+      }
+      throw error
+    }
+
+    return content.split('\n')
+      .map((text, index) => ({ text, line: index + 1 }))
+      .filter(({ text }) => text.trim())
+      .map(({ text, line }) => {
+        try {
+          return { line, entry: JSON.parse(text) }
+        } catch (error) {
+          return { line, error: 'malformed JSON' }
+        }
+      })
+  }
+
+  async readEntries() {
+    return (await this.readLines()).filter(l => l.entry).map(l => l.entry)
+  }
+
+  async loadHead(filePath) {
+    if (!this.heads.has(filePath)) {
+      const last = (await this.readEntries()).at(-1)
+      this.heads.set(filePath, last ? { seq: last.seq, hash: last.hash } : { seq: 0, hash: GENESIS_HASH })
+    }
+    return this.heads.get(filePath)
+  }
+
+  /**
+   * Append an entry to the chain
+   * @param {Object} fields - action, outcome, actor, target, changes, ...
+   * @returns {Promise<Object>} - The stored entry
+   */
+  async append(fields) {
+    const filePath = this.filePath
+
+    return withLock(filePath, async () => {
+      const head = await this.loadHead(filePath)
+      const entry = {
+        seq: head.seq + 1,
+        timestamp: new Date().toISOString(),
+        ...fields,
+        prev_hash: head.hash
+      }
+      entry.hash = hashEntry(entry)
+
+      await fs.mkdir(path.dirname(filePath), { recursive: true })
+      await fs.appendFile(filePath, JSON.stringify(entry) + '\n', 'utf8')
+
+      this.heads.set(filePath, { seq: entry.seq, hash: entry.hash })
+      return entry
+    })
+  }
+
+  /**
+   * Record an action performed through a request
+   * Failures to write are logged rather than failing the request.
+   * @param {Object} req - Express request (actor, IP and request ID)
+   * @param {Object} fields - { action, outcome, target, projectId, before,
+   *   after, statusCode, message, metadata, actor }
+   */
+  async record(req, fields) {
+    const {
+      action,
+      outcome = 'success',
+      actor,
+      target = null,
+      projectId = null,
+      before,
+      after,
+      statusCode,
+      message,
+      metadata
+    } = fields
+
+    try {
+      return await this.append({
+        action,
+        outcome,
+        actor: actor || (req ? actorFromRequest(req) : { type: 'system' }),
+        ip: req?.ip || null,
+        request_id: req?.id || null,
+        target,
+        project_id: projectId,
+        changes: before === undefined && after === undefined ? [] : diffObjects(before, after),
+        ...(statusCode && { status_code: statusCode }),
+        ...(message && { message }),
+        ...(metadata && { metadata })
+      })
+    } catch (error) {
+      logger.error(`Failed to write audit entry for ${action}:`, error)
+      return null
+    }
+  }
+
+  /**
+   * Entries matching filters, newest first
+   * @param {Object} filters - { action, actor, projectId, targetId, outcome,
+   *   requestId, since, until }; `action` accepts a comma-separated list and
+   *   `prefix.*` wildcards
+   * @param {Object} options - { page, limit }
+   */
+  async query(filters = {}, options = {}) {
+    let entries = (await this.readEntries()).reverse()
+
+    if (filters.action) {
+      const patterns = filters.action.split(',').map(a => a.trim())
+      entries = entries.filter(e => patterns.some(p =>
+        p.endsWith('.*') ? e.action.startsWith(p.slice(0, -1)) : e.action === p
+      ))
+    }
+    if (filters.actor) {
+      entries = entries.filter(e => e.actor?.id === filters.actor || e.actor?.username === filters.actor)
+    }
+    if (filters.projectId) {
+      entries = entries.filter(e => e.project_id === filters.projectId)
+    }
+    if (filters.targetId) {
+      entries = entries.filter(e => e.target?.id === filters.targetId)
+    }
+    if (filters.outcome) {
+      entries = entries.filter(e => e.outcome === filters.outcome)
+    }
+    if (filters.requestId) {
+      entries = entries.filter(e => e.request_id === filters.requestId)
+    }
+    if (filters.since) {
+      const since = Date.parse(filters.since)
+      entries = entries.filter(e => Date.parse(e.timestamp) >= since)
+    }
+    if (filters.until) {
+      const until = Date.parse(filters.until)
+      entries = entries.filter(e => Date.parse(e.timestamp) <= until)
+    }
+
+    const { page = 1, limit = 50 } = options
+    const startIndex = (page - 1) * limit
+
+    return {
+      entries: entries.slice(startIndex, startIndex + limit),
+      total: entries.length,
+      page,
+      limit,
+      pages: Math.ceil(entries.length / limit)
+    }
+  }
+
+  /**
+   * Check the hash chain from the first entry to the last
+   * @returns {Promise<Object>} - { valid, entries, head_hash, error }, where
+   *   error describes the first broken link
+   */
+  async verify() {
+    const lines = await this.readLines()
+    let previous = { seq: 0, hash: GENESIS_HASH }
+
+    for (const { line, entry, error } of lines) {
+      const fail = reason => ({
+        valid: false,
+        entries: lines.length,
+        verified: previous.seq,
+        head_hash: null,
+        error: { line, seq: entry?.seq ?? null, reason }
+      })
+
+      if (error) {
+        return fail(error)
+      }
+      if (entry.seq !== previous.seq + 1) {
+        return fail(`expected sequence ${previous.seq + 1}, found ${entry.seq}`)
+      }
+      if (entry.prev_hash !== previous.hash) {
+        return fail('prev_hash does not match the previous entry')
+      }
+      if (entry.hash !== hashEntry(entry)) {
+        return fail('entry hash does not match its contents')
+      }
+
+      previous = entry
+    }
+
+    return {
+      valid: true,
+      entries: lines.length,
+      verified: previous.seq,
+      head_hash: previous.hash,
+      error: null
+    }
+  }
+}
+
+// Shared audit log used by the API
+export const auditLog = new AuditLog()
+
+export default AuditLog
@@ -0,0 +1,284 @@
+/**
+ * Build Cache
+ * Reuses installed dependencies and whole build outputs between builds
+ *
+ * - `dependencies` entries hold a project's node_modules, keyed by the
+ *   lockfile hash, package manager, node_version and install command. On a
+ *   hit the install step is skipped.
+ * - `output` entries hold a build directory, keyed by commit SHA and the
+ *   build settings (commands, build_dir, environment variables). On a hit
+ *   install and build are both skipped, e.g. when the same commit is
+ *   deployed to another environment.
+ *
+ * Entries are tarballs under BUILD_CACHE_PATH (DATA_PATH/build-cache by
+ * default), indexed in build-cache.json. When the total size exceeds
+ * BUILD_CACHE_MAX_SIZE_MB the least recently used entries are evicted.
+ * Caching is on unless FEATURE_BUILD_CACHING=false.
+ */
+
+import { promises as fs } from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import tar from 'tar'
+import { logger } from '../utils/logger.js'
+import { dataPath, JsonFileStore } from '../utils/fileStore.js'
+
+export const CACHE_TYPES = ['dependencies', 'output']
+
+// Lockfiles per package manager, in order of preference
+const LOCKFILES = {
+  npm: ['package-lock.json', 'npm-shrinkwrap.json'],
+  yarn: ['yarn.lock'],
+  pnpm: ['pnpm-lock.yaml']
+}
+
+// Directory cached as a project's installed dependencies
+export const DEPENDENCY_DIR = 'node_modules'
+
+function hashObject(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex')
+}
+
+export class BuildCache {
+  constructor(options = {}) {
+    this.rootResolver = options.rootPath || (() => process.env.BUILD_CACHE_PATH || dataPath('build-cache'))
+    this.index = new JsonFileStore(() => path.join(this.root, 'build-cache.json'), { entries: [] })
+  }
+
+  get root() {
+    return this.rootResolver()
+  }
+
+  get enabled() {
+    return process.env.FEATURE_BUILD_CACHING !== 'false'
+  }
+
+  get maxBytes() {
+    const megabytes = parseInt(process.env.BUILD_CACHE_MAX_SIZE_MB || '5120', 10) || 5120
+    return megabytes * 1024 * 1024
+  }
+
+  entryPath(entry) {
+    return path.join(this.root, entry.project_id, entry.type, `${entry.key}.tar.gz`)
+  }
+
+  /**
+   * Dependency cache key, or null when the workspace has no lockfile
+   * @returns {Promise<Object|null>} - { key, lockfile }
+   */
+  async dependencyKey(workspace, settings, runtime) {
+    for (const lockfile of LOCKFILES[settings.packageManager] || []) {
+      let content
+      try {
+        content = await fs.readFile(path.join(workspace, lockfile))
+      } catch (error) {
+        continue
+      }
+
+      return {
+        lockfile,
+        key: hashObject({
+          lockfile: crypto.createHash('sha256').update(content).digest('hex'),
+          packageManager: settings.packageManager,
+          nodeVersion: settings.nodeVersion,
+          installCommand: settings.installCommand || settings.defaultInstallCommand,
+          runtime
+        })
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Build output cache key
+   */
+  outputKey(commit, settings, runtime) {
+    return hashObject({
+      commit,
+      framework: settings.framework,
+      nodeVersion: settings.nodeVersion,
+      packageManager: settings.packageManager,
+      installCommand: settings.installCommand,
+      buildCommand: settings.buildCommand,
+      buildDir: settings.buildDir,
+      environmentVariables: Object.entries(settings.environmentVariables || {}).sort(),
+      runtime
+    })
+  }
+
+  async find(projectId, type, key) {
+    const { entries } = await this.index.read()
+    return entries.find(e => e.project_id === projectId && e.type === type && e.key === key) || null
+  }
+
+  /**
+   * Extract a cached entry into a directory
+   * @returns {Promise<boolean>} - Whether the entry was found and restored
+   */
+  async restore(projectId, type, key, targetDir) {
+    if (!this.enabled) {
+      return false
+    }
+
+    const entry = await this.find(projectId, type, key)
+    if (!entry) {
+      return false
+    }
+
+    try {
+      await fs.rm(targetDir, { recursive: true, force: true })
+      await fs.mkdir(targetDir, { recursive: true })
+      await tar.x({ file: this.entryPath(entry), cwd: targetDir, strict: true })
+    } catch (error) {
+      // A damaged or missing entry is dropped and treated as a miss
+      logger.warn(`Discarding unusable ${type} cache entry ${key}:`, { error: error.message })
+      await fs.rm(targetDir, { recursive: true, force: true })
+      await this.remove(e => e.project_id === projectId && e.type === type && e.key === key)
+      return false
+    }
+
+    await this.index.update((document) => {
+      const current = document.entries.find(e => e.project_id === projectId && e.type === type && e.key === key)
+      if (current) {
+        current.last_used_at = new Date().toISOString()
+        current.hits = (current.hits || 0) + 1
+      }
+    })
+
+    return true
+  }
+
+  /**
+   * Store the contents of a directory as a cache entry, then evict least
+   * recently used entries beyond the size cap
+   * @param {Object} metadata - Extra fields kept in the index (e.g. commit)
+   * @returns {Promise<Object|null>} - The new entry, or null if not stored
+   */
+  async save(projectId, type, key, sourceDir, metadata = {}) {
+    if (!this.enabled || await this.find(projectId, type, key)) {
+      return null
+    }
+
+    // e.g. an install that had nothing to install
+    const exists = await fs.stat(sourceDir).then(stats => stats.isDirectory(), () => false)
+    if (!exists) {
+      return null
+    }
+
+    const now = new Date().toISOString()
+    const entry = { project_id: projectId, type, key, bytes: 0, created_at: now, last_used_at: now, hits: 0, ...metadata }
+    const filePath = this.entryPath(entry)
+    const tempPath = `${filePath}.${crypto.randomBytes(6).toString('hex')}.tmp`
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true })
+
+    try {
+      await tar.c({ gzip: true, portable: true, file: tempPath, cwd: sourceDir }, ['.'])
+      entry.bytes = (await fs.stat(tempPath)).size
+
+      if (entry.bytes > this.maxBytes) {
+        logger.info(`Not caching ${type} for ${projectId}: ${entry.bytes} bytes exceeds the cache size limit`)
+        return null
+      }
+
+      await fs.rename(tempPath, filePath)
+    } finally {
+      await fs.rm(tempPath, { force: true })
+    }
+
+    await this.index.update((document) => {
+      document.entries = document.entries.filter(e => !(e.project_id === projectId && e.type === type && e.key === key))
+      document.entries.push(entry)
+    })
+
+    await this.evict()
+    return entry
+  }
+
+  /**
+   * Evict least recently used entries until the cache fits its size cap
+   * @returns {Promise<Array<Object>>} - Evicted entries
+   */
+  async evict() {
+    const evicted = await this.index.update((document) => {
+      const byAge = [...document.entries].sort((a, b) => a.last_used_at.localeCompare(b.last_used_at))
+      let total = byAge.reduce((sum, e) => sum + e.bytes, 0)
+      const removed = []
+
+      while (total > this.maxBytes && byAge.length > 0) {
+        const entry = byAge.shift()
+        total -= entry.bytes
+        removed.push(entry)
+      }
+
+      document.entries = document.entries.filter(e => !removed.includes(e))
+      return removed
+    })
+
+    for (const entry of evicted) {
+      await fs.rm(this.entryPath(entry), { force: true })
+      logger.info(`Evicted ${entry.type} cache entry ${entry.key} of ${entry.project_id}`)
+    }
+
+    return evicted
+  }
+
+  /**
+   * Remove entries matching a predicate
+   * @returns {Promise<Array<Object>>} - Removed entries
+   */
+  async remove(predicate) {
+    const removed = await this.index.update((document) => {
+      const matching = document.entries.filter(predicate)
+      document.entries = document.entries.filter(e => !matching.includes(e))
+      return matching
+    })
+
+    for (const entry of removed) {
+      await fs.rm(this.entryPath(entry), { force: true })
+    }
+
+    return removed
+  }
+
+  /**
+   * A project's cache entries and their total size
+   */
+  async list(projectId, type) {
+    const { entries } = await this.index.read()
+    const matching = entries
+      .filter(e => e.project_id === projectId && (!type || e.type === type))
+      .sort((a, b) => b.last_used_at.localeCompare(a.last_used_at))
+
+    return {
+      entries: matching,
+      total_bytes: matching.reduce((sum, e) => sum + e.bytes, 0)
+    }
+  }
+
+  /**
+   * Purge a project's cache, optionally only one type
+   */
+  async purge(projectId, type) {
+    return this.remove(e => e.project_id === projectId && (!type || e.type === type))
+  }
+
+  /**
+   * Cache usage across all projects
+   */
+  async stats() {
+    const { entries } = await this.index.read()
+    return {
+      enabled: this.enabled,
+      entries: entries.length,
+      total_bytes: entries.reduce((sum, e) => sum + e.bytes, 0),
+      max_bytes: this.maxBytes
+    }
+  }
+}
+
+// Shared build cache used by the API
+export const buildCache = new BuildCache()
+
+export default BuildCache
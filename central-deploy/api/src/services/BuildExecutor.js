@@ -0,0 +1,337 @@
+/**
+ * Build Executor
+ * Checks out a project's repository and runs its install and build commands
+ * according to the project's `build` configuration
+ *
+ * Commands run in a host shell by default, or inside a container selected
+ * from the project's node_version when BUILD_ISOLATION=docker.
+ *
+ * Installed dependencies and build outputs are reused from the build cache
+ * when possible (see BuildCache.js).
+ */
+
+import { promises as fs } from 'fs'
+import path from 'path'
+import { simpleGit } from 'simple-git'
+import { logger } from '../utils/logger.js'
+import { BuildError } from '../utils/errors.js'
+import { resolveGithubToken } from '../utils/credentials.js'
+import { authenticatedUrl, redactUrlCredentials } from '../utils/github.js'
+import { HostBuildRunner } from './HostBuildRunner.js'
+import { DockerBuildRunner, resolveBuildImage } from './DockerBuildRunner.js'
+import { buildCache, DEPENDENCY_DIR } from './BuildCache.js'
+
+const DEFAULT_INSTALL_COMMANDS = {
+  npm: 'npm ci',
+  yarn: 'yarn install --frozen-lockfile',
+  pnpm: 'pnpm install --frozen-lockfile'
+}
+
+export class BuildExecutor {
+  constructor(options = {}) {
+    this.options = options
+    this.cache = options.cache || buildCache
+  }
+
+  get workspaceRoot() {
+    return this.options.workspacePath || process.env.BUILD_WORKSPACE_PATH || '/tmp/ix-deploy-builds'
+  }
+
+  get isolation() {
+    return this.options.isolation || process.env.BUILD_ISOLATION || 'host'
+  }
+
+  /**
+   * What the build runs on, part of every cache key: builds from different
+   * images or host Node majors must not share dependencies or output
+   */
+  runtimeFor(settings) {
+    if (this.isolation === 'docker') {
+      return { isolation: 'docker', image: resolveBuildImage(settings) }
+    }
+    return { isolation: 'host', node: process.versions.node.split('.')[0], platform: `${process.platform}-${process.arch}` }
+  }
+
+  /**
+   * Resolve the effective build settings for a project
+   */
+  resolveSettings(project, config = {}) {
+    const build = project.build || {}
+    const packageManager = build.package_manager || 'npm'
+
+    return {
+      framework: build.framework || 'static',
+      nodeVersion: build.node_version || null,
+      packageManager,
+      installCommand: build.install_command || null,
+      defaultInstallCommand: DEFAULT_INSTALL_COMMANDS[packageManager],
+      buildCommand: build.build_command || null,
+      buildDir: build.build_dir || '.',
+      environmentVariables: build.environment_variables || {},
+      timeoutSeconds: build.timeout ||
+        config.defaults?.build_timeout ||
+        parseInt(process.env.BUILD_TIMEOUT || '600', 10)
+    }
+  }
+
+  /**
+   * Check out and build a project for a deployment
+   * @param {Object} params
+   * @param {Object} params.project - Project configuration
+   * @param {Object} params.deployment - Deployment record (id, branch, commit)
+   * @param {Object} params.config - Full deploy configuration (defaults, credentials)
+   * @param {AbortSignal} params.signal - Cancels the build when aborted
+   * @param {Function} params.onLog - Receives { level, message, component } per output line
+   * @returns {Promise<Object>} - { workspace, outputDir, commit, settings,
+   *   cache: { output, dependencies }, each 'hit', 'miss', 'skipped' or
+   *   'disabled' }
+   */
+  async run({ project, deployment, config = {}, signal, onLog = () => {} }) {
+    const settings = this.resolveSettings(project, config)
+    const workspace = path.join(this.workspaceRoot, project.id, deployment.id)
+    const deadline = Date.now() + settings.timeoutSeconds * 1000
+
+    // Combine caller cancellation with the build timeout
+    const controller = new AbortController()
+    const timer = setTimeout(() => controller.abort('timeout'), settings.timeoutSeconds * 1000)
+    const onAbort = () => controller.abort('cancelled')
+    signal?.addEventListener('abort', onAbort, { once: true })
+    if (signal?.aborted) {
+      controller.abort('cancelled')
+    }
+
+    const log = (level, message, component = 'build') => onLog({ level, message, component })
+    let runner = null
+
+    try {
+      // Confined to the workspace before anything is written there
+      const outputDir = await this.resolveOutputDir(workspace, settings.buildDir)
+
+      await fs.rm(workspace, { recursive: true, force: true })
+      await fs.mkdir(workspace, { recursive: true })
+
+      const commit = await this.checkout({ project, deployment, config, workspace, signal: controller.signal, log })
+
+      // 'skipped' dependencies: no install step or no lockfile to key on
+      const cache = this.cache.enabled
+        ? { output: 'miss', dependencies: 'skipped' }
+        : { output: 'disabled', dependencies: 'disabled' }
+      const outputKey = this.cache.outputKey(commit, settings, this.runtimeFor(settings))
+
+      if (this.cache.enabled) {
+        if (await this.cache.restore(project.id, 'output', outputKey, outputDir)) {
+          log('info', `Reusing cached build output of ${commit.slice(0, 7)}; skipping install and build`, 'cache')
+          return { workspace, outputDir, commit, settings, cache: { output: 'hit', dependencies: 'skipped' } }
+        }
+      }
+
+      const installCommand = settings.installCommand || await this.detectInstallCommand(workspace, settings)
+      const dependencies = installCommand && this.cache.enabled
+        ? await this.cache.dependencyKey(workspace, settings, this.runtimeFor(settings))
+        : null
+
+      if (dependencies) {
+        const restored = await this.cache.restore(project.id, 'dependencies', dependencies.key, path.join(workspace, DEPENDENCY_DIR))
+        cache.dependencies = restored ? 'hit' : 'miss'
+        log('info', restored
+          ? `Restored ${DEPENDENCY_DIR} from cache (${dependencies.lockfile} unchanged)`
+          : `No cached dependencies for this ${dependencies.lockfile}`, 'cache')
+      }
+
+      // The workspace (including restored dependencies) is copied into
+      // the container here when builds run in Docker
+      runner = this.createRunner({ workspace, settings, log, deploymentId: deployment.id })
+      await runner.prepare({ signal: controller.signal })
+
+      const commandOptions = { runner, deadline, signal: controller.signal, log }
+
+      if (cache.dependencies === 'hit') {
+        log('info', 'Skipping install: dependencies restored from cache', 'install')
+      } else if (installCommand) {
+        await this.runCommand('install', installCommand, commandOptions)
+
+        if (dependencies) {
+          await runner.collectOutput(path.join(workspace, DEPENDENCY_DIR))
+          await this.saveCache(project.id, 'dependencies', dependencies.key, path.join(workspace, DEPENDENCY_DIR), {
+            lockfile: dependencies.lockfile
+          }, log)
+        }
+      } else {
+        log('info', 'No install step required', 'install')
+      }
+
+      if (settings.buildCommand) {
+        await this.runCommand('build', settings.buildCommand, commandOptions)
+      } else {
+        log('info', 'No build command configured; deploying repository contents', 'build')
+      }
+
+      await runner.collectOutput(outputDir)
+      await this.verifyOutput(workspace, settings.buildDir)
+      log('info', `Build output verified at ${settings.buildDir}`)
+
+      if (this.cache.enabled) {
+        await this.saveCache(project.id, 'output', outputKey, outputDir, { commit }, log)
+      }
+
+      return { workspace, outputDir, commit, settings, cache }
+    } catch (error) {
+      await this.cleanup(workspace).catch(() => {})
+      throw this.normalizeError(error, controller.signal)
+    } finally {
+      clearTimeout(timer)
+      signal?.removeEventListener('abort', onAbort)
+      await runner?.dispose().catch((error) => {
+        logger.warn('Failed to dispose build runner:', { error: error.message })
+      })
+    }
+  }
+
+  /**
+   * Create the command runner for the configured isolation mode
+   */
+  createRunner(params) {
+    if (this.isolation === 'docker') {
+      return new DockerBuildRunner({ ...params, docker: this.options.docker })
+    }
+    return new HostBuildRunner(params)
+  }
+
+  /**
+   * Clone the repository and check out the deployment's branch or commit
+   */
+  async checkout({ project, deployment, config, workspace, signal, log }) {
+    const url = project.repository.url
+    const branch = deployment.branch || project.repository.branch || 'main'
+    const token = resolveGithubToken(config, project.repository.github_token_ref)
+
+    log('info', `Cloning ${url} (${branch})`, 'checkout')
+
+    const git = simpleGit({ abort: signal })
+    const cloneOptions = ['--branch', branch, '--single-branch']
+    if (!deployment.commit) {
+      cloneOptions.push('--depth', '1')
+    }
+
+    try {
+      await git.clone(authenticatedUrl(url, token), workspace, cloneOptions)
+
+      const repo = simpleGit({ baseDir: workspace, abort: signal })
+      if (deployment.commit) {
+        await repo.checkout(deployment.commit)
+      }
+
+      const commit = (await repo.revparse(['HEAD'])).trim()
+      log('info', `Checked out ${commit}`, 'checkout')
+      return commit
+    } catch (error) {
+      if (signal.aborted) {
+        throw error
+      }
+      throw new BuildError(`Checkout failed: ${redactUrlCredentials(error.message)}`, 'checkout')
+    }
+  }
+
+  /**
+   * Pick the package manager's install command when the project has a
+   * package.json and no explicit install_command
+   */
+  async detectInstallCommand(workspace, settings) {
+    try {
+      await fs.access(path.join(workspace, 'package.json'))
+      return settings.defaultInstallCommand
+    } catch (error) {
+      return null
+    }
+  }
+
+  /**
+   * Run a build phase through the runner, enforcing the overall deadline
+   */
+  async runCommand(phase, command, { runner, deadline, signal, log }) {
+    if (signal.aborted) {
+      throw new BuildError(`${phase} aborted`, phase)
+    }
+    if (Date.now() >= deadline) {
+      throw new BuildError(`${phase} not started: build timeout reached`, phase, { timedOut: true })
+    }
+
+    log('info', `$ ${command}`, phase)
+    await runner.run(phase, command, { signal })
+  }
+
+  /**
+   * Store a cache entry; caching problems never fail the build
+   */
+  async saveCache(projectId, type, key, sourceDir, metadata, log) {
+    try {
+      const entry = await this.cache.save(projectId, type, key, sourceDir, metadata)
+      if (entry) {
+        log('info', `Cached ${type === 'output' ? 'build output' : DEPENDENCY_DIR} (${entry.bytes} bytes)`, 'cache')
+      }
+    } catch (error) {
+      log('warn', `Could not cache ${type}: ${error.message}`, 'cache')
+    }
+  }
+
+  /**
+   * Absolute build directory, which must stay inside the workspace
+   */
+  async resolveOutputDir(workspace, buildDir) {
+    const outputDir = path.resolve(workspace, buildDir)
+
+    if (outputDir !== workspace && !outputDir.startsWith(workspace + path.sep)) {
+      throw new BuildError(`build_dir '${buildDir}' points outside the workspace`, 'verify')
+    }
+
+    return outputDir
+  }
+
+  /**
+   * Ensure the configured build directory exists inside the workspace
+   */
+  async verifyOutput(workspace, buildDir) {
+    const outputDir = await this.resolveOutputDir(workspace, buildDir)
+
+    try {
+      const stats = await fs.stat(outputDir)
+      if (!stats.isDirectory()) {
+        throw new Error('not a directory')
+      }
+    } catch (error) {
+      throw new BuildError(`Build directory '${buildDir}' was not produced by the build`, 'verify')
+    }
+
+    return outputDir
+  }
+
+  /**
+   * Map aborts to timeout or cancellation errors
+   */
+  normalizeError(error, signal) {
+    if (signal.aborted) {
+      const timedOut = signal.reason === 'timeout'
+      return new BuildError(
+        timedOut ? 'Build timed out' : 'Build cancelled',
+        error.phase || 'checkout',
+        { timedOut, cancelled: !timedOut }
+      )
+    }
+
+    if (error instanceof BuildError) {
+      return error
+    }
+
+    logger.error('Unexpected build executor error:', error)
+    return new BuildError(redactUrlCredentials(error.message), error.phase || 'build')
+  }
+
+  /**
+   * Remove a deployment's workspace
+   */
+  async cleanup(workspace) {
+    await fs.rm(workspace, { recursive: true, force: true })
+  }
+}
+
+export default BuildExecutor
@@ -0,0 +1,385 @@
+/**
+ * CDN Invalidation Service
+ * Invalidates only the paths a deployment changed, instead of the action's
+ * blanket `/*` or `/<branch>/*`:
+ *
+ * - Paths come from the publisher's uploaded and deleted keys, plus the
+ *   directory URLs that serve a changed index document
+ * - When there are more paths than CDN_INVALIDATION_MAX_PATHS they are
+ *   collapsed into directory wildcards, shallower until they fit
+ * - Requests for the same distribution within CDN_INVALIDATION_COALESCE_MS
+ *   are merged into a single invalidation
+ *
+ * The invalidation ID and status are recorded on each deployment (or, for
+ * prefixes removed by preview teardown, on the preview) as `invalidation`
+ * and polled until the provider reports completion.
+ */
+
+import crypto from 'crypto'
+import { logger } from '../utils/logger.js'
+import { resolveAwsProfile } from '../utils/credentials.js'
+import { deploymentStore } from './DeploymentStore.js'
+import { CloudFrontInvalidationProvider } from './CloudFrontInvalidationProvider.js'
+import { FakeInvalidationProvider } from './FakeInvalidationProvider.js'
+
+export const INVALIDATION_STATUSES = ['pending', 'in_progress', 'completed', 'failed']
+
+// Give up polling after this many attempts; the status endpoint can still refresh
+const MAX_POLL_ATTEMPTS = 60
+
+let fakeProvider = null
+
+/**
+ * Create the invalidation provider for a project
+ * CDN_PROVIDER selects 'cloudfront' (default) or 'fake'.
+ */
+export function createInvalidationProvider(project, config = {}) {
+  if ((process.env.CDN_PROVIDER || 'cloudfront') === 'fake') {
+    // Shared so that invalidations created earlier can still be polled
+    fakeProvider = fakeProvider || new FakeInvalidationProvider()
+    return fakeProvider
+  }
+
+  return new CloudFrontInvalidationProvider({
+    credentials: resolveAwsProfile(config, project.deployment.aws_profile_ref)
+  })
+}
+
+/**
+ * CDN paths affected by changes to a set of storage keys
+ * @param {Array<string>} keys - Uploaded and deleted storage keys
+ * @param {Object} options - { indexDocument }
+ * @returns {Array<string>} - Sorted, de-duplicated paths
+ */
+export function computeInvalidationPaths(keys, { indexDocument = 'index.html' } = {}) {
+  const paths = new Set()
+
+  for (const key of keys) {
+    paths.add(encodeURI(`/${key}`))
+
+    // Directory URLs are served from the index document
+    const segments = key.split('/')
+    if (segments[segments.length - 1] === indexDocument) {
+      const directory = segments.slice(0, -1).join('/')
+      if (directory) {
+        paths.add(encodeURI(`/${directory}`))
+        paths.add(encodeURI(`/${directory}/`))
+      } else {
+        paths.add('/')
+      }
+    }
+  }
+
+  return [...paths].sort()
+}
+
+/**
+ * Drop paths already matched by a wildcard in the same set
+ */
+function withoutCoveredPaths(paths) {
+  const prefixes = paths.filter(p => p.endsWith('*')).map(p => p.slice(0, -1))
+  return [...new Set(paths)]
+    .filter(p => !prefixes.some(prefix => p !== `${prefix}*` && p.startsWith(prefix)))
+    .sort()
+}
+
+/**
+ * Collapse paths into directory wildcards until at most maxPaths remain
+ * Files are first folded into their deepest directory, then into
+ * shallower ones, ending with a single `/*`.
+ */
+export function collapsePaths(paths, maxPaths) {
+  const unique = withoutCoveredPaths(paths)
+  if (unique.length <= maxPaths) {
+    return unique
+  }
+
+  // Number of directory segments in each path ('/a/b/c.html' -> 2)
+  const directoryDepth = (p) => p.split('/').length - 2
+  const maxDepth = Math.max(...unique.map(directoryDepth))
+
+  for (let depth = maxDepth; depth > 0; depth--) {
+    const collapsed = withoutCoveredPaths(unique.map(p => directoryDepth(p) >= depth
+      ? `${p.split('/').slice(0, depth + 1).join('/')}/*`
+      : p
+    ))
+
+    if (collapsed.length <= maxPaths) {
+      return collapsed
+    }
+  }
+
+  return ['/*']
+}
+
+export class CdnInvalidationService {
+  constructor(options = {}) {
+    this.options = options
+    this.store = options.store || deploymentStore
+    this.createProvider = options.createProvider || createInvalidationProvider
+    this.batches = new Map() // distributionId -> batch waiting to be submitted
+    this.providers = new Map() // distributionId -> provider
+    this.polls = new Map() // invalidation id -> poll timer
+  }
+
+  get maxPaths() {
+    return this.options.maxPaths || parseInt(process.env.CDN_INVALIDATION_MAX_PATHS || '15', 10)
+  }
+
+  get coalesceWindowMs() {
+    return this.options.coalesceWindowMs ?? parseInt(process.env.CDN_INVALIDATION_COALESCE_MS || '5000', 10)
+  }
+
+  get pollIntervalMs() {
+    return this.options.pollIntervalMs || parseInt(process.env.CDN_INVALIDATION_POLL_MS || '30000', 10)
+  }
+
+  /**
+   * Queue an invalidation for the keys a deployment changed
+   * @param {Object} deployment - Deployment record
+   * @param {Object} context - { project, config, keys }
+   * @returns {Promise<Object|null>} - The deployment's invalidation, or null
+   *   when the project has no distribution or nothing changed
+   */
+  async request(deployment, { project, config, keys }) {
+    const paths = computeInvalidationPaths(keys, {
+      indexDocument: project.deployment.custom_index || 'index.html'
+    })
+
+    return this.requestPaths({ project, config, paths, target: this.deploymentTarget(deployment.id) })
+  }
+
+  /**
+   * Queue an invalidation of everything under a storage prefix
+   * @param {Object} context - { project, config, prefix, target }
+   */
+  async invalidatePrefix({ project, config, prefix, target }) {
+    const directory = encodeURI(`/${prefix.replace(/\/+$/, '')}`)
+    return this.requestPaths({ project, config, paths: [directory, `${directory}/*`], target })
+  }
+
+  /**
+   * Record a pending invalidation on a target and add it to the
+   * distribution's batch
+   * @param {Object} params.target - { deploymentId?, update(fields, message, level) }
+   */
+  async requestPaths({ project, config, paths, target }) {
+    const distributionId = project.deployment.cloudfront_distribution_id
+    if (!distributionId || paths.length === 0) {
+      return null
+    }
+
+    const provider = this.createProvider(project, config)
+    this.providers.set(distributionId, provider)
+
+    const invalidation = {
+      provider: provider.name,
+      distribution_id: distributionId,
+      id: null,
+      status: 'pending',
+      paths: collapsePaths(paths, this.maxPaths),
+      requested_at: new Date().toISOString()
+    }
+
+    await target.update(invalidation)
+    this.enqueue(distributionId, target, invalidation.paths)
+
+    return invalidation
+  }
+
+  /**
+   * Target that records invalidation state on a deployment
+   */
+  deploymentTarget(deploymentId) {
+    return {
+      deploymentId,
+      update: async (fields, message, level = 'info') => {
+        const deployment = await this.store.get(deploymentId)
+        if (!deployment) {
+          return
+        }
+
+        await this.store.update(deploymentId, { invalidation: { ...deployment.invalidation, ...fields } })
+        if (message) {
+          await this.store.appendLog(deploymentId, { level, message, component: 'cdn' })
+        }
+      }
+    }
+  }
+
+  /**
+   * Add paths to the distribution's pending batch, opening one if needed
+   */
+  enqueue(distributionId, target, paths) {
+    let batch = this.batches.get(distributionId)
+
+    if (!batch) {
+      batch = { distributionId, targets: [], paths: [] }
+      batch.timer = setTimeout(() => this.submit(distributionId), this.coalesceWindowMs)
+      batch.timer.unref?.()
+      this.batches.set(distributionId, batch)
+    }
+
+    batch.targets.push(target)
+    batch.paths.push(...paths)
+  }
+
+  /**
+   * Send a distribution's pending batch to the provider
+   */
+  async submit(distributionId) {
+    const batch = this.batches.get(distributionId)
+    if (!batch) {
+      return
+    }
+
+    clearTimeout(batch.timer)
+    this.batches.delete(distributionId)
+
+    const provider = this.providers.get(distributionId)
+    const paths = collapsePaths(batch.paths, this.maxPaths)
+    const deploymentIds = batch.targets.map(target => target.deploymentId).filter(Boolean)
+    const callerReference = `ix-deploy-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`
+
+    try {
+      const result = await provider.createInvalidation(distributionId, paths, callerReference)
+
+      logger.info(`CDN invalidation ${result.id} created for ${distributionId}`, {
+        paths: paths.length,
+        deployments: deploymentIds
+      })
+
+      await this.updateTargets(batch.targets, {
+        id: result.id,
+        status: result.status,
+        paths,
+        coalesced_deployments: deploymentIds,
+        submitted_at: new Date().toISOString(),
+        ...(result.status === 'completed' && { completed_at: new Date().toISOString() })
+      }, `CDN invalidation ${result.id} created (${paths.length} path(s))`)
+
+      if (result.status !== 'completed') {
+        this.schedulePoll(provider, distributionId, result.id, batch.targets, 1)
+      }
+    } catch (error) {
+      logger.error(`CDN invalidation failed for ${distributionId}:`, { error: error.message })
+
+      await this.updateTargets(batch.targets, {
+        status: 'failed',
+        paths,
+        error: error.message
+      }, `CDN invalidation failed: ${error.message}`, 'warn')
+    }
+  }
+
+  /**
+   * Poll an invalidation until the provider reports it completed
+   */
+  schedulePoll(provider, distributionId, invalidationId, targets, attempt) {
+    if (attempt > MAX_POLL_ATTEMPTS) {
+      logger.warn(`Stopped polling CDN invalidation ${invalidationId}`)
+      return
+    }
+
+    const timer = setTimeout(async () => {
+      this.polls.delete(invalidationId)
+
+      try {
+        const result = await provider.getInvalidation(distributionId, invalidationId)
+        if (result.status === 'completed') {
+          await this.markCompleted(invalidationId, targets)
+          return
+        }
+      } catch (error) {
+        logger.warn(`Failed to poll CDN invalidation ${invalidationId}:`, { error: error.message })
+      }
+
+      this.schedulePoll(provider, distributionId, invalidationId, targets, attempt + 1)
+    }, this.pollIntervalMs)
+
+    timer.unref?.()
+    this.polls.set(invalidationId, timer)
+  }
+
+  async markCompleted(invalidationId, targets) {
+    clearTimeout(this.polls.get(invalidationId))
+    this.polls.delete(invalidationId)
+
+    await this.updateTargets(targets, {
+      status: 'completed',
+      completed_at: new Date().toISOString()
+    }, `CDN invalidation ${invalidationId} completed`)
+  }
+
+  /**
+   * Fetch the current invalidation status for a deployment from the provider
+   * @param {Object} deployment - Deployment record
+   * @param {Object} context - { project, config }, used when no provider is cached
+   * @returns {Promise<Object|null>} - Updated invalidation
+   */
+  async refresh(deployment, context = {}) {
+    const invalidation = deployment.invalidation
+    if (!invalidation) {
+      return null
+    }
+
+    const { distribution_id: distributionId } = invalidation
+
+    let provider = this.providers.get(distributionId)
+    if (!provider && context.project) {
+      provider = this.createProvider(context.project, context.config)
+      this.providers.set(distributionId, provider)
+    }
+
+    // A pending batch lost to a restart is queued again
+    if (invalidation.status === 'pending' && provider && !this.batches.has(distributionId)) {
+      this.enqueue(distributionId, this.deploymentTarget(deployment.id), invalidation.paths)
+      return invalidation
+    }
+
+    if (invalidation.status !== 'in_progress' || !provider) {
+      return invalidation
+    }
+
+    const result = await provider.getInvalidation(distributionId, invalidation.id)
+    if (result.status === 'completed') {
+      const deploymentIds = invalidation.coalesced_deployments || [deployment.id]
+      await this.markCompleted(invalidation.id, deploymentIds.map(id => this.deploymentTarget(id)))
+      return (await this.store.get(deployment.id)).invalidation
+    }
+
+    return invalidation
+  }
+
+  /**
+   * Merge invalidation fields into every target of a batch
+   */
+  async updateTargets(targets, fields, message, level = 'info') {
+    for (const target of targets) {
+      try {
+        await target.update(fields, message, level)
+      } catch (error) {
+        logger.error('Failed to record CDN invalidation:', { deploymentId: target.deploymentId, error: error.message })
+      }
+    }
+  }
+
+  /**
+   * Submit pending batches immediately and stop polling (used on shutdown)
+   */
+  async flush() {
+    for (const distributionId of [...this.batches.keys()]) {
+      await this.submit(distributionId)
+    }
+
+    for (const timer of this.polls.values()) {
+      clearTimeout(timer)
+    }
+    this.polls.clear()
+  }
+}
+
+// Shared invalidation service used by the deployment pipeline
+export const cdnInvalidationService = new CdnInvalidationService()
+
+export default CdnInvalidationService
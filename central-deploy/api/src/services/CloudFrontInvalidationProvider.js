@@ -0,0 +1,73 @@
+/**
+ * CloudFront Invalidation Provider
+ * Creates and polls CloudFront cache invalidations for a distribution
+ */
+
+import {
+  CloudFrontClient,
+  CreateInvalidationCommand,
+  GetInvalidationCommand
+} from '@aws-sdk/client-cloudfront'
+
+/**
+ * Map CloudFront's invalidation status to the API's status names
+ */
+function normalizeStatus(status) {
+  return status === 'Completed' ? 'completed' : 'in_progress'
+}
+
+export class CloudFrontInvalidationProvider {
+  /**
+   * @param {Object} options - { credentials, client }
+   */
+  constructor({ credentials, client } = {}) {
+    this.name = 'cloudfront'
+    this.client = client || new CloudFrontClient({
+      // CloudFront is a global service served from us-east-1
+      region: 'us-east-1',
+      ...(credentials && {
+        credentials: {
+          accessKeyId: credentials.accessKeyId,
+          secretAccessKey: credentials.secretAccessKey
+        }
+      })
+    })
+  }
+
+  /**
+   * Start an invalidation
+   * @returns {Promise<Object>} - { id, status }
+   */
+  async createInvalidation(distributionId, paths, callerReference) {
+    const response = await this.client.send(new CreateInvalidationCommand({
+      DistributionId: distributionId,
+      InvalidationBatch: {
+        CallerReference: callerReference,
+        Paths: { Quantity: paths.length, Items: paths }
+      }
+    }))
+
+    return {
+      id: response.Invalidation.Id,
+      status: normalizeStatus(response.Invalidation.Status)
+    }
+  }
+
+  /**
+   * Current state of an invalidation
+   * @returns {Promise<Object>} - { id, status }
+   */
+  async getInvalidation(distributionId, invalidationId) {
+    const response = await this.client.send(new GetInvalidationCommand({
+      DistributionId: distributionId,
+      Id: invalidationId
+    }))
+
+    return {
+      id: response.Invalidation.Id,
+      status: normalizeStatus(response.Invalidation.Status)
+    }
+  }
+}
+
+export default CloudFrontInvalidationProvider
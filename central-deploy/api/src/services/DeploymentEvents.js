@@ -0,0 +1,174 @@
+/**
+ * Deployment Events
+ * Numbered feed of deployment lifecycle events for real-time clients
+ *
+ * Events are built from the deployment store and queue:
+ *
+ *   deployment.created - a deployment was requested
+ *   deployment.status  - it moved to a new status
+ *   deployment.log     - a log line was recorded
+ *   deployment.queue   - its position in the queue changed
+ *
+ * Every event gets the next sequence number as its `id`. The most recent
+ * WS_REPLAY_BUFFER events are kept in memory so a client that reconnects
+ * can resume after the last ID it saw. Numbering restarts with the
+ * process; `streamId` tells clients when that happened.
+ */
+
+import { EventEmitter } from 'events'
+import crypto from 'crypto'
+import { logger } from '../utils/logger.js'
+import { deploymentStore, TERMINAL_STATUSES } from './DeploymentStore.js'
+import { deploymentQueue } from './DeploymentQueue.js'
+
+export const DEPLOYMENT_EVENTS = ['deployment.created', 'deployment.status', 'deployment.log', 'deployment.queue']
+
+export class DeploymentEvents extends EventEmitter {
+  constructor(options = {}) {
+    super()
+    this.store = options.store || deploymentStore
+    this.queue = options.queue || deploymentQueue
+    this.bufferSizeOverride = options.bufferSize
+    this.streamId = crypto.randomBytes(8).toString('hex')
+    this.lastId = 0
+    this.buffer = []
+    // Project of each active deployment, so log lines can be routed
+    this.projects = new Map()
+    // Last queue position sent per deployment
+    this.positions = new Map()
+    this.attached = false
+  }
+
+  get bufferSize() {
+    if (this.bufferSizeOverride) {
+      return this.bufferSizeOverride
+    }
+    return Math.max(parseInt(process.env.WS_REPLAY_BUFFER || '1000', 10) || 1000, 1)
+  }
+
+  /**
+   * Start listening to the store and queue (idempotent)
+   */
+  attach() {
+    if (this.attached) {
+      return this
+    }
+    this.attached = true
+
+    this.store.on('created', (deployment) => {
+      this.projects.set(deployment.id, deployment.project_id)
+      this.publish('deployment.created', deployment, { deployment })
+    })
+
+    this.store.on('status', (deployment, previousStatus) => {
+      if (TERMINAL_STATUSES.includes(deployment.status)) {
+        this.projects.delete(deployment.id)
+      } else {
+        this.projects.set(deployment.id, deployment.project_id)
+      }
+
+      this.publish('deployment.status', deployment, {
+        status: deployment.status,
+        previous_status: previousStatus,
+        message: deployment.status_history.at(-1)?.message || null,
+        deployment
+      })
+    })
+
+    this.store.on('log', (deploymentId, entry) => {
+      this.publishLog(deploymentId, entry).catch((error) => {
+        logger.warn('Failed to publish deployment log event:', { deploymentId, error: error.message })
+      })
+    })
+
+    this.queue.on('changed', () => this.publishPositions())
+
+    return this
+  }
+
+  async publishLog(deploymentId, entry) {
+    let projectId = this.projects.get(deploymentId)
+
+    // e.g. a line written after the deployment finished
+    if (!projectId) {
+      projectId = (await this.store.get(deploymentId))?.project_id
+    }
+
+    if (projectId) {
+      this.publish('deployment.log', { id: deploymentId, project_id: projectId }, entry)
+    }
+  }
+
+  /**
+   * Emit a queue event for every deployment whose position changed
+   * A deployment that left the queue gets a final `position: null`.
+   */
+  publishPositions() {
+    const current = new Map(this.queue.queued.map((job, index) => [job.deployment.id, {
+      deployment: job.deployment,
+      position: index + 1
+    }]))
+
+    for (const [deploymentId, { deployment, position }] of current) {
+      if (this.positions.get(deploymentId)?.position !== position) {
+        this.publish('deployment.queue', deployment, { position, queued: current.size })
+      }
+    }
+
+    for (const [deploymentId, { deployment }] of this.positions) {
+      if (!current.has(deploymentId)) {
+        this.publish('deployment.queue', deployment, { position: null, queued: current.size })
+      }
+    }
+
+    this.positions = current
+  }
+
+  /**
+   * Number, buffer and emit an event
+   * @param {string} type - One of DEPLOYMENT_EVENTS
+   * @param {Object} deployment - At least { id, project_id }
+   * @param {Object} data - Event payload
+   */
+  publish(type, deployment, data) {
+    const event = {
+      id: ++this.lastId,
+      type,
+      project_id: deployment.project_id,
+      deployment_id: deployment.id,
+      data,
+      timestamp: new Date().toISOString()
+    }
+
+    this.buffer.push(event)
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.splice(0, this.buffer.length - this.bufferSize)
+    }
+
+    this.emit('event', event)
+    return event
+  }
+
+  /**
+   * Buffered events after an ID
+   * @returns {Array<Object>|null} - null when events after `lastId` are no
+   *   longer (or were never) buffered by this process
+   */
+  since(lastId) {
+    if (!Number.isInteger(lastId) || lastId < 0 || lastId > this.lastId) {
+      return null
+    }
+
+    const oldest = this.buffer[0]?.id ?? this.lastId + 1
+    if (lastId < oldest - 1) {
+      return null
+    }
+
+    return this.buffer.filter(event => event.id > lastId)
+  }
+}
+
+// Shared event feed used by the API
+export const deploymentEvents = new DeploymentEvents()
+
+export default DeploymentEvents
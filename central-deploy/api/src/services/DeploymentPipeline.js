@@ -0,0 +1,254 @@
+/**
+ * Deployment Pipeline
+ * Drives a deployment record through its lifecycle: build, upload, complete
+ * Rollback deployments restore an archived release instead of building.
+ */
+
+import { logger } from '../utils/logger.js'
+import { deploymentStore } from './DeploymentStore.js'
+import { BuildExecutor } from './BuildExecutor.js'
+import { BuildError } from '../utils/errors.js'
+import { resolveDeployTarget } from '../utils/branches.js'
+import { StoragePublisher, createStorageBackend, writePreviewRobotsTxt } from './StoragePublisher.js'
+import { cdnInvalidationService } from './CdnInvalidationService.js'
+import { releaseStore } from './ReleaseStore.js'
+import { previewStore } from './PreviewStore.js'
+
+/**
+ * Stop between stages when the deployment has been cancelled
+ */
+function throwIfCancelled(signal, phase) {
+  if (signal?.aborted) {
+    throw new BuildError('Deployment cancelled', phase, { cancelled: true })
+  }
+}
+
+export class DeploymentPipeline {
+  constructor(options = {}) {
+    this.store = options.store || deploymentStore
+    this.builder = options.builder || new BuildExecutor()
+    this.createBackend = options.createBackend || createStorageBackend
+    this.invalidator = options.invalidator || cdnInvalidationService
+    this.releases = options.releases || releaseStore
+    this.previews = options.previews || previewStore
+  }
+
+  /**
+   * Run a pending deployment to completion
+   * @param {Object} deployment - Pending deployment record
+   * @param {Object} context - { project, config, signal }
+   * @returns {Promise<Object>} - Final deployment record
+   */
+  async run(deployment, { project, config, signal } = {}) {
+    const log = (entry) => this.store.appendLog(deployment.id, entry).catch((error) => {
+      logger.error('Failed to append deployment log:', { deploymentId: deployment.id, error: error.message })
+    })
+
+    let buildResult = null
+
+    try {
+      if (deployment.rollback) {
+        buildResult = await this.restore(deployment, { log })
+      } else {
+        await this.store.transition(deployment.id, 'building', { message: 'Build started' })
+        await log({ level: 'info', message: `Deployment started for ${project.id} (${deployment.branch})`, component: 'deployment' })
+
+        buildResult = await this.builder.run({ project, deployment, config, signal, onLog: log })
+        deployment = await this.store.update(deployment.id, { commit: buildResult.commit, cache: buildResult.cache })
+
+        throwIfCancelled(signal, 'build')
+        await this.store.transition(deployment.id, 'uploading', { message: 'Build completed' })
+      }
+
+      throwIfCancelled(signal, 'upload')
+      const published = await this.upload(deployment, { project, config, outputDir: buildResult.outputDir, signal, log })
+
+      // Past this point the new content is live, so the deployment completes
+      if (signal?.aborted) {
+        await log({ level: 'warn', message: 'Cancellation requested after the files were published; completing the deployment', component: 'deployment' })
+      }
+
+      const release = deployment.rollback
+        ? deployment.rollback.release
+        : await this.archive(deployment, { ...buildResult, files: published.files, log })
+
+      // Logged first so the line precedes the terminal status for log streams
+      await log({ level: 'info', message: 'Deployment completed', component: 'deployment' })
+      return await this.store.transition(deployment.id, 'completed', {
+        message: 'Deployment completed',
+        release
+      })
+    } catch (error) {
+      return this.fail(deployment.id, error, log)
+    } finally {
+      if (buildResult) {
+        const cleanup = deployment.rollback ? this.releases.cleanup(buildResult.workspace) : this.builder.cleanup(buildResult.workspace)
+        await cleanup.catch(() => {})
+      }
+    }
+  }
+
+  /**
+   * Unpack the release a rollback deployment republishes
+   */
+  async restore(deployment, { log }) {
+    const { release } = deployment.rollback
+
+    await this.store.transition(deployment.id, 'uploading', { message: `Restoring release ${release.id}` })
+    await log({
+      level: 'info',
+      message: `Rolling back ${deployment.project_id} (${deployment.branch}) to release ${release.id}${release.commit ? ` (${release.commit.slice(0, 7)})` : ''}`,
+      component: 'rollback'
+    })
+
+    try {
+      return await this.releases.extract(release, deployment.id)
+    } catch (error) {
+      throw new BuildError(error.message, 'rollback')
+    }
+  }
+
+  /**
+   * Archive the published files as an immutable release
+   * Failures are logged; the deployment itself succeeded.
+   */
+  async archive(deployment, { outputDir, files, settings, log }) {
+    try {
+      const release = await this.releases.archive(deployment, { sourceDir: outputDir, files, settings })
+      await log({
+        level: 'info',
+        message: `Archived release of ${release.file_count} file(s) to ${release.storage} storage (${release.bytes} bytes)`,
+        component: 'release'
+      })
+      return release
+    } catch (error) {
+      await log({ level: 'warn', message: `Release not archived; this deployment cannot be rolled back to: ${error.message}`, component: 'release' })
+      return null
+    }
+  }
+
+  /**
+   * Publish the build output under the branch prefix
+   * Cancelling stops the upload between objects.
+   */
+  async upload(deployment, { project, config, outputDir, signal, log }) {
+    const target = resolveDeployTarget(project, deployment.branch)
+    const includeRobotsTxt = project.deployment.include_robots_txt ?? config.defaults?.include_robots_txt ?? true
+
+    if (!target.isProduction && includeRobotsTxt) {
+      await writePreviewRobotsTxt(outputDir, deployment.branch)
+      await log({ level: 'info', message: 'Added noindex robots.txt for branch preview', component: 'upload' })
+    }
+
+    const backend = this.createBackend(project, config)
+    const publisher = new StoragePublisher(backend)
+
+    await log({ level: 'info', message: `Publishing to ${backend.name}://${backend.bucket}/${target.prefix}`, component: 'upload' })
+
+    const result = await publisher.publish({
+      sourceDir: outputDir,
+      prefix: target.prefix,
+      excludePatterns: project.build?.exclude_patterns || [],
+      // Root deploys must not wipe the prefixes of branch previews
+      preservePrefixes: target.isProduction ? await this.previewPrefixes(project) : [],
+      onProgress: message => log({ level: 'info', message, component: 'upload' }),
+      signal
+    })
+
+    await log({
+      level: 'info',
+      message: `Uploaded ${result.uploaded.length} file(s) (${result.bytes} bytes), deleted ${result.deleted.length}`,
+      component: 'upload'
+    })
+
+    await this.store.update(deployment.id, {
+      url: target.url,
+      upload: {
+        backend: result.backend,
+        bucket: result.bucket,
+        prefix: result.prefix,
+        uploaded_count: result.uploaded.length,
+        deleted_count: result.deleted.length,
+        unchanged_count: result.unchanged,
+        bytes: result.bytes
+      }
+    })
+
+    await this.invalidate(deployment, { project, config, result, log })
+
+    return result
+  }
+
+  /**
+   * Request a CDN invalidation for the published changes
+   * Failures are logged; the files are already live at the origin.
+   */
+  async invalidate(deployment, { project, config, result, log }) {
+    try {
+      const invalidation = await this.invalidator.request(deployment, {
+        project,
+        config,
+        keys: [...result.uploaded, ...result.deleted]
+      })
+
+      if (invalidation) {
+        await log({
+          level: 'info',
+          message: `Queued CDN invalidation of ${invalidation.paths.length} path(s): ${invalidation.paths.join(', ')}`,
+          component: 'cdn'
+        })
+      }
+    } catch (error) {
+      await log({ level: 'warn', message: `CDN invalidation not requested: ${error.message}`, component: 'cdn' })
+    }
+  }
+
+  /**
+   * Storage prefixes a root deploy of a project must keep: those of branches
+   * deployed before, of deployments still queued or running (which have not
+   * recorded their upload yet) and of open pull-request previews
+   */
+  async previewPrefixes(project) {
+    const [{ deployments }, active, open] = await Promise.all([
+      this.store.list({ projectId: project.id, status: 'completed' }, { limit: Number.MAX_SAFE_INTEGER }),
+      this.store.findActive(project.id),
+      this.previews.openPrefixes(project.id)
+    ])
+
+    const prefixes = [...deployments, ...active]
+      .map(d => d.upload?.prefix ?? resolveDeployTarget(project, d.branch).prefix)
+
+    // The root prefix ('') would keep every object
+    return [...new Set([...prefixes, ...open])].filter(Boolean)
+  }
+
+  /**
+   * Record a failed or cancelled deployment
+   */
+  async fail(deploymentId, error, log) {
+    const status = error.cancelled ? 'cancelled' : 'failed'
+
+    await log({ level: 'error', message: error.message, component: error.phase || 'deployment' })
+    logger.warn(`Deployment ${status}: ${deploymentId}`, { error: error.message })
+
+    try {
+      return await this.store.transition(deploymentId, status, {
+        message: error.message,
+        error: {
+          message: error.message,
+          phase: error.phase || null,
+          timed_out: error.timedOut || false
+        }
+      })
+    } catch (transitionError) {
+      // Deployment was already finalized elsewhere (e.g. cancelled)
+      logger.warn('Could not finalize deployment:', { deploymentId, error: transitionError.message })
+      return this.store.get(deploymentId)
+    }
+  }
+}
+
+// Shared pipeline used by the API
+export const deploymentPipeline = new DeploymentPipeline()
+
+export default DeploymentPipeline
@@ -0,0 +1,212 @@
+/**
+ * Deployment Queue
+ * In-process scheduler for deployment jobs
+ *
+ * - Global concurrency is capped by MAX_CONCURRENT_BUILDS
+ *   (1 when FEATURE_PARALLEL_DEPLOYMENTS=false)
+ * - At most one running deployment per project/environment
+ * - A newer request for the same project and branch supersedes a queued one
+ * - Queued and running deployments can be cancelled
+ */
+
+import { EventEmitter } from 'events'
+import { logger } from '../utils/logger.js'
+import { deploymentStore, TERMINAL_STATUSES } from './DeploymentStore.js'
+import { deploymentPipeline } from './DeploymentPipeline.js'
+
+export class DeploymentQueue extends EventEmitter {
+  constructor(options = {}) {
+    super()
+    this.store = options.store || deploymentStore
+    this.pipeline = options.pipeline || deploymentPipeline
+    this.maxConcurrentOverride = options.maxConcurrent
+    this.queued = []
+    this.running = new Map()
+  }
+
+  get maxConcurrent() {
+    if (this.maxConcurrentOverride) {
+      return this.maxConcurrentOverride
+    }
+    if (process.env.FEATURE_PARALLEL_DEPLOYMENTS === 'false') {
+      return 1
+    }
+    return Math.max(parseInt(process.env.MAX_CONCURRENT_BUILDS || '3', 10) || 1, 1)
+  }
+
+  /**
+   * Add a pending deployment to the queue
+   * @param {Object} deployment - Pending deployment record
+   * @param {Object} context - { project, config } passed to the pipeline
+   * @returns {Promise<Object>} - The deployment with its queue position
+   */
+  async enqueue(deployment, context) {
+    const superseded = this.queued.filter(job =>
+      job.deployment.project_id === deployment.project_id &&
+      job.deployment.branch === deployment.branch &&
+      job.deployment.environment === deployment.environment
+    )
+
+    for (const job of superseded) {
+      this.queued = this.queued.filter(queuedJob => queuedJob !== job)
+      await this.finalize(job.deployment.id, 'cancelled', `Superseded by ${deployment.id}`, {
+        superseded_by: deployment.id
+      })
+    }
+
+    this.queued.push({ deployment, context, controller: new AbortController() })
+    logger.info('Deployment queued:', { deploymentId: deployment.id, position: this.getPosition(deployment.id) })
+
+    this.schedule()
+    this.emit('changed')
+    return this.decorate(deployment)
+  }
+
+  /**
+   * Start as many eligible jobs as the concurrency limits allow
+   */
+  schedule() {
+    while (this.running.size < this.maxConcurrent) {
+      const job = this.queued.find(candidate => !this.isLaneBusy(candidate.deployment))
+      if (!job) {
+        break
+      }
+
+      this.queued = this.queued.filter(queuedJob => queuedJob !== job)
+      this.start(job)
+    }
+  }
+
+  isLaneBusy(deployment) {
+    for (const job of this.running.values()) {
+      if (job.deployment.project_id === deployment.project_id &&
+          job.deployment.environment === deployment.environment) {
+        return true
+      }
+    }
+    return false
+  }
+
+  start(job) {
+    const { deployment, context, controller } = job
+    this.running.set(deployment.id, job)
+
+    job.done = this.pipeline.run(deployment, { ...context, signal: controller.signal })
+      .catch((error) => {
+        logger.error('Deployment pipeline error:', { deploymentId: deployment.id, error: error.message })
+      })
+      .finally(() => {
+        this.running.delete(deployment.id)
+        this.schedule()
+        this.emit('changed')
+      })
+  }
+
+  /**
+   * Cancel a queued or running deployment
+   * @returns {Promise<Object>} - Service-style result
+   */
+  async cancel(deploymentId, reason = 'Cancelled by user') {
+    const queuedJob = this.queued.find(job => job.deployment.id === deploymentId)
+    if (queuedJob) {
+      this.queued = this.queued.filter(job => job !== queuedJob)
+      const deployment = await this.finalize(deploymentId, 'cancelled', reason)
+      this.emit('changed')
+      return { success: true, data: deployment }
+    }
+
+    const runningJob = this.running.get(deploymentId)
+    if (runningJob) {
+      logger.info('Cancelling running deployment:', { deploymentId })
+      runningJob.controller.abort(reason)
+      return { success: true, data: await this.store.get(deploymentId) }
+    }
+
+    const deployment = await this.store.get(deploymentId)
+    if (!deployment) {
+      return {
+        success: false,
+        error: 'Deployment Not Found',
+        message: `Deployment with ID '${deploymentId}' does not exist`,
+        statusCode: 404
+      }
+    }
+
+    if (TERMINAL_STATUSES.includes(deployment.status)) {
+      return {
+        success: false,
+        error: 'Conflict',
+        message: `Deployment is already ${deployment.status}`,
+        statusCode: 409
+      }
+    }
+
+    // Active in the store but unknown to this process (e.g. after a restart)
+    return { success: true, data: await this.finalize(deploymentId, 'cancelled', reason) }
+  }
+
+  /**
+   * Resolve once a running deployment's pipeline has finished
+   */
+  async settled(deploymentId) {
+    await this.running.get(deploymentId)?.done
+  }
+
+  /**
+   * Mark deployments left active by a previous process as failed
+   */
+  async recoverInterrupted() {
+    const active = await this.store.findActive()
+    const orphaned = active.filter(d =>
+      !this.running.has(d.id) && !this.queued.some(job => job.deployment.id === d.id)
+    )
+
+    for (const deployment of orphaned) {
+      await this.finalize(deployment.id, 'failed', 'Interrupted by API server restart')
+    }
+
+    if (orphaned.length > 0) {
+      logger.warn(`Marked ${orphaned.length} interrupted deployment(s) as failed`)
+    }
+  }
+
+  async finalize(deploymentId, status, message, fields = {}) {
+    await this.store.appendLog(deploymentId, { level: 'warn', message, component: 'queue' })
+    return this.store.transition(deploymentId, status, {
+      message,
+      ...(status === 'failed' && { error: { message, phase: 'queue', timed_out: false } }),
+      ...fields
+    })
+  }
+
+  /**
+   * 1-based position of a queued deployment, or null if not queued
+   */
+  getPosition(deploymentId) {
+    const index = this.queued.findIndex(job => job.deployment.id === deploymentId)
+    return index === -1 ? null : index + 1
+  }
+
+  /**
+   * Add the current queue position to a deployment record
+   */
+  decorate(deployment) {
+    return deployment && {
+      ...deployment,
+      queue_position: this.getPosition(deployment.id)
+    }
+  }
+
+  getStats() {
+    return {
+      running: this.running.size,
+      queued: this.queued.length,
+      max_concurrent: this.maxConcurrent
+    }
+  }
+}
+
+// Shared queue used by the API
+export const deploymentQueue = new DeploymentQueue()
+
+export default DeploymentQueue
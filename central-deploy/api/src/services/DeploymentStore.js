@@ -0,0 +1,327 @@
+/**
+ * Deployment Store
+ * Persistent, file-backed deployment records and build logs
+ *
+ * Records live in DATA_PATH/deployments.json; log lines are appended as
+ * newline-delimited JSON to DATA_PATH/deployment-logs/<deployment-id>.ndjson.
+ *
+ * Events:
+ *   'created' (deployment)
+ *   'status'  (deployment, previousStatus)
+ *   'updated' (deployment)
+ *   'log'     (deploymentId, entry)
+ */
+
+import { EventEmitter } from 'events'
+import { promises as fs } from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { dataPath, withLock, JsonFileStore } from '../utils/fileStore.js'
+import { redactSecrets } from '../utils/redaction.js'
+
+export const DEPLOYMENT_STATUSES = ['pending', 'building', 'uploading', 'completed', 'failed', 'cancelled']
+export const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled']
+
+// Allowed status transitions
+const TRANSITIONS = {
+  // Rollbacks skip the build and go straight to uploading
+  pending: ['building', 'uploading', 'failed', 'cancelled'],
+  building: ['uploading', 'failed', 'cancelled'],
+  uploading: ['completed', 'failed', 'cancelled'],
+  completed: [],
+  failed: [],
+  cancelled: []
+}
+
+export const LOG_LEVELS = ['error', 'warn', 'info', 'debug']
+
+export class DeploymentStore extends EventEmitter {
+  constructor(options = {}) {
+    super()
+    this.store = new JsonFileStore(options.filePath || (() => dataPath('deployments.json')), { deployments: [] })
+    this.logsDir = options.logsDir || (() => dataPath('deployment-logs'))
+    // Next log sequence number per deployment, loaded lazily from disk
+    this.logSequences = new Map()
+  }
+
+  /**
+   * Create a new pending deployment record
+   */
+  async create(data) {
+    const now = new Date().toISOString()
+    const deployment = {
+      id: `dep-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+      project_id: data.projectId,
+      branch: data.branch,
+      environment: data.environment,
+      commit: data.commit || null,
+      status: 'pending',
+      trigger_source: data.triggerSource || 'api',
+      triggered_by: data.triggeredBy || 'api',
+      triggered_at: data.triggeredAt || now,
+      created_at: now,
+      updated_at: now,
+      started_at: null,
+      completed_at: null,
+      duration: null,
+      error: null,
+      status_history: [{ status: 'pending', timestamp: now }],
+      ...(data.rollback && { rollback: data.rollback }),
+      ...(data.metadata && { metadata: data.metadata })
+    }
+
+    await this.store.update((document) => {
+      document.deployments.push(deployment)
+    })
+
+    this.emit('created', deployment)
+    return deployment
+  }
+
+  /**
+   * Get a deployment by ID
+   */
+  async get(deploymentId) {
+    const { deployments } = await this.store.read()
+    return deployments.find(d => d.id === deploymentId) || null
+  }
+
+  /**
+   * List deployments with filtering, sorting and pagination
+   */
+  async list(filters = {}, options = {}) {
+    const { deployments: all } = await this.store.read()
+    let deployments = all
+
+    if (filters.projectId) {
+      deployments = deployments.filter(d => d.project_id === filters.projectId)
+    }
+    if (filters.status) {
+      const statuses = filters.status.split(',')
+      deployments = deployments.filter(d => statuses.includes(d.status))
+    }
+    if (filters.environment) {
+      deployments = deployments.filter(d => d.environment === filters.environment)
+    }
+    if (filters.branch) {
+      deployments = deployments.filter(d => d.branch === filters.branch)
+    }
+    if (filters.visible) {
+      deployments = deployments.filter(filters.visible)
+    }
+
+    // Apply sorting
+    const { sort = 'created_at', order = 'desc' } = options
+    deployments.sort((a, b) => {
+      let aValue = a[sort] ?? ''
+      let bValue = b[sort] ?? ''
+
+      if (sort.endsWith('_at')) {
+        aValue = new Date(aValue || 0).getTime()
+        bValue = new Date(bValue || 0).getTime()
+      } else if (typeof aValue !== 'number' || typeof bValue !== 'number') {
+        aValue = aValue.toString().toLowerCase()
+        bValue = bValue.toString().toLowerCase()
+      }
+
+      if (aValue === bValue) {
+        return 0
+      }
+      if (order === 'desc') {
+        return aValue < bValue ? 1 : -1
+      } else {
+        return aValue > bValue ? 1 : -1
+      }
+    })
+
+    // Apply pagination
+    const { page = 1, limit = 20 } = options
+    const startIndex = (page - 1) * limit
+
+    return {
+      deployments: deployments.slice(startIndex, startIndex + limit),
+      page,
+      limit,
+      total: deployments.length,
+      pages: Math.ceil(deployments.length / limit)
+    }
+  }
+
+  /**
+   * Find non-terminal deployments, optionally for one project
+   */
+  async findActive(projectId) {
+    const { deployments } = await this.store.read()
+    return deployments.filter(d =>
+      !TERMINAL_STATUSES.includes(d.status) && (!projectId || d.project_id === projectId)
+    )
+  }
+
+  /**
+   * Move a deployment to a new status
+   * @param {string} deploymentId - Deployment ID
+   * @param {string} status - Target status
+   * @param {Object} details - { message, error, ...extra fields to store }
+   */
+  async transition(deploymentId, status, details = {}) {
+    const { message, ...fields } = details
+    let previousStatus = null
+
+    const deployment = await this.store.update((document) => {
+      const record = document.deployments.find(d => d.id === deploymentId)
+
+      if (!record) {
+        throw new Error(`Deployment '${deploymentId}' not found`)
+      }
+      if (!TRANSITIONS[record.status]?.includes(status)) {
+        throw new Error(`Invalid deployment status transition: ${record.status} -> ${status}`)
+      }
+
+      const now = new Date().toISOString()
+      previousStatus = record.status
+
+      Object.assign(record, fields)
+      record.status = status
+      record.updated_at = now
+      record.status_history.push({ status, timestamp: now, ...(message && { message }) })
+
+      if ((status === 'building' || status === 'uploading') && !record.started_at) {
+        record.started_at = now
+      }
+      if (TERMINAL_STATUSES.includes(status)) {
+        record.completed_at = now
+        record.duration = new Date(now).getTime() - new Date(record.started_at || record.created_at).getTime()
+      }
+
+      return { ...record }
+    })
+
+    this.emit('status', deployment, previousStatus)
+    return deployment
+  }
+
+  /**
+   * Update non-status fields of a deployment
+   */
+  async update(deploymentId, fields) {
+    const deployment = await this.store.update((document) => {
+      const record = document.deployments.find(d => d.id === deploymentId)
+
+      if (!record) {
+        throw new Error(`Deployment '${deploymentId}' not found`)
+      }
+
+      const { status, id, ...rest } = fields
+      Object.assign(record, rest, { updated_at: new Date().toISOString() })
+      return { ...record }
+    })
+
+    this.emit('updated', deployment)
+    return deployment
+  }
+
+  /**
+   * Update non-status fields of many deployments in one write
+   * @param {Function} change - Called with each deployment; returns the
+   *   fields to set, or null to leave the deployment as it is
+   * @returns {Promise<Array>} - Updated deployments
+   */
+  async updateEach(change) {
+    const updated = await this.store.update((document) => {
+      const now = new Date().toISOString()
+      const changed = []
+
+      for (const record of document.deployments) {
+        const fields = change({ ...record })
+        if (fields) {
+          const { status, id, ...rest } = fields
+          Object.assign(record, rest, { updated_at: now })
+          changed.push({ ...record })
+        }
+      }
+
+      return changed
+    })
+
+    updated.forEach(deployment => this.emit('updated', deployment))
+    return updated
+  }
+
+  logFilePath(deploymentId) {
+    const dir = typeof this.logsDir === 'function' ? this.logsDir() : this.logsDir
+    return path.join(dir, `${deploymentId}.ndjson`)
+  }
+
+  /**
+   * Append a log line to a deployment
+   * @param {string} deploymentId - Deployment ID
+   * @param {Object} entry - { level, message, component }
+   * @returns {Object} - Stored entry including its sequence number
+   */
+  async appendLog(deploymentId, entry) {
+    const filePath = this.logFilePath(deploymentId)
+
+    const stored = await withLock(filePath, async () => {
+      if (!this.logSequences.has(deploymentId)) {
+        const existing = await this.readLogFile(deploymentId)
+        this.logSequences.set(deploymentId, existing.length + 1)
+      }
+
+      const seq = this.logSequences.get(deploymentId)
+      const line = {
+        seq,
+        timestamp: new Date().toISOString(),
+        level: LOG_LEVELS.includes(entry.level) ? entry.level : 'info',
+        message: redactSecrets(entry.message),
+        ...(entry.component && { component: entry.component })
+      }
+
+      await fs.mkdir(path.dirname(filePath), { recursive: true })
+      await fs.appendFile(filePath, JSON.stringify(line) + '\n', 'utf8')
+      this.logSequences.set(deploymentId, seq + 1)
+      return line
+    })
+
+    this.emit('log', deploymentId, stored)
+    return stored
+  }
+
+  /**
+   * Read deployment log lines
+   * @param {string} deploymentId - Deployment ID
+   * @param {Object} options - { after: seq, level: minimum level, limit }
+   */
+  async getLogs(deploymentId, options = {}) {
+    let logs = await this.readLogFile(deploymentId)
+
+    if (options.after) {
+      logs = logs.filter(line => line.seq > options.after)
+    }
+    if (options.level && LOG_LEVELS.includes(options.level)) {
+      const maxLevel = LOG_LEVELS.indexOf(options.level)
+      logs = logs.filter(line => LOG_LEVELS.indexOf(line.level) <= maxLevel)
+    }
+    if (options.limit) {
+      logs = logs.slice(-options.limit)
+    }
+
+    return logs
+  }
+
+  async readLogFile(deploymentId) {
+    try {
+      const content = await fs.readFile(this.logFilePath(deploymentId), 'utf8')
+      return content.split('\n').filter(Boolean).map(line => JSON.parse(line))
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return []
+      }
+      throw error
+    }
+  }
+}
+
+// Shared store used by routes and services
+export const deploymentStore = new DeploymentStore()
+
+export default DeploymentStore
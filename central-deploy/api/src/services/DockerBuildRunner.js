@@ -0,0 +1,230 @@
+/**
+ * Docker Build Runner
+ * Runs build commands inside an isolated container selected from the
+ * project's node_version and package_manager
+ *
+ * The checked-out workspace is copied into the container, commands run via
+ * `docker exec`, and the build directory is copied back to the workspace.
+ * The container only sees the project's declared environment variables.
+ */
+
+import Docker from 'dockerode'
+import { promises as fs } from 'fs'
+import path from 'path'
+import readline from 'readline'
+import { PassThrough } from 'stream'
+import { pipeline } from 'stream/promises'
+import tar from 'tar'
+import { BuildError } from '../utils/errors.js'
+
+const CONTAINER_WORKDIR = '/workspace'
+
+/**
+ * Parse a memory limit such as "2g" or "512m" into bytes
+ */
+function parseMemory(value) {
+  const match = /^(\d+(?:\.\d+)?)([kmg]?)b?$/i.exec(String(value || '').trim())
+  if (!match) {
+    return 0
+  }
+
+  const units = { '': 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 }
+  return Math.round(parseFloat(match[1]) * units[match[2].toLowerCase()])
+}
+
+/**
+ * Build the container image name for a project
+ * DOCKER_BUILD_IMAGE may use {node_version} as a placeholder
+ */
+export function resolveBuildImage(settings) {
+  const template = process.env.DOCKER_BUILD_IMAGE || 'node:{node_version}-bookworm-slim'
+  const nodeVersion = String(settings.nodeVersion || '18').replace(/^v/, '').replace(/[^0-9a-z.-]/gi, '')
+  return template.replace('{node_version}', nodeVersion)
+}
+
+export class DockerBuildRunner {
+  constructor({ workspace, settings, log, deploymentId, docker }) {
+    this.workspace = workspace
+    this.settings = settings
+    this.log = log
+    this.deploymentId = deploymentId
+    this.docker = docker || new Docker() // honors DOCKER_HOST
+    this.container = null
+    this.stagingFile = null
+  }
+
+  get image() {
+    return resolveBuildImage(this.settings)
+  }
+
+  /**
+   * Pull the image if needed, start the container and copy the workspace in
+   */
+  async prepare({ signal }) {
+    await this.ensureImage()
+
+    this.container = await this.docker.createContainer({
+      Image: this.image,
+      Cmd: ['tail', '-f', '/dev/null'],
+      WorkingDir: CONTAINER_WORKDIR,
+      Env: Object.entries(this.environment()).map(([name, value]) => `${name}=${value}`),
+      Labels: { 'ix-deploy.deployment': this.deploymentId },
+      HostConfig: {
+        Memory: parseMemory(process.env.DOCKER_BUILD_MEMORY || '2g'),
+        NanoCpus: Math.round(parseFloat(process.env.DOCKER_BUILD_CPUS || '2') * 1e9),
+        PidsLimit: 1024,
+        SecurityOpt: ['no-new-privileges']
+      }
+    })
+
+    await this.container.start()
+    this.log('info', `Started build container ${this.container.id.slice(0, 12)} (${this.image})`, 'docker')
+
+    if (signal.aborted) {
+      return
+    }
+
+    // Stage the workspace as a tarball in DOCKER_BUILD_CONTEXT
+    const contextDir = process.env.DOCKER_BUILD_CONTEXT || '/tmp/docker-builds'
+    await fs.mkdir(contextDir, { recursive: true })
+    this.stagingFile = path.join(contextDir, `${this.deploymentId}.tar`)
+
+    await tar.c({ cwd: this.workspace, file: this.stagingFile, portable: true }, ['.'])
+    await this.container.putArchive(this.stagingFile, { path: CONTAINER_WORKDIR })
+  }
+
+  async ensureImage() {
+    try {
+      await this.docker.getImage(this.image).inspect()
+      return
+    } catch (error) {
+      if (error.statusCode !== 404) {
+        throw new BuildError(`Docker is not available: ${error.message}`, 'docker')
+      }
+    }
+
+    this.log('info', `Pulling image ${this.image}`, 'docker')
+
+    const stream = await this.docker.pull(this.image)
+    await new Promise((resolve, reject) => {
+      this.docker.modem.followProgress(stream, (error) => error
+        ? reject(new BuildError(`Failed to pull ${this.image}: ${error.message}`, 'docker'))
+        : resolve())
+    })
+  }
+
+  /**
+   * Only the project's declared variables are visible in the container
+   */
+  environment() {
+    return {
+      CI: 'true',
+      ...this.settings.environmentVariables
+    }
+  }
+
+  /**
+   * Run a command in the container, streaming its output line by line
+   */
+  async run(phase, command, { signal }) {
+    const script = this.settings.packageManager === 'pnpm'
+      ? `corepack enable >/dev/null 2>&1; ${command}`
+      : command
+
+    const exec = await this.container.exec({
+      Cmd: ['sh', '-c', script],
+      AttachStdout: true,
+      AttachStderr: true,
+      WorkingDir: CONTAINER_WORKDIR
+    })
+
+    const stream = await exec.start({ hijack: true, stdin: false })
+    const stdout = new PassThrough()
+    const stderr = new PassThrough()
+    this.docker.modem.demuxStream(stream, stdout, stderr)
+
+    const streams = [
+      readline.createInterface({ input: stdout, crlfDelay: Infinity }),
+      readline.createInterface({ input: stderr, crlfDelay: Infinity })
+    ]
+    streams[0].on('line', line => this.log('info', line, phase))
+    streams[1].on('line', line => this.log('warn', line, phase))
+    const streamsClosed = Promise.all(streams.map(s => new Promise(resolve => s.once('close', resolve))))
+
+    // Killing the container ends the exec stream
+    const stop = () => this.container.kill().catch(() => {})
+    signal.addEventListener('abort', stop, { once: true })
+
+    try {
+      await new Promise((resolve, reject) => {
+        stream.once('end', resolve)
+        stream.once('close', resolve)
+        stream.once('error', reject)
+      })
+    } finally {
+      signal.removeEventListener('abort', stop)
+      stdout.end()
+      stderr.end()
+      await streamsClosed
+    }
+
+    if (signal.aborted) {
+      throw new BuildError(`${phase} aborted`, phase)
+    }
+
+    const { ExitCode: exitCode } = await exec.inspect()
+    if (exitCode !== 0) {
+      throw new BuildError(`${phase} command failed with exit code ${exitCode}`, phase, { exitCode })
+    }
+  }
+
+  /**
+   * Copy a directory from the container back to the workspace
+   * @param {string} hostPath - Absolute path of the directory inside the
+   *   workspace (see BuildExecutor.resolveOutputDir)
+   */
+  async collectOutput(hostPath) {
+    const relative = path.relative(this.workspace, hostPath)
+    if (relative === '..' || relative.startsWith('..' + path.sep) || path.isAbsolute(relative)) {
+      throw new BuildError(`Refusing to copy build output to ${hostPath}, outside the workspace`, 'verify')
+    }
+
+    const buildDir = relative.split(path.sep).join('/') || '.'
+
+    let archive
+    try {
+      archive = await this.container.getArchive({
+        path: buildDir === '.' ? CONTAINER_WORKDIR : path.posix.join(CONTAINER_WORKDIR, buildDir)
+      })
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return // verified (and reported) by the executor
+      }
+      throw new BuildError(`Failed to copy build output: ${error.message}`, 'verify')
+    }
+
+    if (buildDir === '.') {
+      await pipeline(archive, tar.x({ cwd: this.workspace, strip: 1 }))
+    } else {
+      await fs.rm(hostPath, { recursive: true, force: true })
+      await fs.mkdir(path.dirname(hostPath), { recursive: true })
+      await pipeline(archive, tar.x({ cwd: path.dirname(hostPath) }))
+    }
+
+    this.log('info', `Copied ${buildDir} from build container`, 'docker')
+  }
+
+  /**
+   * Remove the container and staged workspace archive
+   */
+  async dispose() {
+    if (this.container) {
+      await this.container.remove({ force: true }).catch(() => {})
+    }
+    if (this.stagingFile) {
+      await fs.rm(this.stagingFile, { force: true })
+    }
+  }
+}
+
+export default DockerBuildRunner
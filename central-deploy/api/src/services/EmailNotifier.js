@@ -0,0 +1,72 @@
+/**
+ * Email Notifier
+ * Sends notification emails through the SMTP server in SMTP_*
+ */
+
+import nodemailer from 'nodemailer'
+import { DeliveryError } from '../utils/errors.js'
+
+export class EmailNotifier {
+  constructor(options = {}) {
+    this.transportOverride = options.transport || null
+  }
+
+  get configured() {
+    return Boolean(this.transportOverride || process.env.SMTP_HOST)
+  }
+
+  get from() {
+    return process.env.NOTIFICATION_EMAIL_FROM || process.env.SMTP_USER || 'ix-deploy@localhost'
+  }
+
+  // Created on use so values loaded by dotenv after import are honored
+  createTransport() {
+    if (this.transportOverride) {
+      return this.transportOverride
+    }
+
+    const port = parseInt(process.env.SMTP_PORT || '587', 10)
+
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      ...(process.env.SMTP_USER && {
+        auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      }),
+      connectionTimeout: 10000,
+      socketTimeout: 20000
+    })
+  }
+
+  /**
+   * Send a message
+   * @param {Array<string>} recipients - Email addresses
+   * @param {Object} message - { subject, text }
+   * @throws {DeliveryError}
+   */
+  async send(recipients, message) {
+    if (!this.configured) {
+      throw new DeliveryError('SMTP is not configured (set SMTP_HOST)', { permanent: true })
+    }
+
+    const transport = this.createTransport()
+
+    try {
+      const info = await transport.sendMail({ from: this.from, to: recipients, ...message })
+      return { messageId: info.messageId }
+    } catch (error) {
+      // 5xx replies (e.g. unknown recipient) won't succeed on retry
+      throw new DeliveryError(`SMTP delivery failed: ${error.message}`, {
+        statusCode: error.responseCode ?? null,
+        permanent: error.responseCode >= 500
+      })
+    } finally {
+      if (!this.transportOverride) {
+        transport.close()
+      }
+    }
+  }
+}
+
+export default EmailNotifier
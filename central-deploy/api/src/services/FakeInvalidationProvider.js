@@ -0,0 +1,46 @@
+/**
+ * Fake Invalidation Provider
+ * In-memory stand-in for the CloudFront provider, used when CDN_PROVIDER=fake
+ * and in tests. Invalidations complete after a configurable number of polls.
+ */
+
+import crypto from 'crypto'
+
+export class FakeInvalidationProvider {
+  /**
+   * @param {Object} options - { pollsUntilComplete, failWith }
+   */
+  constructor({ pollsUntilComplete = 1, failWith = null } = {}) {
+    this.name = 'fake'
+    this.pollsUntilComplete = pollsUntilComplete
+    this.failWith = failWith
+    this.invalidations = new Map()
+  }
+
+  async createInvalidation(distributionId, paths, callerReference) {
+    if (this.failWith) {
+      throw new Error(this.failWith)
+    }
+
+    const id = `I${crypto.randomBytes(6).toString('hex').toUpperCase()}`
+    this.invalidations.set(id, { id, distributionId, paths: [...paths], callerReference, polls: 0 })
+    return { id, status: 'in_progress' }
+  }
+
+  async getInvalidation(distributionId, invalidationId) {
+    const invalidation = this.invalidations.get(invalidationId)
+    if (!invalidation || invalidation.distributionId !== distributionId) {
+      const error = new Error(`Invalidation ${invalidationId} not found`)
+      error.name = 'NoSuchInvalidation'
+      throw error
+    }
+
+    invalidation.polls++
+    return {
+      id: invalidationId,
+      status: invalidation.polls >= this.pollsUntilComplete ? 'completed' : 'in_progress'
+    }
+  }
+}
+
+export default FakeInvalidationProvider
@@ -0,0 +1,136 @@
+/**
+ * Host Build Runner
+ * Runs build commands directly in a shell on the API host
+ */
+
+import { spawn } from 'child_process'
+import readline from 'readline'
+import { BuildError } from '../utils/errors.js'
+
+// Host environment variables passed through to build commands; everything
+// else (API secrets, cloud credentials) stays out of the build
+const HOST_ENV_ALLOWLIST = ['PATH', 'HOME', 'LANG', 'LC_ALL', 'TMPDIR', 'TZ', 'SHELL', 'USER']
+
+// Grace period between SIGTERM and SIGKILL when stopping a build
+const KILL_GRACE_MS = 5000
+
+export class HostBuildRunner {
+  constructor({ workspace, settings, log }) {
+    this.workspace = workspace
+    this.settings = settings
+    this.log = log
+  }
+
+  /**
+   * Host builds use the host's Node; flag a mismatch with node_version
+   */
+  async prepare() {
+    if (!this.settings.nodeVersion) {
+      return
+    }
+
+    const hostMajor = process.versions.node.split('.')[0]
+    const wantedMajor = String(this.settings.nodeVersion).replace(/^v/, '').split('.')[0]
+
+    if (hostMajor !== wantedMajor) {
+      this.log('warn', `Project requests Node ${this.settings.nodeVersion} but the host runs Node ${process.versions.node}`)
+    }
+  }
+
+  /**
+   * Environment for build commands: allowlisted host variables plus the
+   * project's declared environment variables
+   */
+  environment() {
+    const env = {}
+
+    for (const name of HOST_ENV_ALLOWLIST) {
+      if (process.env[name] !== undefined) {
+        env[name] = process.env[name]
+      }
+    }
+
+    return {
+      ...env,
+      CI: 'true',
+      ...this.settings.environmentVariables
+    }
+  }
+
+  /**
+   * Run a shell command in the workspace, streaming its output line by line
+   */
+  run(phase, command, { signal }) {
+    const log = this.log
+
+    return new Promise((resolve, reject) => {
+      const child = spawn(command, {
+        cwd: this.workspace,
+        env: this.environment(),
+        shell: true,
+        detached: true, // own process group so the whole tree can be stopped
+        stdio: ['ignore', 'pipe', 'pipe']
+      })
+
+      let killTimer = null
+      const stop = () => {
+        try {
+          process.kill(-child.pid, 'SIGTERM')
+        } catch (error) {
+          // Process group already gone
+        }
+        killTimer = setTimeout(() => {
+          try {
+            process.kill(-child.pid, 'SIGKILL')
+          } catch (error) {
+            // Process group already gone
+          }
+        }, KILL_GRACE_MS)
+        killTimer.unref()
+      }
+
+      signal.addEventListener('abort', stop, { once: true })
+
+      const streams = [
+        readline.createInterface({ input: child.stdout, crlfDelay: Infinity }),
+        readline.createInterface({ input: child.stderr, crlfDelay: Infinity })
+      ]
+      streams[0].on('line', line => log('info', line, phase))
+      streams[1].on('line', line => log('warn', line, phase))
+
+      const streamsClosed = Promise.all(streams.map(stream => new Promise(resolve => stream.once('close', resolve))))
+
+      child.once('error', (error) => {
+        signal.removeEventListener('abort', stop)
+        reject(new BuildError(`${phase} failed to start: ${error.message}`, phase))
+      })
+
+      child.once('close', async (code, killSignal) => {
+        signal.removeEventListener('abort', stop)
+        clearTimeout(killTimer)
+        await streamsClosed
+
+        if (signal.aborted) {
+          reject(new BuildError(`${phase} aborted`, phase))
+        } else if (code !== 0) {
+          reject(new BuildError(
+            `${phase} command failed with ${killSignal ? `signal ${killSignal}` : `exit code ${code}`}`,
+            phase,
+            { exitCode: code }
+          ))
+        } else {
+          resolve()
+        }
+      })
+    })
+  }
+
+  /**
+   * Output is produced in place; nothing to copy back
+   */
+  async collectOutput() {}
+
+  async dispose() {}
+}
+
+export default HostBuildRunner
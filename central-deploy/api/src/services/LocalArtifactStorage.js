@@ -0,0 +1,74 @@
+/**
+ * Local Artifact Storage
+ * Keeps release archives in a directory on disk (DATA_PATH/releases by
+ * default). Stored archives are read-only and are never overwritten.
+ */
+
+import { promises as fs, createReadStream } from 'fs'
+import path from 'path'
+
+export class LocalArtifactStorage {
+  /**
+   * @param {Object} options - { rootPath }
+   */
+  constructor({ rootPath }) {
+    this.name = 'local'
+    this.root = path.resolve(rootPath)
+  }
+
+  get location() {
+    return this.root
+  }
+
+  resolveKey(key) {
+    const filePath = path.resolve(this.root, key)
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid artifact key: ${key}`)
+    }
+    return filePath
+  }
+
+  /**
+   * Store a file under a key; fails if the key already exists
+   */
+  async put(key, filePath) {
+    const target = this.resolveKey(key)
+    await fs.mkdir(path.dirname(target), { recursive: true })
+    await fs.link(filePath, target)
+    await fs.chmod(target, 0o444)
+  }
+
+  /**
+   * Copy a stored artifact to a local file
+   */
+  async download(key, destPath) {
+    await fs.copyFile(this.resolveKey(key), destPath)
+  }
+
+  async createReadStream(key) {
+    const filePath = this.resolveKey(key)
+    await fs.access(filePath)
+    return createReadStream(filePath)
+  }
+
+  /**
+   * Size of a stored artifact, or null when it does not exist
+   */
+  async stat(key) {
+    try {
+      const { size } = await fs.stat(this.resolveKey(key))
+      return { size }
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null
+      }
+      throw error
+    }
+  }
+
+  async delete(key) {
+    await fs.rm(this.resolveKey(key), { force: true })
+  }
+}
+
+export default LocalArtifactStorage
@@ -0,0 +1,140 @@
+/**
+ * Local Storage Backend
+ * Publishes sites to a directory on disk (one subdirectory per bucket),
+ * so the deploy pipeline can be exercised without an AWS account
+ */
+
+import { promises as fs, createReadStream } from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { pipeline } from 'stream/promises'
+import { readJsonFile, writeJsonFileAtomic } from '../utils/fileStore.js'
+
+async function md5File(filePath) {
+  const hash = crypto.createHash('md5')
+  await pipeline(createReadStream(filePath), hash)
+  return hash.digest('hex')
+}
+
+export class LocalStorageBackend {
+  /**
+   * @param {Object} options - { rootPath, bucket }
+   */
+  constructor({ rootPath, bucket }) {
+    this.name = 'local'
+    this.bucket = bucket
+    this.root = path.resolve(rootPath, bucket)
+    this.pendingMetadata = new Map()
+  }
+
+  resolveKey(key) {
+    const filePath = path.resolve(this.root, key)
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`)
+    }
+    return filePath
+  }
+
+  /**
+   * List stored objects under a prefix
+   * @returns {Promise<Map<string, Object>>} - key -> { size, md5 }
+   */
+  async list(prefix = '') {
+    const objects = new Map()
+
+    const walk = async (dir) => {
+      let entries
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true })
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return
+        }
+        throw error
+      }
+
+      for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name)
+        if (entry.isDirectory()) {
+          await walk(fullPath)
+        } else if (entry.isFile()) {
+          const key = path.relative(this.root, fullPath).split(path.sep).join('/')
+          if (key.startsWith(prefix)) {
+            const stats = await fs.stat(fullPath)
+            objects.set(key, { size: stats.size, md5: await md5File(fullPath) })
+          }
+        }
+      }
+    }
+
+    await walk(prefix ? this.resolveKey(prefix) : this.root)
+    return objects
+  }
+
+  async put(key, filePath, { contentType }) {
+    const target = this.resolveKey(key)
+    await fs.mkdir(path.dirname(target), { recursive: true })
+    await fs.copyFile(filePath, target)
+    this.pendingMetadata.set(key, { content_type: contentType })
+  }
+
+  async delete(keys) {
+    for (const key of keys) {
+      const filePath = this.resolveKey(key)
+      await fs.rm(filePath, { force: true })
+      await this.removeEmptyDirectories(path.dirname(filePath))
+      this.pendingMetadata.set(key, null)
+    }
+  }
+
+  /**
+   * Remove directories left empty by deletions, up to the bucket root
+   */
+  async removeEmptyDirectories(dir) {
+    while (dir.startsWith(this.root + path.sep)) {
+      try {
+        await fs.rmdir(dir)
+      } catch (error) {
+        if (error.code === 'ENOTEMPTY' || error.code === 'EEXIST' || error.code === 'ENOENT') {
+          return
+        }
+        throw error
+      }
+      dir = path.dirname(dir)
+    }
+  }
+
+  /**
+   * Persist object metadata (content types) next to the bucket directory
+   */
+  async flush() {
+    if (this.pendingMetadata.size === 0) {
+      return
+    }
+
+    const metadataPath = path.resolve(this.root, '..', `${this.bucket}.metadata.json`)
+    const metadata = await readJsonFile(metadataPath, {})
+
+    for (const [key, value] of this.pendingMetadata) {
+      if (value) {
+        metadata[key] = value
+      } else {
+        delete metadata[key]
+      }
+    }
+
+    await writeJsonFileAtomic(metadataPath, metadata)
+    this.pendingMetadata.clear()
+  }
+
+  /**
+   * Metadata recorded for a stored object
+   */
+  async head(key) {
+    const metadataPath = path.resolve(this.root, '..', `${this.bucket}.metadata.json`)
+    const metadata = await readJsonFile(metadataPath, {})
+    return metadata[key] || null
+  }
+}
+
+export default LocalStorageBackend
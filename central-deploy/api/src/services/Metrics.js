@@ -0,0 +1,173 @@
+/**
+ * Metrics
+ * Prometheus metrics for the deploy API
+ *
+ * Exposed in the text exposition format by `/metrics` on METRICS_PORT when
+ * METRICS_ENABLED=true (see server.js):
+ *
+ *   ix_deploy_http_request_duration_seconds{method,route,status_code}
+ *   ix_deploy_rate_limit_rejections_total{client}
+ *   ix_deploy_websocket_connections
+ *   ix_deploy_websocket_connections_total{outcome}
+ *   ix_deploy_deployments_total{project,outcome}
+ *   ix_deploy_deployment_duration_seconds{project,outcome}
+ *   ix_deploy_deployment_queue_length
+ *
+ * plus the default Node.js process metrics.
+ */
+
+import client from 'prom-client'
+import { deploymentStore, TERMINAL_STATUSES } from './DeploymentStore.js'
+import { deploymentQueue } from './DeploymentQueue.js'
+
+const PREFIX = 'ix_deploy_'
+
+// Requests that matched no route share one label, so unknown paths
+// can't grow the number of series
+const UNMATCHED_ROUTE = 'unmatched'
+
+/**
+ * Full route pattern, without a trailing slash
+ */
+function routeLabel(baseUrl, route) {
+  const pattern = `${baseUrl}${route.path}`
+  return pattern.length > 1 ? pattern.replace(/\/$/, '') : pattern
+}
+
+export class Metrics {
+  constructor(options = {}) {
+    this.registry = new client.Registry()
+    this.store = options.store || deploymentStore
+    this.queue = options.queue || deploymentQueue
+    this.attached = false
+
+    client.collectDefaultMetrics({ register: this.registry, prefix: PREFIX })
+
+    this.httpRequestDuration = new client.Histogram({
+      name: `${PREFIX}http_request_duration_seconds`,
+      help: 'HTTP request duration in seconds, by route and status code',
+      labelNames: ['method', 'route', 'status_code'],
+      buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+      registers: [this.registry]
+    })
+
+    this.rateLimitRejections = new client.Counter({
+      name: `${PREFIX}rate_limit_rejections_total`,
+      help: 'Requests rejected by the rate limiter, by client type',
+      labelNames: ['client'],
+      registers: [this.registry]
+    })
+
+    this.websocketConnections = new client.Gauge({
+      name: `${PREFIX}websocket_connections`,
+      help: 'Open WebSocket connections',
+      registers: [this.registry]
+    })
+
+    this.websocketConnectionsTotal = new client.Counter({
+      name: `${PREFIX}websocket_connections_total`,
+      help: 'WebSocket upgrade attempts, by outcome',
+      labelNames: ['outcome'],
+      registers: [this.registry]
+    })
+
+    this.deploymentsTotal = new client.Counter({
+      name: `${PREFIX}deployments_total`,
+      help: 'Finished deployments, by project and outcome',
+      labelNames: ['project', 'outcome'],
+      registers: [this.registry]
+    })
+
+    this.deploymentDuration = new client.Histogram({
+      name: `${PREFIX}deployment_duration_seconds`,
+      help: 'Duration of finished deployments in seconds, by project and outcome',
+      labelNames: ['project', 'outcome'],
+      buckets: [5, 15, 30, 60, 120, 300, 600, 1200, 1800, 3600],
+      registers: [this.registry]
+    })
+
+    const queue = this.queue
+    this.queueLength = new client.Gauge({
+      name: `${PREFIX}deployment_queue_length`,
+      help: 'Deployments waiting in the queue',
+      registers: [this.registry],
+      collect() {
+        this.set(queue.queued.length)
+      }
+    })
+  }
+
+  get contentType() {
+    return this.registry.contentType
+  }
+
+  /**
+   * Count deployments as they finish (idempotent)
+   */
+  attach() {
+    if (this.attached) {
+      return this
+    }
+    this.attached = true
+
+    this.store.on('status', (deployment) => {
+      if (!TERMINAL_STATUSES.includes(deployment.status)) {
+        return
+      }
+
+      const labels = { project: deployment.project_id, outcome: deployment.status }
+      this.deploymentsTotal.inc(labels)
+      if (deployment.duration !== null && deployment.duration !== undefined) {
+        this.deploymentDuration.observe(labels, deployment.duration / 1000)
+      }
+    })
+
+    return this
+  }
+
+  /**
+   * Express middleware timing every request, labelled with the route
+   * pattern that handled it (e.g. /api/v1/projects/:id)
+   */
+  httpMiddleware() {
+    return (req, res, next) => {
+      const end = this.httpRequestDuration.startTimer()
+
+      // Express resets req.baseUrl when an error leaves a router, so the
+      // pattern is taken when a route is matched (Express sets req.route)
+      let route = null
+      let label = UNMATCHED_ROUTE
+      Object.defineProperty(req, 'route', {
+        configurable: true,
+        enumerable: true,
+        get: () => route,
+        set: (value) => {
+          route = value
+          label = routeLabel(req.baseUrl, value)
+        }
+      })
+
+      res.on('finish', () => {
+        end({
+          method: req.method,
+          route: label,
+          status_code: res.statusCode
+        })
+      })
+
+      next()
+    }
+  }
+
+  /**
+   * Metrics in the Prometheus text exposition format
+   */
+  async render() {
+    return this.registry.metrics()
+  }
+}
+
+// Shared metrics registry used by the API
+export const metrics = new Metrics()
+
+export default Metrics
@@ -0,0 +1,353 @@
+/**
+ * Notification Service
+ * Sends Slack and email notifications on deployment lifecycle events
+ *
+ * Events (see utils/notificationTemplates.js):
+ *
+ *   started     - a deployment began building (or restoring a release)
+ *   succeeded   - a deployment completed
+ *   failed      - a deployment failed; the message includes the log tail
+ *   rolled_back - a rollback deployment completed
+ *
+ * A project notifies on `notifications.slack` (webhook_url, defaulting to
+ * SLACK_WEBHOOK_URL, and channel) and `notifications.email` (recipients),
+ * limited to `notifications.events` when that is set.
+ *
+ * Every message is recorded as a delivery in DATA_PATH/notifications.json.
+ * Failed deliveries are retried with exponential backoff, up to
+ * NOTIFICATION_MAX_ATTEMPTS attempts; pending retries are resumed when the
+ * server restarts.
+ */
+
+import crypto from 'crypto'
+import { logger } from '../utils/logger.js'
+import { DeliveryError } from '../utils/errors.js'
+import { dataPath, JsonFileStore } from '../utils/fileStore.js'
+import { expandEnv } from '../utils/credentials.js'
+import { resolveDeployTarget } from '../utils/branches.js'
+import { NOTIFICATION_EVENTS, renderSlackMessage, renderEmailMessage } from '../utils/notificationTemplates.js'
+import { deploymentStore } from './DeploymentStore.js'
+import { ProjectService } from './ProjectService.js'
+import { SlackNotifier } from './SlackNotifier.js'
+import { EmailNotifier } from './EmailNotifier.js'
+
+export const DELIVERY_STATUSES = ['pending', 'delivered', 'failed']
+
+// Oldest deliveries are dropped beyond this many
+const MAX_DELIVERIES = 1000
+
+// Upper bound for the delay between two attempts
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000
+
+// An attempt's claim on a delivery is considered abandoned (e.g. the process
+// died mid-send) after this long; Slack requests and SMTP connections time
+// out well before
+const CLAIM_TIMEOUT_MS = 60 * 1000
+
+/**
+ * The lifecycle event a status change represents, if any
+ */
+export function notificationEventFor(deployment, previousStatus) {
+  if (previousStatus === 'pending' && ['building', 'uploading'].includes(deployment.status)) {
+    return 'started'
+  }
+  if (deployment.status === 'completed') {
+    return deployment.rollback ? 'rolled_back' : 'succeeded'
+  }
+  if (deployment.status === 'failed') {
+    return 'failed'
+  }
+  return null
+}
+
+export class NotificationService {
+  constructor(options = {}) {
+    this.store = new JsonFileStore(options.filePath || (() => dataPath('notifications.json')), { deliveries: [] })
+    this.deployments = options.deployments || deploymentStore
+    this.projectService = options.projectService || new ProjectService()
+    this.notifiers = {
+      slack: options.slack || new SlackNotifier(),
+      email: options.email || new EmailNotifier()
+    }
+    this.timers = new Map()
+    this.attached = false
+  }
+
+  get maxAttempts() {
+    return Math.max(parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS || '5', 10) || 5, 1)
+  }
+
+  get retryBaseMs() {
+    return Math.max(parseInt(process.env.NOTIFICATION_RETRY_BASE_MS || '2000', 10) || 2000, 1)
+  }
+
+  get logTailLines() {
+    return Math.max(parseInt(process.env.NOTIFICATION_LOG_LINES || '15', 10) || 0, 0)
+  }
+
+  /**
+   * Start notifying on deployment status changes (idempotent)
+   */
+  attach() {
+    if (this.attached) {
+      return this
+    }
+    this.attached = true
+
+    this.deployments.on('status', (deployment, previousStatus) => {
+      const event = notificationEventFor(deployment, previousStatus)
+      if (!event) {
+        return
+      }
+
+      this.notify(event, deployment).catch((error) => {
+        logger.error('Failed to send deployment notifications:', { deploymentId: deployment.id, event, error: error.message })
+      })
+    })
+
+    return this
+  }
+
+  /**
+   * Render and send the notifications a project subscribes to for an event
+   * @returns {Promise<Array<Object>>} - The deliveries created
+   */
+  async notify(event, deployment) {
+    const project = await this.projectService.getProject(deployment.project_id)
+    const settings = project?.notifications
+    if (!settings || (settings.events && !settings.events.includes(event))) {
+      return []
+    }
+
+    const context = {
+      event,
+      project,
+      deployment,
+      url: project.deployment?.domain_name ? resolveDeployTarget(project, deployment.branch).url : null,
+      logTail: event === 'failed' && this.logTailLines > 0
+        ? await this.deployments.getLogs(deployment.id, { limit: this.logTailLines })
+        : []
+    }
+
+    const deliveries = []
+
+    if (settings.slack) {
+      deliveries.push(this.createDelivery(event, deployment, {
+        channel: 'slack',
+        // ${VAR} references are resolved on each attempt, so secrets aren't
+        // stored; null stands for SLACK_WEBHOOK_URL
+        target: settings.slack.webhook_url || null,
+        message: renderSlackMessage(context, { channel: settings.slack.channel })
+      }))
+    }
+
+    if (settings.email?.length > 0) {
+      deliveries.push(this.createDelivery(event, deployment, {
+        channel: 'email',
+        target: settings.email,
+        message: renderEmailMessage(context)
+      }))
+    }
+
+    if (deliveries.length === 0) {
+      return []
+    }
+
+    await this.store.update((document) => {
+      document.deliveries.push(...deliveries)
+      if (document.deliveries.length > MAX_DELIVERIES) {
+        document.deliveries.splice(0, document.deliveries.length - MAX_DELIVERIES)
+      }
+    })
+
+    for (const delivery of deliveries) {
+      await this.attempt(delivery.id)
+    }
+
+    return deliveries
+  }
+
+  createDelivery(event, deployment, { channel, target, message }) {
+    const now = new Date().toISOString()
+
+    return {
+      id: `ntf-${crypto.randomBytes(6).toString('hex')}`,
+      event,
+      channel,
+      target,
+      deployment_id: deployment.id,
+      project_id: deployment.project_id,
+      status: 'pending',
+      attempts: 0,
+      last_error: null,
+      next_attempt_at: now,
+      // Start of the attempt in flight, if any
+      attempting_at: null,
+      delivered_at: null,
+      created_at: now,
+      updated_at: now,
+      message
+    }
+  }
+
+  /**
+   * Make one delivery attempt and schedule a retry if it failed
+   */
+  async attempt(deliveryId) {
+    this.timers.delete(deliveryId)
+
+    // Claim the delivery so that a concurrent attempt (a scheduled retry
+    // racing resumePending) does not send it twice
+    let claimed = false
+    const delivery = await this.store.update((document) => {
+      const record = document.deliveries.find(d => d.id === deliveryId)
+      if (!record) {
+        return null
+      }
+
+      const inFlight = record.attempting_at && Date.now() - Date.parse(record.attempting_at) < CLAIM_TIMEOUT_MS
+      if (record.status === 'pending' && !inFlight) {
+        record.attempting_at = new Date().toISOString()
+        claimed = true
+      }
+      return { ...record }
+    })
+
+    if (!claimed) {
+      return delivery
+    }
+
+    let error = null
+    try {
+      await this.send(delivery)
+    } catch (sendError) {
+      error = sendError
+    }
+
+    const attempts = delivery.attempts + 1
+    const now = Date.now()
+    let fields
+
+    if (!error) {
+      fields = { status: 'delivered', delivered_at: new Date(now).toISOString(), last_error: null, next_attempt_at: null }
+    } else if (error.permanent || attempts >= this.maxAttempts) {
+      fields = { status: 'failed', last_error: error.message, next_attempt_at: null }
+    } else {
+      const delay = Math.min(error.retryAfter ?? this.retryBaseMs * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS)
+      fields = { last_error: error.message, next_attempt_at: new Date(now + delay).toISOString() }
+    }
+
+    const updated = await this.updateDelivery(deliveryId, { ...fields, attempts, attempting_at: null })
+
+    if (error) {
+      logger.warn(`Notification ${deliveryId} (${delivery.channel}) attempt ${attempts} failed:`, { error: error.message })
+    }
+    if (updated?.status === 'pending') {
+      this.schedule(updated)
+    }
+
+    return updated
+  }
+
+  async send(delivery) {
+    if (delivery.channel === 'slack') {
+      const webhookUrl = delivery.target ? expandEnv(delivery.target) : process.env.SLACK_WEBHOOK_URL
+      if (!webhookUrl) {
+        throw new DeliveryError(`Slack webhook URL is not configured (${describeWebhook(delivery.target)})`, { permanent: true })
+      }
+      return this.notifiers.slack.send(webhookUrl, delivery.message)
+    }
+
+    return this.notifiers.email.send(delivery.target, delivery.message)
+  }
+
+  schedule(delivery) {
+    clearTimeout(this.timers.get(delivery.id))
+
+    const delay = Math.max(Date.parse(delivery.next_attempt_at) - Date.now(), 0)
+    const timer = setTimeout(() => {
+      this.attempt(delivery.id).catch((error) => {
+        logger.error(`Notification ${delivery.id} retry failed:`, error)
+      })
+    }, delay)
+    timer.unref()
+
+    this.timers.set(delivery.id, timer)
+  }
+
+  /**
+   * Reschedule deliveries left pending by a previous process
+   */
+  async resumePending() {
+    const { deliveries } = await this.store.read()
+    const pending = deliveries.filter(d => d.status === 'pending' && !this.timers.has(d.id))
+    pending.forEach(delivery => this.schedule(delivery))
+    return pending.length
+  }
+
+  async updateDelivery(deliveryId, fields) {
+    return this.store.update((document) => {
+      const record = document.deliveries.find(d => d.id === deliveryId)
+      if (!record) {
+        return null
+      }
+
+      Object.assign(record, fields, { updated_at: new Date().toISOString() })
+      return { ...record }
+    })
+  }
+
+  async get(deliveryId) {
+    const { deliveries } = await this.store.read()
+    return deliveries.find(d => d.id === deliveryId) || null
+  }
+
+  /**
+   * Deliveries for a deployment or project, newest first, without the
+   * rendered message
+   */
+  async list({ deploymentId, projectId } = {}) {
+    const { deliveries } = await this.store.read()
+
+    return deliveries
+      .filter(d => (!deploymentId || d.deployment_id === deploymentId) && (!projectId || d.project_id === projectId))
+      .reverse()
+      .map(({ message, target, ...delivery }) => ({
+        ...delivery,
+        // Webhook URLs are secrets; only the reference or host is shown
+        target: delivery.channel === 'slack' ? describeWebhook(target) : target
+      }))
+  }
+
+  /**
+   * Cancel scheduled retries (for shutdown)
+   */
+  stop() {
+    this.timers.forEach(timer => clearTimeout(timer))
+    this.timers.clear()
+  }
+}
+
+/**
+ * A webhook target without its secret path
+ */
+function describeWebhook(target) {
+  if (!target) {
+    return 'SLACK_WEBHOOK_URL'
+  }
+  if (/^\$\{[A-Za-z_][A-Za-z0-9_]*\}$/.test(target)) {
+    return target
+  }
+  try {
+    return new URL(target).host
+  } catch (error) {
+    return 'invalid URL'
+  }
+}
+
+export { NOTIFICATION_EVENTS }
+
+// Shared notification service used by the API
+export const notificationService = new NotificationService()
+
+export default NotificationService
@@ -0,0 +1,212 @@
+/**
+ * Preflight Checks
+ * Checks a project's configuration against the outside world before it is
+ * deployed (POST /projects/:id/validate)
+ *
+ *   repository      - the repository is reachable with its github_token_ref
+ *                     and the configured branch exists (git ls-remote)
+ *   aws_credentials - the aws_profile_ref exists (in credentials or the
+ *                     secrets vault) and its ${VAR} placeholders are set
+ *   domain          - domain_name is a valid hostname used by no other project
+ *   build_settings  - the build settings fit the framework
+ *
+ * Every check reports `pass`, `warn` or `fail` with a message.
+ */
+
+import { simpleGit } from 'simple-git'
+import { unsetVariables, resolveGithubToken } from '../utils/credentials.js'
+import { authenticatedUrl, redactUrlCredentials } from '../utils/github.js'
+import { VAULT_REF_PREFIX } from './SecretVault.js'
+
+export const CHECK_STATUSES = ['pass', 'warn', 'fail']
+
+const HOSTNAME_LABEL = /^(?!-)[a-z0-9-]{1,63}(?<!-)$/i
+
+// What each framework's build usually looks like; `node` is whether it
+// builds with Node.js (null: either way)
+const FRAMEWORK_CONVENTIONS = {
+  react: { buildDirs: ['build'], node: true },
+  vue: { buildDirs: ['dist'], node: true },
+  angular: { buildDirs: ['dist'], node: true },
+  gatsby: { buildDirs: ['public'], node: true },
+  nextjs: { buildDirs: ['out'], node: true },
+  jekyll: { buildDirs: ['_site'], node: false },
+  static: { buildDirs: null, node: null }
+}
+
+const result = (status, message, details = {}) => ({ status, message, ...details })
+
+const undefinedCredential = (kind, ref) => ref.startsWith(VAULT_REF_PREFIX)
+  ? `${kind} '${ref}' is not in the secrets vault or can't be decrypted`
+  : `${kind} '${ref}' is not defined in credentials`
+
+/**
+ * Whether a value is a valid DNS hostname with at least two labels
+ */
+export function isValidHostname(hostname) {
+  if (typeof hostname !== 'string' || hostname.length > 253) {
+    return false
+  }
+
+  const labels = hostname.split('.')
+  return labels.length >= 2 && labels.every(label => HOSTNAME_LABEL.test(label))
+}
+
+export class PreflightChecks {
+  constructor(options = {}) {
+    this.git = options.git || (() => simpleGit({ timeout: { block: this.gitTimeoutMs } }))
+  }
+
+  get gitTimeoutMs() {
+    return Math.max(parseInt(process.env.PREFLIGHT_GIT_TIMEOUT || '20000', 10) || 20000, 1000)
+  }
+
+  /**
+   * Run every check on a project
+   * @param {Object} project - Project configuration
+   * @param {Object} config - Full deploy configuration (projects, credentials)
+   * @returns {Promise<Object>} - { valid, checks, warnings, errors }
+   */
+  async run(project, config) {
+    const checks = {
+      repository: await this.checkRepository(project, config),
+      aws_credentials: this.checkAwsCredentials(project, config),
+      domain: this.checkDomain(project, config),
+      build_settings: this.checkBuildSettings(project)
+    }
+
+    const entries = Object.entries(checks)
+    const messages = status => entries
+      .filter(([, check]) => check.status === status)
+      .flatMap(([name, check]) => (check.issues || [check.message]).map(message => ({ check: name, message })))
+
+    return {
+      valid: entries.every(([, check]) => check.status !== 'fail'),
+      checks,
+      warnings: messages('warn'),
+      errors: messages('fail')
+    }
+  }
+
+  async checkRepository(project, config) {
+    const { url, branch = 'main', github_token_ref: tokenRef } = project.repository || {}
+
+    if (!url) {
+      return result('fail', 'repository.url is not set')
+    }
+
+    let token = null
+    if (tokenRef) {
+      const entry = config.credentials?.github_tokens?.find(t => t.name === tokenRef)
+      if (!entry) {
+        return result('fail', undefinedCredential('GitHub token', tokenRef))
+      }
+
+      const unset = unsetVariables(entry.token)
+      if (unset.length > 0) {
+        return result('fail', `GitHub token '${tokenRef}' uses unset environment variable(s): ${unset.join(', ')}`)
+      }
+      token = resolveGithubToken(config, tokenRef)
+    }
+
+    let output
+    try {
+      output = await this.git()
+        // Fail instead of waiting for credentials on a terminal
+        .env({ ...process.env, GIT_TERMINAL_PROMPT: '0' })
+        .raw(['ls-remote', '--heads', authenticatedUrl(url, token), branch])
+    } catch (error) {
+      return result('fail', `Repository ${url} is not reachable: ${redactUrlCredentials(error.message).trim()}`)
+    }
+
+    const head = output.split('\n').find(line => line.endsWith(`\trefs/heads/${branch}`))
+    if (!head) {
+      return result('fail', `Branch '${branch}' does not exist in ${url}`)
+    }
+
+    const [commit] = head.split('\t')
+    return result('pass', `Branch '${branch}' exists at ${commit.slice(0, 7)}`, { commit })
+  }
+
+  checkAwsCredentials(project, config) {
+    const ref = project.deployment?.aws_profile_ref || 'default'
+    const profile = config.credentials?.aws_profiles?.find(p => p.name === ref)
+    // Local publishing never talks to AWS
+    const severity = process.env.STORAGE_BACKEND === 'local' ? 'warn' : 'fail'
+
+    if (!profile) {
+      return result(severity, undefinedCredential('AWS profile', ref))
+    }
+
+    const unset = [...new Set(['access_key_id', 'secret_access_key', 'region'].flatMap(field => unsetVariables(profile[field])))]
+    if (unset.length > 0) {
+      return result(severity, `AWS profile '${ref}' uses unset environment variable(s): ${unset.join(', ')}`, { unset })
+    }
+
+    if (!profile.access_key_id || !profile.secret_access_key) {
+      return result(severity, `AWS profile '${ref}' has no access key`)
+    }
+
+    return result('pass', `AWS profile '${ref}' resolves`)
+  }
+
+  checkDomain(project, config) {
+    const domain = project.deployment?.domain_name
+
+    if (!isValidHostname(domain)) {
+      return result('fail', `'${domain}' is not a valid hostname`)
+    }
+
+    const others = (config.projects || [])
+      .filter(p => p.id !== project.id && p.deployment?.domain_name?.toLowerCase() === domain.toLowerCase())
+      .map(p => p.id)
+    if (others.length > 0) {
+      return result('fail', `${domain} is also used by ${others.join(', ')}`, { conflicts: others })
+    }
+
+    return result('pass', `${domain} is a valid hostname used by no other project`)
+  }
+
+  checkBuildSettings(project) {
+    const build = project.build || {}
+    const framework = build.framework || 'static'
+    const conventions = FRAMEWORK_CONVENTIONS[framework]
+
+    if (!conventions) {
+      return result('pass', `No conventions to check for ${framework} builds`)
+    }
+
+    const buildDir = (build.build_dir || '.').replace(/^\.\//, '').replace(/\/+$/, '') || '.'
+    const issues = []
+
+    if (conventions.buildDirs && !conventions.buildDirs.some(dir => buildDir === dir || buildDir.startsWith(`${dir}/`))) {
+      issues.push(`${framework} builds usually output to ${conventions.buildDirs.join(' or ')}, not ${buildDir}`)
+    }
+
+    if (conventions.node && !build.build_command) {
+      issues.push(`${framework} projects need a build_command`)
+    }
+
+    if (conventions.node === false) {
+      const nodeSettings = ['package_manager', 'node_version'].filter(field => build[field])
+      if (nodeSettings.length > 0) {
+        issues.push(`${nodeSettings.join(' and ')} ${nodeSettings.length === 1 ? 'is' : 'are'} unused by ${framework} builds`)
+      }
+    }
+
+    if (framework === 'jekyll' && build.build_command && !build.build_command.includes('jekyll')) {
+      issues.push(`jekyll projects usually build with 'bundle exec jekyll build', not '${build.build_command}'`)
+    }
+
+    if (issues.length > 0) {
+      return result('warn', issues.join('; '), { issues })
+    }
+
+    return result('pass', `Build settings fit a ${framework} project`)
+  }
+}
+
+// Shared preflight checks used by the API
+export const preflightChecks = new PreflightChecks()
+
+export default PreflightChecks
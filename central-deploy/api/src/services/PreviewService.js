@@ -0,0 +1,227 @@
+/**
+ * Preview Service
+ * Pull-request preview environments: each open pull request is deployed
+ * under its head branch's sanitized `/<branch>/` prefix, and the prefix is
+ * removed from storage and the CDN when the pull request closes.
+ *
+ * Preview records live in the preview registry (see PreviewStore.js).
+ */
+
+import { logger } from '../utils/logger.js'
+import { resolveDeployTarget } from '../utils/branches.js'
+import { ProjectService } from './ProjectService.js'
+import { deploymentStore } from './DeploymentStore.js'
+import { deploymentQueue } from './DeploymentQueue.js'
+import { createStorageBackend } from './StoragePublisher.js'
+import { cdnInvalidationService } from './CdnInvalidationService.js'
+import { PreviewStore, previewStore } from './PreviewStore.js'
+
+export class PreviewService {
+  constructor(options = {}) {
+    this.store = options.store || (options.filePath ? new PreviewStore({ filePath: options.filePath }) : previewStore)
+    this.projectService = options.projectService || new ProjectService()
+    this.deployments = options.deploymentStore || deploymentStore
+    this.queue = options.queue || deploymentQueue
+    this.invalidator = options.invalidator || cdnInvalidationService
+    this.createBackend = options.createBackend || createStorageBackend
+  }
+
+  /**
+   * Previews of a project, newest first, with their latest deployment status
+   * @param {string} projectId - Project ID
+   * @param {Object} options - { includeClosed }
+   */
+  async list(projectId, { includeClosed = false } = {}) {
+    const { previews } = await this.store.read()
+    const matching = previews
+      .filter(p => p.project_id === projectId && (includeClosed || p.status === 'active'))
+      .sort((a, b) => b.updated_at.localeCompare(a.updated_at))
+
+    return Promise.all(matching.map(async (preview) => {
+      const deployment = preview.last_deployment_id && await this.deployments.get(preview.last_deployment_id)
+      return { ...preview, deployment_status: deployment?.status || null }
+    }))
+  }
+
+  /**
+   * Deploy a pull request's head commit as a preview
+   * @param {Object} project - Project configuration
+   * @param {Object} pullRequest - { number, title, html_url, branch, sha }
+   * @param {Object} options - { triggeredBy }
+   * @returns {Promise<Object>} - Service-style result with { preview, deployment }
+   */
+  async deploy(project, pullRequest, { triggeredBy } = {}) {
+    const target = resolveDeployTarget(project, pullRequest.branch)
+
+    const result = await this.projectService.triggerDeployment(project.id, {
+      branch: pullRequest.branch,
+      commit: pullRequest.sha,
+      triggerSource: 'github_pull_request',
+      triggeredBy: triggeredBy || 'github',
+      triggeredAt: new Date().toISOString()
+    })
+
+    if (!result.success) {
+      return result
+    }
+
+    const now = new Date().toISOString()
+    const preview = await this.store.update((document) => {
+      let record = document.previews.find(p =>
+        p.project_id === project.id && p.pull_request === pullRequest.number
+      )
+
+      if (!record) {
+        record = {
+          id: `${project.id}-pr-${pullRequest.number}`,
+          project_id: project.id,
+          pull_request: pullRequest.number,
+          opened_at: now
+        }
+        document.previews.push(record)
+      }
+
+      Object.assign(record, {
+        title: pullRequest.title || null,
+        pull_request_url: pullRequest.html_url || null,
+        branch: pullRequest.branch,
+        prefix: target.prefix,
+        url: target.url,
+        head_sha: pullRequest.sha || null,
+        status: 'active',
+        last_deployment_id: result.data.id,
+        updated_at: now,
+        closed_at: null,
+        teardown: null
+      })
+
+      return { ...record }
+    })
+
+    logger.info(`Preview deployment triggered for ${project.id} PR #${pullRequest.number}`, {
+      deploymentId: result.data.id,
+      prefix: target.prefix
+    })
+
+    return { success: true, data: { preview, deployment: result.data } }
+  }
+
+  /**
+   * Close a pull request's preview: cancel its deployments, delete its
+   * prefix from storage and invalidate the prefix on the CDN
+   * @param {Object} project - Project configuration
+   * @param {Object} pullRequest - { number, branch }
+   * @returns {Promise<Object>} - Service-style result with the closed preview
+   */
+  async teardown(project, pullRequest) {
+    const now = new Date().toISOString()
+    const { closed, prefixInUse } = await this.store.update((document) => {
+      const record = document.previews.find(p =>
+        p.project_id === project.id && p.pull_request === pullRequest.number && p.status === 'active'
+      )
+
+      if (!record) {
+        return {}
+      }
+
+      Object.assign(record, { status: 'closed', closed_at: now, updated_at: now })
+      return {
+        closed: { ...record },
+        // Another open pull request from the same branch still uses the prefix
+        prefixInUse: document.previews.some(p =>
+          p !== record && p.project_id === project.id && p.prefix === record.prefix && p.status === 'active'
+        )
+      }
+    })
+
+    if (!closed) {
+      return {
+        success: false,
+        error: 'Preview Not Found',
+        message: `No active preview for pull request #${pullRequest.number}`,
+        statusCode: 404
+      }
+    }
+
+    await this.cancelBranchDeployments(project.id, closed.branch, `Pull request #${pullRequest.number} closed`)
+
+    if (prefixInUse) {
+      logger.info(`Preview prefix ${closed.prefix} is still used by another pull request; keeping it`)
+      return { success: true, data: await this.recordTeardown(closed.id, { deleted_count: 0, kept: true }) }
+    }
+
+    const config = await this.projectService.loadConfig()
+    const backend = this.createBackend(project, config)
+    const keys = [...(await backend.list(closed.prefix)).keys()]
+
+    if (keys.length > 0) {
+      await backend.delete(keys)
+      await backend.flush()
+    }
+
+    logger.info(`Removed preview ${closed.prefix} of ${project.id} (${keys.length} file(s))`)
+
+    await this.recordTeardown(closed.id, { deleted_count: keys.length, kept: false })
+    await this.invalidator.invalidatePrefix({
+      project,
+      config,
+      prefix: closed.prefix,
+      target: this.previewTarget(closed.id)
+    })
+
+    return { success: true, data: await this.get(closed.id) }
+  }
+
+  async get(previewId) {
+    const { previews } = await this.store.read()
+    return previews.find(p => p.id === previewId) || null
+  }
+
+  /**
+   * Cancel queued or running deployments of a branch and wait for them to
+   * stop, so nothing is uploaded to the prefix after it is deleted
+   */
+  async cancelBranchDeployments(projectId, branch, reason) {
+    const active = (await this.deployments.findActive(projectId)).filter(d => d.branch === branch)
+
+    for (const deployment of active) {
+      const result = await this.queue.cancel(deployment.id, reason)
+      if (!result.success) {
+        logger.warn(`Could not cancel preview deployment ${deployment.id}: ${result.message}`)
+      }
+      await this.queue.settled(deployment.id)
+    }
+  }
+
+  async recordTeardown(previewId, fields) {
+    return this.store.update((document) => {
+      const record = document.previews.find(p => p.id === previewId)
+      record.teardown = { ...record.teardown, ...fields, completed_at: new Date().toISOString() }
+      return { ...record }
+    })
+  }
+
+  /**
+   * Invalidation target that records state on the preview's teardown
+   */
+  previewTarget(previewId) {
+    return {
+      update: async (fields) => {
+        await this.store.update((document) => {
+          const record = document.previews.find(p => p.id === previewId)
+          if (record) {
+            record.teardown = {
+              ...record.teardown,
+              invalidation: { ...record.teardown?.invalidation, ...fields }
+            }
+          }
+        })
+      }
+    }
+  }
+}
+
+// Shared preview service used by the API
+export const previewService = new PreviewService()
+
+export default PreviewService
@@ -0,0 +1,43 @@
+/**
+ * Preview Store
+ * Registry of pull-request previews, kept in DATA_PATH/previews.json
+ *
+ * PreviewService opens and closes previews; the deployment pipeline reads
+ * the open ones so that root deploys keep their prefixes.
+ */
+
+import { dataPath, JsonFileStore } from '../utils/fileStore.js'
+
+export class PreviewStore {
+  constructor(options = {}) {
+    this.store = new JsonFileStore(options.filePath || (() => dataPath('previews.json')), { previews: [] })
+  }
+
+  async read() {
+    return this.store.read()
+  }
+
+  /**
+   * Modify the registry under its write lock (see JsonFileStore.update)
+   */
+  async update(mutator) {
+    return this.store.update(mutator)
+  }
+
+  /**
+   * Storage prefixes of a project's open previews
+   * @param {string} projectId - Project ID
+   * @returns {Promise<string[]>}
+   */
+  async openPrefixes(projectId) {
+    const { previews } = await this.store.read()
+    return [...new Set(previews
+      .filter(p => p.project_id === projectId && p.status === 'active' && p.prefix)
+      .map(p => p.prefix))]
+  }
+}
+
+// Shared preview registry
+export const previewStore = new PreviewStore()
+
+export default PreviewStore
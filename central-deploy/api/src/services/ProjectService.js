@@ -3,37 +3,88 @@
  * Handles business logic for project management
  */
 
-import { promises as fs } from 'fs'
 import path from 'path'
+import crypto from 'crypto'
 import { fileURLToPath } from 'url'
 import { logger } from '../utils/logger.js'
+import { withLock, writeJsonFileAtomic } from '../utils/fileStore.js'
+import { loadConfigFile } from '../utils/configLoader.js'
+import { deploymentStore } from './DeploymentStore.js'
+import { deploymentQueue } from './DeploymentQueue.js'
+import { releaseStore } from './ReleaseStore.js'
+import { uptimeStore } from './UptimeStore.js'
+import { preflightChecks } from './PreflightChecks.js'
+import { secretVault, VAULT_REF_PREFIX } from './SecretVault.js'
+import { performCustomValidations } from '../utils/configValidator.js'
+import { validateProjectObject } from '../middleware/validation.js'
+import { normalizeRepositoryUrl } from '../utils/github.js'
+import { resolveDeployTarget } from '../utils/branches.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 
+/**
+ * Apply a JSON merge patch (RFC 7396) to a document
+ */
+function mergePatch(target, patch) {
+  if (patch === null || typeof patch !== 'object' || Array.isArray(patch)) {
+    return patch
+  }
+
+  const result = target !== null && typeof target === 'object' && !Array.isArray(target)
+    ? { ...target }
+    : {}
+
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key]
+    } else {
+      result[key] = mergePatch(result[key], value)
+    }
+  }
+
+  return result
+}
+
 export class ProjectService {
   constructor() {
     this.configPath = process.env.CONFIG_PATH || path.join(__dirname, '../../../config/deploy-config.json')
   }
 
   /**
-   * Load configuration from file
+   * Read and interpolate the configuration file (see configLoader.js)
    */
-  async loadConfig() {
+  async readConfigFile() {
     try {
-      const configContent = await fs.readFile(this.configPath, 'utf8')
-      return JSON.parse(configContent)
+      return await loadConfigFile(this.configPath)
     } catch (error) {
       logger.error('Failed to load configuration:', error)
       throw new Error('Configuration file not found or invalid')
     }
   }
 
+  /**
+   * Load configuration with its ${VAR} placeholders resolved and the
+   * secrets vault's credentials added (as `vault:<name>`)
+   */
+  async loadConfig() {
+    return secretVault.withCredentials((await this.readConfigFile()).config)
+  }
+
+  /**
+   * Load configuration as stored in the file, with its placeholders
+   * Project documents are read and written in this form, so secrets are
+   * never returned by the API or written back to the file.
+   */
+  async loadStoredConfig() {
+    return (await this.readConfigFile()).stored
+  }
+
   /**
    * Get all projects with filtering and pagination
    */
   async getProjects(filters = {}, options = {}) {
-    const config = await this.loadConfig()
+    const config = await this.loadStoredConfig()
     let projects = config.projects || []
 
     // Apply filters
@@ -46,6 +97,9 @@ export class ProjectService {
     if (filters.framework) {
       projects = projects.filter(p => p.build?.framework === filters.framework)
     }
+    if (filters.visible) {
+      projects = projects.filter(filters.visible)
+    }
     if (filters.search) {
       const searchTerm = filters.search.toLowerCase()
       projects = projects.filter(p => 
@@ -92,10 +146,10 @@ export class ProjectService {
   }
 
   /**
-   * Get a specific project by ID
+   * Get a specific project by ID, as stored
    */
   async getProject(projectId) {
-    const config = await this.loadConfig()
+    const config = await this.loadStoredConfig()
     const project = config.projects?.find(p => p.id === projectId)
     
     if (!project) {
@@ -105,61 +159,318 @@ export class ProjectService {
     return project
   }
 
+  /**
+   * Find the projects that deploy from a repository
+   * @param {Array<string>} repositoryUrls - Any known URLs of the repository
+   */
+  async findProjectsByRepository(repositoryUrls) {
+    const config = await this.loadConfig()
+    const wanted = new Set(repositoryUrls.map(normalizeRepositoryUrl).filter(Boolean))
+
+    return (config.projects || []).filter(p => wanted.has(normalizeRepositoryUrl(p.repository?.url)))
+  }
+
+  /**
+   * Compute the entity tag of a project for optimistic concurrency
+   */
+  getProjectEtag(project) {
+    const hash = crypto.createHash('sha256').update(JSON.stringify(project)).digest('base64url')
+    return `"${hash.slice(0, 27)}"`
+  }
+
+  /**
+   * Check an If-Match header value against the current entity tag
+   */
+  matchesEtag(ifMatch, etag) {
+    if (!ifMatch) {
+      return true
+    }
+
+    return ifMatch.split(',')
+      .map(tag => tag.trim().replace(/^W\//, ''))
+      .some(tag => tag === '*' || tag === etag)
+  }
+
+  /**
+   * Apply a change to the configuration file under the config write lock.
+   * The mutator returns either a failure result or { data } to persist.
+   * Uniqueness and reference checks reuse performCustomValidations; only
+   * errors introduced by the change are reported.
+   */
+  async modifyConfig(mutator) {
+    return withLock(this.configPath, async () => {
+      const config = await this.loadStoredConfig()
+      const secrets = await secretVault.list()
+      const before = performCustomValidations(config, { secrets })
+
+      const result = await mutator(config)
+      if (!result.success) {
+        return result
+      }
+
+      const after = performCustomValidations(config, { secrets })
+      const errors = after.errors.filter(error =>
+        !before.errors.some(existing => existing.message === error.message)
+      )
+
+      if (errors.length > 0) {
+        const conflict = errors.some(error => error.message.startsWith('Duplicate'))
+        return {
+          success: false,
+          error: conflict ? 'Conflict' : 'Validation Error',
+          message: errors.map(error => error.message).join('; '),
+          errors,
+          statusCode: conflict ? 409 : 400
+        }
+      }
+
+      await writeJsonFileAtomic(this.configPath, config)
+      return result
+    })
+  }
+
   /**
    * Create a new project
    */
   async createProject(projectData) {
-    // TODO: Implement project creation logic
-    // This would typically involve:
-    // 1. Validating project data
-    // 2. Adding to configuration
-    // 3. Creating AWS infrastructure via Terraform
-    // 4. Setting up GitHub webhooks
-    
     logger.info('Create project requested:', projectData.id)
-    
-    throw new Error('Project creation not yet implemented')
+
+    return this.modifyConfig((config) => {
+      config.projects = config.projects || []
+
+      if (config.projects.some(p => p.id === projectData.id)) {
+        return {
+          success: false,
+          error: 'Conflict',
+          message: `Project with ID '${projectData.id}' already exists`,
+          statusCode: 409
+        }
+      }
+
+      const project = {
+        ...projectData,
+        status: projectData.status || 'active'
+      }
+      config.projects.push(project)
+
+      return {
+        success: true,
+        data: project,
+        etag: this.getProjectEtag(project)
+      }
+    })
   }
 
   /**
    * Update an existing project
+   * @param {string} projectId - Project ID
+   * @param {Object} projectData - Full replacement project document
+   * @param {Object} options - { ifMatch } entity tag precondition
    */
-  async updateProject(projectId, projectData) {
-    // TODO: Implement project update logic
+  async updateProject(projectId, projectData, options = {}) {
     logger.info('Update project requested:', projectId)
-    
-    throw new Error('Project update not yet implemented')
+
+    if (projectData.id && projectData.id !== projectId) {
+      return {
+        success: false,
+        error: 'Bad Request',
+        message: `Project ID in body ('${projectData.id}') does not match URL ('${projectId}')`,
+        statusCode: 400
+      }
+    }
+
+    return this.replaceProject(projectId, options, (existing) => ({
+      ...projectData,
+      id: projectId,
+      created_at: existing.created_at || projectData.created_at
+    }))
   }
 
   /**
    * Partially update a project
+   * Nested objects are merged, arrays and scalars are replaced and
+   * null values remove a field.
    */
-  async patchProject(projectId, updates) {
-    // TODO: Implement project patch logic
+  async patchProject(projectId, updates, options = {}) {
     logger.info('Patch project requested:', projectId)
-    
-    throw new Error('Project patch not yet implemented')
+
+    if (updates.id && updates.id !== projectId) {
+      return {
+        success: false,
+        error: 'Bad Request',
+        message: 'Project ID cannot be changed',
+        statusCode: 400
+      }
+    }
+
+    return this.replaceProject(projectId, options, (existing) => mergePatch(existing, updates))
+  }
+
+  /**
+   * Replace a project in the configuration after checking its precondition
+   * and validating the resulting document
+   */
+  async replaceProject(projectId, options, buildProject) {
+    return this.modifyConfig((config) => {
+      const index = config.projects?.findIndex(p => p.id === projectId) ?? -1
+
+      if (index === -1) {
+        return {
+          success: false,
+          error: 'Project Not Found',
+          message: `Project with ID '${projectId}' does not exist`,
+          statusCode: 404
+        }
+      }
+
+      const existing = config.projects[index]
+      const currentEtag = this.getProjectEtag(existing)
+
+      if (!this.matchesEtag(options.ifMatch, currentEtag)) {
+        return {
+          success: false,
+          error: 'Precondition Failed',
+          message: 'Project has been modified since it was retrieved; reload it and retry',
+          etag: currentEtag,
+          statusCode: 412
+        }
+      }
+
+      // Pre-existing schema errors (e.g. unresolved placeholders) do not
+      // block unrelated edits; only errors introduced here are rejected
+      const project = buildProject(existing)
+      const existingErrors = validateProjectObject(existing) || []
+      const errors = (validateProjectObject(project) || []).filter(error =>
+        !existingErrors.some(e => e.path === error.path && e.message === error.message)
+      )
+
+      if (errors.length > 0) {
+        return {
+          success: false,
+          error: 'Validation Error',
+          message: 'The resulting project data is invalid',
+          errors,
+          statusCode: 400
+        }
+      }
+
+      config.projects[index] = project
+
+      return {
+        success: true,
+        data: project,
+        etag: this.getProjectEtag(project)
+      }
+    })
   }
 
   /**
    * Delete a project
    */
-  async deleteProject(projectId, force = false) {
-    // TODO: Implement project deletion logic
-    // This would typically involve:
-    // 1. Checking for active deployments
-    // 2. Removing AWS infrastructure
-    // 3. Removing from configuration
-    // 4. Cleaning up webhooks
-    
+  async deleteProject(projectId, force = false, options = {}) {
     logger.info('Delete project requested:', projectId, { force })
-    
-    return {
+
+    return this.modifyConfig(async (config) => {
+      const project = config.projects?.find(p => p.id === projectId)
+
+      if (!project) {
+        return {
+          success: false,
+          error: 'Project Not Found',
+          message: `Project with ID '${projectId}' does not exist`,
+          statusCode: 404
+        }
+      }
+
+      if (!this.matchesEtag(options.ifMatch, this.getProjectEtag(project))) {
+        return {
+          success: false,
+          error: 'Precondition Failed',
+          message: 'Project has been modified since it was retrieved; reload it and retry',
+          statusCode: 412
+        }
+      }
+
+      if (!force) {
+        const active = await deploymentStore.findActive(projectId)
+        if (active.length > 0) {
+          return {
+            success: false,
+            error: 'Conflict',
+            message: `Project '${projectId}' has ${active.length} active deployment(s); retry with force=true to delete anyway`,
+            statusCode: 409
+          }
+        }
+      }
+
+      config.projects = config.projects.filter(p => p.id !== projectId)
+
+      return {
+        success: true,
+        data: project,
+        message: `Project '${projectId}' deleted successfully`
+      }
+    })
+  }
+
+  /**
+   * IDs of the projects that reference each vault secret, by secret name
+   * @returns {Promise<Map<string, string[]>>}
+   */
+  async secretUsage() {
+    const { projects = [] } = await this.loadStoredConfig()
+    const usage = new Map()
+
+    for (const project of projects) {
+      for (const ref of [project.deployment?.aws_profile_ref, project.repository?.github_token_ref]) {
+        if (typeof ref === 'string' && ref.startsWith(VAULT_REF_PREFIX)) {
+          const name = ref.slice(VAULT_REF_PREFIX.length)
+          usage.set(name, [...new Set([...(usage.get(name) || []), project.id])])
+        }
+      }
+    }
+
+    return usage
+  }
+
+  /**
+   * Delete a vault secret, refusing while projects still reference it
+   * Holds the config write lock, so no project can start referencing the
+   * secret between the check and the deletion.
+   * @returns {Promise<Object>} - { success, data: { secret, usedBy } } or a
+   *   failure; a 409 failure lists the referencing projects in `projects`
+   */
+  async removeSecret(name, { force = false } = {}) {
+    const notFound = {
       success: false,
-      error: 'Not Implemented',
-      message: 'Project deletion not yet implemented',
-      statusCode: 501
+      error: 'Secret Not Found',
+      message: `Secret '${name}' does not exist`,
+      statusCode: 404
     }
+
+    return withLock(this.configPath, async () => {
+      if (!(await secretVault.get(name))) {
+        return notFound
+      }
+
+      const usedBy = (await this.secretUsage()).get(name) || []
+      if (usedBy.length > 0 && !force) {
+        return {
+          success: false,
+          error: 'Conflict',
+          message: `Secret '${name}' is used by ${usedBy.join(', ')}; retry with force=true to delete anyway`,
+          projects: usedBy,
+          statusCode: 409
+        }
+      }
+
+      const secret = await secretVault.remove(name)
+      if (!secret) {
+        return notFound
+      }
+
+      return { success: true, data: { secret, usedBy } }
+    })
   }
 
   /**
@@ -177,30 +488,139 @@ export class ProjectService {
       }
     }
 
-    // TODO: Implement deployment trigger logic
-    // This would typically involve:
-    // 1. Cloning the repository
-    // 2. Building the project
-    // 3. Deploying to S3
-    // 4. Invalidating CloudFront cache
-    // 5. Updating deployment history
-    
-    logger.info('Deployment triggered:', projectId, deploymentConfig)
-    
-    const mockDeployment = {
-      id: `dep-${Date.now()}`,
-      project_id: projectId,
+    const deployment = await deploymentStore.create({
+      projectId,
       branch: deploymentConfig.branch || project.repository.branch || 'main',
       environment: deploymentConfig.environment || project.deployment.environment || 'production',
-      status: 'pending',
-      triggered_by: deploymentConfig.triggeredBy || 'api',
-      triggered_at: deploymentConfig.triggeredAt || new Date().toISOString(),
-      created_at: new Date().toISOString()
+      commit: deploymentConfig.commit,
+      triggerSource: deploymentConfig.triggerSource || 'api',
+      triggeredBy: deploymentConfig.triggeredBy || 'api',
+      triggeredAt: deploymentConfig.triggeredAt
+    })
+
+    logger.info('Deployment triggered:', { projectId, deploymentId: deployment.id })
+
+    const config = await this.loadConfig()
+    const queued = await deploymentQueue.enqueue(deployment, {
+      project: config.projects.find(p => p.id === projectId) || project,
+      config
+    })
+
+    return {
+      success: true,
+      data: queued
+    }
+  }
+
+  /**
+   * Republish an earlier release of a project without rebuilding
+   * @param {string} projectId - Project ID
+   * @param {Object} options - { deploymentId: release to restore (defaults
+   *   to the one before the live release), branch: target when no
+   *   deploymentId is given (defaults to the production branch), triggeredBy }
+   * @returns {Promise<Object>} - Service-style result with the queued
+   *   rollback deployment
+   */
+  async rollbackDeployment(projectId, { deploymentId, branch, triggeredBy } = {}) {
+    if (process.env.FEATURE_DEPLOYMENT_ROLLBACK !== 'true') {
+      return {
+        success: false,
+        error: 'Feature Disabled',
+        message: 'Deployment rollback is disabled (set FEATURE_DEPLOYMENT_ROLLBACK=true)',
+        statusCode: 404
+      }
+    }
+
+    const project = await this.getProject(projectId)
+
+    if (!project) {
+      return {
+        success: false,
+        error: 'Project Not Found',
+        message: `Project with ID '${projectId}' does not exist`,
+        statusCode: 404
+      }
+    }
+
+    let source
+
+    if (deploymentId) {
+      source = await deploymentStore.get(deploymentId)
+
+      if (!source || source.project_id !== projectId) {
+        return {
+          success: false,
+          error: 'Deployment Not Found',
+          message: `Deployment with ID '${deploymentId}' does not exist for project '${projectId}'`,
+          statusCode: 404
+        }
+      }
+      if (source.status !== 'completed' || !source.release) {
+        return {
+          success: false,
+          error: 'Conflict',
+          message: `Deployment '${deploymentId}' has no release to roll back to`,
+          statusCode: 409
+        }
+      }
+    } else {
+      const prefix = resolveDeployTarget(project, branch || project.repository.branch || 'main').prefix
+      source = await releaseStore.previous(projectId, prefix)
+
+      if (!source) {
+        return {
+          success: false,
+          error: 'Conflict',
+          message: 'There is no earlier release to roll back to',
+          statusCode: 409
+        }
+      }
+    }
+
+    const live = await releaseStore.live(projectId, source.upload.prefix)
+
+    if (live?.release?.id === source.release.id) {
+      return {
+        success: false,
+        error: 'Conflict',
+        message: `Release ${source.release.id} is already live`,
+        statusCode: 409
+      }
     }
 
+    if (!(await releaseStore.exists(source.release))) {
+      return {
+        success: false,
+        error: 'Conflict',
+        message: `The archive of release ${source.release.id} is no longer available`,
+        statusCode: 409
+      }
+    }
+
+    const deployment = await deploymentStore.create({
+      projectId,
+      branch: source.branch,
+      environment: source.environment,
+      commit: source.release.commit,
+      triggerSource: 'rollback',
+      triggeredBy: triggeredBy || 'api',
+      rollback: {
+        release: source.release,
+        from_deployment_id: live?.id || null
+      }
+    })
+
+    logger.info('Rollback triggered:', { projectId, deploymentId: deployment.id, release: source.release.id })
+
+    const config = await this.loadConfig()
+    const queued = await deploymentQueue.enqueue(deployment, {
+      project: config.projects.find(p => p.id === projectId) || project,
+      config
+    })
+
     return {
       success: true,
-      data: mockDeployment
+      data: queued
     }
   }
 
@@ -219,32 +639,19 @@ export class ProjectService {
       }
     }
 
-    // TODO: Implement deployment history retrieval
-    const mockDeployments = [
-      {
-        id: 'dep-001',
-        project_id: projectId,
-        branch: 'main',
-        environment: 'production',
-        status: 'completed',
-        created_at: new Date(Date.now() - 86400000).toISOString(), // 1 day ago
-        completed_at: new Date(Date.now() - 86400000 + 45000).toISOString(), // 45 seconds later
-        duration: 45000
-      }
-    ]
+    const result = await deploymentStore.list({ ...filters, projectId }, options)
 
     return {
       success: true,
-      deployments: mockDeployments,
-      page: options.page || 1,
-      limit: options.limit || 20,
-      total: mockDeployments.length,
-      pages: 1
+      ...result,
+      deployments: result.deployments.map(d => deploymentQueue.decorate(d))
     }
   }
 
   /**
    * Get project status and health
+   * Health and certificate status come from the latest uptime check; they
+   * are `unknown` until the project has been probed (see UptimeMonitor.js).
    */
   async getProjectStatus(projectId) {
     const project = await this.getProject(projectId)
@@ -258,29 +665,50 @@ export class ProjectService {
       }
     }
 
-    // TODO: Implement actual status checking
-    const mockStatus = {
+    const { deployments: [lastDeployment] } = await deploymentStore.list({ projectId }, { limit: 1 })
+    const { last_check: lastCheck, consecutive_failures: consecutiveFailures, uptime } = await uptimeStore.get(projectId, { limit: 0 })
+
+    let health = 'unknown'
+    if (lastCheck) {
+      health = lastCheck.up ? 'healthy' : 'unhealthy'
+    }
+
+    const status = {
       project_id: projectId,
       status: project.status || 'active',
-      health: 'healthy',
-      last_deployment: {
-        id: 'dep-001',
-        status: 'completed',
-        created_at: new Date(Date.now() - 86400000).toISOString()
-      },
+      health,
+      last_deployment: lastDeployment
+        ? {
+            id: lastDeployment.id,
+            status: lastDeployment.status,
+            created_at: lastDeployment.created_at
+          }
+        : null,
       url: `https://${project.deployment.domain_name}`,
-      ssl_status: 'valid',
-      cdn_status: 'active'
+      ssl_status: lastCheck?.tls?.status || 'unknown',
+      ssl_expires_at: lastCheck?.tls?.expires_at || null,
+      cdn_status: project.deployment.cloudfront_distribution_id ? 'active' : 'none',
+      monitoring: {
+        enabled: project.monitoring?.uptime_monitoring === true,
+        last_checked_at: lastCheck?.timestamp || null,
+        status_code: lastCheck?.status_code ?? null,
+        latency_ms: lastCheck?.latency_ms ?? null,
+        error: lastCheck?.error || null,
+        consecutive_failures: consecutiveFailures,
+        uptime
+      }
     }
 
     return {
       success: true,
-      data: mockStatus
+      data: status
     }
   }
 
   /**
    * Validate project configuration
+   * Runs the preflight checks (see PreflightChecks.js); the project is valid
+   * when none of them fails.
    */
   async validateProject(projectId) {
     const project = await this.getProject(projectId)
@@ -294,34 +722,23 @@ export class ProjectService {
       }
     }
 
-    // TODO: Implement project validation
-    // This would check:
-    // 1. Repository access
-    // 2. AWS credentials and permissions
-    // 3. Domain configuration
-    // 4. Build settings
-    
-    const mockValidation = {
-      project_id: projectId,
-      valid: true,
-      checks: {
-        repository_access: true,
-        aws_credentials: true,
-        domain_configuration: true,
-        build_settings: true
-      },
-      warnings: [],
-      errors: []
-    }
+    const config = await this.loadConfig()
+    const validation = await preflightChecks.run(config.projects.find(p => p.id === projectId) || project, config)
 
     return {
       success: true,
-      data: mockValidation
+      data: {
+        project_id: projectId,
+        ...validation
+      }
     }
   }
 
   /**
-   * Get project logs
+   * Get recent log lines of a project's deployments, oldest first
+   * Lines are read from the deployment log store, newest deployments first,
+   * until `limit` lines are collected.
+   * @param {Object} options - { level: minimum level, limit, since, until }
    */
   async getProjectLogs(projectId, options = {}) {
     const project = await this.getProject(projectId)
@@ -335,25 +752,41 @@ export class ProjectService {
       }
     }
 
-    // TODO: Implement log retrieval
-    const mockLogs = [
-      {
-        timestamp: new Date().toISOString(),
-        level: 'info',
-        message: 'Project status check completed',
-        component: 'health-check'
-      },
-      {
-        timestamp: new Date(Date.now() - 300000).toISOString(),
-        level: 'info',
-        message: 'Deployment completed successfully',
-        component: 'deployment'
+    const limit = options.limit > 0 ? options.limit : 100
+    // Invalid dates are ignored
+    const bound = date => (date instanceof Date && !Number.isNaN(date.getTime()) ? date.getTime() : null)
+    const since = bound(options.since)
+    const until = bound(options.until)
+    const inRange = (timestamp) => {
+      const time = new Date(timestamp).getTime()
+      return (since === null || time >= since) && (until === null || time <= until)
+    }
+
+    const { deployments } = await deploymentStore.list({ projectId }, { limit: Number.MAX_SAFE_INTEGER })
+    const logs = []
+
+    for (const deployment of deployments) {
+      if (logs.length >= limit) {
+        break
+      }
+      // Deployments outside the time range have no matching lines
+      if ((until !== null && new Date(deployment.created_at).getTime() > until) ||
+        (since !== null && deployment.completed_at && new Date(deployment.completed_at).getTime() < since)) {
+        continue
       }
-    ]
+
+      const lines = await deploymentStore.getLogs(deployment.id, { level: options.level })
+      // Older deployments go first, so their lines win timestamp ties
+      logs.unshift(...lines
+        .filter(line => inRange(line.timestamp))
+        .map(line => ({ ...line, deployment_id: deployment.id })))
+    }
+
+    logs.sort((a, b) => a.timestamp.localeCompare(b.timestamp))
 
     return {
       success: true,
-      data: mockLogs
+      data: logs.slice(-limit)
     }
   }
 }
@@ -0,0 +1,73 @@
+/**
+ * Release Retention Job
+ * Prunes release artifacts on the ARTIFACTS_RETENTION_SCHEDULE cron
+ * schedule (daily at 03:00 by default); see ReleaseStore.prune()
+ */
+
+import cron from 'node-cron'
+import { logger } from '../utils/logger.js'
+import { releaseStore } from './ReleaseStore.js'
+
+const DEFAULT_SCHEDULE = '0 3 * * *'
+
+export class ReleaseRetentionJob {
+  constructor(options = {}) {
+    this.releases = options.releases || releaseStore
+    this.task = null
+    this.running = null
+  }
+
+  get schedule() {
+    return process.env.ARTIFACTS_RETENTION_SCHEDULE || DEFAULT_SCHEDULE
+  }
+
+  /**
+   * Start the cron task
+   */
+  start() {
+    if (this.task) {
+      return
+    }
+
+    if (!cron.validate(this.schedule)) {
+      logger.error(`Invalid ARTIFACTS_RETENTION_SCHEDULE '${this.schedule}'; release artifacts will not be pruned`)
+      return
+    }
+
+    this.task = cron.schedule(this.schedule, () => {
+      this.run().catch((error) => {
+        logger.error('Release retention run failed:', error)
+      })
+    })
+    logger.info(`Release artifact retention scheduled (${this.schedule})`)
+  }
+
+  stop() {
+    this.task?.stop()
+    this.task = null
+  }
+
+  /**
+   * Prune once; overlapping runs share the one in progress
+   */
+  async run() {
+    if (!this.running) {
+      this.running = this.releases.prune()
+        .then((result) => {
+          if (result.deleted.length > 0) {
+            logger.info(`Pruned ${result.deleted.length} release artifact(s), kept ${result.kept}`, { deleted: result.deleted })
+          }
+          return result
+        })
+        .finally(() => {
+          this.running = null
+        })
+    }
+    return this.running
+  }
+}
+
+// Shared retention job used by the API
+export const releaseRetentionJob = new ReleaseRetentionJob()
+
+export default ReleaseRetentionJob
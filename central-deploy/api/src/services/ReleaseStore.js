@@ -0,0 +1,346 @@
+/**
+ * Release Store
+ * Immutable build artifacts of successfully published deployments
+ *
+ * After a deployment is published, the exact files that went live are
+ * archived as `<project-id>/<deployment-id>.tar.gz` in the artifact storage
+ * and the deployment record gets a `release` reference. Each archive holds:
+ *
+ *   manifest.json - deployment, commit, build settings, and every file with
+ *                   its size and SHA-256
+ *   site/         - the published files
+ *
+ * Archives are written once and never modified, so a rollback can
+ * republish a release byte for byte without rebuilding it. A rollback
+ * deployment reuses the release it restored: its `release.id` is the ID of
+ * the deployment that originally produced the files.
+ *
+ * Artifacts are kept in DATA_PATH/releases, or in ARTIFACTS_S3_BUCKET when
+ * it is set and STORAGE_BACKEND is not `local`.
+ */
+
+import { promises as fs, createReadStream, createWriteStream } from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { pipeline } from 'stream/promises'
+import archiver from 'archiver'
+import tar from 'tar'
+import { logger } from '../utils/logger.js'
+import { dataPath } from '../utils/fileStore.js'
+import { deploymentStore } from './DeploymentStore.js'
+import { LocalArtifactStorage } from './LocalArtifactStorage.js'
+import { S3ArtifactStorage } from './S3ArtifactStorage.js'
+
+export const MANIFEST_VERSION = 1
+
+async function sha256File(filePath) {
+  const hash = crypto.createHash('sha256')
+  await pipeline(createReadStream(filePath), hash)
+  return hash.digest('hex')
+}
+
+/**
+ * Create the artifact storage selected by the environment
+ */
+export function createArtifactStorage() {
+  const bucket = process.env.ARTIFACTS_S3_BUCKET
+
+  if (bucket && (process.env.STORAGE_BACKEND || 's3') !== 'local') {
+    return new S3ArtifactStorage({ bucket, region: process.env.ARTIFACTS_S3_REGION })
+  }
+
+  return new LocalArtifactStorage({ rootPath: dataPath('releases') })
+}
+
+/**
+ * Build settings recorded in a manifest
+ * Environment variable values are left out; they may hold secrets.
+ */
+function manifestSettings(settings = {}) {
+  return {
+    framework: settings.framework || null,
+    node_version: settings.nodeVersion || null,
+    package_manager: settings.packageManager || null,
+    install_command: settings.installCommand || settings.defaultInstallCommand || null,
+    build_command: settings.buildCommand || null,
+    build_dir: settings.buildDir || null,
+    environment_variables: Object.keys(settings.environmentVariables || {}).sort()
+  }
+}
+
+export class ReleaseStore {
+  constructor(options = {}) {
+    this.storageOverride = options.storage || null
+    this.workspaceResolver = options.workspacePath ||
+      (() => path.join(process.env.BUILD_WORKSPACE_PATH || '/tmp/ix-deploy-builds', '_releases'))
+    this.store = options.store || deploymentStore
+  }
+
+  // Resolved on use so values loaded by dotenv after import are honored
+  get storage() {
+    return this.storageOverride || createArtifactStorage()
+  }
+
+  get keepLatest() {
+    return Math.max(parseInt(process.env.ARTIFACTS_KEEP_LATEST || '5', 10) || 0, 0)
+  }
+
+  get retentionDays() {
+    return Math.max(parseInt(process.env.ARTIFACTS_RETENTION_DAYS || '30', 10) || 0, 0)
+  }
+
+  /**
+   * A fresh scratch directory for one deployment
+   */
+  async scratch(deploymentId) {
+    const dir = path.join(this.workspaceResolver(), deploymentId)
+    await fs.rm(dir, { recursive: true, force: true })
+    await fs.mkdir(dir, { recursive: true })
+    return dir
+  }
+
+  /**
+   * Archive the published files of a deployment
+   * @param {Object} deployment - Deployment record
+   * @param {Object} params - { sourceDir, files: relative paths that were
+   *   published, settings: resolved build settings }
+   * @returns {Promise<Object>} - Release reference stored on the deployment
+   */
+  async archive(deployment, { sourceDir, files, settings }) {
+    const storage = this.storage
+    const key = path.posix.join(deployment.project_id, `${deployment.id}.tar.gz`)
+    const scratch = await this.scratch(deployment.id)
+    const archivePath = path.join(scratch, 'release.tar.gz')
+
+    try {
+      const entries = []
+      for (const relative of [...files].sort()) {
+        const filePath = path.join(sourceDir, relative)
+        const { size } = await fs.stat(filePath)
+        entries.push({ path: relative, size, sha256: await sha256File(filePath) })
+      }
+
+      const manifest = {
+        version: MANIFEST_VERSION,
+        deployment_id: deployment.id,
+        project_id: deployment.project_id,
+        branch: deployment.branch,
+        environment: deployment.environment,
+        commit: deployment.commit || null,
+        created_at: new Date().toISOString(),
+        build: manifestSettings(settings),
+        file_count: entries.length,
+        total_bytes: entries.reduce((total, entry) => total + entry.size, 0),
+        files: entries
+      }
+
+      const archive = archiver('tar', { gzip: true })
+      const written = pipeline(archive, createWriteStream(archivePath))
+
+      archive.append(JSON.stringify(manifest, null, 2) + '\n', { name: 'manifest.json' })
+      for (const entry of entries) {
+        archive.file(path.join(sourceDir, entry.path), { name: `site/${entry.path}` })
+      }
+      await archive.finalize()
+      await written
+
+      const { size } = await fs.stat(archivePath)
+      const sha256 = await sha256File(archivePath)
+
+      await storage.put(key, archivePath)
+
+      return {
+        id: deployment.id,
+        storage: storage.name,
+        archive: key,
+        sha256,
+        bytes: size,
+        file_count: manifest.file_count,
+        total_bytes: manifest.total_bytes,
+        commit: manifest.commit,
+        created_at: manifest.created_at,
+        deleted_at: null
+      }
+    } finally {
+      await this.cleanup(scratch)
+    }
+  }
+
+  /**
+   * Whether a release's archive is still stored
+   */
+  async exists(release) {
+    return !release.deleted_at && Boolean(await this.storage.stat(release.archive))
+  }
+
+  /**
+   * Stream a release archive
+   */
+  async createReadStream(release) {
+    return this.storage.createReadStream(release.archive)
+  }
+
+  /**
+   * Unpack a release into a fresh workspace, checking its checksum
+   * @returns {Promise<Object>} - { workspace, outputDir, manifest }
+   */
+  async extract(release, deploymentId) {
+    if (release.deleted_at) {
+      throw new Error(`Release ${release.id} was removed by the retention policy`)
+    }
+
+    const workspace = await this.scratch(deploymentId)
+    const archivePath = path.join(workspace, 'release.tar.gz')
+
+    await this.storage.download(release.archive, archivePath)
+
+    if (await sha256File(archivePath) !== release.sha256) {
+      throw new Error(`Release ${release.id} does not match its checksum`)
+    }
+
+    await tar.x({ file: archivePath, cwd: workspace, strict: true })
+    await fs.rm(archivePath)
+
+    const manifest = JSON.parse(await fs.readFile(path.join(workspace, 'manifest.json'), 'utf8'))
+    return { workspace, outputDir: path.join(workspace, 'site'), manifest }
+  }
+
+  /**
+   * Remove an extraction workspace
+   */
+  async cleanup(workspace) {
+    await fs.rm(workspace, { recursive: true, force: true })
+  }
+
+  /**
+   * Completed deployments of a project published under a storage prefix,
+   * most recent first
+   */
+  async publishedTo(projectId, prefix) {
+    const { deployments } = await this.store.list(
+      { projectId, status: 'completed' },
+      { sort: 'completed_at', order: 'desc', limit: Number.MAX_SAFE_INTEGER }
+    )
+    return deployments.filter(d => d.upload?.prefix === prefix)
+  }
+
+  /**
+   * The deployment currently live under a prefix, or null
+   */
+  async live(projectId, prefix) {
+    return (await this.publishedTo(projectId, prefix))[0] || null
+  }
+
+  /**
+   * The release that preceded the live one under a prefix
+   * Releases are ordered by when they were first published, so repeated
+   * rollbacks walk further back instead of alternating between two releases.
+   * @returns {Promise<Object|null>} - Deployment that produced the release
+   */
+  async previous(projectId, prefix) {
+    const published = await this.publishedTo(projectId, prefix)
+    const live = published[0]
+    if (!live) {
+      return null
+    }
+
+    const originals = published.filter(d => d.release && d.release.id === d.id && !d.release.deleted_at)
+
+    const liveIndex = live.release ? originals.findIndex(d => d.id === live.release.id) : -1
+    if (liveIndex !== -1) {
+      return originals[liveIndex + 1] || null
+    }
+
+    // The live deployment has no release of its own
+    return originals.find(d => d.completed_at < live.completed_at) || null
+  }
+
+  /**
+   * Delete release artifacts past the retention window
+   * The newest ARTIFACTS_KEEP_LATEST releases of each project and every
+   * release that is live under some prefix are always kept.
+   * @returns {Promise<Object>} - { deleted: release IDs, kept }
+   */
+  async prune({ now = Date.now() } = {}) {
+    const { deployments } = await this.store.list(
+      { status: 'completed' },
+      { sort: 'completed_at', order: 'desc', limit: Number.MAX_SAFE_INTEGER }
+    )
+
+    const protectedIds = new Set()
+    const livePrefixes = new Set()
+    const keptPerProject = new Map()
+
+    for (const deployment of deployments) {
+      // Without a recorded upload there is no prefix to be live under
+      if (typeof deployment.upload?.prefix !== 'string') {
+        continue
+      }
+
+      // The first deployment seen per project and prefix is the live one
+      const lane = `${deployment.project_id}\0${deployment.upload.prefix}`
+      if (!livePrefixes.has(lane)) {
+        livePrefixes.add(lane)
+        if (deployment.release) {
+          protectedIds.add(deployment.release.id)
+        }
+      }
+    }
+
+    const cutoff = now - this.retentionDays * 24 * 60 * 60 * 1000
+    const expired = []
+    let kept = 0
+
+    for (const deployment of deployments) {
+      const { release } = deployment
+      if (!release || release.id !== deployment.id || release.deleted_at) {
+        continue
+      }
+
+      const count = keptPerProject.get(deployment.project_id) || 0
+      if (count < this.keepLatest || protectedIds.has(release.id) || Date.parse(release.created_at) >= cutoff) {
+        keptPerProject.set(deployment.project_id, count + 1)
+        kept++
+        continue
+      }
+
+      expired.push(release)
+    }
+
+    const deleted = []
+
+    for (const release of expired) {
+      try {
+        await this.storage.delete(release.archive)
+        deleted.push(release.id)
+      } catch (error) {
+        logger.error(`Failed to delete release artifact ${release.archive}:`, error)
+      }
+    }
+
+    if (deleted.length > 0) {
+      await this.markDeleted(deleted)
+    }
+
+    return { deleted, kept }
+  }
+
+  /**
+   * Flag every deployment that references one of the releases as having
+   * lost it
+   * @param {string[]} releaseIds - IDs of the deleted releases
+   */
+  async markDeleted(releaseIds) {
+    const ids = new Set(releaseIds)
+    const deletedAt = new Date().toISOString()
+
+    await this.store.updateEach(deployment => ids.has(deployment.release?.id)
+      ? { release: { ...deployment.release, deleted_at: deletedAt } }
+      : null)
+  }
+}
+
+// Shared release store used by the API
+export const releaseStore = new ReleaseStore()
+
+export default ReleaseStore
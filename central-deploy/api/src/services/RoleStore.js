@@ -0,0 +1,172 @@
+/**
+ * Role Store
+ * Per-project role assignments for role-based access control
+ *
+ * Roles, from least to most privileged:
+ *   viewer     - read projects, deployments and logs
+ *   deployer   - viewer + trigger and cancel deployments
+ *   maintainer - deployer + create, update and delete projects
+ *   admin      - maintainer + force deletes, tag changes and role management
+ *
+ * A role is assigned to a user either for one project (`project_id`) or for
+ * every project carrying a tag (`tag: "Key=Value"`, matched against the
+ * project's `tags`). A user's role on a project is the highest matching
+ * assignment. Users whose account role is `admin` are admins everywhere.
+ *
+ * Assignments live in DATA_PATH/role-assignments.json.
+ */
+
+import crypto from 'crypto'
+import { dataPath, JsonFileStore } from '../utils/fileStore.js'
+
+export const PROJECT_ROLES = ['viewer', 'deployer', 'maintainer', 'admin']
+
+const TAG_PATTERN = /^([^=]+)=(.*)$/
+
+/**
+ * Whether a role grants at least the required role
+ */
+export function roleAtLeast(role, required) {
+  return Boolean(role) && PROJECT_ROLES.indexOf(role) >= PROJECT_ROLES.indexOf(required)
+}
+
+/**
+ * Whether an assignment applies to a project
+ */
+function assignmentMatches(assignment, project) {
+  if (assignment.project_id) {
+    return assignment.project_id === project.id
+  }
+
+  const [, key, value] = assignment.tag.match(TAG_PATTERN)
+  return project.tags?.[key] === value
+}
+
+export class RoleStore {
+  constructor(options = {}) {
+    this.store = new JsonFileStore(options.filePath || (() => dataPath('role-assignments.json')), { assignments: [] })
+  }
+
+  /**
+   * Assignments, optionally filtered
+   * @param {Object} filters - { userId, projectId }
+   */
+  async list(filters = {}) {
+    const { assignments } = await this.store.read()
+    return assignments.filter(a =>
+      (!filters.userId || a.user_id === filters.userId) &&
+      (!filters.projectId || a.project_id === filters.projectId)
+    )
+  }
+
+  async get(assignmentId) {
+    const { assignments } = await this.store.read()
+    return assignments.find(a => a.id === assignmentId) || null
+  }
+
+  /**
+   * Assign a role to a user for a project or a tag
+   * @param {Object} data - { userId, role, projectId, tag, createdBy }
+   * @returns {Promise<Object>} - Service-style result
+   */
+  async assign({ userId, role, projectId = null, tag = null, createdBy = null }) {
+    if (!PROJECT_ROLES.includes(role)) {
+      return {
+        success: false,
+        error: 'Validation Error',
+        message: `Role must be one of: ${PROJECT_ROLES.join(', ')}`,
+        statusCode: 400
+      }
+    }
+
+    if (Boolean(projectId) === Boolean(tag)) {
+      return {
+        success: false,
+        error: 'Validation Error',
+        message: 'Provide exactly one of project_id or tag',
+        statusCode: 400
+      }
+    }
+
+    if (tag && !TAG_PATTERN.test(tag)) {
+      return {
+        success: false,
+        error: 'Validation Error',
+        message: 'tag must look like "Key=Value"',
+        statusCode: 400
+      }
+    }
+
+    return this.store.update((document) => {
+      // Re-assigning the same target replaces the previous role
+      const existing = document.assignments.find(a =>
+        a.user_id === userId && a.project_id === projectId && a.tag === tag
+      )
+
+      if (existing) {
+        Object.assign(existing, { role, updated_at: new Date().toISOString() })
+        return { success: true, data: { ...existing } }
+      }
+
+      const assignment = {
+        id: `role-${crypto.randomBytes(6).toString('hex')}`,
+        user_id: userId,
+        role,
+        project_id: projectId,
+        tag,
+        created_by: createdBy,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }
+
+      document.assignments.push(assignment)
+      return { success: true, data: { ...assignment } }
+    })
+  }
+
+  /**
+   * Remove an assignment
+   * @returns {Promise<Object|null>} - The removed assignment, or null if unknown
+   */
+  async remove(assignmentId) {
+    return this.store.update((document) => {
+      const index = document.assignments.findIndex(a => a.id === assignmentId)
+      if (index === -1) {
+        return null
+      }
+      return document.assignments.splice(index, 1)[0]
+    })
+  }
+
+  /**
+   * Build a synchronous resolver of a user's role on any project
+   * @param {Object} user - Authenticated user (req.user)
+   * @returns {Promise<Function>} - (project) => role or null
+   */
+  async resolverFor(user) {
+    if (!user) {
+      return () => null
+    }
+    if (user.role === 'admin') {
+      return () => 'admin'
+    }
+
+    const assignments = await this.list({ userId: user.id })
+
+    return (project) => assignments
+      .filter(a => assignmentMatches(a, project))
+      .reduce((best, a) => (best === null || roleAtLeast(a.role, best) ? a.role : best), null)
+  }
+
+  /**
+   * A user's role on a project, or null when they have none
+   */
+  async roleFor(user, project) {
+    return (await this.resolverFor(user))(project)
+  }
+}
+
+// Shared role store used by the API
+export const roleStore = new RoleStore()
+
+export default RoleStore
@@ -0,0 +1,77 @@
+/**
+ * S3 Artifact Storage
+ * Keeps release archives in the ARTIFACTS_S3_BUCKET bucket
+ */
+
+import { createReadStream, createWriteStream, promises as fs } from 'fs'
+import { pipeline } from 'stream/promises'
+import {
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand
+} from '@aws-sdk/client-s3'
+import { createS3Client } from './S3StorageBackend.js'
+
+export class S3ArtifactStorage {
+  /**
+   * @param {Object} options - { bucket, region, client }
+   */
+  constructor({ bucket, region, client }) {
+    this.name = 's3'
+    this.bucket = bucket
+    this.client = client || createS3Client(null, { region })
+  }
+
+  get location() {
+    return `s3://${this.bucket}`
+  }
+
+  /**
+   * Store a file under a key
+   */
+  async put(key, filePath) {
+    const { size } = await fs.stat(filePath)
+
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: createReadStream(filePath),
+      ContentLength: size,
+      ContentType: 'application/gzip'
+    }))
+  }
+
+  /**
+   * Copy a stored artifact to a local file
+   */
+  async download(key, destPath) {
+    await pipeline(await this.createReadStream(key), createWriteStream(destPath))
+  }
+
+  async createReadStream(key) {
+    const response = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }))
+    return response.Body
+  }
+
+  /**
+   * Size of a stored artifact, or null when it does not exist
+   */
+  async stat(key) {
+    try {
+      const response = await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: key }))
+      return { size: response.ContentLength }
+    } catch (error) {
+      if (error.name === 'NotFound') {
+        return null
+      }
+      throw error
+    }
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }))
+  }
+}
+
+export default S3ArtifactStorage
@@ -0,0 +1,127 @@
+/**
+ * S3 Storage Backend
+ * Publishes sites to an S3 bucket, or an S3-compatible service such as
+ * MinIO when S3_ENDPOINT is set
+ */
+
+import { createReadStream, promises as fs } from 'fs'
+import {
+  S3Client,
+  ListObjectsV2Command,
+  PutObjectCommand,
+  DeleteObjectsCommand,
+  HeadObjectCommand
+} from '@aws-sdk/client-s3'
+
+// DeleteObjects accepts at most 1000 keys per request
+const DELETE_BATCH_SIZE = 1000
+
+/**
+ * Create an S3 client for resolved AWS credentials, honoring the
+ * S3-compatible endpoint override
+ * @param {Object|null} credentials - Resolved profile, or null for the SDK's
+ *   default credential chain
+ * @param {Object} options - { region } used when the profile has none
+ */
+export function createS3Client(credentials, options = {}) {
+  return new S3Client({
+    region: credentials?.region || options.region || process.env.AWS_REGION || 'us-east-1',
+    ...(credentials && {
+      credentials: {
+        accessKeyId: credentials.accessKeyId,
+        secretAccessKey: credentials.secretAccessKey
+      }
+    }),
+    ...(process.env.S3_ENDPOINT && {
+      endpoint: process.env.S3_ENDPOINT,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false'
+    })
+  })
+}
+
+export class S3StorageBackend {
+  /**
+   * @param {Object} options - { bucket, credentials, client }
+   */
+  constructor({ bucket, credentials, client }) {
+    this.name = 's3'
+    this.bucket = bucket
+    this.client = client || createS3Client(credentials)
+  }
+
+  /**
+   * List stored objects under a prefix
+   * @returns {Promise<Map<string, Object>>} - key -> { size, md5 }
+   */
+  async list(prefix = '') {
+    const objects = new Map()
+    let continuationToken
+
+    do {
+      const response = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: prefix || undefined,
+        ContinuationToken: continuationToken
+      }))
+
+      for (const object of response.Contents || []) {
+        const etag = (object.ETag || '').replace(/"/g, '')
+        objects.set(object.Key, {
+          size: object.Size,
+          // Multipart ETags are not content hashes
+          md5: etag.includes('-') ? null : etag
+        })
+      }
+
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined
+    } while (continuationToken)
+
+    return objects
+  }
+
+  async put(key, filePath, { contentType, cacheControl }) {
+    const { size } = await fs.stat(filePath)
+
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: createReadStream(filePath),
+      ContentLength: size,
+      ContentType: contentType,
+      ...(cacheControl && { CacheControl: cacheControl })
+    }))
+  }
+
+  async delete(keys) {
+    for (let i = 0; i < keys.length; i += DELETE_BATCH_SIZE) {
+      const batch = keys.slice(i, i + DELETE_BATCH_SIZE)
+      const response = await this.client.send(new DeleteObjectsCommand({
+        Bucket: this.bucket,
+        Delete: { Objects: batch.map(Key => ({ Key })), Quiet: true }
+      }))
+
+      if (response.Errors?.length) {
+        throw new Error(`Failed to delete ${response.Errors.length} object(s): ${response.Errors[0].Message}`)
+      }
+    }
+  }
+
+  async flush() {}
+
+  /**
+   * Metadata recorded for a stored object
+   */
+  async head(key) {
+    try {
+      const response = await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: key }))
+      return { content_type: response.ContentType }
+    } catch (error) {
+      if (error.name === 'NotFound') {
+        return null
+      }
+      throw error
+    }
+  }
+}
+
+export default S3StorageBackend
@@ -0,0 +1,434 @@
+/**
+ * Secret Vault
+ * Credentials encrypted at rest in DATA_PATH/secrets.json
+ *
+ * A secret is an AWS profile (access_key_id, secret_access_key, region) or a
+ * GitHub token (token), encrypted with AES-256-GCM under the master key in
+ * SECRETS_MASTER_KEY (32 bytes, base64 or hex). The secret's name is
+ * authenticated with it, so ciphertexts can't be moved between secrets.
+ * Values are write-only: they can be created, rotated and deleted, but only
+ * their metadata is ever returned.
+ *
+ * Projects point into the vault with `aws_profile_ref: "vault:<name>"` or
+ * `github_token_ref: "vault:<name>"`; loaded configurations carry the
+ * decrypted credentials under those names (see withCredentials()).
+ *
+ * To change the master key, set the new key in SECRETS_MASTER_KEY and the
+ * old one in SECRETS_PREVIOUS_MASTER_KEY, then run `npm run
+ * secrets:reencrypt`. Secrets encrypted with either key can be read in the
+ * meantime.
+ */
+
+import crypto from 'crypto'
+import { logger } from '../utils/logger.js'
+import { dataPath, JsonFileStore } from '../utils/fileStore.js'
+import { registerSecret } from '../utils/redaction.js'
+
+export const VAULT_REF_PREFIX = 'vault:'
+
+// Value fields of each type and the credentials list it extends
+export const SECRET_TYPES = {
+  aws_profile: {
+    collection: 'aws_profiles',
+    required: ['access_key_id', 'secret_access_key'],
+    optional: ['region']
+  },
+  github_token: {
+    collection: 'github_tokens',
+    required: ['token'],
+    optional: []
+  }
+}
+
+const ALGORITHM = 'aes-256-gcm'
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/
+const MAX_VALUE_LENGTH = 4096
+const MAX_DESCRIPTION_LENGTH = 500
+
+/**
+ * Name of the credential a vault secret provides (`vault:<name>`)
+ */
+export const vaultRef = name => `${VAULT_REF_PREFIX}${name}`
+
+/**
+ * Parse a master key of 32 bytes, hex or base64 encoded
+ * @returns {Buffer|null} - The key, or null when none is set
+ * @throws {Error} - When the key is not 32 bytes long
+ */
+export function parseMasterKey(value, variable = 'SECRETS_MASTER_KEY') {
+  if (!value) {
+    return null
+  }
+
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64')
+  if (key.length !== 32) {
+    throw new Error(`${variable} must be 32 bytes, hex or base64 encoded (e.g. \`openssl rand -base64 32\`)`)
+  }
+  return key
+}
+
+/**
+ * Short fingerprint identifying the key a secret was encrypted with
+ */
+export const keyId = key => crypto.createHash('sha256').update(key).digest('hex').slice(0, 16)
+
+const additionalData = name => Buffer.from(`ix-deploy-secret:${name}`)
+
+/**
+ * Encrypt a secret value for a secret name
+ */
+export function encryptValue(key, name, value) {
+  const iv = crypto.randomBytes(12)
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv)
+  cipher.setAAD(additionalData(name))
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()])
+
+  return {
+    algorithm: ALGORITHM,
+    key_id: keyId(key),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    ciphertext: ciphertext.toString('base64')
+  }
+}
+
+/**
+ * Decrypt a secret's value with the key it was encrypted with
+ * @param {Map} keys - Key ID -> key
+ * @throws {Error} - When no key matches or the ciphertext is not authentic
+ */
+export function decryptValue(keys, record) {
+  const { encryption } = record
+  const key = keys.get(encryption.key_id)
+  if (!key) {
+    throw new Error(`Secret '${record.name}' was encrypted with a master key that is not configured (key ${encryption.key_id})`)
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(encryption.iv, 'base64'))
+    decipher.setAAD(additionalData(record.name))
+    decipher.setAuthTag(Buffer.from(encryption.tag, 'base64'))
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(encryption.ciphertext, 'base64')), decipher.final()])
+    return JSON.parse(plaintext.toString('utf8'))
+  } catch (error) {
+    throw new Error(`Secret '${record.name}' could not be decrypted; it is corrupt or has been tampered with`)
+  }
+}
+
+/**
+ * Why a secret value is unusable for its type, or null if it is fine
+ */
+function invalidValue(type, value) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return 'value must be an object'
+  }
+
+  const { required, optional } = SECRET_TYPES[type]
+  const unknown = Object.keys(value).filter(field => !required.includes(field) && !optional.includes(field))
+  if (unknown.length > 0) {
+    return `Unknown value field(s) for ${type}: ${unknown.join(', ')}. Valid fields: ${[...required, ...optional].join(', ')}`
+  }
+
+  for (const field of Object.keys(value)) {
+    if (typeof value[field] !== 'string' || value[field] === '' || value[field].length > MAX_VALUE_LENGTH) {
+      return `value.${field} must be a non-empty string of at most ${MAX_VALUE_LENGTH} characters`
+    }
+  }
+
+  const missing = required.filter(field => value[field] === undefined)
+  return missing.length > 0 ? `value.${missing.join(', value.')} is required for ${type}` : null
+}
+
+function invalidDescription(description) {
+  if (description !== undefined && description !== null &&
+    (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+    return `description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`
+  }
+  return null
+}
+
+export class SecretVault {
+  constructor(options = {}) {
+    this.store = new JsonFileStore(options.filePath || (() => dataPath('secrets.json')), { secrets: [] })
+    // Secrets whose decryption failure was already logged
+    this.warned = new Set()
+  }
+
+  /**
+   * The master key new values are encrypted with
+   * @throws {Error} - When SECRETS_MASTER_KEY is malformed
+   */
+  get masterKey() {
+    return parseMasterKey(process.env.SECRETS_MASTER_KEY)
+  }
+
+  /**
+   * Keys secrets can be decrypted with, by key ID: the master key and,
+   * during a key rotation, the previous one
+   */
+  get keys() {
+    const keys = [
+      parseMasterKey(process.env.SECRETS_MASTER_KEY),
+      parseMasterKey(process.env.SECRETS_PREVIOUS_MASTER_KEY, 'SECRETS_PREVIOUS_MASTER_KEY')
+    ].filter(Boolean)
+
+    return new Map(keys.map(key => [keyId(key), key]))
+  }
+
+  /**
+   * Metadata of a secret, for API responses
+   */
+  toMetadata(record) {
+    if (!record) {
+      return null
+    }
+
+    const { encryption, ...metadata } = record
+    return { ...metadata, key_id: encryption.key_id }
+  }
+
+  /**
+   * The master key, or a service-style failure when it is unusable
+   */
+  requireMasterKey() {
+    let key
+    try {
+      key = this.masterKey
+    } catch (error) {
+      return { failure: { success: false, error: 'Vault Unavailable', message: error.message, statusCode: 503 } }
+    }
+
+    if (!key) {
+      return {
+        failure: {
+          success: false,
+          error: 'Vault Unavailable',
+          message: 'The secrets vault is disabled (set SECRETS_MASTER_KEY)',
+          statusCode: 503
+        }
+      }
+    }
+
+    return { key }
+  }
+
+  /**
+   * Store a new secret
+   * @param {Object} data - { name, type, value, description, createdBy }
+   * @returns {Promise<Object>} - Service-style result with the metadata
+   */
+  async create({ name, type, value, description = null, createdBy = null }) {
+    let problem = null
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+      problem = 'name must be 1 to 64 lowercase letters, digits, dashes or underscores'
+    } else if (!SECRET_TYPES[type]) {
+      problem = `type must be one of: ${Object.keys(SECRET_TYPES).join(', ')}`
+    } else {
+      problem = invalidValue(type, value) || invalidDescription(description)
+    }
+
+    if (problem) {
+      return { success: false, error: 'Validation Error', message: problem, statusCode: 400 }
+    }
+
+    const { key, failure } = this.requireMasterKey()
+    if (failure) {
+      return failure
+    }
+
+    const now = new Date().toISOString()
+    const record = {
+      name,
+      type,
+      description,
+      fields: Object.keys(value),
+      version: 1,
+      created_by: createdBy,
+      updated_by: createdBy,
+      created_at: now,
+      updated_at: now,
+      rotated_at: null,
+      encryption: encryptValue(key, name, value)
+    }
+
+    const created = await this.store.update((document) => {
+      if (document.secrets.some(s => s.name === name)) {
+        return false
+      }
+      document.secrets.push(record)
+      return true
+    })
+
+    if (!created) {
+      return { success: false, error: 'Conflict', message: `Secret '${name}' already exists`, statusCode: 409 }
+    }
+
+    return { success: true, data: this.toMetadata(record) }
+  }
+
+  /**
+   * Replace the value (and optionally the description) of a secret
+   * @param {Object} data - { value, description, updatedBy }
+   * @returns {Promise<Object>} - Service-style result with { before, secret }
+   *   metadata
+   */
+  async rotate(name, { value, description, updatedBy = null }) {
+    const existing = await this.get(name)
+    if (!existing) {
+      return { success: false, error: 'Secret Not Found', message: `Secret '${name}' does not exist`, statusCode: 404 }
+    }
+
+    const problem = invalidValue(existing.type, value) || invalidDescription(description)
+    if (problem) {
+      return { success: false, error: 'Validation Error', message: problem, statusCode: 400 }
+    }
+
+    const { key, failure } = this.requireMasterKey()
+    if (failure) {
+      return failure
+    }
+
+    const result = await this.store.update((document) => {
+      const record = document.secrets.find(s => s.name === name)
+      if (!record) {
+        return null
+      }
+
+      const before = this.toMetadata(record)
+      const now = new Date().toISOString()
+      Object.assign(record, {
+        ...(description !== undefined && { description }),
+        fields: Object.keys(value),
+        version: record.version + 1,
+        updated_by: updatedBy,
+        updated_at: now,
+        rotated_at: now,
+        encryption: encryptValue(key, name, value)
+      })
+      return { before, secret: this.toMetadata(record) }
+    })
+
+    if (!result) {
+      return { success: false, error: 'Secret Not Found', message: `Secret '${name}' does not exist`, statusCode: 404 }
+    }
+
+    this.warned.delete(name)
+    return { success: true, data: result }
+  }
+
+  /**
+   * Delete a secret
+   * Does not check for projects referencing it; the API deletes secrets
+   * through ProjectService.removeSecret(), which does.
+   * @returns {Promise<Object|null>} - Metadata of the deleted secret, or
+   *   null if it did not exist
+   */
+  async remove(name) {
+    return this.store.update((document) => {
+      const record = document.secrets.find(s => s.name === name)
+      document.secrets = document.secrets.filter(s => s.name !== name)
+      return this.toMetadata(record)
+    })
+  }
+
+  /**
+   * Metadata of a secret
+   */
+  async get(name) {
+    const { secrets } = await this.store.read()
+    return this.toMetadata(secrets.find(s => s.name === name))
+  }
+
+  /**
+   * Metadata of every secret
+   */
+  async list() {
+    const { secrets } = await this.store.read()
+    return secrets.map(record => this.toMetadata(record))
+  }
+
+  /**
+   * Configuration with the vault's secrets added to its credentials as
+   * `vault:<name>`; secrets that can't be decrypted are left out (and
+   * logged once)
+   */
+  async withCredentials(config) {
+    const { secrets } = await this.store.read()
+    if (secrets.length === 0) {
+      return config
+    }
+
+    let keys
+    try {
+      keys = this.keys
+    } catch (error) {
+      this.warnOnce('*', `Vault secrets are unavailable: ${error.message}`)
+      return config
+    }
+
+    const credentials = {
+      ...config.credentials,
+      aws_profiles: [...(config.credentials?.aws_profiles || [])],
+      github_tokens: [...(config.credentials?.github_tokens || [])]
+    }
+
+    for (const record of secrets) {
+      let value
+      try {
+        value = decryptValue(keys, record)
+      } catch (error) {
+        this.warnOnce(record.name, error.message)
+        continue
+      }
+
+      const { collection, required } = SECRET_TYPES[record.type]
+      const name = vaultRef(record.name)
+      required.forEach(field => registerSecret(value[field], name))
+      credentials[collection] = credentials[collection].filter(entry => entry.name !== name)
+      credentials[collection].push({ ...value, name })
+    }
+
+    return { ...config, credentials }
+  }
+
+  warnOnce(name, message) {
+    if (!this.warned.has(name)) {
+      this.warned.add(name)
+      logger.warn(message)
+    }
+  }
+
+  /**
+   * Re-encrypt every secret with the master key
+   * Secrets are read with any configured key (see `keys`); nothing is
+   * written unless all of them can be decrypted.
+   * @returns {Promise<Object>} - { reencrypted, unchanged } secret counts
+   * @throws {Error} - When the master key is missing or a secret can't be
+   *   decrypted
+   */
+  async reencrypt() {
+    const key = this.masterKey
+    if (!key) {
+      throw new Error('SECRETS_MASTER_KEY is not set')
+    }
+
+    const keys = this.keys
+    const currentId = keyId(key)
+
+    return this.store.update((document) => {
+      const stale = document.secrets.filter(record => record.encryption.key_id !== currentId)
+      const values = stale.map(record => decryptValue(keys, record))
+
+      stale.forEach((record, index) => {
+        record.encryption = encryptValue(key, record.name, values[index])
+      })
+
+      return { reencrypted: stale.length, unchanged: document.secrets.length - stale.length }
+    })
+  }
+}
+
+// Shared secrets vault used by the API
+export const secretVault = new SecretVault()
+
+export default SecretVault
@@ -0,0 +1,48 @@
+/**
+ * Slack Notifier
+ * Posts messages to Slack incoming webhooks
+ */
+
+import fetch from 'node-fetch'
+import { DeliveryError } from '../utils/errors.js'
+
+const REQUEST_TIMEOUT_MS = 10000
+
+export class SlackNotifier {
+  /**
+   * Post a message
+   * @param {string} webhookUrl - Incoming webhook URL
+   * @param {Object} message - Webhook payload
+   * @throws {DeliveryError}
+   */
+  async send(webhookUrl, message) {
+    let response
+    try {
+      response = await fetch(webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(message),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      })
+    } catch (error) {
+      throw new DeliveryError(`Slack webhook request failed: ${error.message}`)
+    }
+
+    if (response.ok) {
+      return { statusCode: response.status }
+    }
+
+    const body = (await response.text().catch(() => '')).slice(0, 200)
+    const retryAfter = parseInt(response.headers.get('retry-after') || '', 10)
+
+    // Rate limiting and server errors are worth retrying; other client
+    // errors (revoked webhook, invalid payload) will fail the same way again
+    throw new DeliveryError(`Slack responded with ${response.status}${body ? `: ${body}` : ''}`, {
+      statusCode: response.status,
+      permanent: response.status < 500 && response.status !== 429,
+      retryAfter: Number.isFinite(retryAfter) ? retryAfter * 1000 : null
+    })
+  }
+}
+
+export default SlackNotifier
@@ -0,0 +1,260 @@
+/**
+ * Storage Publisher
+ * Uploads a build directory to a storage backend the way the
+ * static-site-deploy action's `aws s3 sync --delete` step does:
+ *
+ * - Files matching the action's base excludes or the project's
+ *   exclude_patterns are skipped (and never deleted remotely)
+ * - Unchanged files (same size and MD5) are not re-uploaded
+ * - Remote files under the prefix that no longer exist locally are deleted
+ * - Every object gets a Content-Type derived from its extension
+ */
+
+import { promises as fs, createReadStream } from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { pipeline } from 'stream/promises'
+import mime from 'mime-types'
+import { dataPath } from '../utils/fileStore.js'
+import { BuildError } from '../utils/errors.js'
+import { resolveAwsProfile } from '../utils/credentials.js'
+import { S3StorageBackend } from './S3StorageBackend.js'
+import { LocalStorageBackend } from './LocalStorageBackend.js'
+
+// Same list as the action's `aws s3 sync` --exclude flags
+export const BASE_EXCLUDE_PATTERNS = [
+  '.git/*',
+  '.github/*',
+  'README.md',
+  'package.json',
+  'node_modules/*',
+  '.DS_Store',
+  '*.log',
+  'docs/*',
+  'terraform/*',
+  '*.md'
+]
+
+const UPLOAD_CONCURRENCY = 8
+
+/**
+ * Convert an `aws s3 sync` style pattern to a regular expression.
+ * As in the AWS CLI, `*` also matches `/`.
+ */
+export function patternToRegExp(pattern) {
+  let source = ''
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i]
+    if (char === '*') {
+      source += '.*'
+    } else if (char === '?') {
+      source += '.'
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 1)
+      if (end === -1) {
+        source += '\\['
+      } else {
+        const body = pattern.slice(i + 1, end).replace(/\\/g, '\\\\')
+        source += `[${body.startsWith('!') ? '^' + body.slice(1) : body}]`
+        i = end
+      }
+    } else {
+      source += char.replace(/[.+^${}()|\\]/g, '\\$&')
+    }
+  }
+
+  return new RegExp(`^${source}$`)
+}
+
+/**
+ * Build a predicate that reports whether a relative path is excluded
+ */
+export function createExcludeMatcher(patterns = []) {
+  const expressions = [...BASE_EXCLUDE_PATTERNS, ...patterns].map(patternToRegExp)
+  return (relativePath) => expressions.some(expression => expression.test(relativePath))
+}
+
+/**
+ * Content-Type for a storage key
+ */
+export function contentTypeFor(key) {
+  return mime.contentType(path.extname(key)) || 'application/octet-stream'
+}
+
+/**
+ * Write the noindex robots.txt used for feature-branch previews
+ */
+export async function writePreviewRobotsTxt(outputDir, branch) {
+  const content = [
+    'User-agent: *',
+    'Disallow: /',
+    '',
+    '# This is a feature branch preview - not for indexing',
+    `# Branch: ${branch}`,
+    ''
+  ].join('\n')
+
+  await fs.writeFile(path.join(outputDir, 'robots.txt'), content, 'utf8')
+}
+
+async function md5File(filePath) {
+  const hash = crypto.createHash('md5')
+  await pipeline(createReadStream(filePath), hash)
+  return hash.digest('hex')
+}
+
+async function walkFiles(rootDir, dir = rootDir, files = []) {
+  const entries = await fs.readdir(dir, { withFileTypes: true })
+
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name)
+    if (entry.isDirectory()) {
+      await walkFiles(rootDir, fullPath, files)
+    } else if (entry.isFile()) {
+      files.push({
+        path: fullPath,
+        relative: path.relative(rootDir, fullPath).split(path.sep).join('/')
+      })
+    }
+  }
+
+  return files
+}
+
+/**
+ * Files of a build directory that get published (excludes applied)
+ * @returns {Promise<Array<Object>>} - [{ path, relative }]
+ */
+export async function listPublishableFiles(sourceDir, excludePatterns = []) {
+  const isExcluded = createExcludeMatcher(excludePatterns)
+  return (await walkFiles(sourceDir)).filter(file => !isExcluded(file.relative))
+}
+
+/**
+ * Run async tasks with bounded concurrency
+ */
+async function runWithConcurrency(items, limit, task) {
+  let index = 0
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (index < items.length) {
+      const item = items[index++]
+      await task(item)
+    }
+  })
+  await Promise.all(workers)
+}
+
+/**
+ * Create the storage backend for a project
+ * STORAGE_BACKEND selects 's3' (default) or 'local'; the bucket is the
+ * project's domain name, as with the per-project Terraform module.
+ */
+export function createStorageBackend(project, config = {}) {
+  const bucket = project.deployment.domain_name
+
+  if ((process.env.STORAGE_BACKEND || 's3') === 'local') {
+    return new LocalStorageBackend({
+      rootPath: process.env.LOCAL_STORAGE_PATH || dataPath('sites'),
+      bucket
+    })
+  }
+
+  return new S3StorageBackend({
+    bucket,
+    // Falls back to the SDK's default credential chain when unresolved
+    credentials: resolveAwsProfile(config, project.deployment.aws_profile_ref)
+  })
+}
+
+export class StoragePublisher {
+  constructor(backend) {
+    this.backend = backend
+  }
+
+  /**
+   * Sync a directory to the backend under a prefix
+   * @param {Object} params
+   * @param {string} params.sourceDir - Directory to upload
+   * @param {string} params.prefix - Key prefix ('' for the site root, 'branch/' for previews)
+   * @param {Array<string>} params.excludePatterns - Project exclude patterns
+   * @param {boolean} params.deleteRemoved - Delete remote files missing locally (--delete)
+   * @param {Array<string>} params.preservePrefixes - Remote prefixes never deleted
+   * @param {Function} params.onProgress - Receives progress messages
+   * @param {AbortSignal} params.signal - Stops the sync between objects when
+   *   aborted; objects already written stay published
+   * @returns {Promise<Object>} - { backend, bucket, prefix, files, uploaded, deleted, unchanged, bytes }
+   */
+  async publish({ sourceDir, prefix = '', excludePatterns = [], deleteRemoved = true, preservePrefixes = [], onProgress = () => {}, signal }) {
+    const isExcluded = createExcludeMatcher(excludePatterns)
+
+    const files = await listPublishableFiles(sourceDir, excludePatterns)
+    const remote = await this.backend.list(prefix)
+
+    const uploads = []
+    let unchanged = 0
+
+    for (const file of files) {
+      const key = prefix + file.relative
+      const existing = remote.get(key)
+      const { size } = await fs.stat(file.path)
+
+      if (existing && existing.size === size && existing.md5 && existing.md5 === await md5File(file.path)) {
+        unchanged++
+      } else {
+        uploads.push({ ...file, key, size })
+      }
+    }
+
+    const localKeys = new Set(files.map(file => prefix + file.relative))
+    const deletions = deleteRemoved
+      ? [...remote.keys()].filter(key =>
+          !localKeys.has(key) &&
+          !isExcluded(key.slice(prefix.length)) &&
+          !preservePrefixes.some(preserved => key.startsWith(preserved))
+        )
+      : []
+
+    onProgress(`Uploading ${uploads.length} file(s), ${unchanged} unchanged, ${deletions.length} to delete`)
+
+    let written = 0
+    const throwIfAborted = () => {
+      if (signal?.aborted) {
+        throw new BuildError(
+          `Upload cancelled after ${written} of ${uploads.length} file(s); the site may be partially updated`,
+          'upload',
+          { cancelled: true }
+        )
+      }
+    }
+
+    try {
+      await runWithConcurrency(uploads, UPLOAD_CONCURRENCY, async (file) => {
+        throwIfAborted()
+        await this.backend.put(file.key, file.path, { contentType: contentTypeFor(file.key) })
+        written++
+      })
+
+      throwIfAborted()
+      if (deletions.length > 0) {
+        await this.backend.delete(deletions)
+      }
+    } finally {
+      // Also record the objects written before a cancellation or failure
+      await this.backend.flush()
+    }
+
+    return {
+      backend: this.backend.name,
+      bucket: this.backend.bucket,
+      prefix,
+      files: files.map(file => file.relative),
+      uploaded: uploads.map(file => file.key),
+      deleted: deletions,
+      unchanged,
+      bytes: uploads.reduce((total, file) => total + file.size, 0)
+    }
+  }
+}
+
+export default StoragePublisher
@@ -0,0 +1,164 @@
+/**
+ * Token Service
+ * Issues, verifies, refreshes and revokes JWT sessions
+ *
+ * Access tokens expire after JWT_EXPIRES_IN (default 1h), refresh tokens
+ * after JWT_REFRESH_EXPIRES_IN (default 7d). Refreshing rotates the refresh
+ * token. Revoked token IDs are kept in DATA_PATH/revoked-tokens.json until
+ * the token would have expired anyway.
+ */
+
+import crypto from 'crypto'
+import jwt from 'jsonwebtoken'
+import { dataPath, JsonFileStore } from '../utils/fileStore.js'
+import { UnauthorizedError } from '../utils/errors.js'
+
+const ISSUER = 'ix-central-deploy'
+
+export class TokenService {
+  constructor(options = {}) {
+    this.options = options
+    this.store = new JsonFileStore(options.filePath || (() => dataPath('revoked-tokens.json')), { revoked: [] })
+    // jti -> expiry (seconds), loaded lazily from disk
+    this.revoked = null
+  }
+
+  get secret() {
+    const secret = this.options.secret || process.env.JWT_SECRET
+    if (!secret) {
+      throw new Error('JWT_SECRET is not configured')
+    }
+    return secret
+  }
+
+  get accessTokenTtl() {
+    return process.env.JWT_EXPIRES_IN || '1h'
+  }
+
+  get refreshTokenTtl() {
+    return process.env.JWT_REFRESH_EXPIRES_IN || '7d'
+  }
+
+  /**
+   * Issue an access and refresh token pair for a user
+   * @returns {Object} - { access_token, refresh_token, token_type, expires_at, refresh_expires_at }
+   */
+  issue(user) {
+    const claims = { sub: user.id, username: user.username, role: user.role }
+
+    const accessToken = jwt.sign({ ...claims, type: 'access' }, this.secret, {
+      expiresIn: this.accessTokenTtl,
+      jwtid: crypto.randomUUID(),
+      issuer: ISSUER
+    })
+    const refreshToken = jwt.sign({ sub: user.id, type: 'refresh' }, this.secret, {
+      expiresIn: this.refreshTokenTtl,
+      jwtid: crypto.randomUUID(),
+      issuer: ISSUER
+    })
+
+    return {
+      access_token: accessToken,
+      refresh_token: refreshToken,
+      token_type: 'Bearer',
+      expires_at: new Date(jwt.decode(accessToken).exp * 1000).toISOString(),
+      refresh_expires_at: new Date(jwt.decode(refreshToken).exp * 1000).toISOString()
+    }
+  }
+
+  /**
+   * Verify a token of the expected type and check it has not been revoked
+   * @throws {UnauthorizedError}
+   * @returns {Promise<Object>} - Decoded claims
+   */
+  async verify(token, type = 'access') {
+    let claims
+    try {
+      claims = jwt.verify(token, this.secret, { issuer: ISSUER })
+    } catch (error) {
+      throw new UnauthorizedError(error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token')
+    }
+
+    if (claims.type !== type) {
+      throw new UnauthorizedError('Invalid token type')
+    }
+    if (await this.isRevoked(claims.jti)) {
+      throw new UnauthorizedError('Token has been revoked')
+    }
+
+    return claims
+  }
+
+  /**
+   * Verify a single-use token and revoke it in one step, so that
+   * concurrent requests with the same token can't both use it
+   * @throws {UnauthorizedError}
+   * @returns {Promise<Object>} - Decoded claims
+   */
+  async consume(token, type) {
+    const claims = await this.verify(token, type)
+    if (!(await this.revoke(claims))) {
+      throw new UnauthorizedError('Token has been revoked')
+    }
+    return claims
+  }
+
+  /**
+   * Revoke a token by its claims
+   * The revocation list is checked and written under the store's lock.
+   * @returns {Promise<boolean>} - false when it was already revoked
+   */
+  async revoke(claims) {
+    const now = Math.floor(Date.now() / 1000)
+    const revoked = await this.loadRevoked()
+
+    const added = await this.store.update((document) => {
+      // Expired tokens fail verification anyway
+      document.revoked = document.revoked.filter(entry => entry.exp > now)
+      if (document.revoked.some(entry => entry.jti === claims.jti)) {
+        return false
+      }
+      document.revoked.push({ jti: claims.jti, exp: claims.exp })
+      return true
+    })
+
+    revoked.set(claims.jti, claims.exp)
+    for (const [jti, exp] of revoked) {
+      if (exp <= now) {
+        revoked.delete(jti)
+      }
+    }
+
+    return added
+  }
+
+  /**
+   * Revoke an encoded token if it is valid; invalid tokens are ignored
+   */
+  async revokeToken(token, type) {
+    try {
+      await this.revoke(await this.verify(token, type))
+      return true
+    } catch (error) {
+      return false
+    }
+  }
+
+  async isRevoked(jti) {
+    const revoked = await this.loadRevoked()
+    return revoked.has(jti)
+  }
+
+  async loadRevoked() {
+    if (!this.revoked) {
+      const { revoked } = await this.store.read()
+      this.revoked = new Map(revoked.map(entry => [entry.jti, entry.exp]))
+    }
+    return this.revoked
+  }
+}
+
+// Shared token service used by the API
+export const tokenService = new TokenService()
+
+export default TokenService
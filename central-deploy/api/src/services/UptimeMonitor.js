@@ -0,0 +1,271 @@
+/**
+ * Uptime Monitor
+ * Probes the sites of projects with `monitoring.uptime_monitoring` every
+ * HEALTH_CHECK_INTERVAL ms and records the results (see UptimeStore.js)
+ *
+ * A probe is a GET of `https://<domain_name><health_check_path>`. It is up
+ * when the response is a 2xx or 3xx within HEALTH_CHECK_TIMEOUT ms over a
+ * certificate that is valid for the domain. The certificate's expiry is
+ * recorded with every probe.
+ *
+ * For testing against a local HTTPS stand-in, HEALTH_CHECK_CONNECT_TO
+ * redirects connections like curl's --connect-to
+ * (`local.example.com:443:127.0.0.1:8443`, comma-separated), and
+ * HEALTH_CHECK_CA_FILE adds a trusted CA certificate (PEM).
+ */
+
+import https from 'https'
+import tls from 'tls'
+import { readFileSync } from 'fs'
+import cron from 'node-cron'
+import { logger } from '../utils/logger.js'
+import { ProjectService } from './ProjectService.js'
+import { uptimeStore } from './UptimeStore.js'
+
+const USER_AGENT = 'IX-Central-Deploy-Uptime/1.0'
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * node-cron expression (with seconds) closest to an interval
+ */
+export function cronForInterval(ms) {
+  const seconds = Math.max(Math.round(ms / 1000), 1)
+  if (seconds < 60) {
+    return `*/${seconds} * * * * *`
+  }
+
+  const minutes = Math.round(seconds / 60)
+  if (minutes < 60) {
+    return `0 */${minutes} * * * *`
+  }
+
+  return `0 0 */${Math.min(Math.round(minutes / 60), 23)} * * *`
+}
+
+/**
+ * Parse HEALTH_CHECK_CONNECT_TO into `host:port` -> { host, port }
+ */
+function parseConnectTo(value) {
+  const routes = new Map()
+
+  for (const rule of (value || '').split(',').map(r => r.trim()).filter(Boolean)) {
+    const [fromHost, fromPort, toHost, toPort] = rule.split(':')
+    if (!fromHost || !toHost) {
+      logger.warn(`Ignoring invalid HEALTH_CHECK_CONNECT_TO rule '${rule}'`)
+      continue
+    }
+    routes.set(`${fromHost}:${fromPort || 443}`, { host: toHost, port: parseInt(toPort || fromPort || '443', 10) })
+  }
+
+  return routes
+}
+
+export class UptimeMonitor {
+  constructor(options = {}) {
+    this.projectService = options.projectService || new ProjectService()
+    this.uptime = options.uptime || uptimeStore
+    this.task = null
+    this.running = null
+    this.caFiles = new Map()
+  }
+
+  get intervalMs() {
+    return Math.max(parseInt(process.env.HEALTH_CHECK_INTERVAL || '30000', 10) || 30000, 1000)
+  }
+
+  get timeoutMs() {
+    return Math.max(parseInt(process.env.HEALTH_CHECK_TIMEOUT || '10000', 10) || 10000, 100)
+  }
+
+  // Certificates expiring within this many days are reported as `expiring`
+  get tlsWarnDays() {
+    return parseInt(process.env.HEALTH_CHECK_TLS_WARN_DAYS || '14', 10) || 14
+  }
+
+  get schedule() {
+    return cronForInterval(this.intervalMs)
+  }
+
+  /**
+   * Start the cron task
+   */
+  start() {
+    if (this.task) {
+      return
+    }
+
+    this.task = cron.schedule(this.schedule, () => {
+      this.run().catch((error) => {
+        logger.error('Uptime check run failed:', error)
+      })
+    })
+    logger.info(`Uptime monitoring scheduled every ${this.intervalMs}ms (${this.schedule})`)
+  }
+
+  stop() {
+    this.task?.stop()
+    this.task = null
+  }
+
+  /**
+   * Probe every monitored project once; overlapping runs share the one in
+   * progress
+   */
+  async run() {
+    if (!this.running) {
+      this.running = this.checkAll().finally(() => {
+        this.running = null
+      })
+    }
+    return this.running
+  }
+
+  async checkAll() {
+    const { projects = [] } = await this.projectService.loadConfig()
+    const monitored = projects.filter(project => this.isMonitored(project))
+
+    return Promise.all(monitored.map(project => this.check(project)))
+  }
+
+  isMonitored(project) {
+    return project.monitoring?.uptime_monitoring === true &&
+      (project.status || 'active') === 'active' &&
+      Boolean(project.deployment?.domain_name)
+  }
+
+  healthCheckUrl(project) {
+    const path = project.monitoring?.health_check_path || '/'
+    return `https://${project.deployment.domain_name}${path.startsWith('/') ? path : `/${path}`}`
+  }
+
+  /**
+   * Probe a project and record the result
+   * @returns {Promise<Object>} - The recorded check
+   */
+  async check(project) {
+    const result = await this.probe(this.healthCheckUrl(project))
+    const { consecutive_failures: failures, previous } = await this.uptime.record(project.id, result)
+
+    if (!result.up && (!previous || previous.up)) {
+      logger.warn(`Uptime check failed for ${project.id}: ${result.error}`, { url: result.url })
+    } else if (result.up && previous && !previous.up) {
+      logger.info(`${project.id} is up again`, { url: result.url })
+    }
+
+    return { ...result, consecutive_failures: failures }
+  }
+
+  /**
+   * GET a URL and describe the response and certificate
+   * @returns {Promise<Object>} - { timestamp, url, up, status_code,
+   *   latency_ms, error, tls }
+   */
+  probe(url) {
+    const target = new URL(url)
+    const port = parseInt(target.port || '443', 10)
+    const route = parseConnectTo(process.env.HEALTH_CHECK_CONNECT_TO).get(`${target.hostname}:${port}`)
+    const timestamp = new Date().toISOString()
+    const startedAt = Date.now()
+
+    return new Promise((resolve) => {
+      let tlsInfo = null
+
+      const finish = (fields) => {
+        const certificateError = tlsInfo && !tlsInfo.authorized ? `TLS certificate error: ${tlsInfo.error}` : null
+        const error = fields.error || certificateError ||
+          (fields.status_code >= 400 ? `Responded with ${fields.status_code}` : null)
+
+        resolve({
+          timestamp,
+          url,
+          up: !error,
+          status_code: null,
+          latency_ms: Date.now() - startedAt,
+          ...fields,
+          error,
+          tls: tlsInfo
+        })
+      }
+
+      const request = https.request({
+        host: route?.host || target.hostname,
+        port: route?.port || port,
+        servername: target.hostname,
+        path: `${target.pathname}${target.search}`,
+        method: 'GET',
+        headers: { Host: target.host, 'User-Agent': USER_AGENT },
+        agent: false,
+        ca: this.trustedCertificates(),
+        // Certificate problems are recorded as failures instead of aborting
+        // the probe, so the expiry is still known
+        rejectUnauthorized: false
+      })
+
+      request.setTimeout(this.timeoutMs, () => {
+        request.destroy(new Error(`Timed out after ${this.timeoutMs}ms`))
+      })
+
+      request.on('socket', (socket) => {
+        socket.once('secureConnect', () => {
+          tlsInfo = this.describeCertificate(socket)
+        })
+      })
+
+      request.on('response', (response) => {
+        const latency = Date.now() - startedAt
+        response.resume()
+        response.on('end', () => finish({ status_code: response.statusCode, latency_ms: latency }))
+        response.on('error', error => finish({ status_code: response.statusCode, latency_ms: latency, error: error.message }))
+      })
+
+      request.on('error', error => finish({ error: error.message }))
+      request.end()
+    })
+  }
+
+  /**
+   * Certificate expiry and validity of a TLS connection
+   */
+  describeCertificate(socket) {
+    const certificate = socket.getPeerCertificate()
+    const expiresAt = certificate?.valid_to ? new Date(certificate.valid_to) : null
+    const daysRemaining = expiresAt ? Math.floor((expiresAt.getTime() - Date.now()) / DAY_MS) : null
+
+    let status = 'valid'
+    if (!socket.authorized) {
+      status = expiresAt && expiresAt.getTime() <= Date.now() ? 'expired' : 'invalid'
+    } else if (daysRemaining !== null && daysRemaining < this.tlsWarnDays) {
+      status = 'expiring'
+    }
+
+    return {
+      status,
+      authorized: socket.authorized,
+      error: socket.authorizationError ? String(socket.authorizationError) : null,
+      subject: certificate?.subject?.CN || null,
+      issuer: certificate?.issuer?.CN || certificate?.issuer?.O || null,
+      expires_at: expiresAt ? expiresAt.toISOString() : null,
+      days_remaining: daysRemaining
+    }
+  }
+
+  /**
+   * Node's root CAs plus HEALTH_CHECK_CA_FILE, if set
+   */
+  trustedCertificates() {
+    const file = process.env.HEALTH_CHECK_CA_FILE
+    if (!file) {
+      return undefined
+    }
+
+    if (!this.caFiles.has(file)) {
+      this.caFiles.set(file, [...tls.rootCertificates, readFileSync(file, 'utf8')])
+    }
+    return this.caFiles.get(file)
+  }
+}
+
+// Shared uptime monitor used by the API
+export const uptimeMonitor = new UptimeMonitor()
+
+export default UptimeMonitor
@@ -0,0 +1,108 @@
+/**
+ * Uptime Store
+ * Results of the scheduled health checks (see UptimeMonitor.js)
+ *
+ * Kept per project in DATA_PATH/uptime.json:
+ *
+ * - `checks`: the most recent MAX_RECENT_CHECKS probes, newest last
+ * - `hourly`: one bucket per hour with the number of probes, how many were
+ *   up and their total latency, for the last 30 days; uptime percentages
+ *   are computed from these
+ * - `consecutive_failures` since the last successful probe
+ */
+
+import { dataPath, JsonFileStore } from '../utils/fileStore.js'
+
+export const UPTIME_WINDOWS = {
+  '24h': 24,
+  '7d': 7 * 24,
+  '30d': 30 * 24
+}
+
+const MAX_RECENT_CHECKS = 500
+const HOUR_MS = 60 * 60 * 1000
+const RETAINED_HOURS = UPTIME_WINDOWS['30d']
+
+const hourOf = timestamp => new Date(Math.floor(Date.parse(timestamp) / HOUR_MS) * HOUR_MS).toISOString()
+
+export class UptimeStore {
+  constructor(options = {}) {
+    this.store = new JsonFileStore(options.filePath || (() => dataPath('uptime.json')), { projects: {} })
+  }
+
+  /**
+   * Record a probe result
+   * @param {Object} check - { timestamp, up, status_code, latency_ms, ... }
+   * @returns {Promise<Object>} - The project's updated consecutive failures
+   *   and previous result: { consecutive_failures, previous }
+   */
+  async record(projectId, check) {
+    return this.store.update((document) => {
+      const entry = document.projects[projectId] ||= { checks: [], hourly: [], consecutive_failures: 0 }
+      const previous = entry.checks.at(-1) || null
+
+      entry.checks.push(check)
+      if (entry.checks.length > MAX_RECENT_CHECKS) {
+        entry.checks.splice(0, entry.checks.length - MAX_RECENT_CHECKS)
+      }
+
+      const hour = hourOf(check.timestamp)
+      let bucket = entry.hourly.find(b => b.hour === hour)
+      if (!bucket) {
+        bucket = { hour, checks: 0, up: 0, latency_ms_total: 0 }
+        entry.hourly.push(bucket)
+      }
+      bucket.checks++
+      bucket.up += check.up ? 1 : 0
+      bucket.latency_ms_total += check.latency_ms || 0
+
+      const oldest = Date.parse(hour) - RETAINED_HOURS * HOUR_MS
+      entry.hourly = entry.hourly.filter(b => Date.parse(b.hour) > oldest)
+
+      entry.consecutive_failures = check.up ? 0 : entry.consecutive_failures + 1
+      return { consecutive_failures: entry.consecutive_failures, previous }
+    })
+  }
+
+  /**
+   * Uptime percentages over each of UPTIME_WINDOWS
+   * @returns {Object} - e.g. { '24h': 99.93, '7d': 100, '30d': null }, null
+   *   where there were no checks
+   */
+  uptime(entry, now = Date.now()) {
+    const currentHour = Date.parse(hourOf(new Date(now).toISOString()))
+
+    return Object.fromEntries(Object.entries(UPTIME_WINDOWS).map(([name, hours]) => {
+      const since = currentHour - (hours - 1) * HOUR_MS
+      const buckets = (entry?.hourly || []).filter(b => Date.parse(b.hour) >= since)
+      const checks = buckets.reduce((sum, b) => sum + b.checks, 0)
+      const up = buckets.reduce((sum, b) => sum + b.up, 0)
+      return [name, checks > 0 ? Math.round(up / checks * 10000) / 100 : null]
+    }))
+  }
+
+  /**
+   * Uptime summary and recent checks of a project
+   * @param {Object} options - { limit: number of recent checks }
+   */
+  async get(projectId, { limit = 100 } = {}) {
+    const { projects } = await this.store.read()
+    const entry = projects[projectId]
+
+    return {
+      last_check: entry?.checks.at(-1) || null,
+      consecutive_failures: entry?.consecutive_failures || 0,
+      uptime: this.uptime(entry),
+      checks: limit > 0 ? (entry?.checks || []).slice(-limit).reverse() : [],
+      hourly: (entry?.hourly || []).map(({ latency_ms_total: total, ...bucket }) => ({
+        ...bucket,
+        avg_latency_ms: bucket.checks > 0 ? Math.round(total / bucket.checks) : null
+      }))
+    }
+  }
+}
+
+// Shared uptime store used by the API
+export const uptimeStore = new UptimeStore()
+
+export default UptimeStore
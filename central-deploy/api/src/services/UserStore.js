@@ -0,0 +1,183 @@
+/**
+ * User Store
+ * File-backed API users with bcrypt-hashed passwords
+ *
+ * Users live in DATA_PATH/users.json. The first administrator can be
+ * created at startup from AUTH_BOOTSTRAP_USERNAME/AUTH_BOOTSTRAP_PASSWORD,
+ * or with `npm run user:create`.
+ */
+
+import crypto from 'crypto'
+import bcrypt from 'bcryptjs'
+import { logger } from '../utils/logger.js'
+import { dataPath, JsonFileStore } from '../utils/fileStore.js'
+import { auditLog } from './AuditLog.js'
+
+export const USER_ROLES = ['admin', 'user']
+
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{1,63}$/
+const MIN_PASSWORD_LENGTH = 8
+
+// Compared against when a username is unknown, so lookups take the same time
+const DUMMY_HASH = bcrypt.hashSync('ix-central-deploy-dummy-password', 10)
+
+export class UserStore {
+  constructor(options = {}) {
+    this.store = new JsonFileStore(options.filePath || (() => dataPath('users.json')), { users: [] })
+  }
+
+  get bcryptRounds() {
+    return parseInt(process.env.BCRYPT_ROUNDS || '10', 10)
+  }
+
+  /**
+   * User without its password hash, for API responses
+   */
+  toPublic(user) {
+    if (!user) {
+      return null
+    }
+
+    const { password_hash: passwordHash, ...rest } = user
+    return rest
+  }
+
+  async get(userId) {
+    const { users } = await this.store.read()
+    return users.find(u => u.id === userId) || null
+  }
+
+  async findByUsername(username) {
+    const { users } = await this.store.read()
+    const normalized = String(username || '').toLowerCase()
+    return users.find(u => u.username === normalized) || null
+  }
+
+  async count() {
+    const { users } = await this.store.read()
+    return users.length
+  }
+
+  /**
+   * Create a user
+   * @param {Object} data - { username, password, role, name, email }
+   * @returns {Promise<Object>} - Service-style result with the public user
+   */
+  async create({ username, password, role = 'user', name = null, email = null }) {
+    const normalized = String(username || '').toLowerCase()
+
+    if (!USERNAME_PATTERN.test(normalized)) {
+      return {
+        success: false,
+        error: 'Validation Error',
+        message: 'Username must be 2-64 characters of letters, digits, ".", "_" or "-"',
+        statusCode: 400
+      }
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return {
+        success: false,
+        error: 'Validation Error',
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+        statusCode: 400
+      }
+    }
+    if (!USER_ROLES.includes(role)) {
+      return {
+        success: false,
+        error: 'Validation Error',
+        message: `Role must be one of: ${USER_ROLES.join(', ')}`,
+        statusCode: 400
+      }
+    }
+
+    const passwordHash = await bcrypt.hash(password, this.bcryptRounds)
+    const now = new Date().toISOString()
+
+    return this.store.update((document) => {
+      if (document.users.some(u => u.username === normalized)) {
+        return {
+          success: false,
+          error: 'Conflict',
+          message: `User '${normalized}' already exists`,
+          statusCode: 409
+        }
+      }
+
+      const user = {
+        id: `usr-${crypto.randomBytes(6).toString('hex')}`,
+        username: normalized,
+        password_hash: passwordHash,
+        role,
+        name,
+        email,
+        disabled: false,
+        created_at: now,
+        updated_at: now,
+        last_login_at: null
+      }
+
+      document.users.push(user)
+      return { success: true, data: this.toPublic(user) }
+    })
+  }
+
+  /**
+   * Check a username and password
+   * @returns {Promise<Object|null>} - The user, or null when the credentials are wrong
+   */
+  async verifyCredentials(username, password) {
+    const user = await this.findByUsername(username)
+    const matches = await bcrypt.compare(String(password || ''), user?.password_hash || DUMMY_HASH)
+
+    if (!user || !matches || user.disabled) {
+      return null
+    }
+
+    return user
+  }
+
+  async recordLogin(userId) {
+    await this.store.update((document) => {
+      const user = document.users.find(u => u.id === userId)
+      if (user) {
+        user.last_login_at = new Date().toISOString()
+      }
+    })
+  }
+
+  /**
+   * Create the bootstrap administrator when no users exist yet
+   */
+  async ensureBootstrapAdmin() {
+    const username = process.env.AUTH_BOOTSTRAP_USERNAME
+    const password = process.env.AUTH_BOOTSTRAP_PASSWORD
+
+    if (await this.count() > 0) {
+      return
+    }
+
+    if (!username || !password) {
+      logger.warn('No API users exist; set AUTH_BOOTSTRAP_USERNAME and AUTH_BOOTSTRAP_PASSWORD or run `npm run user:create`')
+      return
+    }
+
+    const result = await this.create({ username, password, role: 'admin', name: 'Administrator' })
+    if (result.success) {
+      logger.info(`Created bootstrap administrator '${result.data.username}'`)
+      await auditLog.record(null, {
+        action: 'user.create',
+        actor: { type: 'system', name: 'bootstrap' },
+        target: { type: 'user', id: result.data.id },
+        after: result.data
+      })
+    } else {
+      logger.error(`Could not create bootstrap administrator: ${result.message}`)
+    }
+  }
+}
+
+// Shared user store used by the API
+export const userStore = new UserStore()
+
+export default UserStore
@@ -0,0 +1,446 @@
+/**
+ * WebSocket Gateway
+ * Streams deployment events (see DeploymentEvents.js) to subscribed clients
+ *
+ * Connections authenticate on upgrade with the same access tokens and API
+ * keys as the REST API (API keys need `deployments:read`). Messages are JSON
+ * objects with a `type`:
+ *
+ *   client -> server
+ *     subscribe   { projects: [id] | '*', deployments: [id], last_event_id }
+ *     unsubscribe { projects: [id] | '*', deployments: [id] }
+ *     resume      { stream_id, last_event_id }
+ *     ping
+ *
+ *   server -> client
+ *     welcome, subscribed, unsubscribed, resumed, resume_failed, pong, error
+ *     deployment.created, deployment.status, deployment.log, deployment.queue
+ *
+ * Clients only receive events of projects they hold at least the viewer
+ * role on. The server pings every WS_HEARTBEAT_INTERVAL ms and drops
+ * clients that did not answer the previous ping.
+ *
+ * Sessions are checked again on every heartbeat and before each subscribe
+ * or resume. Connections whose token expired or was revoked, whose API key
+ * was revoked or whose user was disabled are closed with code 4401 (4403
+ * when the API key lost `deployments:read`); subscriptions to projects the
+ * user can no longer view are dropped with an `unsubscribed` message that
+ * lists them as `revoked`.
+ */
+
+import { STATUS_CODES } from 'http'
+import crypto from 'crypto'
+import { WebSocketServer } from 'ws'
+import { logger } from '../utils/logger.js'
+import { redactSecrets } from '../utils/redaction.js'
+import { ForbiddenError, UnauthorizedError } from '../utils/errors.js'
+import { authenticateCredentials, authenticateUpgrade } from '../middleware/auth.js'
+import { hasScope } from './ApiKeyStore.js'
+import { roleStore, roleAtLeast } from './RoleStore.js'
+import { deploymentStore } from './DeploymentStore.js'
+import { deploymentEvents } from './DeploymentEvents.js'
+import { ProjectService } from './ProjectService.js'
+import { metrics } from './Metrics.js'
+
+const OPEN = 1
+
+// Close codes for sessions that are no longer valid
+const CLOSE_UNAUTHORIZED = 4401
+const CLOSE_FORBIDDEN = 4403
+
+// Clients this far behind are dropped; they can reconnect and resume
+const MAX_BUFFERED_BYTES = 4 * 1024 * 1024
+
+const asIdList = value => (Array.isArray(value) ? value : [value]).filter(id => typeof id === 'string' && id)
+
+export class WebSocketGateway {
+  constructor(options = {}) {
+    this.events = options.events || deploymentEvents
+    this.store = options.store || deploymentStore
+    this.projectService = options.projectService || new ProjectService()
+    this.heartbeatIntervalOverride = options.heartbeatInterval
+    this.wss = new WebSocketServer({ noServer: true, maxPayload: 64 * 1024 })
+    this.heartbeat = null
+    this.onEvent = event => this.dispatch(event)
+  }
+
+  get heartbeatInterval() {
+    if (this.heartbeatIntervalOverride) {
+      return this.heartbeatIntervalOverride
+    }
+    return Math.max(parseInt(process.env.WS_HEARTBEAT_INTERVAL || '30000', 10) || 30000, 1000)
+  }
+
+  get clients() {
+    return this.wss.clients
+  }
+
+  /**
+   * Accept WebSocket upgrades on an HTTP server
+   */
+  attach(server) {
+    this.events.attach()
+    this.events.on('event', this.onEvent)
+    server.on('upgrade', (request, socket, head) => {
+      this.handleUpgrade(request, socket, head).catch((error) => {
+        logger.error('WebSocket upgrade error:', error)
+        socket.destroy()
+      })
+    })
+
+    this.heartbeat = setInterval(() => this.sweep(), this.heartbeatInterval)
+    this.heartbeat.unref()
+    return this
+  }
+
+  async handleUpgrade(request, socket, head) {
+    let session
+    try {
+      session = await this.authorize(await authenticateUpgrade(request))
+    } catch (error) {
+      if (!(error instanceof UnauthorizedError || error instanceof ForbiddenError)) {
+        throw error
+      }
+      metrics.websocketConnectionsTotal.inc({ outcome: error instanceof ForbiddenError ? 'forbidden' : 'unauthorized' })
+      return this.reject(socket, error instanceof ForbiddenError ? 403 : 401, error.message)
+    }
+
+    metrics.websocketConnectionsTotal.inc({ outcome: 'accepted' })
+
+    this.wss.handleUpgrade(request, socket, head, ws => this.connect(ws, session))
+  }
+
+  /**
+   * Check that an authenticated session may stream deployment events and
+   * resolve its project roles
+   * @returns {Promise<Object>} - The session with `roleOf`
+   * @throws {ForbiddenError}
+   */
+  async authorize(session) {
+    if (session.apiKey && !hasScope(session.apiKey.scopes, 'deployments:read')) {
+      throw new ForbiddenError("API key is missing the 'deployments:read' scope")
+    }
+    return { ...session, roleOf: await roleStore.resolverFor(session.user) }
+  }
+
+  /**
+   * Answer a refused upgrade with a plain HTTP error
+   */
+  reject(socket, statusCode, message) {
+    const body = JSON.stringify({
+      success: false,
+      error: STATUS_CODES[statusCode],
+      message,
+      timestamp: new Date().toISOString()
+    })
+
+    socket.end([
+      `HTTP/1.1 ${statusCode} ${STATUS_CODES[statusCode]}`,
+      'Content-Type: application/json',
+      `Content-Length: ${Buffer.byteLength(body)}`,
+      'Connection: close',
+      '',
+      body
+    ].join('\r\n'))
+  }
+
+  connect(ws, session) {
+    const client = {
+      id: crypto.randomUUID(),
+      user: session.user,
+      roleOf: session.roleOf,
+      credentials: session.credentials,
+      projects: new Set(),
+      allProjects: false,
+      deployments: new Set(),
+      alive: true,
+      // Messages are handled one at a time, in the order they arrived
+      pending: Promise.resolve()
+    }
+    ws.client = client
+
+    logger.info('WebSocket connection established', { connectionId: client.id, userId: client.user.id })
+    metrics.websocketConnections.inc()
+
+    ws.on('pong', () => {
+      client.alive = true
+    })
+
+    ws.on('message', (data) => {
+      client.pending = client.pending.then(() => this.handleMessage(ws, data)).catch((error) => {
+        logger.error('WebSocket message error:', error)
+        this.send(ws, { type: 'error', message: 'Internal error' })
+      })
+    })
+
+    ws.on('close', () => {
+      metrics.websocketConnections.dec()
+      logger.info('WebSocket connection closed', { connectionId: client.id })
+    })
+
+    ws.on('error', (error) => {
+      logger.error('WebSocket error:', error)
+    })
+
+    this.send(ws, {
+      type: 'welcome',
+      connection_id: client.id,
+      user: { id: client.user.id, username: client.user.username },
+      stream_id: this.events.streamId,
+      last_event_id: this.events.lastId,
+      heartbeat_interval: this.heartbeatInterval
+    })
+  }
+
+  async handleMessage(ws, data) {
+    let message
+    try {
+      message = JSON.parse(data)
+    } catch (error) {
+      return this.send(ws, { type: 'error', message: 'Invalid message format' })
+    }
+
+    switch (message?.type) {
+      case 'subscribe':
+        return (await this.revalidate(ws)) && this.subscribe(ws, message)
+      case 'unsubscribe':
+        return this.unsubscribe(ws, message)
+      case 'resume':
+        return (await this.revalidate(ws)) && this.resume(ws, message)
+      case 'ping':
+        return this.send(ws, { type: 'pong' })
+      default:
+        return this.send(ws, { type: 'error', message: 'Unknown message type' })
+    }
+  }
+
+  /**
+   * Add projects and deployments to a client's subscriptions
+   * `'*'` follows every project (for administrators, including projects
+   * created later; for everyone else, the projects they can view now).
+   */
+  async subscribe(ws, message) {
+    const { client } = ws
+    const rejected = []
+    // `projectId` is the pre-v1 single-project form
+    const projects = message.projects ?? message.projectId
+
+    if (projects === '*') {
+      if (client.user.role === 'admin') {
+        client.allProjects = true
+      } else {
+        const { projects: all = [] } = await this.projectService.loadConfig()
+        all.filter(p => roleAtLeast(client.roleOf(p), 'viewer')).forEach(p => client.projects.add(p.id))
+      }
+    } else if (projects !== undefined) {
+      for (const id of asIdList(projects)) {
+        const reason = this.checkProject(client, await this.projectService.getProject(id))
+        if (reason) {
+          rejected.push({ project_id: id, reason })
+        } else {
+          client.projects.add(id)
+        }
+      }
+    }
+
+    for (const id of asIdList(message.deployments ?? [])) {
+      const reason = await this.checkDeployment(client, id)
+      if (reason) {
+        rejected.push({ deployment_id: id, reason })
+      } else {
+        client.deployments.add(id)
+      }
+    }
+
+    this.send(ws, { type: 'subscribed', ...this.subscriptions(client), rejected })
+
+    if (message.last_event_id !== undefined) {
+      this.resume(ws, message)
+    }
+  }
+
+  /**
+   * Why a client may not follow a project, or null if it may
+   */
+  checkProject(client, project) {
+    if (!project) {
+      return 'not_found'
+    }
+    return roleAtLeast(client.roleOf(project), 'viewer') ? null : 'forbidden'
+  }
+
+  /**
+   * Why a client may not follow a deployment, or null if it may
+   */
+  async checkDeployment(client, deploymentId) {
+    const deployment = await this.store.get(deploymentId)
+    return deployment
+      ? this.checkProject(client, await this.projectService.getProject(deployment.project_id))
+      : 'not_found'
+  }
+
+  /**
+   * Authenticate a client's session again and drop the subscriptions it
+   * lost access to; the connection is closed when the session is no
+   * longer valid
+   * @returns {Promise<boolean>} - Whether the session is still valid
+   */
+  async revalidate(ws) {
+    const { client } = ws
+
+    let session
+    try {
+      session = await this.authorize(await authenticateCredentials(client.credentials))
+    } catch (error) {
+      if (!(error instanceof UnauthorizedError || error instanceof ForbiddenError)) {
+        throw error
+      }
+      logger.info('Closing WebSocket connection with an invalid session', { connectionId: client.id, reason: error.message })
+      ws.close(error instanceof ForbiddenError ? CLOSE_FORBIDDEN : CLOSE_UNAUTHORIZED, error.message)
+      return false
+    }
+
+    client.user = session.user
+    client.roleOf = session.roleOf
+
+    const revoked = []
+    if (client.allProjects && client.user.role !== 'admin') {
+      client.allProjects = false
+      revoked.push({ project_id: '*', reason: 'forbidden' })
+    }
+    for (const id of client.projects) {
+      const reason = this.checkProject(client, await this.projectService.getProject(id))
+      if (reason) {
+        client.projects.delete(id)
+        revoked.push({ project_id: id, reason })
+      }
+    }
+    for (const id of client.deployments) {
+      const reason = await this.checkDeployment(client, id)
+      if (reason) {
+        client.deployments.delete(id)
+        revoked.push({ deployment_id: id, reason })
+      }
+    }
+
+    if (revoked.length > 0) {
+      this.send(ws, { type: 'unsubscribed', ...this.subscriptions(client), revoked })
+    }
+    return true
+  }
+
+  unsubscribe(ws, message) {
+    const { client } = ws
+    const projects = message.projects ?? message.projectId
+
+    if (projects === '*') {
+      client.allProjects = false
+      client.projects.clear()
+    } else if (projects !== undefined) {
+      asIdList(projects).forEach(id => client.projects.delete(id))
+    }
+    asIdList(message.deployments ?? []).forEach(id => client.deployments.delete(id))
+
+    this.send(ws, { type: 'unsubscribed', ...this.subscriptions(client) })
+  }
+
+  subscriptions(client) {
+    return {
+      projects: client.allProjects ? '*' : [...client.projects],
+      deployments: [...client.deployments]
+    }
+  }
+
+  /**
+   * Replay buffered events the client missed, in order
+   */
+  resume(ws, message) {
+    const lastId = Number(message.last_event_id)
+    const streamMatches = !message.stream_id || message.stream_id === this.events.streamId
+    const missed = streamMatches ? this.events.since(lastId) : null
+
+    if (!missed) {
+      return this.send(ws, {
+        type: 'resume_failed',
+        message: streamMatches
+          ? `Events after ${message.last_event_id} are no longer available`
+          : 'The server restarted; events from the previous stream are not available',
+        stream_id: this.events.streamId,
+        last_event_id: this.events.lastId
+      })
+    }
+
+    const replayed = missed.filter(event => this.matches(ws.client, event))
+    replayed.forEach(event => this.send(ws, event))
+
+    this.send(ws, {
+      type: 'resumed',
+      replayed: replayed.length,
+      last_event_id: this.events.lastId
+    })
+  }
+
+  matches(client, event) {
+    return client.allProjects ||
+      client.projects.has(event.project_id) ||
+      client.deployments.has(event.deployment_id)
+  }
+
+  dispatch(event) {
+    for (const ws of this.wss.clients) {
+      if (ws.readyState === OPEN && ws.client && this.matches(ws.client, event)) {
+        this.send(ws, event)
+      }
+    }
+  }
+
+  send(ws, message) {
+    if (ws.readyState !== OPEN) {
+      return
+    }
+    if (ws.bufferedAmount > MAX_BUFFERED_BYTES) {
+      logger.warn('Dropping slow WebSocket client', { connectionId: ws.client?.id })
+      return ws.terminate()
+    }
+
+    ws.send(JSON.stringify(redactSecrets({ timestamp: new Date().toISOString(), ...message })))
+  }
+
+  /**
+   * Terminate clients that missed a heartbeat, ping the rest and check
+   * their sessions again
+   */
+  sweep() {
+    for (const ws of this.wss.clients) {
+      if (!ws.client?.alive) {
+        logger.info('Terminating unresponsive WebSocket client', { connectionId: ws.client?.id })
+        ws.terminate()
+        continue
+      }
+
+      const { client } = ws
+      client.alive = false
+      ws.ping()
+      client.pending = client.pending.then(() => this.revalidate(ws)).catch((error) => {
+        logger.error('WebSocket session check error:', error)
+      })
+    }
+  }
+
+  /**
+   * Disconnect every client and stop heartbeats
+   */
+  close() {
+    return new Promise((resolve) => {
+      clearInterval(this.heartbeat)
+      this.events.off('event', this.onEvent)
+      this.wss.clients.forEach(client => client.terminate())
+      this.wss.close(() => resolve())
+    })
+  }
+}
+
+// Shared gateway used by the API server
+export const webSocketGateway = new WebSocketGateway()
+
+export default WebSocketGateway
@@ -0,0 +1,418 @@
+/**
+ * Webhook Dispatcher
+ * Delivers deployment events to the project's outbound webhook
+ * subscriptions (see WebhookStore.js)
+ *
+ * Each delivery is a JSON POST signed like GitHub's webhooks: the
+ * `X-IX-Signature-256` header is `sha256=` followed by the hex HMAC-SHA256
+ * of the raw body, keyed with the subscription's secret. `X-IX-Event` and
+ * `X-IX-Delivery` carry the event type and delivery ID.
+ *
+ * Deliveries are logged in DATA_PATH/webhook-deliveries.json with the
+ * response code and duration of every attempt; response bodies are never
+ * read, so a subscription can't be used to read internal services.
+ * Connections to loopback, private and link-local addresses are refused
+ * (see utils/network.js). Failed deliveries are retried with
+ * exponential backoff, up to WEBHOOK_MAX_ATTEMPTS attempts; a past delivery
+ * can be sent again with `redeliver()`.
+ */
+
+import crypto from 'crypto'
+import http from 'http'
+import https from 'https'
+import fetch from 'node-fetch'
+import { logger } from '../utils/logger.js'
+import { DeliveryError } from '../utils/errors.js'
+import { dataPath, JsonFileStore } from '../utils/fileStore.js'
+import { signWebhookPayload } from '../utils/github.js'
+import { resolveDeployTarget } from '../utils/branches.js'
+import { blockedHostReason, publicLookup } from '../utils/network.js'
+import { deploymentStore } from './DeploymentStore.js'
+import { ProjectService } from './ProjectService.js'
+import { webhookStore } from './WebhookStore.js'
+import { notificationEventFor } from './NotificationService.js'
+
+// Oldest deliveries are dropped beyond this many
+const MAX_DELIVERIES = 5000
+
+// Upper bound for the delay between two attempts
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000
+
+const REQUEST_TIMEOUT_MS = 10000
+
+// An attempt's claim on a delivery is considered abandoned (e.g. the process
+// died mid-request) after this long
+const CLAIM_TIMEOUT_MS = 2 * REQUEST_TIMEOUT_MS
+
+const USER_AGENT = 'IX-Central-Deploy-Webhooks/1.0'
+
+/**
+ * The webhook event a status change represents, if any
+ */
+export function webhookEventFor(deployment, previousStatus) {
+  if (deployment.status === 'cancelled') {
+    return 'deployment.cancelled'
+  }
+
+  const event = notificationEventFor(deployment, previousStatus)
+  return event ? `deployment.${event}` : null
+}
+
+// Agents that only connect to addresses allowed by utils/network.js
+const agents = {
+  'http:': new http.Agent({ lookup: publicLookup }),
+  'https:': new https.Agent({ lookup: publicLookup })
+}
+
+export class WebhookDispatcher {
+  constructor(options = {}) {
+    this.store = new JsonFileStore(options.filePath || (() => dataPath('webhook-deliveries.json')), { deliveries: [] })
+    this.webhooks = options.webhooks || webhookStore
+    this.deployments = options.deployments || deploymentStore
+    this.projectService = options.projectService || new ProjectService()
+    this.timers = new Map()
+    this.attached = false
+  }
+
+  get maxAttempts() {
+    return Math.max(parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5', 10) || 5, 1)
+  }
+
+  get retryBaseMs() {
+    return Math.max(parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '10000', 10) || 10000, 1)
+  }
+
+  /**
+   * Start delivering deployment events (idempotent)
+   */
+  attach() {
+    if (this.attached) {
+      return this
+    }
+    this.attached = true
+
+    const dispatch = (event, deployment, previousStatus = null) => {
+      this.dispatch(event, deployment, previousStatus).catch((error) => {
+        logger.error('Failed to dispatch webhooks:', { deploymentId: deployment.id, event, error: error.message })
+      })
+    }
+
+    this.deployments.on('created', deployment => dispatch('deployment.created', deployment))
+    this.deployments.on('status', (deployment, previousStatus) => {
+      const event = webhookEventFor(deployment, previousStatus)
+      if (event) {
+        dispatch(event, deployment, previousStatus)
+      }
+    })
+
+    return this
+  }
+
+  /**
+   * Queue and attempt a delivery to every subscription of the event
+   * @returns {Promise<Array<Object>>} - The deliveries created
+   */
+  async dispatch(event, deployment, previousStatus = null) {
+    const subscriptions = await this.webhooks.subscribers(deployment.project_id, event)
+    if (subscriptions.length === 0) {
+      return []
+    }
+
+    const project = await this.projectService.getProject(deployment.project_id)
+    const payload = this.buildPayload(event, project || { id: deployment.project_id }, deployment, previousStatus)
+    const deliveries = subscriptions.map(webhook => this.createDelivery(webhook, payload))
+
+    await this.saveDeliveries(deliveries)
+
+    return Promise.all(deliveries.map(delivery => this.attempt(delivery.id)))
+  }
+
+  /**
+   * Event body; redeliveries send it unchanged
+   */
+  buildPayload(event, project, deployment, previousStatus) {
+    return {
+      event,
+      created_at: new Date().toISOString(),
+      project: { id: project.id, name: project.name || project.id },
+      deployment: {
+        id: deployment.id,
+        status: deployment.status,
+        previous_status: previousStatus,
+        branch: deployment.branch,
+        environment: deployment.environment,
+        commit: deployment.commit,
+        trigger_source: deployment.trigger_source,
+        triggered_by: deployment.triggered_by,
+        url: project.deployment?.domain_name ? resolveDeployTarget(project, deployment.branch).url : null,
+        error: deployment.error?.message || null,
+        duration: deployment.duration,
+        created_at: deployment.created_at,
+        started_at: deployment.started_at,
+        completed_at: deployment.completed_at,
+        ...(deployment.rollback && { rollback: deployment.rollback })
+      }
+    }
+  }
+
+  createDelivery(webhook, payload, redeliveryOf = null) {
+    const now = new Date().toISOString()
+
+    return {
+      id: `whd-${crypto.randomBytes(8).toString('hex')}`,
+      webhook_id: webhook.id,
+      project_id: webhook.project_id,
+      deployment_id: payload.deployment?.id || null,
+      event: payload.event,
+      redelivery_of: redeliveryOf,
+      status: 'pending',
+      attempts: 0,
+      response_code: null,
+      last_error: null,
+      next_attempt_at: now,
+      // Start of the attempt in flight, if any
+      attempting_at: null,
+      delivered_at: null,
+      created_at: now,
+      updated_at: now,
+      // One entry per attempt: { attempt, url, response_code, duration_ms, error, timestamp }
+      log: [],
+      payload
+    }
+  }
+
+  async saveDeliveries(deliveries) {
+    await this.store.update((document) => {
+      document.deliveries.push(...deliveries)
+      if (document.deliveries.length > MAX_DELIVERIES) {
+        document.deliveries.splice(0, document.deliveries.length - MAX_DELIVERIES)
+      }
+    })
+  }
+
+  /**
+   * Make one delivery attempt and schedule a retry if it failed
+   */
+  async attempt(deliveryId) {
+    this.timers.delete(deliveryId)
+
+    // Claim the delivery so that a concurrent attempt (a scheduled retry
+    // racing a redelivery or resumePending) does not POST it twice
+    let claimed = false
+    const delivery = await this.store.update((document) => {
+      const record = document.deliveries.find(d => d.id === deliveryId)
+      if (!record) {
+        return null
+      }
+
+      const inFlight = record.attempting_at && Date.now() - Date.parse(record.attempting_at) < CLAIM_TIMEOUT_MS
+      if (record.status === 'pending' && !inFlight) {
+        record.attempting_at = new Date().toISOString()
+        claimed = true
+      }
+      return { ...record }
+    })
+
+    if (!claimed) {
+      return delivery
+    }
+
+    const startedAt = Date.now()
+    let webhook = null
+    let result = {}
+    let error = null
+
+    try {
+      webhook = await this.webhooks.get(delivery.project_id, delivery.webhook_id, { withSecret: true })
+      if (!webhook) {
+        throw new DeliveryError('Webhook was deleted', { permanent: true })
+      }
+      result = await this.send(webhook, delivery)
+    } catch (sendError) {
+      error = sendError
+      result = { statusCode: sendError.statusCode ?? null }
+    }
+
+    const attempts = delivery.attempts + 1
+    const now = Date.now()
+    let fields
+
+    if (!error) {
+      fields = { status: 'delivered', delivered_at: new Date(now).toISOString(), last_error: null, next_attempt_at: null }
+    } else if (error.permanent || attempts >= this.maxAttempts) {
+      fields = { status: 'failed', last_error: error.message, next_attempt_at: null }
+    } else {
+      const delay = Math.min(error.retryAfter ?? this.retryBaseMs * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS)
+      fields = { last_error: error.message, next_attempt_at: new Date(now + delay).toISOString() }
+    }
+
+    const entry = {
+      attempt: attempts,
+      url: webhook?.url || null,
+      response_code: result.statusCode ?? null,
+      duration_ms: now - startedAt,
+      error: error?.message || null,
+      timestamp: new Date(now).toISOString()
+    }
+
+    const updated = await this.store.update((document) => {
+      const record = document.deliveries.find(d => d.id === deliveryId)
+      if (!record) {
+        return null
+      }
+
+      Object.assign(record, fields, { attempts, attempting_at: null, response_code: entry.response_code, updated_at: entry.timestamp })
+      record.log.push(entry)
+      return { ...record }
+    })
+
+    if (error) {
+      logger.warn(`Webhook delivery ${deliveryId} attempt ${attempts} failed:`, { webhookId: delivery.webhook_id, error: error.message })
+    }
+    if (updated?.status === 'pending') {
+      this.schedule(updated)
+    }
+
+    return updated
+  }
+
+  /**
+   * POST a delivery's payload to its subscription
+   * @returns {Promise<Object>} - { statusCode }
+   * @throws {DeliveryError}
+   */
+  async send(webhook, delivery) {
+    const body = JSON.stringify(delivery.payload)
+
+    // IP literals are connected to without a lookup, so check them (and
+    // names, to fail for good) here; publicLookup covers names resolving
+    // differently by the time of the request
+    const blocked = await blockedHostReason(new URL(webhook.url).hostname)
+    if (blocked) {
+      throw new DeliveryError(`Webhook URL is not allowed: ${blocked}`, { permanent: true })
+    }
+
+    let response
+    try {
+      response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': USER_AGENT,
+          'X-IX-Event': delivery.event,
+          'X-IX-Delivery': delivery.id,
+          'X-IX-Hook-ID': webhook.id,
+          'X-IX-Signature-256': signWebhookPayload(webhook.secret, body)
+        },
+        body,
+        redirect: 'manual',
+        agent: url => agents[url.protocol],
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      })
+    } catch (error) {
+      throw new DeliveryError(`Webhook request failed: ${error.message}`)
+    }
+
+    // The body is never read; dropping it closes the connection
+    response.body?.destroy()
+    if (response.ok) {
+      return { statusCode: response.status }
+    }
+
+    const retryAfter = parseInt(response.headers.get('retry-after') || '', 10)
+    const error = new DeliveryError(`Webhook responded with ${response.status}`, {
+      statusCode: response.status,
+      // Server errors, timeouts and rate limiting are worth retrying
+      permanent: response.status < 500 && ![408, 429].includes(response.status),
+      retryAfter: Number.isFinite(retryAfter) ? retryAfter * 1000 : null
+    })
+    throw error
+  }
+
+  schedule(delivery) {
+    clearTimeout(this.timers.get(delivery.id))
+
+    const delay = Math.max(Date.parse(delivery.next_attempt_at) - Date.now(), 0)
+    const timer = setTimeout(() => {
+      this.attempt(delivery.id).catch((error) => {
+        logger.error(`Webhook delivery ${delivery.id} retry failed:`, error)
+      })
+    }, delay)
+    timer.unref()
+
+    this.timers.set(delivery.id, timer)
+  }
+
+  /**
+   * Reschedule deliveries left pending by a previous process
+   */
+  async resumePending() {
+    const { deliveries } = await this.store.read()
+    const pending = deliveries.filter(d => d.status === 'pending' && !this.timers.has(d.id))
+    pending.forEach(delivery => this.schedule(delivery))
+    return pending.length
+  }
+
+  /**
+   * Send a past delivery's payload again as a new delivery
+   * @returns {Promise<Object|null>} - The new delivery after its first
+   *   attempt, or null if the original is unknown
+   */
+  async redeliver(webhook, deliveryId) {
+    const original = await this.get(deliveryId)
+    if (!original || original.webhook_id !== webhook.id) {
+      return null
+    }
+
+    const delivery = this.createDelivery(webhook, original.payload, original.id)
+    await this.saveDeliveries([delivery])
+    return this.attempt(delivery.id)
+  }
+
+  async get(deliveryId) {
+    const { deliveries } = await this.store.read()
+    return deliveries.find(d => d.id === deliveryId) || null
+  }
+
+  /**
+   * Deliveries of a subscription, newest first, without their payloads
+   */
+  async list(webhookId, { status, limit = 50 } = {}) {
+    const { deliveries } = await this.store.read()
+
+    return deliveries
+      .filter(d => d.webhook_id === webhookId && (!status || d.status === status))
+      .reverse()
+      .slice(0, limit)
+      .map(({ payload, ...delivery }) => delivery)
+  }
+
+  /**
+   * Drop the deliveries of a deleted subscription
+   */
+  async forget(webhookId) {
+    await this.store.update((document) => {
+      document.deliveries = document.deliveries.filter((delivery) => {
+        if (delivery.webhook_id !== webhookId) {
+          return true
+        }
+        clearTimeout(this.timers.get(delivery.id))
+        this.timers.delete(delivery.id)
+        return false
+      })
+    })
+  }
+
+  /**
+   * Cancel scheduled retries (for shutdown)
+   */
+  stop() {
+    this.timers.forEach(timer => clearTimeout(timer))
+    this.timers.clear()
+  }
+}
+
+// Shared webhook dispatcher used by the API
+export const webhookDispatcher = new WebhookDispatcher()
+
+export default WebhookDispatcher
@@ -0,0 +1,311 @@
+/**
+ * Webhook Store
+ * Per-project outbound webhook subscriptions
+ *
+ * A subscription posts the project's deployment events (WEBHOOK_EVENTS) to
+ * a URL, signed with its secret (see WebhookDispatcher.js). Subscriptions
+ * are stored in DATA_PATH/webhooks.json. Secrets are encrypted under the
+ * secrets vault's master key (see SecretVault.js), so subscriptions need
+ * SECRETS_MASTER_KEY, and they are never returned.
+ *
+ * URLs whose host resolves to a loopback, private or link-local address
+ * are refused unless it is in WEBHOOK_ALLOWED_HOSTS (see utils/network.js).
+ */
+
+import crypto from 'crypto'
+import { dataPath, JsonFileStore } from '../utils/fileStore.js'
+import { blockedHostReason } from '../utils/network.js'
+import { decryptValue, encryptValue, keyId, secretVault } from './SecretVault.js'
+
+export const WEBHOOK_EVENTS = [
+  'deployment.created',
+  'deployment.started',
+  'deployment.succeeded',
+  'deployment.failed',
+  'deployment.cancelled',
+  'deployment.rolled_back'
+]
+
+const MAX_SECRET_LENGTH = 256
+
+/**
+ * Why a webhook URL is unusable, or null if it is fine
+ */
+async function invalidUrl(url) {
+  if (typeof url !== 'string') {
+    return 'url is required'
+  }
+
+  let parsed
+  try {
+    parsed = new URL(url)
+  } catch (error) {
+    return 'url must be an absolute URL'
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return 'url must use http or https'
+  }
+
+  const blocked = await blockedHostReason(parsed.hostname)
+  return blocked ? `url is not allowed: ${blocked}` : null
+}
+
+/**
+ * Validate the writable fields of a subscription
+ * @param {Object} fields - Fields present in the request
+ * @returns {string|null} - The first problem found
+ */
+async function invalidFields({ url, secret, events, active }) {
+  if (url !== undefined) {
+    const problem = await invalidUrl(url)
+    if (problem) {
+      return problem
+    }
+  }
+
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16 || secret.length > MAX_SECRET_LENGTH)) {
+    return `secret must be a string of 16 to ${MAX_SECRET_LENGTH} characters`
+  }
+
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) {
+      return 'events must be a non-empty array'
+    }
+    const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event))
+    if (unknown.length > 0) {
+      return `Unknown event(s): ${unknown.join(', ')}. Valid events: ${WEBHOOK_EVENTS.join(', ')}`
+    }
+  }
+
+  if (active !== undefined && typeof active !== 'boolean') {
+    return 'active must be a boolean'
+  }
+
+  return null
+}
+
+export class WebhookStore {
+  constructor(options = {}) {
+    this.store = new JsonFileStore(options.filePath || (() => dataPath('webhooks.json')), { webhooks: [] })
+  }
+
+  /**
+   * Subscription without its secret, for API responses
+   */
+  toPublic(record) {
+    if (!record) {
+      return null
+    }
+
+    const { secret, secret_encryption: secretEncryption, ...rest } = record
+    return rest
+  }
+
+  /**
+   * Encrypt a subscription's secret; the webhook ID is authenticated with it
+   */
+  encryptSecret(key, webhookId, secret) {
+    return encryptValue(key, `webhook:${webhookId}`, secret)
+  }
+
+  /**
+   * Decrypt a subscription's secret with the vault's keys
+   * Subscriptions stored before secrets were encrypted still have a
+   * plaintext `secret` until the next `npm run secrets:reencrypt`.
+   * @throws {Error} - When no configured key can decrypt it
+   */
+  decryptSecret(record) {
+    if (!record.secret_encryption) {
+      return record.secret
+    }
+    return decryptValue(secretVault.keys, { name: `webhook:${record.id}`, encryption: record.secret_encryption })
+  }
+
+  /**
+   * Subscribe a project to deployment events
+   * @param {Object} data - { projectId, url, secret, events, active, createdBy }
+   * @returns {Promise<Object>} - Service-style result with { webhook }
+   */
+  async create({ projectId, url, secret, events = WEBHOOK_EVENTS, active = true, createdBy = null }) {
+    const problem = (await invalidUrl(url)) ||
+      (secret === undefined ? 'secret is required' : await invalidFields({ secret, events, active }))
+    if (problem) {
+      return {
+        success: false,
+        error: 'Validation Error',
+        message: problem,
+        statusCode: 400
+      }
+    }
+
+    const { key, failure } = secretVault.requireMasterKey()
+    if (failure) {
+      return failure
+    }
+
+    const id = `whk-${crypto.randomBytes(6).toString('hex')}`
+    const now = new Date().toISOString()
+    const record = {
+      id,
+      project_id: projectId,
+      url,
+      secret_encryption: this.encryptSecret(key, id, secret),
+      events: [...new Set(events)],
+      active,
+      created_by: createdBy,
+      created_at: now,
+      updated_at: now
+    }
+
+    await this.store.update((document) => {
+      document.webhooks.push(record)
+    })
+
+    return { success: true, data: { webhook: this.toPublic(record) } }
+  }
+
+  /**
+   * Subscriptions of a project
+   */
+  async list(projectId) {
+    const { webhooks } = await this.store.read()
+    return webhooks
+      .filter(record => record.project_id === projectId)
+      .map(record => this.toPublic(record))
+  }
+
+  /**
+   * Get a project's subscription
+   * @param {Object} options - { withSecret: include the decrypted signing
+   *   secret, for signing deliveries only }
+   * @throws {Error} - With withSecret, when the secret can't be decrypted
+   */
+  async get(projectId, webhookId, { withSecret = false } = {}) {
+    const { webhooks } = await this.store.read()
+    const record = webhooks.find(w => w.id === webhookId && w.project_id === projectId) || null
+    if (!record || !withSecret) {
+      return this.toPublic(record)
+    }
+
+    return { ...this.toPublic(record), secret: this.decryptSecret(record) }
+  }
+
+  /**
+   * Active subscriptions of a project to an event
+   */
+  async subscribers(projectId, event) {
+    const { webhooks } = await this.store.read()
+    return webhooks
+      .filter(w => w.project_id === projectId && w.active && w.events.includes(event))
+      .map(record => this.toPublic(record))
+  }
+
+  /**
+   * Change a subscription's url, secret, events or active flag
+   * @returns {Promise<Object>} - Service-style result with { before, webhook }
+   */
+  async update(projectId, webhookId, fields) {
+    const changes = Object.fromEntries(
+      ['url', 'secret', 'events', 'active']
+        .filter(key => fields[key] !== undefined)
+        .map(key => [key, key === 'events' ? [...new Set(fields[key])] : fields[key]])
+    )
+
+    const problem = await invalidFields(changes)
+    if (problem) {
+      return {
+        success: false,
+        error: 'Validation Error',
+        message: problem,
+        statusCode: 400
+      }
+    }
+
+    let key = null
+    if (changes.secret !== undefined) {
+      const required = secretVault.requireMasterKey()
+      if (required.failure) {
+        return required.failure
+      }
+      key = required.key
+    }
+
+    const result = await this.store.update((document) => {
+      const record = document.webhooks.find(w => w.id === webhookId && w.project_id === projectId)
+      if (!record) {
+        return null
+      }
+
+      const before = this.toPublic({ ...record })
+      const { secret, ...fields } = changes
+      Object.assign(record, fields, { updated_at: new Date().toISOString() })
+      if (secret !== undefined) {
+        delete record.secret
+        record.secret_encryption = this.encryptSecret(key, record.id, secret)
+      }
+      return { before, webhook: this.toPublic(record) }
+    })
+
+    if (!result) {
+      return {
+        success: false,
+        error: 'Webhook not found',
+        message: `Webhook '${webhookId}' does not exist`,
+        statusCode: 404
+      }
+    }
+
+    return { success: true, data: result }
+  }
+
+  /**
+   * Delete a subscription
+   * @returns {Promise<Object|null>} - The removed subscription, or null if unknown
+   */
+  async remove(projectId, webhookId) {
+    return this.store.update((document) => {
+      const index = document.webhooks.findIndex(w => w.id === webhookId && w.project_id === projectId)
+      if (index === -1) {
+        return null
+      }
+
+      const [record] = document.webhooks.splice(index, 1)
+      return this.toPublic(record)
+    })
+  }
+
+  /**
+   * Re-encrypt every secret with the master key, including plaintext ones
+   * left from before secrets were encrypted
+   * Nothing is written unless all of them can be decrypted.
+   * @returns {Promise<Object>} - { reencrypted, unchanged } secret counts
+   * @throws {Error} - When the master key is missing or a secret can't be
+   *   decrypted
+   */
+  async reencrypt() {
+    const key = secretVault.masterKey
+    if (!key) {
+      throw new Error('SECRETS_MASTER_KEY is not set')
+    }
+
+    const currentId = keyId(key)
+
+    return this.store.update((document) => {
+      const stale = document.webhooks.filter(record => record.secret_encryption?.key_id !== currentId)
+      const secrets = stale.map(record => this.decryptSecret(record))
+
+      stale.forEach((record, index) => {
+        delete record.secret
+        record.secret_encryption = this.encryptSecret(key, record.id, secrets[index])
+      })
+
+      return { reencrypted: stale.length, unchanged: document.webhooks.length - stale.length }
+    })
+  }
+}
+
+// Shared webhook store used by the API
+export const webhookStore = new WebhookStore()
+
+export default WebhookStore
@@ -0,0 +1,34 @@
+import { promises as fs } from 'fs'
+import path from 'path'
+import { describe, expect, test } from '@jest/globals'
+import { AuditLog, GENESIS_HASH } from '../AuditLog.js'
+
+describe('AuditLog', () => {
+  test('chains entries by hash and reports the first edited entry', async () => {
+    const filePath = path.join(process.env.DATA_PATH, 'audit-chain.log')
+    const auditLog = new AuditLog({ filePath: () => filePath })
+
+    const first = await auditLog.record(null, { action: 'project.create', target: { type: 'project', id: 'site' } })
+    const second = await auditLog.record(null, {
+      action: 'project.patch',
+      before: { name: 'Site' },
+      after: { name: 'Marketing site' }
+    })
+    await auditLog.record(null, { action: 'project.delete', outcome: 'denied', statusCode: 403 })
+
+    expect(first).toMatchObject({ seq: 1, prev_hash: GENESIS_HASH })
+    expect(second).toMatchObject({ seq: 2, prev_hash: first.hash })
+    expect(second.changes).toEqual([{ path: 'name', before: 'Site', after: 'Marketing site' }])
+    expect(await auditLog.verify()).toMatchObject({ valid: true, entries: 3, verified: 3 })
+
+    const lines = (await fs.readFile(filePath, 'utf8')).trim().split('\n')
+    lines[1] = lines[1].replace('Marketing site', 'Another site')
+    await fs.writeFile(filePath, lines.join('\n') + '\n')
+
+    expect(await auditLog.verify()).toMatchObject({
+      valid: false,
+      verified: 1,
+      error: { line: 2, seq: 2, reason: 'entry hash does not match its contents' }
+    })
+  })
+})
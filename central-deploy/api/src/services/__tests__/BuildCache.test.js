@@ -0,0 +1,101 @@
+import crypto from 'crypto'
+import { promises as fs } from 'fs'
+import path from 'path'
+import { afterEach, beforeEach, describe, expect, test } from '@jest/globals'
+import { BuildCache } from '../BuildCache.js'
+import { dataPath } from '../../utils/fileStore.js'
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 5))
+
+describe('BuildCache', () => {
+  let count = 0
+  let root
+  let cache
+
+  // A build output of incompressible files, so entry sizes are predictable
+  const output = async (name, bytes = 16) => {
+    const dir = path.join(root, 'sources', name)
+    await fs.mkdir(dir, { recursive: true })
+    await fs.writeFile(path.join(dir, 'bundle.js'), crypto.randomBytes(bytes))
+    return dir
+  }
+
+  beforeEach(() => {
+    root = dataPath(`build-cache-${++count}`)
+    cache = new BuildCache({ rootPath: () => path.join(root, 'cache') })
+  })
+
+  afterEach(() => {
+    delete process.env.BUILD_CACHE_MAX_SIZE_MB
+    delete process.env.FEATURE_BUILD_CACHING
+  })
+
+  test('restores saved entries and counts their hits', async () => {
+    const sourceDir = await output('a')
+    const entry = await cache.save('site', 'output', 'key-a', sourceDir, { commit: 'abc1234' })
+    expect(entry).toMatchObject({ project_id: 'site', type: 'output', key: 'key-a', commit: 'abc1234', hits: 0 })
+    expect(await cache.save('site', 'output', 'key-a', sourceDir)).toBeNull()
+
+    const targetDir = path.join(root, 'restored')
+    expect(await cache.restore('site', 'output', 'key-a', targetDir)).toBe(true)
+    expect(await fs.readFile(path.join(targetDir, 'bundle.js'))).toEqual(await fs.readFile(path.join(sourceDir, 'bundle.js')))
+    expect((await cache.find('site', 'output', 'key-a')).hits).toBe(1)
+
+    expect(await cache.restore('site', 'output', 'key-b', targetDir)).toBe(false)
+    expect(await cache.restore('other', 'output', 'key-a', targetDir)).toBe(false)
+  })
+
+  test('evicts the least recently used entries beyond the size cap', async () => {
+    process.env.BUILD_CACHE_MAX_SIZE_MB = '1'
+    const size = 400 * 1024
+
+    await cache.save('site', 'output', 'a', await output('a', size))
+    await tick()
+    await cache.save('site', 'output', 'b', await output('b', size))
+    await tick()
+
+    // Using the oldest entry makes the other one the least recently used
+    expect(await cache.restore('site', 'output', 'a', path.join(root, 'restored'))).toBe(true)
+    await tick()
+    await cache.save('site', 'output', 'c', await output('c', size))
+
+    const { entries, total_bytes: total } = await cache.list('site')
+    expect(entries.map(e => e.key)).toEqual(['c', 'a'])
+    expect(total).toBeLessThanOrEqual(cache.maxBytes)
+    await expect(fs.stat(path.join(root, 'cache', 'site', 'output', 'b.tar.gz'))).rejects.toThrow()
+  })
+
+  test('does not cache entries larger than the cap', async () => {
+    process.env.BUILD_CACHE_MAX_SIZE_MB = '1'
+
+    expect(await cache.save('site', 'output', 'huge', await output('huge', 1100 * 1024))).toBeNull()
+    expect((await cache.stats()).entries).toBe(0)
+  })
+
+  test('drops entries whose archive is unusable', async () => {
+    const entry = await cache.save('site', 'dependencies', 'deps', await output('deps'))
+    await fs.writeFile(cache.entryPath(entry), 'not a tarball')
+
+    expect(await cache.restore('site', 'dependencies', 'deps', path.join(root, 'restored'))).toBe(false)
+    expect(await cache.find('site', 'dependencies', 'deps')).toBeNull()
+  })
+
+  test('keys dependencies by lockfile content and does nothing when disabled', async () => {
+    const workspace = await output('workspace')
+    const settings = { packageManager: 'npm', nodeVersion: '20', defaultInstallCommand: 'npm ci' }
+
+    expect(await cache.dependencyKey(workspace, settings, 'host')).toBeNull()
+
+    await fs.writeFile(path.join(workspace, 'package-lock.json'), '{"lockfileVersion":3}')
+    const first = await cache.dependencyKey(workspace, settings, 'host')
+    expect(first.lockfile).toBe('package-lock.json')
+    expect((await cache.dependencyKey(workspace, { ...settings, nodeVersion: '22' }, 'host')).key).not.toBe(first.key)
+
+    await fs.writeFile(path.join(workspace, 'package-lock.json'), '{"lockfileVersion":3,"packages":{}}')
+    expect((await cache.dependencyKey(workspace, settings, 'host')).key).not.toBe(first.key)
+
+    process.env.FEATURE_BUILD_CACHING = 'false'
+    expect(await cache.save('site', 'output', 'off', workspace)).toBeNull()
+    expect(await cache.restore('site', 'output', 'off', path.join(root, 'restored'))).toBe(false)
+  })
+})
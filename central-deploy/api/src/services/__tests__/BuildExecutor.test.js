@@ -0,0 +1,83 @@
+import { promises as fs } from 'fs'
+import os from 'os'
+import path from 'path'
+import { pathToFileURL } from 'url'
+import { simpleGit } from 'simple-git'
+import { afterAll, beforeAll, describe, expect, jest, test } from '@jest/globals'
+import { BuildExecutor } from '../BuildExecutor.js'
+
+const disabledCache = { enabled: false, outputKey: () => null }
+
+describe('BuildExecutor', () => {
+  let root
+  let repositoryUrl
+
+  beforeAll(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'ix-build-executor-'))
+    const repository = path.join(root, 'repository')
+
+    await fs.mkdir(path.join(repository, 'src'), { recursive: true })
+    await fs.writeFile(path.join(repository, 'src', 'index.html'), '<h1>Hello</h1>\n')
+
+    const git = simpleGit({ baseDir: repository })
+    await git.init(['--initial-branch', 'main'])
+    await git.addConfig('user.name', 'Test')
+    await git.addConfig('user.email', 'test@example.com')
+    await git.add('.')
+    await git.commit('Initial commit')
+
+    repositoryUrl = pathToFileURL(repository).href
+  })
+
+  afterAll(async () => {
+    await fs.rm(root, { recursive: true, force: true })
+  })
+
+  const executor = () => new BuildExecutor({ workspacePath: path.join(root, 'workspace'), cache: disabledCache })
+
+  test('checks out a file:// repository and runs the build command', async () => {
+    const logs = []
+    const project = {
+      id: 'site',
+      repository: { url: repositoryUrl, branch: 'main' },
+      build: { build_command: 'mkdir -p dist && cp src/index.html dist/', build_dir: 'dist' }
+    }
+
+    const result = await executor().run({
+      project,
+      deployment: { id: 'dep-1', branch: 'main' },
+      onLog: entry => logs.push(entry)
+    })
+
+    expect(result.commit).toMatch(/^[0-9a-f]{40}$/)
+    expect(await fs.readFile(path.join(result.outputDir, 'index.html'), 'utf8')).toBe('<h1>Hello</h1>\n')
+    expect(logs.some(entry => entry.component === 'checkout' && entry.message.startsWith('Checked out'))).toBe(true)
+  })
+
+  test('fails the build when build_dir is not produced', async () => {
+    const project = {
+      id: 'site',
+      repository: { url: repositoryUrl, branch: 'main' },
+      build: { build_dir: 'missing' }
+    }
+
+    await expect(executor().run({ project, deployment: { id: 'dep-2', branch: 'main' } }))
+      .rejects.toMatchObject({ phase: 'verify' })
+  })
+
+  test('rejects a build_dir outside the workspace before the runner copies output there', async () => {
+    const runner = { prepare: jest.fn(), run: jest.fn(), collectOutput: jest.fn(), dispose: jest.fn(async () => {}) }
+    const buildExecutor = executor()
+    buildExecutor.createRunner = () => runner
+
+    const project = {
+      id: 'site',
+      repository: { url: repositoryUrl, branch: 'main' },
+      build: { build_dir: '../../..' }
+    }
+
+    await expect(buildExecutor.run({ project, deployment: { id: 'dep-3', branch: 'main' } }))
+      .rejects.toThrow("build_dir '../../..' points outside the workspace")
+    expect(runner.collectOutput).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,48 @@
+import { describe, expect, test } from '@jest/globals'
+import { CdnInvalidationService } from '../CdnInvalidationService.js'
+import { DeploymentStore } from '../DeploymentStore.js'
+import { FakeInvalidationProvider } from '../FakeInvalidationProvider.js'
+
+async function waitFor(check, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs
+  while (!(await check())) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition')
+    }
+    await new Promise(resolve => setTimeout(resolve, 10))
+  }
+}
+
+describe('CdnInvalidationService', () => {
+  test('coalesces deployments to one distribution into a single invalidation', async () => {
+    const store = new DeploymentStore()
+    const provider = new FakeInvalidationProvider({ pollsUntilComplete: 2 })
+    const service = new CdnInvalidationService({
+      store,
+      createProvider: () => provider,
+      coalesceWindowMs: 20,
+      pollIntervalMs: 10
+    })
+    const project = { id: 'site', deployment: { cloudfront_distribution_id: 'E123ABC' } }
+
+    const first = await store.create({ projectId: 'site', branch: 'main', environment: 'production' })
+    const second = await store.create({ projectId: 'site', branch: 'feature', environment: 'production' })
+
+    await service.request(first, { project, keys: ['index.html', 'app.js'] })
+    await service.request(second, { project, keys: ['feature/docs/index.html'] })
+
+    await waitFor(async () => (await store.get(second.id)).invalidation.status === 'completed')
+
+    expect(provider.invalidations.size).toBe(1)
+    const [created] = provider.invalidations.values()
+    expect(created.paths).toEqual(['/', '/app.js', '/feature/docs', '/feature/docs/', '/feature/docs/index.html', '/index.html'])
+
+    const { invalidation } = await store.get(first.id)
+    expect(invalidation).toMatchObject({
+      provider: 'fake',
+      id: created.id,
+      status: 'completed',
+      coalesced_deployments: [first.id, second.id]
+    })
+  })
+})
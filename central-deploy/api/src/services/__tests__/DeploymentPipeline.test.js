@@ -0,0 +1,145 @@
+import { promises as fs } from 'fs'
+import os from 'os'
+import path from 'path'
+import { afterAll, beforeAll, describe, expect, jest, test } from '@jest/globals'
+import { DeploymentPipeline } from '../DeploymentPipeline.js'
+import { DeploymentStore } from '../DeploymentStore.js'
+import { PreviewStore } from '../PreviewStore.js'
+import { dataPath } from '../../utils/fileStore.js'
+
+const project = {
+  id: 'site',
+  repository: { url: 'file:///unused', branch: 'main' },
+  deployment: { domain_name: 'site.example.com' }
+}
+
+/**
+ * In-memory storage backend; onPut runs after each object is written
+ */
+function createBackend({ onPut = () => {} } = {}) {
+  return {
+    name: 'memory',
+    bucket: 'site.example.com',
+    objects: new Map(),
+    async list() {
+      return new Map()
+    },
+    async put(key) {
+      this.objects.set(key, true)
+      onPut(key)
+    },
+    async delete() {},
+    async flush() {}
+  }
+}
+
+describe('DeploymentPipeline', () => {
+  let outputDir
+
+  beforeAll(async () => {
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ix-pipeline-output-'))
+    for (let i = 0; i < 20; i++) {
+      await fs.writeFile(path.join(outputDir, `page-${i}.html`), `<p>${i}</p>`)
+    }
+  })
+
+  afterAll(async () => {
+    await fs.rm(outputDir, { recursive: true, force: true })
+  })
+
+  async function deploy({ backend, invalidator }) {
+    const store = new DeploymentStore()
+    const controller = new AbortController()
+    const releases = { archive: jest.fn(async () => ({ id: 'rel-1', file_count: 20, storage: 'local', bytes: 1 })) }
+    const pipeline = new DeploymentPipeline({
+      store,
+      releases,
+      builder: {
+        run: async () => ({ workspace: outputDir, outputDir, commit: 'abc1234', settings: {}, cache: {} }),
+        cleanup: async () => {}
+      },
+      createBackend: () => backend(controller),
+      invalidator: invalidator ? invalidator(controller) : { request: async () => null }
+    })
+
+    const deployment = await store.create({ projectId: 'site', branch: 'main', environment: 'production' })
+    const result = await pipeline.run(deployment, { project, config: {}, signal: controller.signal })
+    return { result, releases }
+  }
+
+  test('cancelling during the upload stops it between objects', async () => {
+    let backend
+    const { result, releases } = await deploy({
+      backend: (controller) => {
+        backend = createBackend({ onPut: () => controller.abort('Cancelled by user') })
+        return backend
+      }
+    })
+
+    expect(result.status).toBe('cancelled')
+    expect(result.error.phase).toBe('upload')
+    expect(backend.objects.size).toBeLessThan(20)
+    expect(releases.archive).not.toHaveBeenCalled()
+  })
+
+  test('a cancellation after the files were published completes the deployment', async () => {
+    let backend
+    const { result, releases } = await deploy({
+      backend: () => {
+        backend = createBackend()
+        return backend
+      },
+      invalidator: controller => ({
+        request: async () => {
+          controller.abort('Cancelled by user')
+          return null
+        }
+      })
+    })
+
+    expect(result.status).toBe('completed')
+    expect(backend.objects.size).toBe(20)
+    expect(releases.archive).toHaveBeenCalled()
+  })
+
+  test('root deploys keep the prefixes of deployed, in-flight and previewed branches', async () => {
+    const store = new DeploymentStore({ filePath: dataPath('preserve-deployments.json') })
+    const previews = new PreviewStore({ filePath: dataPath('preserve-previews.json') })
+
+    const deployed = await store.create({ projectId: 'site', branch: 'feature/a', environment: 'preview' })
+    for (const status of ['uploading', 'completed']) {
+      await store.transition(deployed.id, status)
+    }
+    await store.update(deployed.id, { upload: { prefix: 'feature-a/' } })
+    await store.create({ projectId: 'site', branch: 'feature/b', environment: 'preview' })
+    await store.create({ projectId: 'other', branch: 'feature/c', environment: 'preview' })
+    await previews.update((document) => {
+      document.previews.push(
+        { project_id: 'site', prefix: 'pr-open/', status: 'active' },
+        { project_id: 'site', prefix: 'pr-closed/', status: 'closed' }
+      )
+    })
+
+    const remote = ['stale.html', 'feature-a/index.html', 'feature-b/index.html', 'feature-c/index.html', 'pr-open/index.html', 'pr-closed/index.html']
+    const backend = createBackend()
+    backend.list = async () => new Map(remote.map(key => [key, { size: 1 }]))
+    backend.delete = jest.fn(async () => {})
+
+    const pipeline = new DeploymentPipeline({
+      store,
+      previews,
+      releases: { archive: async () => ({ id: 'rel-1', file_count: 20, storage: 'local', bytes: 1 }) },
+      builder: {
+        run: async () => ({ workspace: outputDir, outputDir, commit: 'abc1234', settings: {}, cache: {} }),
+        cleanup: async () => {}
+      },
+      createBackend: () => backend,
+      invalidator: { request: async () => null }
+    })
+
+    const deployment = await store.create({ projectId: 'site', branch: 'main', environment: 'production' })
+    expect((await pipeline.run(deployment, { project, config: {} })).status).toBe('completed')
+
+    expect(backend.delete).toHaveBeenCalledWith(['stale.html', 'feature-c/index.html', 'pr-closed/index.html'])
+  })
+})
@@ -0,0 +1,53 @@
+import { describe, expect, test } from '@jest/globals'
+import { DeploymentQueue } from '../DeploymentQueue.js'
+import { DeploymentStore } from '../DeploymentStore.js'
+
+/**
+ * Pipeline whose runs finish only when released
+ */
+function createPipeline(store) {
+  const pending = new Map()
+
+  return {
+    started: [],
+    run(deployment) {
+      this.started.push(deployment.id)
+      return new Promise((resolve) => {
+        pending.set(deployment.id, async () => {
+          await store.transition(deployment.id, 'building')
+          await store.transition(deployment.id, 'uploading')
+          resolve(await store.transition(deployment.id, 'completed'))
+        })
+      })
+    },
+    release: deploymentId => pending.get(deploymentId)()
+  }
+}
+
+describe('DeploymentQueue', () => {
+  test('a newer request for the same project and branch supersedes a queued one', async () => {
+    const store = new DeploymentStore()
+    const pipeline = createPipeline(store)
+    const queue = new DeploymentQueue({ store, pipeline, maxConcurrent: 1 })
+    const request = { projectId: 'site', branch: 'main', environment: 'production' }
+
+    const running = await store.create(request)
+    const queued = await store.create(request)
+    const latest = await store.create(request)
+
+    await queue.enqueue(running, {})
+    expect((await queue.enqueue(queued, {})).queue_position).toBe(1)
+    await queue.enqueue(latest, {})
+
+    expect(await store.get(queued.id)).toMatchObject({ status: 'cancelled', superseded_by: latest.id })
+    expect(queue.getPosition(latest.id)).toBe(1)
+
+    await pipeline.release(running.id)
+    await queue.settled(running.id)
+    expect(pipeline.started).toEqual([running.id, latest.id])
+
+    await pipeline.release(latest.id)
+    await queue.settled(latest.id)
+    expect((await store.get(latest.id)).status).toBe('completed')
+  })
+})
@@ -0,0 +1,12 @@
+import { describe, expect, jest, test } from '@jest/globals'
+import { DockerBuildRunner } from '../DockerBuildRunner.js'
+
+describe('DockerBuildRunner', () => {
+  test('never copies build output outside the workspace', async () => {
+    const runner = new DockerBuildRunner({ workspace: '/tmp/ix-deploy-builds/site/dep-1', settings: {}, log: () => {}, docker: {} })
+    runner.container = { getArchive: jest.fn() }
+
+    await expect(runner.collectOutput('/tmp/ix-deploy-builds')).rejects.toMatchObject({ phase: 'verify' })
+    expect(runner.container.getArchive).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,68 @@
+import { EventEmitter } from 'events'
+import express from 'express'
+import request from 'supertest'
+import { describe, expect, test } from '@jest/globals'
+import { Metrics } from '../Metrics.js'
+
+describe('Metrics', () => {
+  const createMetrics = (queued = []) => {
+    const store = new EventEmitter()
+    return { store, metrics: new Metrics({ store, queue: { queued } }) }
+  }
+
+  test('labels request durations with the route pattern', async () => {
+    const { metrics } = createMetrics()
+    const projects = express.Router()
+    projects.get('/:id', (req, res) => res.json({ id: req.params.id }))
+    projects.get('/:id/fail', () => {
+      throw new Error('boom')
+    })
+
+    const app = express()
+    app.use(metrics.httpMiddleware())
+    app.use('/api/v1/projects', projects)
+    // Keeps the error out of the test output
+    app.use((error, req, res, next) => res.status(500).json({ error: error.message }))
+
+    await request(app).get('/api/v1/projects/site')
+    await request(app).get('/api/v1/projects/other')
+    await request(app).get('/api/v1/projects/site/fail')
+    await request(app).get('/no/such/path')
+
+    const text = await metrics.render()
+    expect(text).toContain('ix_deploy_http_request_duration_seconds_count{method="GET",route="/api/v1/projects/:id",status_code="200"} 2')
+    expect(text).toContain('ix_deploy_http_request_duration_seconds_count{method="GET",route="/api/v1/projects/:id/fail",status_code="500"} 1')
+    expect(text).toContain('ix_deploy_http_request_duration_seconds_count{method="GET",route="unmatched",status_code="404"} 1')
+    expect(text).not.toContain('/api/v1/projects/site')
+  })
+
+  test('counts finished deployments once however often it is attached', async () => {
+    const { store, metrics } = createMetrics()
+    metrics.attach().attach()
+
+    store.emit('status', { project_id: 'site', status: 'building' })
+    store.emit('status', { project_id: 'site', status: 'completed', duration: 42000 })
+    store.emit('status', { project_id: 'site', status: 'failed', duration: 3000 })
+    store.emit('status', { project_id: 'site', status: 'cancelled', duration: null })
+
+    const text = await metrics.render()
+    expect(text).toContain('ix_deploy_deployments_total{project="site",outcome="completed"} 1')
+    expect(text).toContain('ix_deploy_deployments_total{project="site",outcome="failed"} 1')
+    expect(text).toContain('ix_deploy_deployments_total{project="site",outcome="cancelled"} 1')
+    expect(text).not.toContain('outcome="building"')
+    expect(text).toContain('ix_deploy_deployment_duration_seconds_sum{project="site",outcome="completed"} 42')
+    expect(text).not.toContain('ix_deploy_deployment_duration_seconds_count{project="site",outcome="cancelled"}')
+  })
+
+  test('reports the queue length and process metrics when scraped', async () => {
+    const queued = ['dep-1', 'dep-2']
+    const { metrics } = createMetrics(queued)
+
+    expect(await metrics.render()).toContain('ix_deploy_deployment_queue_length 2')
+    queued.pop()
+    const text = await metrics.render()
+    expect(text).toContain('ix_deploy_deployment_queue_length 1')
+    expect(text).toContain('ix_deploy_process_cpu_seconds_total')
+    expect(metrics.contentType).toMatch(/^text\/plain/)
+  })
+})
@@ -0,0 +1,178 @@
+import http from 'http'
+import net from 'net'
+import { afterAll, beforeAll, describe, expect, jest, test } from '@jest/globals'
+import { NotificationService } from '../NotificationService.js'
+import { DeploymentStore } from '../DeploymentStore.js'
+
+// Project config reference resolved from the environment on each attempt
+const WEBHOOK_REF = '${TEST_SLACK_WEBHOOK_URL}' // eslint-disable-line no-template-curly-in-string
+
+/**
+ * Local Slack stand-in answering each request with the next status code
+ */
+function startSlack(statusCodes) {
+  const requests = []
+  const server = http.createServer((req, res) => {
+    let body = ''
+    req.on('data', chunk => { body += chunk })
+    req.on('end', () => {
+      requests.push(JSON.parse(body))
+      res.writeHead(statusCodes.shift() ?? 200).end('ok')
+    })
+  })
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, requests })))
+}
+
+/**
+ * Local SMTP sink that accepts every message
+ */
+function startSmtpSink() {
+  const messages = []
+  const server = net.createServer((socket) => {
+    let buffer = ''
+    let data = null
+    const reply = line => socket.write(`${line}\r\n`)
+
+    reply('220 sink ESMTP')
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8')
+
+      let index
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index)
+        buffer = buffer.slice(index + 2)
+
+        if (data !== null) {
+          if (line === '.') {
+            messages.push(data.join('\n'))
+            data = null
+            reply('250 queued')
+          } else {
+            data.push(line)
+          }
+        } else if (/^(EHLO|HELO)/i.test(line)) {
+          reply('250 sink')
+        } else if (/^DATA/i.test(line)) {
+          data = []
+          reply('354 end with .')
+        } else if (/^QUIT/i.test(line)) {
+          reply('221 bye')
+          socket.end()
+        } else {
+          reply('250 OK')
+        }
+      }
+    })
+  })
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, messages })))
+}
+
+async function waitFor(check, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs
+  let result
+  while (!(result = await check())) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition')
+    }
+    await new Promise(resolve => setTimeout(resolve, 10))
+  }
+  return result
+}
+
+describe('NotificationService', () => {
+  let slack
+  let smtp
+
+  beforeAll(async () => {
+    slack = await startSlack([503])
+    smtp = await startSmtpSink()
+
+    process.env.NOTIFICATION_RETRY_BASE_MS = '10'
+    process.env.SMTP_HOST = '127.0.0.1'
+    process.env.SMTP_PORT = String(smtp.server.address().port)
+    process.env.SMTP_SECURE = 'false'
+    process.env.TEST_SLACK_WEBHOOK_URL = `http://127.0.0.1:${slack.server.address().port}/hooks/site`
+  })
+
+  afterAll(async () => {
+    await new Promise(resolve => slack.server.close(resolve))
+    await new Promise(resolve => smtp.server.close(resolve))
+  })
+
+  test('retries failed Slack deliveries and emails the recipients', async () => {
+    const deployments = new DeploymentStore()
+    const project = {
+      id: 'site',
+      name: 'Site',
+      deployment: { domain_name: 'site.example.com' },
+      notifications: {
+        slack: { webhook_url: WEBHOOK_REF, channel: '#deploys' },
+        email: ['team@example.com'],
+        events: ['failed']
+      }
+    }
+    const service = new NotificationService({
+      deployments,
+      projectService: { getProject: async () => project }
+    })
+
+    const deployment = await deployments.create({ projectId: 'site', branch: 'main', environment: 'production' })
+    await deployments.appendLog(deployment.id, { level: 'error', message: 'npm run build exited with code 1' })
+
+    expect(await service.notify('succeeded', deployment)).toEqual([])
+    await service.notify('failed', deployment)
+
+    const [email, slackDelivery] = await waitFor(async () => {
+      const deliveries = await service.list({ deploymentId: deployment.id })
+      return deliveries.every(d => d.status === 'delivered') && deliveries
+    })
+    service.stop()
+
+    expect(slackDelivery).toMatchObject({ channel: 'slack', target: WEBHOOK_REF, attempts: 2 })
+    expect(email).toMatchObject({ channel: 'email', target: ['team@example.com'], attempts: 1 })
+
+    expect(slack.requests).toHaveLength(2)
+    expect(slack.requests[1]).toMatchObject({ channel: '#deploys' })
+    expect(smtp.messages).toHaveLength(1)
+    expect(smtp.messages[0]).toContain('npm run build exited with code 1')
+  })
+
+  test('sends a delivery once when a resumed retry races the attempt in flight', async () => {
+    const deployments = new DeploymentStore()
+    const project = {
+      id: 'site',
+      name: 'Site',
+      deployment: { domain_name: 'site.example.com' },
+      notifications: { slack: { webhook_url: 'https://hooks.slack.example/site' } }
+    }
+
+    let open
+    const gate = new Promise(resolve => { open = resolve })
+    const send = jest.fn(async () => {
+      await gate
+      return {}
+    })
+    const service = new NotificationService({
+      deployments,
+      projectService: { getProject: async () => project },
+      slack: { send }
+    })
+
+    const deployment = await deployments.create({ projectId: 'site', branch: 'main', environment: 'production' })
+    const notifying = service.notify('succeeded', deployment)
+    await waitFor(() => send.mock.calls.length === 1)
+
+    // As after a restart: the pending delivery is scheduled again right away
+    expect(await service.resumePending()).toBe(1)
+    await new Promise(resolve => setTimeout(resolve, 50))
+
+    open()
+    const [delivery] = await notifying
+    service.stop()
+
+    expect(send).toHaveBeenCalledTimes(1)
+    expect(await service.get(delivery.id)).toMatchObject({ status: 'delivered', attempts: 1, attempting_at: null })
+  })
+})
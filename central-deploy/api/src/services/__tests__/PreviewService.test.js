@@ -0,0 +1,111 @@
+import { promises as fs } from 'fs'
+import path from 'path'
+import { beforeEach, describe, expect, jest, test } from '@jest/globals'
+import { PreviewService } from '../PreviewService.js'
+import { DeploymentStore } from '../DeploymentStore.js'
+import { LocalStorageBackend } from '../LocalStorageBackend.js'
+import { dataPath } from '../../utils/fileStore.js'
+
+const project = { id: 'site', deployment: { domain_name: 'site.example.com' } }
+
+const pullRequest = (number, branch = 'feature/login') => ({
+  number,
+  title: `PR ${number}`,
+  html_url: `https://github.com/example/site/pull/${number}`,
+  branch,
+  sha: `sha-${number}`
+})
+
+describe('PreviewService', () => {
+  let count = 0
+  let deployments
+  let backend
+  let queue
+  let invalidator
+  let service
+
+  beforeEach(async () => {
+    count++
+    deployments = new DeploymentStore({ filePath: dataPath(`preview-deployments-${count}.json`) })
+    backend = new LocalStorageBackend({ rootPath: dataPath(`preview-sites-${count}`), bucket: 'site.example.com' })
+    queue = { cancel: jest.fn(async () => ({ success: true })), settled: jest.fn(async () => {}) }
+    invalidator = { invalidatePrefix: jest.fn(async () => null) }
+
+    service = new PreviewService({
+      filePath: dataPath(`previews-${count}.json`),
+      deploymentStore: deployments,
+      queue,
+      invalidator,
+      createBackend: () => backend,
+      projectService: {
+        loadConfig: async () => ({ projects: [project] }),
+        triggerDeployment: async (projectId, { branch, commit }) => ({
+          success: true,
+          data: await deployments.create({ projectId, branch, commit, environment: 'preview' })
+        })
+      }
+    })
+  })
+
+  const publish = async (key, content = 'preview') => {
+    await fs.mkdir(path.dirname(path.join(backend.root, key)), { recursive: true })
+    await fs.writeFile(path.join(backend.root, key), content)
+  }
+
+  test('deploys a pull request under its branch prefix and redeploys it on new commits', async () => {
+    const opened = await service.deploy(project, pullRequest(7))
+
+    expect(opened).toMatchObject({
+      success: true,
+      data: {
+        preview: {
+          id: 'site-pr-7',
+          prefix: 'feature-login/',
+          url: 'https://site.example.com/feature-login/',
+          status: 'active',
+          head_sha: 'sha-7'
+        },
+        deployment: { branch: 'feature/login', commit: 'sha-7' }
+      }
+    })
+
+    const synchronized = await service.deploy(project, { ...pullRequest(7), sha: 'sha-7b' })
+    expect(synchronized.data.preview).toMatchObject({ id: 'site-pr-7', head_sha: 'sha-7b', last_deployment_id: synchronized.data.deployment.id })
+
+    const previews = await service.list('site')
+    expect(previews).toHaveLength(1)
+    expect(previews[0].deployment_status).toBe('pending')
+  })
+
+  test('tears down a closed pull request\'s preview', async () => {
+    const { data } = await service.deploy(project, pullRequest(7))
+    await publish('feature-login/index.html')
+    await publish('index.html', 'production')
+
+    const result = await service.teardown(project, pullRequest(7))
+
+    expect(queue.cancel).toHaveBeenCalledWith(data.deployment.id, 'Pull request #7 closed')
+    expect(queue.settled).toHaveBeenCalledWith(data.deployment.id)
+    expect(result).toMatchObject({
+      success: true,
+      data: { status: 'closed', teardown: { deleted_count: 1, kept: false } }
+    })
+    expect([...(await backend.list()).keys()]).toEqual(['index.html'])
+    expect(invalidator.invalidatePrefix).toHaveBeenCalledWith(expect.objectContaining({ prefix: 'feature-login/' }))
+
+    expect(await service.list('site')).toEqual([])
+    expect(await service.teardown(project, pullRequest(7))).toMatchObject({ success: false, statusCode: 404 })
+  })
+
+  test('keeps a prefix another open pull request still uses', async () => {
+    await service.deploy(project, pullRequest(7))
+    await service.deploy(project, pullRequest(8))
+    await publish('feature-login/index.html')
+
+    const result = await service.teardown(project, pullRequest(7))
+
+    expect(result.data.teardown).toMatchObject({ deleted_count: 0, kept: true })
+    expect([...(await backend.list()).keys()]).toEqual(['feature-login/index.html'])
+    expect(invalidator.invalidatePrefix).not.toHaveBeenCalled()
+  })
+})
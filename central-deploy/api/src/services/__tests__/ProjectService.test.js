@@ -0,0 +1,92 @@
+import crypto from 'crypto'
+import { promises as fs } from 'fs'
+import path from 'path'
+import { beforeEach, describe, expect, test } from '@jest/globals'
+import { ProjectService } from '../ProjectService.js'
+import { deploymentStore } from '../DeploymentStore.js'
+import { secretVault } from '../SecretVault.js'
+
+const project = {
+  id: 'site',
+  name: 'Site',
+  repository: { url: 'https://github.com/example/site', branch: 'main' },
+  deployment: { domain_name: 'site.example.com' }
+}
+
+describe('ProjectService', () => {
+  let service
+
+  beforeEach(async () => {
+    process.env.CONFIG_PATH = path.join(process.env.DATA_PATH, 'deploy-config.json')
+    await fs.writeFile(process.env.CONFIG_PATH, JSON.stringify({ credentials: {}, projects: [] }))
+    service = new ProjectService()
+  })
+
+  test('creates, updates and deletes projects with If-Match preconditions', async () => {
+    const created = await service.createProject(project)
+    expect(created).toMatchObject({ success: true, data: { id: 'site', status: 'active' } })
+    expect(await service.createProject(project)).toMatchObject({ success: false, statusCode: 409 })
+
+    const patched = await service.patchProject('site', { description: 'Marketing site' }, { ifMatch: created.etag })
+    expect(patched).toMatchObject({ success: true, data: { description: 'Marketing site' } })
+    expect(patched.etag).not.toBe(created.etag)
+
+    // The first entity tag is stale now
+    expect(await service.patchProject('site', { name: 'Renamed' }, { ifMatch: created.etag }))
+      .toMatchObject({ success: false, statusCode: 412, etag: patched.etag })
+    expect(await service.deleteProject('site', false, { ifMatch: created.etag }))
+      .toMatchObject({ success: false, statusCode: 412 })
+
+    const stored = JSON.parse(await fs.readFile(process.env.CONFIG_PATH, 'utf8'))
+    expect(stored.projects).toEqual([patched.data])
+
+    expect(await service.deleteProject('site', false, { ifMatch: patched.etag })).toMatchObject({ success: true })
+    expect(await service.getProject('site')).toBeNull()
+  })
+
+  test('rejects updates that make the project invalid', async () => {
+    await service.createProject(project)
+
+    expect(await service.patchProject('site', { repository: { url: 'ftp://example.com/site' } }))
+      .toMatchObject({ success: false, statusCode: 400, error: 'Validation Error' })
+  })
+
+  test('refuses to delete vault secrets that projects reference unless forced', async () => {
+    process.env.SECRETS_MASTER_KEY = crypto.randomBytes(32).toString('base64')
+    await secretVault.create({ name: 'ci', type: 'github_token', value: { token: 'ghp_referenced_token' } })
+    await service.createProject({ ...project, repository: { ...project.repository, github_token_ref: 'vault:ci' } })
+
+    expect(await service.removeSecret('ci')).toMatchObject({ success: false, statusCode: 409, projects: ['site'] })
+    expect(await secretVault.get('ci')).not.toBeNull()
+
+    expect(await service.removeSecret('ci', { force: true }))
+      .toMatchObject({ success: true, data: { secret: { name: 'ci' }, usedBy: ['site'] } })
+    expect(await secretVault.get('ci')).toBeNull()
+    expect(await service.removeSecret('ci')).toMatchObject({ success: false, statusCode: 404 })
+    delete process.env.SECRETS_MASTER_KEY
+  })
+
+  test('returns the log lines of the project\'s deployments', async () => {
+    await service.createProject(project)
+
+    const first = await deploymentStore.create({ projectId: 'site', branch: 'main', environment: 'production' })
+    await deploymentStore.appendLog(first.id, { level: 'info', message: 'Cloning', component: 'checkout' })
+    await deploymentStore.appendLog(first.id, { level: 'error', message: 'Build failed', component: 'build' })
+    const second = await deploymentStore.create({ projectId: 'site', branch: 'main', environment: 'production' })
+    await deploymentStore.appendLog(second.id, { level: 'warn', message: 'Slow upload', component: 'upload' })
+    const other = await deploymentStore.create({ projectId: 'other', branch: 'main', environment: 'production' })
+    await deploymentStore.appendLog(other.id, { level: 'error', message: 'Not this project' })
+
+    const all = await service.getProjectLogs('site', { level: 'info' })
+    expect(all.data.map(line => [line.deployment_id, line.message])).toEqual([
+      [first.id, 'Cloning'],
+      [first.id, 'Build failed'],
+      [second.id, 'Slow upload']
+    ])
+
+    const warnings = await service.getProjectLogs('site', { level: 'warn', limit: 1 })
+    expect(warnings.data.map(line => line.message)).toEqual(['Slow upload'])
+
+    expect(await service.getProjectLogs('missing')).toMatchObject({ success: false, statusCode: 404 })
+  })
+})
@@ -0,0 +1,43 @@
+import { describe, expect, jest, test } from '@jest/globals'
+import { ReleaseRetentionJob } from '../ReleaseRetentionJob.js'
+
+describe('ReleaseRetentionJob', () => {
+  test('overlapping runs share the prune in progress', async () => {
+    let finish
+    const prune = jest.fn(() => new Promise(resolve => { finish = resolve }))
+    const job = new ReleaseRetentionJob({ releases: { prune } })
+
+    const first = job.run()
+    const second = job.run()
+    finish({ deleted: ['dep-1'], kept: 2 })
+
+    expect(await first).toEqual({ deleted: ['dep-1'], kept: 2 })
+    expect(await second).toBe(await first)
+    expect(prune).toHaveBeenCalledTimes(1)
+
+    // A later run prunes again
+    const third = job.run()
+    finish({ deleted: [], kept: 2 })
+    await third
+    expect(prune).toHaveBeenCalledTimes(2)
+  })
+
+  test('a failed run does not block the next one', async () => {
+    const prune = jest.fn()
+      .mockRejectedValueOnce(new Error('storage unavailable'))
+      .mockResolvedValueOnce({ deleted: [], kept: 0 })
+    const job = new ReleaseRetentionJob({ releases: { prune } })
+
+    await expect(job.run()).rejects.toThrow('storage unavailable')
+    expect(await job.run()).toEqual({ deleted: [], kept: 0 })
+  })
+
+  test('does not schedule an invalid cron expression', () => {
+    process.env.ARTIFACTS_RETENTION_SCHEDULE = 'every night'
+    const job = new ReleaseRetentionJob({ releases: { prune: jest.fn() } })
+
+    job.start()
+    expect(job.task).toBeNull()
+    delete process.env.ARTIFACTS_RETENTION_SCHEDULE
+  })
+})
@@ -0,0 +1,145 @@
+import { promises as fs } from 'fs'
+import path from 'path'
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals'
+import { ReleaseStore } from '../ReleaseStore.js'
+import { DeploymentStore } from '../DeploymentStore.js'
+import { LocalArtifactStorage } from '../LocalArtifactStorage.js'
+import { dataPath } from '../../utils/fileStore.js'
+
+const DAY = 24 * 60 * 60 * 1000
+
+describe('ReleaseStore', () => {
+  let count = 0
+  let store
+  let storage
+  let releases
+
+  /**
+   * A completed deployment published `daysAgo` under a prefix (none when
+   * undefined), with its own release or, as a rollback, another's
+   */
+  const published = async (daysAgo, prefix, { rollbackOf } = {}) => {
+    const deployment = await store.create({ projectId: 'site', branch: 'main', environment: 'production' })
+    await store.transition(deployment.id, 'uploading')
+    await store.transition(deployment.id, 'completed')
+
+    const at = new Date(Date.now() - daysAgo * DAY).toISOString()
+    const release = rollbackOf
+      ? rollbackOf.release
+      : { id: deployment.id, archive: `site/${deployment.id}.tar.gz`, created_at: at, deleted_at: null }
+
+    return store.update(deployment.id, {
+      completed_at: at,
+      release,
+      ...(prefix !== undefined && { upload: { prefix } })
+    })
+  }
+
+  beforeEach(() => {
+    store = new DeploymentStore({ filePath: dataPath(`release-deployments-${++count}.json`) })
+    storage = { name: 'memory', delete: jest.fn(async () => {}) }
+    releases = new ReleaseStore({ store, storage })
+  })
+
+  afterEach(() => {
+    delete process.env.ARTIFACTS_KEEP_LATEST
+    delete process.env.ARTIFACTS_RETENTION_DAYS
+  })
+
+  test('archives the published files and restores them byte for byte', async () => {
+    const sourceDir = dataPath(`release-source-${count}`)
+    await fs.mkdir(path.join(sourceDir, 'assets'), { recursive: true })
+    await fs.writeFile(path.join(sourceDir, 'index.html'), '<h1>Site</h1>')
+    await fs.writeFile(path.join(sourceDir, 'assets', 'app.js'), 'console.log(1)')
+
+    const archiving = new ReleaseStore({
+      store,
+      storage: new LocalArtifactStorage({ rootPath: dataPath(`releases-${count}`) }),
+      workspacePath: () => dataPath(`release-workspaces-${count}`)
+    })
+    const deployment = await store.create({ projectId: 'site', branch: 'main', environment: 'production', commit: 'abc1234' })
+
+    const release = await archiving.archive(deployment, {
+      sourceDir,
+      files: ['index.html', 'assets/app.js'],
+      settings: { buildCommand: 'npm run build', environmentVariables: { API_TOKEN: 'not-in-the-manifest' } }
+    })
+    expect(release).toMatchObject({ id: deployment.id, archive: `site/${deployment.id}.tar.gz`, file_count: 2, commit: 'abc1234' })
+
+    const { workspace, outputDir, manifest } = await archiving.extract(release, 'dep-restore')
+    expect(await fs.readFile(path.join(outputDir, 'assets', 'app.js'), 'utf8')).toBe('console.log(1)')
+    expect(manifest.files.map(f => f.path)).toEqual(['assets/app.js', 'index.html'])
+    expect(manifest.build).toMatchObject({ build_command: 'npm run build', environment_variables: ['API_TOKEN'] })
+    expect(JSON.stringify(manifest)).not.toContain('not-in-the-manifest')
+    await archiving.cleanup(workspace)
+
+    await expect(archiving.extract({ ...release, sha256: '0'.repeat(64) }, 'dep-restore'))
+      .rejects.toThrow('does not match its checksum')
+    await expect(archiving.extract({ ...release, deleted_at: new Date().toISOString() }, 'dep-restore'))
+      .rejects.toThrow('removed by the retention policy')
+  })
+
+  test('walks further back on repeated rollbacks', async () => {
+    const first = await published(30, '')
+    const second = await published(20, '')
+    const third = await published(10, '')
+    await published(15, 'feature-x/')
+
+    expect((await releases.previous('site', '')).id).toBe(second.id)
+
+    // Rolling back to the second release makes the first one the previous
+    await published(5, '', { rollbackOf: second })
+    expect((await releases.previous('site', '')).id).toBe(first.id)
+
+    await published(4, '', { rollbackOf: first })
+    expect(await releases.previous('site', '')).toBeNull()
+
+    // Redeploying the newest release by rollback walks back from it again
+    await published(3, '', { rollbackOf: third })
+    expect((await releases.previous('site', '')).id).toBe(second.id)
+    expect(await releases.previous('site', 'missing/')).toBeNull()
+  })
+
+  test('prunes expired releases but keeps the latest ones and those that are live', async () => {
+    process.env.ARTIFACTS_KEEP_LATEST = '1'
+    process.env.ARTIFACTS_RETENTION_DAYS = '30'
+
+    // Deployments without a recorded upload are not live anywhere
+    const unpublished = await published(120, undefined)
+    const olderUnpublished = await published(130, undefined)
+    const expired = await published(110, '')
+    const restored = await published(100, '')
+    const branch = await published(95, 'feature-x/')
+    const latest = await published(90, '')
+    const rollback = await published(85, '', { rollbackOf: restored })
+
+    const updateEach = jest.spyOn(store, 'updateEach')
+    const result = await releases.prune()
+
+    expect(result.deleted).toEqual([expired.id, unpublished.id, olderUnpublished.id])
+    expect(result.kept).toBe(3)
+    expect(storage.delete.mock.calls.map(([key]) => key)).toEqual(result.deleted.map(id => `site/${id}.tar.gz`))
+
+    // Every deletion is recorded in one write
+    expect(updateEach).toHaveBeenCalledTimes(1)
+    const flagged = (await store.list({}, { limit: 100 })).deployments
+      .filter(d => d.release.deleted_at)
+      .map(d => d.id)
+    expect(flagged.sort()).toEqual([...result.deleted].sort())
+
+    for (const kept of [latest, restored, rollback, branch]) {
+      expect((await store.get(kept.id)).release.deleted_at).toBeNull()
+    }
+  })
+
+  test('keeps releases whose archive could not be deleted', async () => {
+    process.env.ARTIFACTS_KEEP_LATEST = '0'
+    const first = await published(100, 'a/')
+    const second = await published(90, 'a/')
+    storage.delete.mockRejectedValueOnce(new Error('Access Denied'))
+
+    expect((await releases.prune()).deleted).toEqual([])
+    expect((await store.get(first.id)).release.deleted_at).toBeNull()
+    expect((await store.get(second.id)).release.deleted_at).toBeNull()
+  })
+})
@@ -0,0 +1,87 @@
+import crypto from 'crypto'
+import { promises as fs } from 'fs'
+import { afterEach, describe, expect, test } from '@jest/globals'
+import { SecretVault, keyId } from '../SecretVault.js'
+import { dataPath } from '../../utils/fileStore.js'
+
+const newKey = () => crypto.randomBytes(32)
+
+describe('SecretVault', () => {
+  let count = 0
+
+  // Every test gets its own vault file
+  const openVault = () => {
+    const filePath = dataPath(`secrets-${++count}.json`)
+    return { vault: new SecretVault({ filePath }), filePath }
+  }
+
+  afterEach(() => {
+    delete process.env.SECRETS_MASTER_KEY
+    delete process.env.SECRETS_PREVIOUS_MASTER_KEY
+  })
+
+  test('encrypts values at rest and decrypts them into the credentials', async () => {
+    process.env.SECRETS_MASTER_KEY = newKey().toString('base64')
+    const { vault, filePath } = openVault()
+
+    const result = await vault.create({ name: 'ci', type: 'github_token', value: { token: 'ghp_vault_round_trip' } })
+    expect(result.success).toBe(true)
+    expect(result.data).toMatchObject({ name: 'ci', type: 'github_token', fields: ['token'], version: 1 })
+    expect(JSON.stringify(result.data)).not.toContain('ghp_vault_round_trip')
+    expect(await fs.readFile(filePath, 'utf8')).not.toContain('ghp_vault_round_trip')
+
+    const config = await vault.withCredentials({ credentials: { github_tokens: [{ name: 'default', token: 'ghp_plain' }] } })
+    expect(config.credentials.github_tokens).toEqual([
+      { name: 'default', token: 'ghp_plain' },
+      { name: 'vault:ci', token: 'ghp_vault_round_trip' }
+    ])
+  })
+
+  test('leaves out secrets that were tampered with or moved to another name', async () => {
+    process.env.SECRETS_MASTER_KEY = newKey().toString('hex')
+    const { vault, filePath } = openVault()
+
+    await vault.create({ name: 'ci', type: 'github_token', value: { token: 'ghp_first_value' } })
+    await vault.create({ name: 'bot', type: 'github_token', value: { token: 'ghp_second_value' } })
+
+    const document = JSON.parse(await fs.readFile(filePath, 'utf8'))
+    const [ci, bot] = document.secrets
+    const ciphertext = Buffer.from(ci.encryption.ciphertext, 'base64')
+    ciphertext[0] ^= 1
+    ci.encryption.ciphertext = ciphertext.toString('base64')
+    bot.name = 'moved'
+    await fs.writeFile(filePath, JSON.stringify(document))
+
+    const config = await vault.withCredentials({})
+    expect(config.credentials.github_tokens).toEqual([])
+  })
+
+  test('reads secrets under the previous key until they are re-encrypted', async () => {
+    const oldKey = newKey()
+    const currentKey = newKey()
+    process.env.SECRETS_MASTER_KEY = oldKey.toString('base64')
+    const { vault } = openVault()
+
+    await vault.create({ name: 'prod', type: 'aws_profile', value: { access_key_id: 'AKIAOLDKEY', secret_access_key: 'old-key-secret' } })
+
+    process.env.SECRETS_MASTER_KEY = currentKey.toString('base64')
+    process.env.SECRETS_PREVIOUS_MASTER_KEY = oldKey.toString('base64')
+
+    expect((await vault.withCredentials({})).credentials.aws_profiles).toHaveLength(1)
+    expect(await vault.reencrypt()).toEqual({ reencrypted: 1, unchanged: 0 })
+
+    delete process.env.SECRETS_PREVIOUS_MASTER_KEY
+
+    expect(await vault.get('prod')).toMatchObject({ key_id: keyId(currentKey) })
+    expect((await vault.withCredentials({})).credentials.aws_profiles).toEqual([
+      { name: 'vault:prod', access_key_id: 'AKIAOLDKEY', secret_access_key: 'old-key-secret' }
+    ])
+  })
+
+  test('refuses to store secrets without a master key', async () => {
+    const { vault } = openVault()
+
+    const result = await vault.create({ name: 'ci', type: 'github_token', value: { token: 'ghp_no_key' } })
+    expect(result).toMatchObject({ success: false, error: 'Vault Unavailable', statusCode: 503 })
+  })
+})
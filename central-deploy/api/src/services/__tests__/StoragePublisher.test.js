@@ -0,0 +1,83 @@
+import { promises as fs } from 'fs'
+import path from 'path'
+import { beforeEach, describe, expect, test } from '@jest/globals'
+import { StoragePublisher, createExcludeMatcher, patternToRegExp } from '../StoragePublisher.js'
+import { LocalStorageBackend } from '../LocalStorageBackend.js'
+
+describe('StoragePublisher', () => {
+  let count = 0
+  let sourceDir
+  let backend
+  let publisher
+
+  const write = async (relative, content) => {
+    await fs.mkdir(path.dirname(path.join(sourceDir, relative)), { recursive: true })
+    await fs.writeFile(path.join(sourceDir, relative), content)
+  }
+
+  beforeEach(async () => {
+    const root = path.join(process.env.DATA_PATH, `publisher-${++count}`)
+    sourceDir = path.join(root, 'build')
+    await fs.mkdir(sourceDir, { recursive: true })
+    backend = new LocalStorageBackend({ rootPath: path.join(root, 'sites'), bucket: 'site.example.com' })
+    publisher = new StoragePublisher(backend)
+  })
+
+  test('matches exclude patterns the way aws s3 sync does', () => {
+    expect(patternToRegExp('*.map').test('assets/app.js.map')).toBe(true)
+    expect(patternToRegExp('img/[!a]?.png').test('img/b1.png')).toBe(true)
+    expect(patternToRegExp('img/[!a]?.png').test('img/a1.png')).toBe(false)
+
+    const isExcluded = createExcludeMatcher(['drafts/*'])
+    expect(['README.md', 'node_modules/x/index.js', 'drafts/post.html'].every(isExcluded)).toBe(true)
+    expect(isExcluded('index.html')).toBe(false)
+  })
+
+  test('uploads changed files only and deletes removed ones', async () => {
+    await write('index.html', '<h1>One</h1>')
+    await write('assets/app.js', 'console.log(1)')
+    await write('old.html', 'old')
+    await write('notes.md', 'not published')
+
+    const first = await publisher.publish({ sourceDir })
+    expect(first.uploaded.sort()).toEqual(['assets/app.js', 'index.html', 'old.html'])
+    expect(await backend.head('index.html')).toEqual({ content_type: 'text/html; charset=utf-8' })
+
+    await write('index.html', '<h1>Two</h1>')
+    await fs.rm(path.join(sourceDir, 'old.html'))
+
+    const second = await publisher.publish({ sourceDir })
+    expect(second).toMatchObject({ uploaded: ['index.html'], deleted: ['old.html'], unchanged: 1 })
+    expect([...(await backend.list()).keys()].sort()).toEqual(['assets/app.js', 'index.html'])
+    expect(await backend.head('old.html')).toBeNull()
+  })
+
+  test('keeps excluded and preserved remote files of a root deploy', async () => {
+    await write('index.html', 'root')
+    const preview = path.join(backend.root, 'feature-a', 'index.html')
+    await fs.mkdir(path.dirname(preview), { recursive: true })
+    await fs.writeFile(preview, 'preview')
+    await fs.writeFile(path.join(backend.root, 'CHANGELOG.md'), 'kept')
+    await fs.writeFile(path.join(backend.root, 'stale.html'), 'stale')
+
+    const result = await publisher.publish({ sourceDir, preservePrefixes: ['feature-a/'] })
+
+    expect(result.deleted).toEqual(['stale.html'])
+    expect([...(await backend.list()).keys()].sort()).toEqual(['CHANGELOG.md', 'feature-a/index.html', 'index.html'])
+  })
+
+  test('publishes branch previews under their prefix only', async () => {
+    await fs.mkdir(backend.root, { recursive: true })
+    await fs.writeFile(path.join(backend.root, 'index.html'), 'root')
+    await write('index.html', 'preview')
+
+    const result = await publisher.publish({ sourceDir, prefix: 'feature-a/' })
+
+    expect(result).toMatchObject({ prefix: 'feature-a/', uploaded: ['feature-a/index.html'], deleted: [] })
+    expect(await fs.readFile(path.join(backend.root, 'index.html'), 'utf8')).toBe('root')
+  })
+
+  test('refuses keys outside the bucket', () => {
+    expect(() => backend.resolveKey('../other.example.com/index.html')).toThrow('Invalid storage key')
+  })
+})
@@ -0,0 +1,88 @@
+import https from 'https'
+import os from 'os'
+import path from 'path'
+import { execFileSync } from 'child_process'
+import { promises as fs } from 'fs'
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals'
+import { UptimeMonitor } from '../UptimeMonitor.js'
+import { UptimeStore } from '../UptimeStore.js'
+
+const DOMAIN = 'site.test'
+
+/**
+ * Local HTTPS stand-in for the site, serving a self-signed certificate
+ * for DOMAIN
+ */
+async function startSite(root) {
+  const key = path.join(root, 'key.pem')
+  const cert = path.join(root, 'cert.pem')
+  execFileSync('openssl', [
+    'req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-days', '30',
+    '-subj', `/CN=${DOMAIN}`, '-addext', `subjectAltName=DNS:${DOMAIN}`,
+    '-keyout', key, '-out', cert
+  ], { stdio: 'ignore', timeout: 30000 })
+
+  const requests = []
+  const server = https.createServer({ key: await fs.readFile(key), cert: await fs.readFile(cert) }, (req, res) => {
+    requests.push({ path: req.url, host: req.headers.host })
+    res.writeHead(req.url === '/healthz' ? 200 : 503).end()
+  })
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  return { server, requests, cert }
+}
+
+describe('UptimeMonitor', () => {
+  let root
+  let site
+  let monitor
+
+  const project = (healthCheckPath) => ({
+    id: 'site',
+    deployment: { domain_name: DOMAIN },
+    monitoring: { uptime_monitoring: true, health_check_path: healthCheckPath }
+  })
+
+  beforeAll(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'ix-uptime-'))
+    site = await startSite(root)
+
+    process.env.HEALTH_CHECK_CONNECT_TO = `${DOMAIN}:443:127.0.0.1:${site.server.address().port}`
+    monitor = new UptimeMonitor({ projectService: {}, uptime: new UptimeStore() })
+  })
+
+  afterAll(async () => {
+    await new Promise(resolve => site.server.close(resolve))
+    await fs.rm(root, { recursive: true, force: true })
+    delete process.env.HEALTH_CHECK_CONNECT_TO
+    delete process.env.HEALTH_CHECK_CA_FILE
+  })
+
+  test('records a healthy site and its certificate', async () => {
+    process.env.HEALTH_CHECK_CA_FILE = site.cert
+
+    const result = await monitor.check(project('/healthz'))
+
+    expect(result).toMatchObject({ url: `https://${DOMAIN}/healthz`, up: true, status_code: 200, error: null, consecutive_failures: 0 })
+    expect(result.tls).toMatchObject({ status: 'valid', authorized: true, subject: DOMAIN })
+    expect(result.tls.days_remaining).toBeGreaterThanOrEqual(29)
+    expect(site.requests.at(-1)).toEqual({ path: '/healthz', host: DOMAIN })
+  })
+
+  test('counts error responses as consecutive failures', async () => {
+    const result = await monitor.check(project('/missing'))
+
+    expect(result).toMatchObject({ up: false, status_code: 503, error: 'Responded with 503', consecutive_failures: 1 })
+  })
+
+  test('fails the check when the certificate is not trusted', async () => {
+    delete process.env.HEALTH_CHECK_CA_FILE
+
+    const result = await monitor.probe(`https://${DOMAIN}/healthz`)
+
+    expect(result.up).toBe(false)
+    expect(result.status_code).toBe(200)
+    expect(result.error).toMatch(/^TLS certificate error:/)
+    expect(result.tls).toMatchObject({ status: 'invalid', authorized: false })
+  })
+})
@@ -0,0 +1,192 @@
+import http from 'http'
+import { EventEmitter } from 'events'
+import { WebSocket } from 'ws'
+import jwt from 'jsonwebtoken'
+import { afterAll, afterEach, beforeAll, describe, expect, test } from '@jest/globals'
+import { WebSocketGateway } from '../WebSocketGateway.js'
+import { DeploymentEvents } from '../DeploymentEvents.js'
+import { DeploymentStore } from '../DeploymentStore.js'
+import { userStore } from '../UserStore.js'
+import { roleStore } from '../RoleStore.js'
+import { tokenService } from '../TokenService.js'
+import { apiKeyStore } from '../ApiKeyStore.js'
+
+const projects = [{ id: 'site', name: 'Site' }, { id: 'other', name: 'Other' }]
+
+async function waitFor(check, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs
+  let result
+  while (!(result = await check())) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition')
+    }
+    await new Promise(resolve => setTimeout(resolve, 5))
+  }
+  return result
+}
+
+describe('WebSocketGateway', () => {
+  let server
+  let gateway
+  let events
+  let deployments
+  let viewer
+  let assignment
+  const sockets = []
+
+  /**
+   * Connect a client that buffers the messages it receives
+   * `take(type)` resolves with (and removes) the first buffered message of
+   * a type.
+   */
+  const connect = (query, options = {}) => {
+    const ws = new WebSocket(`ws://127.0.0.1:${server.address().port}/?${query}`, options)
+    const messages = []
+    const closed = new Promise(resolve => ws.on('close', (code, reason) => resolve({ code, reason: reason.toString() })))
+    ws.on('message', data => messages.push(JSON.parse(data)))
+    ws.on('error', () => {})
+    sockets.push(ws)
+
+    const take = type => waitFor(() => {
+      const index = messages.findIndex(message => message.type === type)
+      return index !== -1 && messages.splice(index, 1)[0]
+    })
+    const send = message => ws.send(JSON.stringify(message))
+
+    return { ws, messages, take, send, closed }
+  }
+
+  const connectViewer = async (options) => {
+    const client = connect(`access_token=${tokenService.issue(viewer).access_token}`, options)
+    await client.take('welcome')
+    return client
+  }
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = 'websocket-test-secret'
+    process.env.BCRYPT_ROUNDS = '4'
+
+    viewer = (await userStore.create({ username: 'viewer', password: 'viewer-password' })).data
+    assignment = (await roleStore.assign({ userId: viewer.id, role: 'viewer', projectId: 'site' })).data
+
+    deployments = new DeploymentStore()
+    events = new DeploymentEvents({ store: new EventEmitter(), queue: new EventEmitter() })
+    gateway = new WebSocketGateway({
+      events,
+      store: deployments,
+      heartbeatInterval: 100,
+      projectService: {
+        getProject: async id => projects.find(p => p.id === id) || null,
+        loadConfig: async () => ({ projects })
+      }
+    })
+
+    server = http.createServer()
+    gateway.attach(server)
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  })
+
+  afterEach(() => {
+    sockets.splice(0).forEach(ws => ws.terminate())
+  })
+
+  afterAll(async () => {
+    await gateway.close()
+    await new Promise(resolve => server.close(resolve))
+  })
+
+  test('refuses upgrades without valid credentials', async () => {
+    const ws = new WebSocket(`ws://127.0.0.1:${server.address().port}/?access_token=not-a-token`)
+    const response = await new Promise(resolve => ws.on('unexpected-response', (req, res) => resolve(res)))
+
+    expect(response.statusCode).toBe(401)
+  })
+
+  test('subscribes to viewable projects only and routes their events', async () => {
+    const client = await connectViewer()
+    const deployment = await deployments.create({ projectId: 'other', branch: 'main', environment: 'production' })
+
+    client.send({ type: 'subscribe', projects: ['site', 'other', 'missing'], deployments: [deployment.id] })
+
+    expect(await client.take('subscribed')).toMatchObject({
+      projects: ['site'],
+      deployments: [],
+      rejected: [
+        { project_id: 'other', reason: 'forbidden' },
+        { project_id: 'missing', reason: 'not_found' },
+        { deployment_id: deployment.id, reason: 'forbidden' }
+      ]
+    })
+
+    events.publish('deployment.status', { id: 'dep-other', project_id: 'other' }, { status: 'building' })
+    events.publish('deployment.status', { id: 'dep-site', project_id: 'site' }, { status: 'building' })
+
+    expect(await client.take('deployment.status')).toMatchObject({ project_id: 'site', deployment_id: 'dep-site' })
+    client.send({ type: 'ping' })
+    await client.take('pong')
+    expect(client.messages.filter(m => m.type === 'deployment.status')).toEqual([])
+  })
+
+  test('replays missed events of the subscriptions and reports lost streams', async () => {
+    const first = events.publish('deployment.log', { id: 'dep-site', project_id: 'site' }, { message: 'one' })
+    events.publish('deployment.log', { id: 'dep-other', project_id: 'other' }, { message: 'hidden' })
+    events.publish('deployment.log', { id: 'dep-site', project_id: 'site' }, { message: 'two' })
+
+    const client = await connectViewer()
+    client.send({ type: 'subscribe', projects: ['site'], last_event_id: first.id - 1 })
+
+    await client.take('subscribed')
+    expect((await client.take('deployment.log')).data.message).toBe('one')
+    expect((await client.take('deployment.log')).data.message).toBe('two')
+    expect(await client.take('resumed')).toMatchObject({ replayed: 2, last_event_id: events.lastId })
+
+    client.send({ type: 'resume', stream_id: 'previous-process', last_event_id: 1 })
+    expect(await client.take('resume_failed')).toMatchObject({ stream_id: events.streamId })
+  })
+
+  test('drops clients that stop answering heartbeats', async () => {
+    const silent = await connectViewer({ autoPong: false })
+    const responsive = await connectViewer()
+
+    await silent.closed
+    expect(responsive.ws.readyState).toBe(WebSocket.OPEN)
+  })
+
+  test('closes the connection once its access token is revoked', async () => {
+    const { access_token: token } = tokenService.issue(viewer)
+    const client = connect(`access_token=${token}`)
+    await client.take('welcome')
+
+    await tokenService.revoke(jwt.decode(token))
+
+    expect(await client.closed).toEqual({ code: 4401, reason: 'Token has been revoked' })
+  })
+
+  test('closes the connection once its API key is revoked', async () => {
+    const { data } = await apiKeyStore.create({ name: 'dashboard', scopes: ['deployments:read'], userId: viewer.id })
+    const client = connect(`api_key=${data.key}`)
+    await client.take('welcome')
+
+    await apiKeyStore.revoke(data.record.id)
+
+    expect((await client.closed).code).toBe(4401)
+  })
+
+  test('drops subscriptions to projects the user lost access to', async () => {
+    const client = await connectViewer()
+    client.send({ type: 'subscribe', projects: ['site'] })
+    await client.take('subscribed')
+
+    await roleStore.remove(assignment.id)
+
+    expect(await client.take('unsubscribed')).toMatchObject({
+      projects: [],
+      revoked: [{ project_id: 'site', reason: 'forbidden' }]
+    })
+
+    events.publish('deployment.status', { id: 'dep-site', project_id: 'site' }, { status: 'succeeded' })
+    client.send({ type: 'ping' })
+    await client.take('pong')
+    expect(client.messages.filter(m => m.type === 'deployment.status')).toEqual([])
+  })
+})
@@ -0,0 +1,143 @@
+import crypto from 'crypto'
+import http from 'http'
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals'
+import { WebhookDispatcher } from '../WebhookDispatcher.js'
+import { WebhookStore } from '../WebhookStore.js'
+import { signWebhookPayload } from '../../utils/github.js'
+
+/**
+ * Local webhook receiver answering each request with the next queued
+ * response, or 200 once the queue is empty
+ */
+function startReceiver() {
+  const requests = []
+  const responses = []
+  const server = http.createServer((req, res) => {
+    let body = ''
+    req.on('data', chunk => { body += chunk })
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body })
+      const { status = 200, body: responseBody = 'ok' } = responses.shift() || {}
+      setTimeout(() => res.writeHead(status).end(responseBody), 20)
+    })
+  })
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, requests, responses })))
+}
+
+async function waitFor(check, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs
+  let result
+  while (!(result = await check())) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition')
+    }
+    await new Promise(resolve => setTimeout(resolve, 10))
+  }
+  return result
+}
+
+const SECRET = 'receiver-shared-secret'
+
+describe('WebhookDispatcher', () => {
+  const deployment = { id: 'dep-1', project_id: 'site', status: 'failed', branch: 'main', environment: 'production' }
+  let receiver
+  let webhooks
+  let dispatcher
+
+  const subscribe = async (responses = []) => {
+    receiver.requests.length = 0
+    receiver.responses.push(...responses)
+
+    const url = `http://127.0.0.1:${receiver.server.address().port}/hook`
+    const result = await webhooks.create({ projectId: 'site', url, secret: SECRET })
+    return result.data.webhook
+  }
+
+  beforeAll(async () => {
+    process.env.WEBHOOK_RETRY_BASE_MS = '10'
+    process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1'
+    process.env.SECRETS_MASTER_KEY = crypto.randomBytes(32).toString('base64')
+    receiver = await startReceiver()
+    webhooks = new WebhookStore()
+    dispatcher = new WebhookDispatcher({
+      webhooks,
+      projectService: { getProject: async id => ({ id, name: 'Site' }) }
+    })
+  })
+
+  afterAll(async () => {
+    delete process.env.WEBHOOK_ALLOWED_HOSTS
+    delete process.env.SECRETS_MASTER_KEY
+    dispatcher.stop()
+    await new Promise(resolve => receiver.server.close(resolve))
+  })
+
+  test('retries a failed delivery and signs every attempt', async () => {
+    const webhook = await subscribe([{ status: 503 }])
+
+    const [first] = await dispatcher.dispatch('deployment.failed', deployment)
+    expect(first).toMatchObject({ status: 'pending', attempts: 1, response_code: 503 })
+
+    const delivered = await waitFor(async () => {
+      const delivery = await dispatcher.get(first.id)
+      return delivery.status === 'delivered' && delivery
+    })
+
+    expect(delivered.attempts).toBe(2)
+    expect(delivered.log.map(entry => entry.response_code)).toEqual([503, 200])
+    expect(receiver.requests).toHaveLength(2)
+    for (const { headers, body } of receiver.requests) {
+      expect(headers['x-ix-signature-256']).toBe(signWebhookPayload(SECRET, body))
+      expect(headers['x-ix-delivery']).toBe(first.id)
+    }
+    expect(JSON.parse(receiver.requests[0].body)).toMatchObject({ event: 'deployment.failed', deployment: { id: 'dep-1' } })
+
+    await webhooks.remove('site', webhook.id)
+  })
+
+  test('sends a delivery once when two attempts race', async () => {
+    const webhook = await subscribe()
+
+    const delivery = dispatcher.createDelivery(webhook, dispatcher.buildPayload('deployment.created', { id: 'site' }, deployment, null))
+    await dispatcher.saveDeliveries([delivery])
+
+    await Promise.all([dispatcher.attempt(delivery.id), dispatcher.attempt(delivery.id)])
+
+    expect(receiver.requests).toHaveLength(1)
+    expect(await dispatcher.get(delivery.id)).toMatchObject({ status: 'delivered', attempts: 1, attempting_at: null })
+
+    await webhooks.remove('site', webhook.id)
+  })
+
+  test('logs the response code and duration but not the response body', async () => {
+    const webhook = await subscribe([{ status: 200, body: 'internal service response' }])
+
+    const delivery = dispatcher.createDelivery(webhook, dispatcher.buildPayload('deployment.created', { id: 'site' }, deployment, null))
+    await dispatcher.saveDeliveries([delivery])
+
+    const result = await dispatcher.attempt(delivery.id)
+    expect(Object.keys(result.log[0]).sort()).toEqual(['attempt', 'duration_ms', 'error', 'response_code', 'timestamp', 'url'])
+    expect(JSON.stringify(result)).not.toContain('internal service response')
+
+    await webhooks.remove('site', webhook.id)
+  })
+
+  test('refuses to deliver to a private address once it is no longer allowed', async () => {
+    const webhook = await subscribe()
+    delete process.env.WEBHOOK_ALLOWED_HOSTS
+
+    try {
+      const delivery = dispatcher.createDelivery(webhook, dispatcher.buildPayload('deployment.created', { id: 'site' }, deployment, null))
+      await dispatcher.saveDeliveries([delivery])
+
+      const result = await dispatcher.attempt(delivery.id)
+      expect(result).toMatchObject({ status: 'failed', attempts: 1, response_code: null })
+      expect(result.last_error).toMatch(/^Webhook URL is not allowed: 127\.0\.0\.1 resolves to 127\.0\.0\.1/)
+      expect(receiver.requests).toHaveLength(0)
+    } finally {
+      process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1'
+      await webhooks.remove('site', webhook.id)
+    }
+  })
+})
@@ -0,0 +1,96 @@
+import crypto from 'crypto'
+import { promises as fs } from 'fs'
+import { afterEach, beforeEach, describe, expect, test } from '@jest/globals'
+import { WebhookStore } from '../WebhookStore.js'
+import { keyId } from '../SecretVault.js'
+import { dataPath } from '../../utils/fileStore.js'
+
+const SECRET = 'subscriber-signing-secret'
+
+describe('WebhookStore', () => {
+  let count = 0
+  let store
+  let filePath
+
+  beforeEach(() => {
+    process.env.SECRETS_MASTER_KEY = crypto.randomBytes(32).toString('base64')
+    filePath = dataPath(`webhooks-${++count}.json`)
+    store = new WebhookStore({ filePath })
+  })
+
+  afterEach(() => {
+    delete process.env.SECRETS_MASTER_KEY
+    delete process.env.SECRETS_PREVIOUS_MASTER_KEY
+    delete process.env.WEBHOOK_ALLOWED_HOSTS
+  })
+
+  test.each([
+    'http://169.254.169.254/latest/meta-data/',
+    'http://127.0.0.1:8080/hook',
+    'http://localhost/hook',
+    'https://10.1.2.3/hook',
+    'https://192.168.0.10/hook',
+    'http://[::1]/hook',
+    'http://[fe80::1]/hook',
+    'http://[::ffff:127.0.0.1]/hook'
+  ])('refuses the internal URL %s', async (url) => {
+    const result = await store.create({ projectId: 'site', url, secret: SECRET })
+
+    expect(result).toMatchObject({ success: false, statusCode: 400, message: expect.stringMatching(/^url is not allowed: /) })
+  })
+
+  test('accepts internal hosts listed in WEBHOOK_ALLOWED_HOSTS', async () => {
+    process.env.WEBHOOK_ALLOWED_HOSTS = 'hooks.internal, 127.0.0.1'
+
+    const result = await store.create({ projectId: 'site', url: 'http://127.0.0.1:8080/hook', secret: SECRET })
+    expect(result.success).toBe(true)
+
+    const update = await store.update('site', result.data.webhook.id, { url: 'http://169.254.169.254/' })
+    expect(update).toMatchObject({ success: false, statusCode: 400 })
+  })
+
+  test('encrypts secrets at rest and never returns them', async () => {
+    const result = await store.create({ projectId: 'site', url: 'https://93.184.215.14/hook', secret: SECRET })
+    const { id } = result.data.webhook
+
+    expect(JSON.stringify(result)).not.toContain(SECRET)
+    expect(await fs.readFile(filePath, 'utf8')).not.toContain(SECRET)
+    expect(JSON.stringify(await store.list('site'))).not.toContain(SECRET)
+    expect(await store.get('site', id)).not.toHaveProperty('secret')
+    expect(JSON.stringify(await store.subscribers('site', 'deployment.created'))).not.toContain(SECRET)
+
+    expect((await store.get('site', id, { withSecret: true })).secret).toBe(SECRET)
+  })
+
+  test('requires a secret and the vault master key', async () => {
+    expect(await store.create({ projectId: 'site', url: 'https://93.184.215.14/hook' }))
+      .toMatchObject({ success: false, statusCode: 400, message: 'secret is required' })
+
+    delete process.env.SECRETS_MASTER_KEY
+    expect(await store.create({ projectId: 'site', url: 'https://93.184.215.14/hook', secret: SECRET }))
+      .toMatchObject({ success: false, error: 'Vault Unavailable', statusCode: 503 })
+  })
+
+  test('re-encrypts secrets with a new master key, including plaintext ones', async () => {
+    const oldKey = process.env.SECRETS_MASTER_KEY
+    const { data } = await store.create({ projectId: 'site', url: 'https://93.184.215.14/hook', secret: SECRET })
+
+    // A subscription saved before secrets were encrypted
+    const document = JSON.parse(await fs.readFile(filePath, 'utf8'))
+    document.webhooks.push({ ...document.webhooks[0], id: 'whk-legacy', secret: 'legacy-plaintext-secret', secret_encryption: undefined })
+    await fs.writeFile(filePath, JSON.stringify(document))
+
+    const newKey = crypto.randomBytes(32)
+    process.env.SECRETS_MASTER_KEY = newKey.toString('base64')
+    process.env.SECRETS_PREVIOUS_MASTER_KEY = oldKey
+
+    expect(await store.reencrypt()).toEqual({ reencrypted: 2, unchanged: 0 })
+    delete process.env.SECRETS_PREVIOUS_MASTER_KEY
+
+    const stored = await fs.readFile(filePath, 'utf8')
+    expect(stored).not.toContain('legacy-plaintext-secret')
+    expect(JSON.parse(stored).webhooks.map(w => w.secret_encryption.key_id)).toEqual([keyId(newKey), keyId(newKey)])
+    expect((await store.get('site', data.webhook.id, { withSecret: true })).secret).toBe(SECRET)
+    expect((await store.get('site', 'whk-legacy', { withSecret: true })).secret).toBe('legacy-plaintext-secret')
+  })
+})
@@ -0,0 +1,68 @@
+/* eslint-disable no-template-curly-in-string -- placeholders are the subject under test */
+import os from 'os'
+import path from 'path'
+import { promises as fs } from 'fs'
+import { afterEach, describe, expect, test } from '@jest/globals'
+import { interpolateConfig, interpolateString, loadConfigFile } from '../configLoader.js'
+import { redactSecrets } from '../redaction.js'
+
+describe('configLoader', () => {
+  const variables = ['IX_TEST_REGION', 'IX_TEST_EMPTY', 'IX_TEST_TOKEN', 'IX_TEST_UNSET']
+
+  afterEach(() => {
+    variables.forEach(name => delete process.env[name])
+  })
+
+  test('interpolates variables and falls back to defaults when unset or empty', () => {
+    process.env.IX_TEST_REGION = 'eu-west-1'
+    process.env.IX_TEST_EMPTY = ''
+
+    expect(interpolateString('s3://${IX_TEST_REGION}/${IX_TEST_EMPTY:-site}/${IX_TEST_UNSET:-}')).toEqual({
+      value: 's3://eu-west-1/site/',
+      variables: ['IX_TEST_REGION'],
+      unresolved: []
+    })
+  })
+
+  test('reports unset variables without a default and leaves them in place', () => {
+    const { config, errors } = interpolateConfig({ projects: [{ id: 'site', deployment: { bucket: '${IX_TEST_UNSET}' } }] })
+
+    expect(config.projects[0].deployment.bucket).toBe('${IX_TEST_UNSET}')
+    expect(errors).toEqual([{
+      path: '/projects/0/deployment/bucket',
+      message: "Environment variable 'IX_TEST_UNSET' is not set",
+      value: 'IX_TEST_UNSET',
+      schema: null
+    }])
+  })
+
+  test('redacts values interpolated into credential fields only', () => {
+    process.env.IX_TEST_TOKEN = 'ghp_interpolated_token'
+    process.env.IX_TEST_REGION = 'ap-south-2'
+
+    const { config, secrets } = interpolateConfig({
+      credentials: { github_tokens: { ci: { token: '${IX_TEST_TOKEN}' } } },
+      projects: [{ id: 'site', deployment: { region: '${IX_TEST_REGION}' } }]
+    })
+
+    expect(config.credentials.github_tokens.ci.token).toBe('ghp_interpolated_token')
+    expect(secrets).toEqual(['/credentials/github_tokens/ci/token'])
+    expect(redactSecrets('auth ghp_interpolated_token in ap-south-2')).toBe('auth [REDACTED:IX_TEST_TOKEN] in ap-south-2')
+  })
+
+  test('loads a file and keeps the stored document unchanged', async () => {
+    process.env.IX_TEST_REGION = 'us-east-2'
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'ix-config-'))
+    const file = path.join(root, 'deploy-config.json')
+    await fs.writeFile(file, JSON.stringify({ defaults: { region: '${IX_TEST_REGION}' } }))
+
+    try {
+      const { stored, config } = await loadConfigFile(file)
+
+      expect(stored.defaults.region).toBe('${IX_TEST_REGION}')
+      expect(config.defaults.region).toBe('us-east-2')
+    } finally {
+      await fs.rm(root, { recursive: true, force: true })
+    }
+  })
+})
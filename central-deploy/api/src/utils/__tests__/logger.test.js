@@ -0,0 +1,43 @@
+import { Writable } from 'stream'
+import winston from 'winston'
+import { afterEach, beforeEach, describe, expect, test } from '@jest/globals'
+import { logger } from '../logger.js'
+import { redactionMarker, registerSecret } from '../redaction.js'
+
+const SECRET = 'ghp_loggerTestToken1234'
+
+describe('logger', () => {
+  let lines
+  let transport
+
+  beforeEach(() => {
+    lines = []
+    transport = new winston.transports.Stream({
+      stream: new Writable({
+        write(chunk, encoding, callback) {
+          lines.push(chunk.toString())
+          callback()
+        }
+      })
+    })
+    logger.add(transport)
+  })
+
+  afterEach(() => {
+    logger.remove(transport)
+  })
+
+  test.each([
+    ['logged as the entry', error => logger.error(error)],
+    ['logged as the message', error => logger.log({ level: 'error', message: error })]
+  ])('redacts registered secrets from errors %s and keeps their stack', (_, log) => {
+    registerSecret(SECRET, 'GITHUB_TOKEN')
+
+    log(new Error(`clone failed: https://${SECRET}@github.com/acme/site.git`))
+
+    const output = lines.join('')
+    expect(output).not.toContain(SECRET)
+    expect(output).toContain(`clone failed: https://${redactionMarker('GITHUB_TOKEN')}@github.com/acme/site.git`)
+    expect(output).toMatch(/\n\s+at .*logger\.test\.js/)
+  })
+})
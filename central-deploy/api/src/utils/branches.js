@@ -0,0 +1,45 @@
+/**
+ * Branch Routing Utilities
+ * Mirrors the branch-prefix scheme used by the static-site-deploy action
+ * and the CloudFront branch router
+ */
+
+const PRODUCTION_BRANCHES = ['main', 'master']
+
+/**
+ * Sanitize a branch name for use as a storage path prefix
+ * (same rules as the action: non-alphanumerics become '-', lowercased)
+ */
+export function sanitizeBranch(branch) {
+  return String(branch).replace(/[^a-zA-Z0-9-]/g, '-').toLowerCase()
+}
+
+/**
+ * Whether a branch deploys to the site root
+ */
+export function isProductionBranch(branch) {
+  return PRODUCTION_BRANCHES.includes(branch)
+}
+
+/**
+ * Resolve where a branch of a project is published
+ * @param {Object} project - Project configuration
+ * @param {string} branch - Git branch name
+ * @returns {Object} - { branch, sanitizedBranch, isProduction, prefix, url }
+ */
+export function resolveDeployTarget(project, branch) {
+  const isProduction = isProductionBranch(branch)
+  const sanitizedBranch = sanitizeBranch(branch)
+  const prefix = isProduction ? '' : `${sanitizedBranch}/`
+  const domain = project.deployment?.domain_name
+
+  return {
+    branch,
+    sanitizedBranch,
+    isProduction,
+    prefix,
+    url: `https://${domain}/${prefix}`
+  }
+}
+
+export default { sanitizeBranch, isProductionBranch, resolveDeployTarget }
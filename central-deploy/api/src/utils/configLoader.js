@@ -0,0 +1,126 @@
+/**
+ * Config Loader
+ * Interpolates environment variables into deploy-config.json
+ *
+ * String values may contain `${VAR}` placeholders, or `${VAR:-default}` to
+ * fall back to `default` when VAR is unset or empty. Placeholders whose
+ * variable is unset and that have no default are left as they are and
+ * reported as validation errors.
+ *
+ * Values taken from the environment into credential fields (SECRET_FIELDS)
+ * are registered as secrets, so they are redacted from API responses and
+ * logs (see redaction.js).
+ */
+
+import { promises as fs } from 'fs'
+import { registerSecret } from './redaction.js'
+
+const PLACEHOLDER = /\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g
+
+// JSON pointers of the credential fields; `*` matches any index or key
+export const SECRET_FIELDS = [
+  '/credentials/aws_profiles/*/access_key_id',
+  '/credentials/aws_profiles/*/secret_access_key',
+  '/credentials/github_tokens/*/token',
+  '/projects/*/notifications/slack/webhook_url'
+]
+
+const isSet = name => process.env[name] !== undefined && process.env[name] !== ''
+
+const escapePointer = key => String(key).replace(/~/g, '~0').replace(/\//g, '~1')
+
+function isSecretField(pointer) {
+  const segments = pointer.split('/')
+
+  return SECRET_FIELDS.some((field) => {
+    const pattern = field.split('/')
+    return pattern.length === segments.length &&
+      pattern.every((segment, index) => segment === '*' || segment === segments[index])
+  })
+}
+
+/**
+ * Interpolate the placeholders of a string
+ * @param {string} value - Raw configuration value
+ * @returns {Object} - { value, variables: names of the variables taken
+ *   from the environment, unresolved: names of the unset variables without
+ *   a default }
+ */
+export function interpolateString(value) {
+  const variables = []
+  const unresolved = []
+
+  const interpolated = value.replace(PLACEHOLDER, (placeholder, name, fallback) => {
+    if (isSet(name)) {
+      variables.push(name)
+      return process.env[name]
+    }
+    if (fallback !== undefined) {
+      return fallback
+    }
+
+    unresolved.push(name)
+    return placeholder
+  })
+
+  return { value: interpolated, variables, unresolved }
+}
+
+/**
+ * Interpolate every string in a configuration document
+ * @param {Object} config - Configuration as stored in the file
+ * @returns {Object} - { config: interpolated copy, secrets: JSON pointers
+ *   of the fields holding secrets, errors: one per unresolved variable, in
+ *   the shape of the configValidator errors }
+ */
+export function interpolateConfig(config) {
+  const secrets = []
+  const errors = []
+
+  const visit = (value, pointer) => {
+    if (Array.isArray(value)) {
+      return value.map((item, index) => visit(item, `${pointer}/${index}`))
+    }
+
+    if (value !== null && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, visit(item, `${pointer}/${escapePointer(key)}`)]))
+    }
+
+    if (typeof value !== 'string' || !value.includes('${')) {
+      return value
+    }
+
+    const result = interpolateString(value)
+
+    for (const name of result.unresolved) {
+      errors.push({
+        path: pointer,
+        message: `Environment variable '${name}' is not set`,
+        value: name,
+        schema: null
+      })
+    }
+
+    if (result.variables.length > 0 && result.unresolved.length === 0 && isSecretField(pointer)) {
+      registerSecret(result.value, result.variables.join(','))
+      secrets.push(pointer)
+    }
+
+    return result.value
+  }
+
+  return { config: visit(config, ''), secrets, errors }
+}
+
+/**
+ * Read and interpolate a configuration file
+ * @param {string} filePath - Path to the configuration file
+ * @returns {Promise<Object>} - { stored: the document as written, config,
+ *   secrets, errors } (see interpolateConfig)
+ */
+export async function loadConfigFile(filePath) {
+  const stored = JSON.parse(await fs.readFile(filePath, 'utf8'))
+  return { stored, ...interpolateConfig(stored) }
+}
+
+export default { SECRET_FIELDS, interpolateString, interpolateConfig, loadConfigFile }
@@ -9,6 +9,7 @@ import { promises as fs } from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
 import { logger } from './logger.js'
+import { interpolateConfig } from './configLoader.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -55,6 +56,8 @@ async function loadSchema() {
 
 /**
  * Validate configuration object against schema
+ * ${VAR} placeholders are interpolated first (see configLoader.js); unset
+ * variables are reported as errors.
  * @param {Object} config - Configuration object to validate
  * @returns {Object} - Validation result with success flag and errors
  */
@@ -62,23 +65,20 @@ export async function validateConfigObject(config) {
   try {
     const schema = await loadSchema()
     const validate = ajv.compile(schema)
-    const valid = validate(config)
-    
-    if (valid) {
-      return {
-        success: true,
-        errors: []
-      }
-    } else {
-      return {
-        success: false,
-        errors: validate.errors.map(error => ({
-          path: error.instancePath || error.dataPath,
-          message: error.message,
-          value: error.data,
-          schema: error.schemaPath
-        }))
-      }
+    const { config: interpolated, errors: unresolved } = interpolateConfig(config)
+    const valid = validate(interpolated)
+    const errors = valid
+      ? []
+      : validate.errors.map(error => ({
+        path: error.instancePath || error.dataPath,
+        message: error.message,
+        value: error.data,
+        schema: error.schemaPath
+      }))
+
+    return {
+      success: unresolved.length === 0 && errors.length === 0,
+      errors: [...unresolved, ...errors]
     }
   } catch (error) {
     logger.error('Configuration validation error:', error)
@@ -156,12 +156,27 @@ export async function validateConfigFile(configPath) {
   }
 }
 
+/**
+ * Whether a credential reference resolves
+ * `vault:<name>` references are only checked when the vault's secrets are
+ * known; other references must name an entry of the credentials list.
+ */
+function credentialExists(config, ref, { collection, type, secrets }) {
+  if (ref.startsWith('vault:')) {
+    return !secrets || secrets.some(secret => secret.type === type && `vault:${secret.name}` === ref)
+  }
+
+  return config.credentials?.[collection]?.some(entry => entry.name === ref) || false
+}
+
 /**
  * Perform custom validations beyond schema validation
  * @param {Object} config - Configuration object
+ * @param {Object} options - { secrets: metadata of the secrets vault's
+ *   secrets, to check `vault:<name>` references }
  * @returns {Object} - Validation result
  */
-export function performCustomValidations(config) {
+export function performCustomValidations(config, { secrets } = {}) {
   const errors = []
   
   // Check for duplicate project IDs
@@ -197,9 +212,11 @@ export function performCustomValidations(config) {
     // Validate credential references exist
     for (const project of config.projects) {
       if (project.deployment && project.deployment.aws_profile_ref) {
-        const profileExists = config.credentials?.aws_profiles?.some(
-          p => p.name === project.deployment.aws_profile_ref
-        )
+        const profileExists = credentialExists(config, project.deployment.aws_profile_ref, {
+          collection: 'aws_profiles',
+          type: 'aws_profile',
+          secrets
+        })
         if (!profileExists) {
           errors.push({
             path: `/projects/${project.id}/deployment/aws_profile_ref`,
@@ -211,9 +228,11 @@ export function performCustomValidations(config) {
       }
       
       if (project.repository && project.repository.github_token_ref) {
-        const tokenExists = config.credentials?.github_tokens?.some(
-          t => t.name === project.repository.github_token_ref
-        )
+        const tokenExists = credentialExists(config, project.repository.github_token_ref, {
+          collection: 'github_tokens',
+          type: 'github_token',
+          secrets
+        })
         if (!tokenExists) {
           errors.push({
             path: `/projects/${project.id}/repository/github_token_ref`,
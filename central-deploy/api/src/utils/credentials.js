@@ -0,0 +1,76 @@
+/**
+ * Credential Resolution
+ * Looks up credentials referenced by projects (github_token_ref, aws_profile_ref)
+ */
+
+import { interpolateString } from './configLoader.js'
+
+/**
+ * Expand ${VAR} and ${VAR:-default} placeholders from the environment
+ * @param {string} value - Raw configuration value
+ * @returns {string|null} - Expanded value, or null if a variable is unset
+ */
+export function expandEnv(value) {
+  if (typeof value !== 'string') {
+    return value ?? null
+  }
+
+  const { value: expanded, unresolved } = interpolateString(value)
+  return unresolved.length > 0 ? null : expanded
+}
+
+/**
+ * Names of the ${VAR} placeholders in a value that are not set and have no
+ * default
+ */
+export function unsetVariables(value) {
+  if (typeof value !== 'string') {
+    return []
+  }
+
+  return interpolateString(value).unresolved
+}
+
+/**
+ * Resolve a GitHub token by reference name
+ * @param {Object} config - Deploy configuration
+ * @param {string} ref - Token reference name
+ * @returns {string|null} - Token value, or null if not configured
+ */
+export function resolveGithubToken(config, ref) {
+  if (!ref) {
+    return null
+  }
+
+  const entry = config.credentials?.github_tokens?.find(t => t.name === ref)
+  return entry ? expandEnv(entry.token) : null
+}
+
+/**
+ * Resolve an AWS profile by reference name
+ * @param {Object} config - Deploy configuration
+ * @param {string} ref - Profile reference name (defaults to 'default')
+ * @returns {Object|null} - { accessKeyId, secretAccessKey, region }, or null
+ */
+export function resolveAwsProfile(config, ref) {
+  const entry = config.credentials?.aws_profiles?.find(p => p.name === (ref || 'default'))
+
+  if (!entry) {
+    return null
+  }
+
+  const accessKeyId = expandEnv(entry.access_key_id)
+  const secretAccessKey = expandEnv(entry.secret_access_key)
+
+  if (!accessKeyId || !secretAccessKey) {
+    return null
+  }
+
+  return {
+    accessKeyId,
+    secretAccessKey,
+    region: expandEnv(entry.region) || config.defaults?.aws_region || 'us-east-1'
+  }
+}
+
+export default { expandEnv, unsetVariables, resolveGithubToken, resolveAwsProfile }
@@ -0,0 +1,55 @@
+/**
+ * Application Error Classes
+ * Error names match the branches in middleware/errorHandler.js
+ */
+
+/**
+ * Error raised when a build phase fails, times out or is cancelled
+ */
+export class BuildError extends Error {
+  constructor(message, phase, options = {}) {
+    super(message)
+    this.name = 'BuildError'
+    this.phase = phase
+    this.timedOut = options.timedOut || false
+    this.cancelled = options.cancelled || false
+    this.exitCode = options.exitCode ?? null
+  }
+}
+
+/**
+ * Error raised when a request cannot be authenticated
+ */
+export class UnauthorizedError extends Error {
+  constructor(message = 'Unauthorized') {
+    super(message)
+    this.name = 'UnauthorizedError'
+  }
+}
+
+/**
+ * Error raised when an authenticated caller lacks a permission
+ */
+export class ForbiddenError extends Error {
+  constructor(message = 'Forbidden') {
+    super(message)
+    this.name = 'ForbiddenError'
+  }
+}
+
+/**
+ * Error raised when an outbound notification can't be delivered
+ * Permanent failures (e.g. a rejected webhook URL) are not retried;
+ * retryAfter (ms) overrides the backoff when the receiver asks for it.
+ */
+export class DeliveryError extends Error {
+  constructor(message, options = {}) {
+    super(message)
+    this.name = 'DeliveryError'
+    this.permanent = options.permanent || false
+    this.retryAfter = options.retryAfter ?? null
+    this.statusCode = options.statusCode ?? null
+  }
+}
+
+export default { BuildError, UnauthorizedError, ForbiddenError, DeliveryError }
@@ -0,0 +1,132 @@
+/**
+ * File Store Utilities
+ * Atomic JSON persistence and in-process write locks for file-backed state
+ */
+
+import { promises as fs } from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { fileURLToPath } from 'url'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+// Pending operation per lock key, used to serialize read-modify-write cycles
+const locks = new Map()
+
+/**
+ * Resolve a path inside the API data directory (DATA_PATH)
+ * Resolved on every call so values loaded by dotenv after import are honored
+ * @param {...string} segments - Path segments below the data directory
+ * @returns {string} - Absolute path
+ */
+export function dataPath(...segments) {
+  return path.resolve(process.env.DATA_PATH || path.join(__dirname, '../../data'), ...segments)
+}
+
+/**
+ * Run a function while holding an in-process lock for the given key
+ * @param {string} key - Lock key (usually a file path)
+ * @param {Function} fn - Async function to run exclusively
+ * @returns {Promise<*>} - Result of fn
+ */
+export function withLock(key, fn) {
+  const previous = locks.get(key) || Promise.resolve()
+  const current = previous.catch(() => {}).then(() => fn())
+  const tail = current.catch(() => {})
+
+  locks.set(key, tail)
+  tail.then(() => {
+    if (locks.get(key) === tail) {
+      locks.delete(key)
+    }
+  })
+
+  return current
+}
+
+/**
+ * Read and parse a JSON file
+ * @param {string} filePath - File to read
+ * @param {*} fallback - Value returned when the file does not exist
+ * @returns {Promise<*>} - Parsed content
+ */
+export async function readJsonFile(filePath, fallback) {
+  try {
+    const content = await fs.readFile(filePath, 'utf8')
+    return JSON.parse(content)
+  } catch (error) {
+    if (error.code === 'ENOENT' && fallback !== undefined) {
+      return structuredClone(fallback)
+    }
+    throw error
+  }
+}
+
+/**
+ * Write JSON to a file atomically (temp file in the same directory plus rename)
+ * @param {string} filePath - Destination file
+ * @param {*} data - Data to serialize
+ */
+export async function writeJsonFileAtomic(filePath, data) {
+  const dir = path.dirname(filePath)
+  const tempPath = path.join(dir, `.${path.basename(filePath)}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`)
+
+  await fs.mkdir(dir, { recursive: true })
+
+  try {
+    const handle = await fs.open(tempPath, 'w')
+    try {
+      await handle.writeFile(JSON.stringify(data, null, 2) + '\n', 'utf8')
+      await handle.sync()
+    } finally {
+      await handle.close()
+    }
+    await fs.rename(tempPath, filePath)
+  } catch (error) {
+    await fs.rm(tempPath, { force: true })
+    throw error
+  }
+}
+
+/**
+ * Small JSON document store backed by a single file.
+ * Reads are served from disk; updates are serialized and written atomically.
+ */
+export class JsonFileStore {
+  /**
+   * @param {string|Function} filePath - File path, or a function returning it
+   * @param {*} defaults - Document used when the file does not exist yet
+   */
+  constructor(filePath, defaults = {}) {
+    this.pathResolver = typeof filePath === 'function' ? filePath : () => filePath
+    this.defaults = defaults
+  }
+
+  get filePath() {
+    return this.pathResolver()
+  }
+
+  /**
+   * Read the current document
+   */
+  async read() {
+    return readJsonFile(this.filePath, this.defaults)
+  }
+
+  /**
+   * Apply a mutation to the document and persist it
+   * @param {Function} mutator - Receives the document; may mutate it in place
+   *   and returns the value passed back to the caller
+   */
+  async update(mutator) {
+    return withLock(this.filePath, async () => {
+      const document = await this.read()
+      const result = await mutator(document)
+      await writeJsonFileAtomic(this.filePath, document)
+      return result
+    })
+  }
+}
+
+export default { dataPath, withLock, readJsonFile, writeJsonFileAtomic, JsonFileStore }
@@ -0,0 +1,94 @@
+/**
+ * GitHub Utilities
+ * Webhook signature checks and repository/ref helpers
+ */
+
+import crypto from 'crypto'
+
+/**
+ * `X-Hub-Signature-256` style signature of a payload
+ * @param {string} secret - Webhook secret
+ * @param {Buffer|string} body - Payload exactly as sent
+ * @returns {string} - `sha256=<hex>`
+ */
+export function signWebhookPayload(secret, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex')
+}
+
+/**
+ * Verify an `X-Hub-Signature-256` header against the raw request body
+ * @param {string} secret - Webhook secret
+ * @param {Buffer} rawBody - Body exactly as received
+ * @param {string} signature - Header value (`sha256=<hex>`)
+ * @returns {boolean}
+ */
+export function verifyWebhookSignature(secret, rawBody, signature) {
+  if (!secret || !rawBody || typeof signature !== 'string' || !signature.startsWith('sha256=')) {
+    return false
+  }
+
+  const expected = Buffer.from(signWebhookPayload(secret, rawBody), 'utf8')
+  const received = Buffer.from(signature, 'utf8')
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received)
+}
+
+/**
+ * Add credentials to an https GitHub URL for cloning private repositories
+ */
+export function authenticatedUrl(url, token) {
+  if (!token || !url.startsWith('https://')) {
+    return url
+  }
+
+  const parsed = new URL(url)
+  parsed.username = 'x-access-token'
+  parsed.password = token
+  return parsed.toString()
+}
+
+/**
+ * Strip credentials from any URL that appears in a message
+ */
+export function redactUrlCredentials(message) {
+  return String(message).replace(/(https?:\/\/)[^/@\s]+@/g, '$1***@')
+}
+
+/**
+ * Reduce a repository URL to `host/owner/repo` so https, ssh and
+ * git:// forms of the same repository compare equal
+ */
+export function normalizeRepositoryUrl(url) {
+  if (!url) {
+    return null
+  }
+
+  return String(url)
+    .trim()
+    .toLowerCase()
+    .replace(/^git@([^:]+):/, '$1/')
+    .replace(/^[a-z+]+:\/\//, '')
+    .replace(/^[^@/]+@/, '')
+    .replace(/\/+$/, '')
+    .replace(/\.git$/, '')
+}
+
+/**
+ * Branch name of a `refs/heads/...` ref, or null for tags and other refs
+ */
+export function branchFromRef(ref) {
+  return typeof ref === 'string' && ref.startsWith('refs/heads/')
+    ? ref.slice('refs/heads/'.length)
+    : null
+}
+
+/**
+ * All URLs GitHub reports for the repository in a webhook payload
+ */
+export function payloadRepositoryUrls(payload) {
+  const repository = payload?.repository || {}
+  return [repository.html_url, repository.clone_url, repository.ssh_url, repository.git_url, repository.url]
+    .filter(Boolean)
+}
+
+export default { signWebhookPayload, verifyWebhookSignature, authenticatedUrl, redactUrlCredentials, normalizeRepositoryUrl, branchFromRef, payloadRepositoryUrls }
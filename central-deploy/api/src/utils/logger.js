@@ -6,6 +6,7 @@
 import winston from 'winston'
 import path from 'path'
 import { fileURLToPath } from 'url'
+import { redactSecrets } from './redaction.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -29,11 +30,24 @@ const colors = {
 
 winston.addColors(colors)
 
+// Replace secret values with their redaction markers before any transport
+// sees them (see redaction.js). Runs after errors(), which copies the
+// message and stack of logged errors onto the entry.
+const redact = winston.format((info) => {
+  for (const key of new Set(['message', 'stack', ...Object.keys(info)])) {
+    if (info[key] !== undefined) {
+      info[key] = redactSecrets(info[key])
+    }
+  }
+  return info
+})
+
 // Custom format for better readability
 const format = winston.format.combine(
   winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
   winston.format.errors({ stack: true }),
   winston.format.colorize({ all: true }),
+  redact(),
   winston.format.printf(info => {
     const { timestamp, level, message, stack, ...extra } = info
     const extraString = Object.keys(extra).length ? ` ${JSON.stringify(extra)}` : ''
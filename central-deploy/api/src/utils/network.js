@@ -0,0 +1,113 @@
+/**
+ * Outbound Address Guard
+ * Keeps requests to user-supplied URLs (outbound webhooks) away from the
+ * API host and the networks behind it
+ *
+ * Loopback, private (RFC 1918, unique local), link-local (including cloud
+ * metadata at 169.254.169.254), shared (CGNAT), multicast and reserved
+ * addresses are refused unless the URL's host is listed in
+ * WEBHOOK_ALLOWED_HOSTS (comma-separated host names or IP addresses).
+ */
+
+import dns from 'dns'
+import net from 'net'
+
+const BLOCKED_SUBNETS = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+]
+
+const blockList = new net.BlockList()
+BLOCKED_SUBNETS.forEach(([address, prefix, type]) => blockList.addSubnet(address, prefix, type))
+
+// Host names and IP literals of URLs have brackets around IPv6 addresses
+const bareHost = hostname => hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase()
+
+/**
+ * Whether an IP address may be connected to
+ */
+export function isPublicAddress(address) {
+  // The block list also matches IPv4-mapped IPv6 addresses
+  // (::ffff:127.0.0.1) against its IPv4 subnets
+  const family = net.isIP(address)
+  if (family === 0) {
+    return false
+  }
+  return !blockList.check(address, family === 4 ? 'ipv4' : 'ipv6')
+}
+
+/**
+ * Whether WEBHOOK_ALLOWED_HOSTS lets a host through regardless of its address
+ */
+export function isAllowedHost(hostname) {
+  const allowed = (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(h => bareHost(h.trim())).filter(Boolean)
+  return allowed.includes(bareHost(hostname))
+}
+
+/**
+ * Why a host must not be connected to, or null if it may be
+ * Host names are resolved; a name that does not resolve is not refused
+ * here, as the request will fail anyway.
+ * @param {string} hostname - Host of a URL
+ * @returns {Promise<string|null>}
+ */
+export async function blockedHostReason(hostname) {
+  const host = bareHost(hostname)
+  if (isAllowedHost(host)) {
+    return null
+  }
+
+  let addresses
+  if (net.isIP(host)) {
+    addresses = [host]
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(host, { all: true })).map(entry => entry.address)
+    } catch (error) {
+      return null
+    }
+  }
+
+  const blocked = addresses.find(address => !isPublicAddress(address))
+  return blocked
+    ? `${host} resolves to ${blocked}, a loopback, private or link-local address (add it to WEBHOOK_ALLOWED_HOSTS to allow it)`
+    : null
+}
+
+/**
+ * dns.lookup() for HTTP agents that fails for blocked addresses, so the
+ * address checked is the one connected to
+ */
+export function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error || isAllowedHost(hostname)) {
+      return callback(error, address, family)
+    }
+
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address]
+    const blocked = addresses.find(candidate => !isPublicAddress(candidate))
+    if (blocked) {
+      const refused = new Error(`${hostname} resolves to ${blocked}, a loopback, private or link-local address`)
+      refused.code = 'EADDRBLOCKED'
+      return callback(refused)
+    }
+
+    callback(null, address, family)
+  })
+}
+
+export default { isPublicAddress, isAllowedHost, blockedHostReason, publicLookup }
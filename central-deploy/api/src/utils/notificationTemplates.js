@@ -0,0 +1,123 @@
+/**
+ * Notification Templates
+ * Slack and email messages for deployment lifecycle notifications
+ */
+
+export const NOTIFICATION_EVENTS = ['started', 'succeeded', 'failed', 'rolled_back']
+
+const HEADLINES = {
+  started: 'Deployment started',
+  succeeded: 'Deployment succeeded',
+  failed: 'Deployment failed',
+  rolled_back: 'Rolled back'
+}
+
+// Slack attachment colors
+const COLORS = {
+  started: '#439FE0',
+  succeeded: 'good',
+  failed: 'danger',
+  rolled_back: 'warning'
+}
+
+/**
+ * Human-readable duration, e.g. "2m 05s"
+ */
+export function formatDuration(ms) {
+  if (ms === null || ms === undefined) {
+    return null
+  }
+
+  const seconds = Math.round(ms / 1000)
+  if (seconds < 60) {
+    return `${seconds}s`
+  }
+  return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`
+}
+
+/**
+ * The facts every template shows
+ * @param {Object} context - { event, project, deployment, url, logTail }
+ */
+function summarize({ event, project, deployment, url }) {
+  const name = project.name || project.id
+
+  return {
+    headline: `${HEADLINES[event]}: ${name} (${deployment.branch})`,
+    fields: [
+      ['Project', name],
+      ['Branch', deployment.branch],
+      ['Environment', deployment.environment],
+      ['Commit', deployment.commit ? deployment.commit.slice(0, 7) : null],
+      ['Duration', event === 'started' ? null : formatDuration(deployment.duration)],
+      ['Release', event === 'rolled_back' ? deployment.rollback?.release?.id : null],
+      ['Triggered by', deployment.triggered_by],
+      ['URL', url]
+    ].filter(([, value]) => value)
+  }
+}
+
+const formatLogLine = line => `[${line.level}] ${line.message}`
+
+/**
+ * Slack incoming-webhook payload
+ */
+export function renderSlackMessage(context, { channel } = {}) {
+  const { event, deployment, url, logTail = [] } = context
+  const { headline, fields } = summarize(context)
+
+  return {
+    ...(channel && { channel }),
+    text: headline,
+    attachments: [{
+      color: COLORS[event],
+      title: headline,
+      ...(url && { title_link: url }),
+      fields: fields
+        .filter(([title]) => title !== 'Project' && title !== 'URL')
+        .map(([title, value]) => ({ title, value: String(value), short: true })),
+      ...(event === 'failed' && {
+        text: [
+          // The log tail below carries multi-line details
+          deployment.error?.message && `*${deployment.error.message.trim().split('\n')[0]}*`,
+          logTail.length > 0 && '```' + logTail.map(formatLogLine).join('\n') + '```'
+        ].filter(Boolean).join('\n')
+      }),
+      footer: deployment.id,
+      ts: Math.floor(Date.parse(deployment.updated_at || deployment.created_at) / 1000)
+    }]
+  }
+}
+
+/**
+ * Email subject and plain-text body
+ */
+export function renderEmailMessage(context) {
+  const { event, deployment, logTail = [] } = context
+  const { headline, fields } = summarize(context)
+  const width = Math.max(...fields.map(([title]) => title.length))
+
+  const lines = [
+    headline,
+    '',
+    ...fields.map(([title, value]) => `${`${title}:`.padEnd(width + 1)} ${value}`)
+  ]
+
+  if (event === 'failed') {
+    if (deployment.error?.message) {
+      lines.push('', `Error: ${deployment.error.message.trim()}`)
+    }
+    if (logTail.length > 0) {
+      lines.push('', `Last ${logTail.length} log line(s):`, ...logTail.map(line => `  ${formatLogLine(line)}`))
+    }
+  }
+
+  lines.push('', `Deployment ${deployment.id}`)
+
+  return {
+    subject: `[IX Deploy] ${headline}`,
+    text: lines.join('\n') + '\n'
+  }
+}
+
+export default { NOTIFICATION_EVENTS, formatDuration, renderSlackMessage, renderEmailMessage }
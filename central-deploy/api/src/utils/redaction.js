@@ -0,0 +1,95 @@
+/**
+ * Secret Redaction
+ * Keeps secret values (credentials resolved from the environment by
+ * configLoader.js) out of API responses, logs and error payloads
+ *
+ * Every occurrence of a registered secret is replaced with a marker that
+ * names only the variable it came from, e.g. `[REDACTED:GITHUB_TOKEN]`.
+ */
+
+// Shorter values would redact unrelated text
+const MIN_SECRET_LENGTH = 6
+
+// Secret value -> redaction marker
+const secrets = new Map()
+let secretPattern = null
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+/**
+ * Marker that replaces the value of a variable
+ */
+export const redactionMarker = name => `[REDACTED:${name}]`
+
+/**
+ * Redact a value from now on
+ * @param {string} value - Secret value
+ * @param {string} name - Name of the variable the value came from
+ */
+export function registerSecret(value, name) {
+  if (typeof value !== 'string' || value.length < MIN_SECRET_LENGTH || secrets.has(value)) {
+    return
+  }
+
+  secrets.set(value, redactionMarker(name))
+  secretPattern = null
+}
+
+function pattern() {
+  if (!secretPattern) {
+    // Longest first, so a secret containing another is replaced whole
+    const alternatives = [...secrets.keys()].sort((a, b) => b.length - a.length).map(escapeRegExp)
+    secretPattern = new RegExp(alternatives.join('|'), 'g')
+  }
+  return secretPattern
+}
+
+/**
+ * Copy of a value with every registered secret replaced by its marker
+ * Strings, arrays, plain objects and errors are redacted; other values are
+ * returned as they are.
+ */
+export function redactSecrets(value, seen = new WeakSet()) {
+  if (secrets.size === 0) {
+    return value
+  }
+
+  if (typeof value === 'string') {
+    return value.replace(pattern(), secret => secrets.get(secret))
+  }
+
+  if (value === null || typeof value !== 'object') {
+    return value
+  }
+
+  const prototype = Object.getPrototypeOf(value)
+  const isError = value instanceof Error
+  if (!Array.isArray(value) && !isError && prototype !== Object.prototype && prototype !== null) {
+    return value
+  }
+
+  // `seen` holds the objects being redacted above this one
+  if (seen.has(value)) {
+    return '[Circular]'
+  }
+  seen.add(value)
+
+  let redacted
+  if (Array.isArray(value)) {
+    redacted = value.map(item => redactSecrets(item, seen))
+  } else if (isError) {
+    redacted = {
+      name: value.name,
+      message: redactSecrets(value.message, seen),
+      stack: redactSecrets(value.stack, seen),
+      ...redactSecrets({ ...value }, seen)
+    }
+  } else {
+    redacted = Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactSecrets(item, seen)]))
+  }
+
+  seen.delete(value)
+  return redacted
+}
+
+export default { redactionMarker, registerSecret, redactSecrets }
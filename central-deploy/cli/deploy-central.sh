@@ -93,9 +93,11 @@ Status Commands:
   status deployments    Show recent deployment history
 
 Log Commands:
-  logs                  Show recent system logs
-  logs PROJECT          Show logs for specific project
-  logs follow PROJECT   Follow logs in real-time
+  logs PROJECT [--level=LEVEL]
+                        Show recent log lines of a project's deployments
+  logs follow PROJECT [DEPLOYMENT_ID] [--level=LEVEL]
+                        Follow a deployment's logs in real-time
+                        (the project's latest deployment by default)
 
 Server Commands:
   server start          Start the API server
@@ -140,7 +142,8 @@ Examples:
 Environment Variables:
   IX_DEPLOY_CONFIG      Path to configuration file
   IX_DEPLOY_API_URL     API server URL
-  IX_DEPLOY_API_KEY     API authentication key
+  IX_DEPLOY_API_KEY     Scoped API key (from /api/v1/auth/keys)
+  IX_DEPLOY_TOKEN       API access token (from /api/v1/auth/login)
   IX_DEPLOY_WORKSPACE   Build workspace directory
 
 EOF
@@ -155,6 +158,10 @@ api_call() {
     
     local curl_args=("-X" "$method" "-H" "Content-Type: application/json")
     
+    if [[ -n "${IX_DEPLOY_TOKEN:-}" ]]; then
+        curl_args+=("-H" "Authorization: Bearer ${IX_DEPLOY_TOKEN}")
+    fi
+    
     if [[ -n "${IX_DEPLOY_API_KEY:-}" ]]; then
         curl_args+=("-H" "X-API-Key: ${IX_DEPLOY_API_KEY}")
     fi
@@ -318,6 +325,99 @@ deploy_project() {
     fi
 }
 
+# Log Functions
+logs_show() {
+    local project_id="$1"
+    local level="${2:-}"
+    
+    check_api_server
+    
+    if ! command -v jq &> /dev/null; then
+        print_error "jq is required to show logs"
+        exit 1
+    fi
+    
+    local endpoint="/projects/$project_id/logs"
+    [[ -n "$level" ]] && endpoint+="?level=${level}"
+    
+    local response
+    response=$(api_call GET "$endpoint")
+    
+    if [[ "$(echo "$response" | jq -r '.success' 2>/dev/null)" != "true" ]]; then
+        print_error "Failed to get logs for project: $project_id"
+        echo "$response" | jq -r '.message // .error' 2>/dev/null || echo "$response"
+        exit 1
+    fi
+    
+    echo "$response" | jq -r '.data[] | "[\(.timestamp)] \(.deployment_id) \(.level | ascii_upcase) \(.component // "-"): \(.message)"'
+}
+
+logs_follow() {
+    local project_id="$1"
+    local deployment_id="${2:-}"
+    local level="${3:-}"
+    local api_url="${IX_DEPLOY_API_URL:-$API_BASE_URL}"
+    
+    check_api_server
+    
+    if ! command -v jq &> /dev/null; then
+        print_error "jq is required to follow logs"
+        exit 1
+    fi
+    
+    if [[ -z "$deployment_id" ]]; then
+        local response
+        response=$(api_call GET "/projects/$project_id/deployments?limit=1")
+        deployment_id=$(echo "$response" | jq -r '.data[0].id // empty' 2>/dev/null)
+        
+        if [[ -z "$deployment_id" ]]; then
+            print_error "No deployments found for project: $project_id"
+            echo "$response" | jq '.message // .error' 2>/dev/null || echo "$response"
+            exit 1
+        fi
+    fi
+    
+    print_step "Following logs for deployment: $deployment_id"
+    
+    local curl_args=("-N" "-s" "-f" "-H" "Accept: text/event-stream")
+    
+    if [[ -n "${IX_DEPLOY_TOKEN:-}" ]]; then
+        curl_args+=("-H" "Authorization: Bearer ${IX_DEPLOY_TOKEN}")
+    fi
+    
+    if [[ -n "${IX_DEPLOY_API_KEY:-}" ]]; then
+        curl_args+=("-H" "X-API-Key: ${IX_DEPLOY_API_KEY}")
+    fi
+    
+    local stream_url="${api_url}/deployments/${deployment_id}/logs/stream"
+    [[ -n "$level" ]] && stream_url+="?level=${level}"
+    
+    local event="" line data status
+    while IFS= read -r line; do
+        case "$line" in
+            event:*)
+                event="${line#event: }"
+                ;;
+            data:*)
+                data="${line#data: }"
+                if [[ "$event" == "end" ]]; then
+                    status=$(echo "$data" | jq -r '.status')
+                    if [[ "$status" == "completed" ]]; then
+                        print_success "Deployment completed"
+                        return 0
+                    fi
+                    print_error "Deployment $status: $(echo "$data" | jq -r '.error.message // "no details"')"
+                    exit 1
+                fi
+                echo "$data" | jq -r '"[\(.timestamp)] \(.level | ascii_upcase) \(.component // "-"): \(.message)"'
+                ;;
+        esac
+    done < <(curl "${curl_args[@]}" "$stream_url")
+    
+    print_error "Log stream failed or ended before the deployment finished"
+    exit 1
+}
+
 # Server Management
 server_start() {
     print_step "Starting API server..."
@@ -479,7 +579,66 @@ main() {
             server_status
             ;;
         logs)
-            print_error "Logs command not yet implemented"
+            local subcommand="${1:-}"
+            shift || true
+            
+            case "$subcommand" in
+                follow)
+                    local project_id="${1:-}"
+                    if [[ -z "$project_id" ]]; then
+                        print_error "Project ID is required"
+                        echo "Usage: $0 logs follow PROJECT_ID [DEPLOYMENT_ID] [--level=LEVEL]"
+                        exit 1
+                    fi
+                    shift
+                    
+                    local deployment_id=""
+                    local level=""
+                    
+                    while [[ $# -gt 0 ]]; do
+                        case $1 in
+                            --level=*)
+                                level="${1#*=}"
+                                shift
+                                ;;
+                            -*)
+                                print_error "Unknown option: $1"
+                                exit 1
+                                ;;
+                            *)
+                                deployment_id="$1"
+                                shift
+                                ;;
+                        esac
+                    done
+                    
+                    logs_follow "$project_id" "$deployment_id" "$level"
+                    ;;
+                "")
+                    print_error "Project ID is required"
+                    echo "Usage: $0 logs PROJECT_ID [--level=LEVEL]"
+                    print_info "Follow a deployment with: $0 logs follow PROJECT_ID"
+                    exit 1
+                    ;;
+                *)
+                    local level=""
+                    
+                    while [[ $# -gt 0 ]]; do
+                        case $1 in
+                            --level=*)
+                                level="${1#*=}"
+                                shift
+                                ;;
+                            *)
+                                print_error "Unknown option: $1"
+                                exit 1
+                                ;;
+                        esac
+                    done
+                    
+                    logs_show "$subcommand" "$level"
+                    ;;
+            esac
             ;;
         server)
             local subcommand="${1:-status}"